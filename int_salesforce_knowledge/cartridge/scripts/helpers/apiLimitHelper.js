@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * API Limit Helper
+ *
+ * Tracks the org's daily API usage and throttles Salesforce calls, so that
+ * export runs don't exhaust API requests shared with other integrations.
+ *
+ * - Usage is read from the Sforce-Limit-Info header of every Knowledge API
+ *   response (api-usage=used/max) and from the /limits resource
+ * - With apiLimitThreshold (percent) configured, isBudgetReached() tells the
+ *   job to stop before the next batch
+ * - rateLimitDelay (apiSettings in knowledgeMapping.json, off by default) is the minimum time
+ *   in milliseconds between two Salesforce calls
+ *
+ * @module scripts/helpers/apiLimitHelper
+ */
+
+var Logger = require('dw/system/Logger');
+var retryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/retryHelper');
+
+var logger = Logger.getLogger('SFKnowledge', 'ApiLimits');
+
+// Active settings (per execution)
+var threshold = null;
+var rateLimitDelay = 0;
+
+// Last known daily API usage
+// Structure: { used: number, max: number }
+var usage = null;
+
+// Time of the last Salesforce call (for rateLimitDelay)
+var lastCallTime = 0;
+
+/**
+ * Configure limit settings
+ *
+ * @param {Object} apiSettings - apiSettings from knowledgeMapping.json (rateLimitDelay in ms)
+ * @param {number} apiLimitThreshold - Stop the run at this percentage of daily API requests (null to disable)
+ */
+function configure(apiSettings, apiLimitThreshold) {
+    var delay = apiSettings ? apiSettings.rateLimitDelay : null;
+
+    rateLimitDelay = (typeof delay === 'number' && delay > 0) ? delay : 0;
+    threshold = (typeof apiLimitThreshold === 'number' && apiLimitThreshold > 0) ? apiLimitThreshold : null;
+
+    // Usage is per org, and every target can be a different org
+    usage = null;
+
+    logger.info('API limit settings: threshold ' + (threshold ? threshold + '%' : 'disabled') +
+        ', rate limit delay ' + rateLimitDelay + 'ms');
+}
+
+/**
+ * Wait until rateLimitDelay has passed since the last call
+ *
+ * Called by the service wrapper before every Salesforce call.
+ */
+function throttle() {
+    if (rateLimitDelay > 0) {
+        var remaining = lastCallTime + rateLimitDelay - new Date().getTime();
+        if (remaining > 0) {
+            retryHelper.wait(remaining);
+        }
+    }
+    lastCallTime = new Date().getTime();
+}
+
+/**
+ * Record usage from a Sforce-Limit-Info header
+ *
+ * @param {string} headerValue - Header value (e.g., "api-usage=25/15000")
+ */
+function recordLimitInfo(headerValue) {
+    var match = headerValue ? /api-usage=(\d+)\/(\d+)/.exec(headerValue) : null;
+
+    if (match) {
+        usage = {
+            used: parseInt(match[1], 10),
+            max: parseInt(match[2], 10)
+        };
+    }
+}
+
+/**
+ * Get the last known daily API usage
+ *
+ * @returns {Object|null} Usage { used: number, max: number, percent: number }, or null if not known yet
+ */
+function getUsage() {
+    if (!usage || !usage.max) {
+        return null;
+    }
+
+    return {
+        used: usage.used,
+        max: usage.max,
+        percent: Math.round(usage.used / usage.max * 1000) / 10
+    };
+}
+
+/**
+ * Read daily API usage from the /limits resource
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, usage: Object, error: string }
+ */
+function fetchLimits(accessToken, instanceUrl, serviceID) {
+    // Required here to avoid a circular dependency (the service uses this module)
+    var services = require('int_salesforce_knowledge/cartridge/scripts/services/salesforceKnowledgeService');
+
+    var result = services.getKnowledgeService(serviceID).call({
+        accessToken: accessToken,
+        instanceUrl: instanceUrl,
+        endpoint: '/limits',
+        method: 'GET'
+    });
+
+    if (result.status === 'OK' && result.object && result.object.success) {
+        var dailyRequests = result.object.data ? result.object.data.DailyApiRequests : null;
+
+        if (dailyRequests && dailyRequests.Max) {
+            usage = {
+                used: dailyRequests.Max - dailyRequests.Remaining,
+                max: dailyRequests.Max
+            };
+        }
+
+        return {
+            success: true,
+            usage: getUsage()
+        };
+    }
+
+    return {
+        success: false,
+        error: result.object ? result.object.errorMessage : (result.errorMessage || 'Failed to read API limits')
+    };
+}
+
+/**
+ * Check whether daily API usage has reached apiLimitThreshold
+ *
+ * @returns {boolean} True if the run should stop
+ */
+function isBudgetReached() {
+    var current = getUsage();
+    return !!threshold && !!current && current.percent >= threshold;
+}
+
+/**
+ * Get the configured threshold
+ *
+ * @returns {number|null} Threshold in percent, or null if disabled
+ */
+function getThreshold() {
+    return threshold;
+}
+
+// Export public functions
+module.exports = {
+    configure: configure,
+    throttle: throttle,
+    recordLimitInfo: recordLimitInfo,
+    getUsage: getUsage,
+    fetchLimits: fetchLimits,
+    isBudgetReached: isBudgetReached,
+    getThreshold: getThreshold
+};
@@ -0,0 +1,571 @@
+'use strict';
+
+/**
+ * Bulk Export Helper
+ *
+ * Initial loads of large content libraries with Salesforce Bulk API 2.0 (exportMode "bulk").
+ *
+ * Flow:
+ * 1. Split assets: new articles go to Bulk API, existing articles and linked
+ *    translations are returned for the regular (batched REST) export
+ * 2. Map new assets and stage them as CSV, one ingest job per article type
+ *    (split into several jobs for very large CSVs)
+ * 3. Create the ingest job, upload the CSV, close it and poll until it completes
+ * 4. Read successful/failed results and map them back to content ID and language
+ * 5. Query KnowledgeArticleIds, assign data categories with a second ingest job
+ *    per article type (e.g., FAQ__DataCategorySelection for FAQ__kav) and publish
+ *    in batched Actions API calls
+ *
+ * Poll settings come from apiSettings in knowledgeMapping.json (bulkPollInterval, bulkPollTimeout).
+ * Polling keeps the job thread busy, so bulkPollTimeout is capped at MAX_POLL_TIMEOUT.
+ *
+ * @module scripts/helpers/bulkExportHelper
+ */
+
+var Logger = require('dw/system/Logger');
+var authHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceAuthHelper');
+var knowledgeHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceKnowledgeHelper');
+var knowledgeMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/knowledgeMappingHelper');
+var csvHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/csvHelper');
+var retryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/retryHelper');
+var services = require('int_salesforce_knowledge/cartridge/scripts/services/salesforceKnowledgeService');
+
+var logger = Logger.getLogger('SFKnowledge', 'BulkAPI');
+
+/**
+ * External ID field name
+ * @type {string}
+ */
+var EXTERNAL_ID_FIELD = 'SFCC_External_ID__c';
+
+/**
+ * Maximum CSV length per ingest job (keeps script strings well below platform quotas)
+ * @type {number}
+ */
+var MAX_CSV_LENGTH = 5000000;
+
+/**
+ * Default poll settings in milliseconds
+ * @type {Object}
+ */
+var DEFAULT_POLL_INTERVAL = 5000;
+var DEFAULT_POLL_TIMEOUT = 120000;
+
+/**
+ * Longest time to poll one ingest job in milliseconds
+ * @type {number}
+ */
+var MAX_POLL_TIMEOUT = 300000;
+
+/**
+ * Ingest job states that end polling
+ * @type {Array<string>}
+ */
+var FINAL_STATES = ['JobComplete', 'Failed', 'Aborted'];
+
+/**
+ * Parse CSV text (RFC 4180, as returned by Bulk API 2.0 result endpoints)
+ *
+ * @param {string} text - CSV text with header line
+ * @returns {Array<Object>} Rows keyed by header
+ */
+function parseCsv(text) {
+    var lines = [];
+    var fields = [];
+    var field = '';
+    var inQuotes = false;
+
+    for (var i = 0; i < (text || '').length; i++) {
+        var ch = text.charAt(i);
+
+        if (inQuotes) {
+            if (ch === '"' && text.charAt(i + 1) === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text.charAt(i + 1) === '\n') {
+                i++;
+            }
+            fields.push(field);
+            lines.push(fields);
+            fields = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        lines.push(fields);
+    }
+
+    if (lines.length === 0) {
+        return [];
+    }
+
+    var header = lines[0];
+    return lines.slice(1).map(function (values) {
+        var row = {};
+        for (var c = 0; c < header.length; c++) {
+            row[header[c]] = values[c] !== undefined ? values[c] : '';
+        }
+        return row;
+    });
+}
+
+/**
+ * Split rows into CSV documents of at most MAX_CSV_LENGTH characters
+ *
+ * @param {Array<Object>} rows - Field values per row
+ * @returns {Array<string>} CSV documents (each with header line)
+ */
+function buildCsvDocuments(rows) {
+    var columns = [];
+    var seenColumns = {};
+
+    rows.forEach(function (row) {
+        for (var key in row) {
+            if (row.hasOwnProperty(key) && !seenColumns[key]) {
+                seenColumns[key] = true;
+                columns.push(key);
+            }
+        }
+    });
+
+    var header = columns.map(csvHelper.toCsvValue).join(',') + '\n';
+    var documents = [];
+    var current = header;
+
+    rows.forEach(function (row) {
+        var line = csvHelper.toCsvLine(columns, row) + '\n';
+        if (current.length + line.length > MAX_CSV_LENGTH && current !== header) {
+            documents.push(current);
+            current = header;
+        }
+        current += line;
+    });
+
+    if (current !== header) {
+        documents.push(current);
+    }
+
+    return documents;
+}
+
+/**
+ * Call the Bulk API through the Knowledge service
+ *
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint below /services/data/vXX.X
+ * @param {Object|string} body - Request body (string bodies are sent as CSV)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, data: *, error: string }
+ */
+function callBulkApi(authResult, method, endpoint, body, serviceID) {
+    var service = services.getKnowledgeService(serviceID);
+    var result = service.call({
+        accessToken: authResult.accessToken,
+        instanceUrl: authResult.instanceUrl,
+        endpoint: endpoint,
+        method: method,
+        body: body,
+        contentType: typeof body === 'string' ? 'text/csv' : null
+    });
+
+    if (result.status === 'OK' && result.object && result.object.success) {
+        return {
+            success: true,
+            data: result.object.data
+        };
+    }
+
+    return {
+        success: false,
+        error: result.object ? (result.object.errorMessage || JSON.stringify(result.object.error)) : (result.errorMessage || 'Bulk API call failed')
+    };
+}
+
+/**
+ * Run a Bulk API 2.0 insert job and wait for its results
+ *
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {string} objectName - sObject API name (e.g., 'Knowledge__kav')
+ * @param {string} csv - CSV document with header line
+ * @param {Object} config - Site configuration (serviceID, mappingRules)
+ * @returns {Object} Result { success: boolean, jobId: string, successful: Array<Object>, failed: Array<Object>, error: string }
+ */
+function runIngestJob(authResult, objectName, csv, config) {
+    var apiSettings = knowledgeMappingHelper.getApiSettings(config);
+    var pollInterval = Math.min(apiSettings.bulkPollInterval || DEFAULT_POLL_INTERVAL, retryHelper.MAX_WAIT);
+    var pollTimeout = Math.min(apiSettings.bulkPollTimeout || DEFAULT_POLL_TIMEOUT, MAX_POLL_TIMEOUT);
+    var serviceID = config.serviceID;
+
+    // STEP 1: Create job
+    var createResult = callBulkApi(authResult, 'POST', '/jobs/ingest', {
+        object: objectName,
+        operation: 'insert',
+        contentType: 'CSV',
+        lineEnding: 'LF'
+    }, serviceID);
+
+    if (!createResult.success) {
+        return { success: false, error: 'Could not create ingest job: ' + createResult.error };
+    }
+
+    var jobId = createResult.data.id;
+    var jobEndpoint = '/jobs/ingest/' + jobId;
+    logger.info('Created Bulk API ingest job ' + jobId + ' for ' + objectName);
+
+    // STEP 2: Upload data and close the job
+    var uploadResult = callBulkApi(authResult, 'PUT', jobEndpoint + '/batches', csv, serviceID);
+    if (!uploadResult.success) {
+        callBulkApi(authResult, 'PATCH', jobEndpoint, { state: 'Aborted' }, serviceID);
+        return { success: false, jobId: jobId, error: 'CSV upload failed: ' + uploadResult.error };
+    }
+
+    var closeResult = callBulkApi(authResult, 'PATCH', jobEndpoint, { state: 'UploadComplete' }, serviceID);
+    if (!closeResult.success) {
+        return { success: false, jobId: jobId, error: 'Could not close ingest job: ' + closeResult.error };
+    }
+
+    // STEP 3: Poll until the job is finished
+    var deadline = new Date().getTime() + pollTimeout;
+    var jobInfo = null;
+
+    while (true) {
+        var pollResult = callBulkApi(authResult, 'GET', jobEndpoint, null, serviceID);
+        if (pollResult.success) {
+            jobInfo = pollResult.data;
+            logger.debug('Ingest job ' + jobId + ' state: ' + jobInfo.state + ', processed: ' + jobInfo.numberRecordsProcessed);
+
+            if (FINAL_STATES.indexOf(jobInfo.state) > -1) {
+                break;
+            }
+        } else {
+            logger.warn('Could not read ingest job ' + jobId + ' state: ' + pollResult.error);
+        }
+
+        if (new Date().getTime() + pollInterval > deadline) {
+            return {
+                success: false,
+                jobId: jobId,
+                error: 'Ingest job did not complete within ' + (pollTimeout / 1000) + ' seconds (check Setup > Bulk Data Load Jobs, the next run updates the articles it creates)'
+            };
+        }
+
+        retryHelper.wait(pollInterval);
+    }
+
+    if (jobInfo.state !== 'JobComplete') {
+        return {
+            success: false,
+            jobId: jobId,
+            error: 'Ingest job ' + jobInfo.state + (jobInfo.errorMessage ? ': ' + jobInfo.errorMessage : '')
+        };
+    }
+
+    logger.info('Ingest job ' + jobId + ' complete: ' + jobInfo.numberRecordsProcessed + ' processed, ' +
+        jobInfo.numberRecordsFailed + ' failed');
+
+    // STEP 4: Read results
+    var successfulResult = callBulkApi(authResult, 'GET', jobEndpoint + '/successfulResults/', null, serviceID);
+    var failedResult = callBulkApi(authResult, 'GET', jobEndpoint + '/failedResults/', null, serviceID);
+
+    if (!successfulResult.success || !failedResult.success) {
+        return {
+            success: false,
+            jobId: jobId,
+            error: 'Could not read ingest job results: ' + (successfulResult.error || failedResult.error)
+        };
+    }
+
+    return {
+        success: true,
+        jobId: jobId,
+        successful: parseCsv(typeof successfulResult.data === 'string' ? successfulResult.data : ''),
+        failed: parseCsv(typeof failedResult.data === 'string' ? failedResult.data : '')
+    };
+}
+
+/**
+ * Get the data category selection object of an article type
+ *
+ * @param {string} articleType - Article type API name (e.g., 'FAQ__kav')
+ * @returns {string} sObject API name (e.g., 'FAQ__DataCategorySelection')
+ */
+function getCategorySelectionObject(articleType) {
+    return articleType.replace(/__kav$/, '') + '__DataCategorySelection';
+}
+
+/**
+ * Build data category selection rows for a created article version
+ *
+ * @param {string} versionId - Article version ID
+ * @param {Object} dataCategorySelections - { groupName: [{ dataCategoryName: "All:Category" }] }
+ * @returns {Array<Object>} Data category selection rows (see getCategorySelectionObject())
+ */
+function getCategoryRows(versionId, dataCategorySelections) {
+    var rows = [];
+
+    for (var groupName in dataCategorySelections) {
+        if (dataCategorySelections.hasOwnProperty(groupName)) {
+            var categories = dataCategorySelections[groupName];
+            for (var i = 0; i < categories.length; i++) {
+                var pathSegments = categories[i].dataCategoryName.split(':');
+                rows.push({
+                    ParentId: versionId,
+                    DataCategoryGroupName: groupName,
+                    DataCategoryName: pathSegments[pathSegments.length - 1].trim()
+                });
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Export new articles with Bulk API 2.0
+ *
+ * Content assets that already have an article, and linked translations, are not
+ * loaded with Bulk API; they are returned in result.remaining for the regular export.
+ *
+ * @param {Array<Object>} contentAssets - Formatted content assets (one per language)
+ * @param {Object} config - Site configuration
+ * @returns {Object} Result
+ * @returns {Array<Object>} result.details - Per-asset results, same structure as exportBatch() details
+ * @returns {Array<Object>} result.remaining - Content assets for the regular export
+ * @returns {Array<string>} result.jobIds - Ingest job IDs
+ */
+function exportWithBulkApi(contentAssets, config) {
+    var details = [];
+    var remaining = [];
+    var jobIds = [];
+
+    var authResult = authHelper.getAccessToken(config.serviceID);
+    if (!authResult.success) {
+        logger.error('Authentication failed, using regular export for all content: ' + authResult.error);
+        return { details: details, remaining: contentAssets, jobIds: jobIds };
+    }
+
+    // STEP 1: Map new articles, hand everything else to the regular export
+    var rowsByType = {};
+    var pending = {};
+
+    try {
+        knowledgeHelper.prefetchBatchArticles(contentAssets, config);
+
+        for (var i = 0; i < contentAssets.length; i++) {
+            var contentAsset = contentAssets[i];
+
+            if (knowledgeHelper.isTranslation(contentAsset, config)) {
+                remaining.push(contentAsset);
+                continue;
+            }
+
+            var prepared;
+            try {
+                prepared = knowledgeHelper.prepareArticleWrite(contentAsset, config);
+            } catch (e) {
+                logger.error('[' + contentAsset.ID + '] Exception preparing article: ' + e.message);
+                prepared = { done: true, result: { success: false, error: 'Exception: ' + e.message } };
+            }
+
+            if (prepared.done && prepared.result.success) {
+                // Unchanged existing article (contentHash), edited in Salesforce (conflictPolicy skip) or draft created in Salesforce (humanDraftPolicy)
+                details.push({
+                    contentId: contentAsset.ID,
+                    language: contentAsset.language,
+                    success: true,
+                    operation: prepared.result.operation,
+                    knowledgeArticleId: prepared.result.knowledgeArticleId,
+                    versionId: prepared.result.versionId,
+                    publishStatus: prepared.result.publishStatus,
+                    warning: prepared.result.warning,
+                    payloadHash: prepared.result.payloadHash,
+                    conflict: prepared.result.conflict,
+                    humanDraft: prepared.result.humanDraft
+                });
+            } else if (prepared.done) {
+                details.push({
+                    contentId: contentAsset.ID,
+                    language: contentAsset.language,
+                    success: false,
+                    error: prepared.result.error,
+                    operation: prepared.result.operation || 'create'
+                });
+            } else if (prepared.existingArticle) {
+                remaining.push(contentAsset);
+            } else {
+                var row = {};
+                for (var key in prepared.articleData) {
+                    if (prepared.articleData.hasOwnProperty(key) && key !== 'DataCategorySelections' && key !== 'attributes') {
+                        row[key] = prepared.articleData[key];
+                    }
+                }
+
+                (rowsByType[prepared.articleType] = rowsByType[prepared.articleType] || []).push(row);
+                pending[contentAsset.ID + '|' + row.Language] = {
+                    contentAsset: contentAsset,
+                    categories: prepared.articleData.DataCategorySelections || null,
+                    publishArticles: prepared.config.publishArticles || false,
+                    payloadHash: prepared.payloadHash
+                };
+            }
+        }
+    } finally {
+        knowledgeHelper.clearPrefetchedArticles();
+    }
+
+    logger.info('Bulk API: ' + Object.keys(pending).length + ' new article(s), ' + remaining.length + ' for regular export');
+
+    // STEP 2: Ingest jobs per article type
+    var created = [];
+
+    Object.keys(rowsByType).forEach(function (articleType) {
+        buildCsvDocuments(rowsByType[articleType]).forEach(function (csv) {
+            var jobResult = runIngestJob(authResult, articleType, csv, config);
+
+            if (jobResult.jobId) {
+                jobIds.push(jobResult.jobId);
+            }
+
+            if (!jobResult.success) {
+                logger.error('Bulk API ingest job for ' + articleType + ' failed: ' + jobResult.error);
+                parseCsv(csv).forEach(function (row) {
+                    var entry = pending[row[EXTERNAL_ID_FIELD] + '|' + row.Language];
+                    if (entry) {
+                        entry.error = jobResult.error;
+                    }
+                });
+                return;
+            }
+
+            jobResult.successful.forEach(function (row) {
+                var entry = pending[row[EXTERNAL_ID_FIELD] + '|' + row.Language];
+                if (entry) {
+                    entry.versionId = row.sf__Id;
+                    entry.articleType = articleType;
+                    created.push(entry);
+                }
+            });
+
+            jobResult.failed.forEach(function (row) {
+                var entry = pending[row[EXTERNAL_ID_FIELD] + '|' + row.Language];
+                if (entry) {
+                    entry.error = row.sf__Error || 'Failed in Bulk API job ' + jobResult.jobId;
+                }
+            });
+        });
+    });
+
+    // STEP 3: KnowledgeArticleIds per article type
+    var versionIdsByType = {};
+    created.forEach(function (entry) {
+        (versionIdsByType[entry.articleType] = versionIdsByType[entry.articleType] || []).push(entry.versionId);
+    });
+
+    var knowledgeArticleIds = {};
+    Object.keys(versionIdsByType).forEach(function (articleType) {
+        var typeIds = knowledgeHelper.fetchKnowledgeArticleIds(authResult.accessToken, authResult.instanceUrl, articleType, versionIdsByType[articleType], config.serviceID);
+        for (var versionId in typeIds) {
+            if (typeIds.hasOwnProperty(versionId)) {
+                knowledgeArticleIds[versionId] = typeIds[versionId];
+            }
+        }
+    });
+
+    // STEP 4: Data categories with a second ingest job per article type
+    var categoryRowsByType = {};
+    created.forEach(function (entry) {
+        if (entry.categories) {
+            categoryRowsByType[entry.articleType] = (categoryRowsByType[entry.articleType] || []).concat(getCategoryRows(entry.versionId, entry.categories));
+        }
+    });
+
+    Object.keys(categoryRowsByType).forEach(function (articleType) {
+        buildCsvDocuments(categoryRowsByType[articleType]).forEach(function (csv) {
+            var categoryJob = runIngestJob(authResult, getCategorySelectionObject(articleType), csv, config);
+            if (categoryJob.jobId) {
+                jobIds.push(categoryJob.jobId);
+            }
+
+            var failedParents = {};
+            if (!categoryJob.success) {
+                logger.warn('Data category ingest job failed: ' + categoryJob.error);
+                parseCsv(csv).forEach(function (row) {
+                    failedParents[row.ParentId] = categoryJob.error;
+                });
+            } else {
+                categoryJob.failed.forEach(function (row) {
+                    failedParents[row.ParentId] = row.sf__Error;
+                });
+            }
+
+            created.forEach(function (entry) {
+                if (failedParents[entry.versionId]) {
+                    entry.warning = 'Data category assignment failed: ' + failedParents[entry.versionId];
+                }
+            });
+        });
+    });
+
+    // STEP 5: Publish in batched Actions API calls
+    var toPublish = created.filter(function (entry) {
+        return entry.publishArticles;
+    }).map(function (entry) {
+        return entry.versionId;
+    });
+
+    var publishFailures = toPublish.length > 0
+        ? knowledgeHelper.publishArticleVersions(authResult.accessToken, authResult.instanceUrl, toPublish, config.serviceID)
+        : {};
+
+    // STEP 6: Per-asset results
+    Object.keys(pending).forEach(function (pendingKey) {
+        var entry = pending[pendingKey];
+        var detail = {
+            contentId: entry.contentAsset.ID,
+            language: entry.contentAsset.language,
+            success: !!entry.versionId,
+            operation: 'create'
+        };
+
+        if (entry.versionId) {
+            detail.versionId = entry.versionId;
+            detail.knowledgeArticleId = knowledgeArticleIds[entry.versionId] || entry.versionId;
+            detail.publishStatus = entry.publishArticles && !publishFailures[entry.versionId] ? 'online' : 'draft';
+            detail.warning = publishFailures[entry.versionId] ? 'Publish failed: ' + publishFailures[entry.versionId] : entry.warning;
+            if (!detail.warning && entry.payloadHash) {
+                detail.payloadHash = entry.payloadHash;
+            }
+        } else {
+            detail.error = entry.error || 'Not processed by Bulk API';
+        }
+
+        details.push(detail);
+    });
+
+    return {
+        details: details,
+        remaining: remaining,
+        jobIds: jobIds
+    };
+}
+
+// Export public functions
+module.exports = {
+    exportWithBulkApi: exportWithBulkApi
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Checkpoint Helper
+ *
+ * Records export progress in the SFKnowledgeCheckpoint custom object (one object
+ * per site, see cartridge/metadata/custom-objecttype-definitions.xml), so that a run
+ * interrupted by a job timeout or instance restart can be resumed with resume: true.
+ *
+ * After every completed batch the checkpoint stores the run ID, the batch number and
+ * the key (contentId|language) of the last content asset whose languages were all
+ * exported (batches can end partway through its languages). A resumed run skips the
+ * language versions whose sync metadata shows they were exported (successfully or not)
+ * since the interrupted run started, and exports everything else. The order of the
+ * export set does not matter, so content added in between, ForceFullForIDs content and
+ * retry queue items are not skipped by mistake.
+ *
+ * @module scripts/helpers/checkpointHelper
+ */
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var Transaction = require('dw/system/Transaction');
+var Logger = require('dw/system/Logger');
+var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
+
+var logger = Logger.getLogger('SFKnowledge', 'Checkpoint');
+
+/**
+ * Custom object type ID
+ * @type {string}
+ */
+var CUSTOM_OBJECT_TYPE = 'SFKnowledgeCheckpoint';
+
+/**
+ * Checkpoint status values
+ * @type {Object}
+ */
+var STATUS = {
+    RUNNING: 'running',
+    COMPLETE: 'complete'
+};
+
+/**
+ * Get the checkpoint key of a content asset
+ *
+ * @param {Object} contentAsset - Formatted content asset (with language)
+ * @returns {string} Key (contentId|language)
+ */
+function getAssetKey(contentAsset) {
+    return contentAsset.ID + '|' + (contentAsset.language || '');
+}
+
+/**
+ * Create a run ID
+ *
+ * @param {string} siteID - Site ID
+ * @returns {string} Run ID (siteID-timestamp)
+ */
+function createRunId(siteID) {
+    return siteID + '-' + new Date().getTime();
+}
+
+/**
+ * Get the start time of a run
+ *
+ * @param {string} runId - Run ID from createRunId()
+ * @returns {number|null} Time in milliseconds, or null if the run ID has no timestamp
+ */
+function getRunStartTime(runId) {
+    var timestamp = runId ? parseInt(runId.substring(runId.lastIndexOf('-') + 1), 10) : NaN;
+    return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Read the checkpoint of a site
+ *
+ * @param {string} siteID - Site ID
+ * @returns {Object|null} Checkpoint { runId, exportMode, status, lastBatch, processedCount, lastKey, lastUpdate }, or null
+ */
+function getCheckpoint(siteID) {
+    try {
+        var checkpoint = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, siteID);
+        if (!checkpoint) {
+            return null;
+        }
+
+        return {
+            runId: checkpoint.custom.runId,
+            exportMode: checkpoint.custom.exportMode,
+            status: checkpoint.custom.status ? checkpoint.custom.status.value : null,
+            lastBatch: checkpoint.custom.lastBatch || 0,
+            processedCount: checkpoint.custom.processedCount || 0,
+            lastKey: checkpoint.custom.lastKey,
+            lastUpdate: checkpoint.custom.lastUpdate
+        };
+    } catch (e) {
+        logger.error('Could not read checkpoint (is ' + CUSTOM_OBJECT_TYPE + ' imported?): ' + e.message);
+        return null;
+    }
+}
+
+/**
+ * Write the checkpoint of a site
+ *
+ * @param {string} siteID - Site ID
+ * @param {Object} checkpoint - Checkpoint (see getCheckpoint())
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function saveCheckpoint(siteID, checkpoint) {
+    try {
+        Transaction.wrap(function () {
+            var object = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, siteID) ||
+                CustomObjectMgr.createCustomObject(CUSTOM_OBJECT_TYPE, siteID);
+
+            object.custom.runId = checkpoint.runId;
+            object.custom.exportMode = checkpoint.exportMode;
+            object.custom.status = checkpoint.status;
+            object.custom.lastBatch = checkpoint.lastBatch;
+            object.custom.processedCount = checkpoint.processedCount;
+            object.custom.lastKey = checkpoint.lastKey || '';
+            object.custom.lastUpdate = new Date();
+        });
+
+        return { success: true };
+    } catch (e) {
+        logger.error('Could not write checkpoint for site ' + siteID + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
+/**
+ * Check whether a language version was already exported by a run
+ *
+ * Uses the sync metadata of the current target (see contentMappingHelper.setSyncTarget()).
+ *
+ * @param {Object} contentAsset - Formatted content asset (with language)
+ * @param {Object} checkpoint - Checkpoint of the run (see getCheckpoint())
+ * @returns {boolean} True if the language version was exported since the run started
+ */
+function isExportedInRun(contentAsset, checkpoint) {
+    var runStartTime = getRunStartTime(checkpoint.runId);
+    var lastExportTime = contentMappingHelper.getLanguageLastExportTime(contentAsset, contentAsset.language);
+
+    return runStartTime !== null && lastExportTime !== null && lastExportTime >= runStartTime;
+}
+
+// Export public functions
+module.exports = {
+    STATUS: STATUS,
+    getAssetKey: getAssetKey,
+    createRunId: createRunId,
+    getCheckpoint: getCheckpoint,
+    saveCheckpoint: saveCheckpoint,
+    isExportedInRun: isExportedInRun
+};
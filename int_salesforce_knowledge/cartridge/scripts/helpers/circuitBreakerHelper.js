@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Circuit Breaker Helper
+ *
+ * Stops an export run early when content assets keep failing (e.g., wrong
+ * credentials, or a required field missing from the page layout), instead of
+ * failing every asset one by one and spending API calls on it.
+ *
+ * Thresholds (circuitBreaker in the site configuration):
+ * - maxConsecutiveFailures: trip after this many failed content assets in a row
+ * - maxFailureRate + sampleSize: trip when more than maxFailureRate percent of the
+ *   first sampleSize content assets fail
+ *
+ * Content assets are counted per language. Once tripped, isTripped() tells
+ * exportToExternalAPI() to stop before the next batch.
+ *
+ * @module scripts/helpers/circuitBreakerHelper
+ */
+
+var Logger = require('dw/system/Logger');
+
+var logger = Logger.getLogger('SFKnowledge', 'CircuitBreaker');
+
+// Active thresholds (per execution)
+// Structure: { maxConsecutiveFailures: number|null, maxFailureRate: number|null, sampleSize: number|null }
+var thresholds = null;
+
+// Counters of the current run
+var consecutiveFailures = 0;
+var sampled = 0;
+var sampledFailures = 0;
+var errorCounts = {};
+
+// Reason the breaker tripped (null while closed)
+var trip = null;
+
+/**
+ * Configure thresholds and reset the counters
+ *
+ * @param {Object} settings - circuitBreaker from the site configuration (null to disable)
+ */
+function configure(settings) {
+    var source = settings || {};
+    var rateConfigured = typeof source.maxFailureRate === 'number';
+
+    thresholds = {
+        maxConsecutiveFailures: source.maxConsecutiveFailures || null,
+        maxFailureRate: rateConfigured ? source.maxFailureRate : null,
+        sampleSize: rateConfigured ? source.sampleSize : null
+    };
+
+    consecutiveFailures = 0;
+    sampled = 0;
+    sampledFailures = 0;
+    errorCounts = {};
+    trip = null;
+
+    if (thresholds.maxConsecutiveFailures || rateConfigured) {
+        logger.info('Circuit breaker: ' +
+            (thresholds.maxConsecutiveFailures ? thresholds.maxConsecutiveFailures + ' consecutive failures' : 'no consecutive limit') + ', ' +
+            (rateConfigured ? 'more than ' + thresholds.maxFailureRate + '% of the first ' + thresholds.sampleSize + ' content assets' : 'no failure rate limit'));
+    }
+}
+
+/**
+ * Get the most common error of the run
+ *
+ * @returns {Object|null} { message: string, count: number }, or null if nothing failed
+ */
+function getMostCommonError() {
+    var mostCommon = null;
+
+    Object.keys(errorCounts).forEach(function (message) {
+        if (!mostCommon || errorCounts[message] > mostCommon.count) {
+            mostCommon = { message: message, count: errorCounts[message] };
+        }
+    });
+
+    return mostCommon;
+}
+
+/**
+ * Trip the breaker
+ *
+ * @param {string} threshold - Threshold that tripped
+ */
+function open(threshold) {
+    trip = {
+        threshold: threshold,
+        mostCommonError: getMostCommonError()
+    };
+
+    logger.error('Circuit breaker tripped: ' + threshold +
+        (trip.mostCommonError ? '. Most common error (' + trip.mostCommonError.count + 'x): ' + trip.mostCommonError.message : ''));
+}
+
+/**
+ * Record export results
+ *
+ * @param {Array<Object>} details - Export details (success, error)
+ */
+function recordResults(details) {
+    if (!thresholds) {
+        return;
+    }
+
+    details.forEach(function (detail) {
+        // Content that was not written (e.g., unchanged content hash) says nothing about failures
+        if (detail.operation === 'skip') {
+            return;
+        }
+
+        if (detail.success) {
+            consecutiveFailures = 0;
+        } else {
+            var message = detail.error || 'Unknown error';
+            errorCounts[message] = (errorCounts[message] || 0) + 1;
+            consecutiveFailures++;
+        }
+
+        if (thresholds.sampleSize && sampled < thresholds.sampleSize) {
+            sampled++;
+            if (!detail.success) {
+                sampledFailures++;
+            }
+        }
+
+        if (trip) {
+            return;
+        }
+
+        if (thresholds.maxConsecutiveFailures && consecutiveFailures >= thresholds.maxConsecutiveFailures) {
+            open(consecutiveFailures + ' consecutive failures (maxConsecutiveFailures: ' + thresholds.maxConsecutiveFailures + ')');
+        } else if (thresholds.sampleSize && sampled === thresholds.sampleSize &&
+                sampledFailures / sampled * 100 > thresholds.maxFailureRate) {
+            open(sampledFailures + ' of the first ' + sampled + ' content assets failed (maxFailureRate: ' + thresholds.maxFailureRate + '%)');
+        }
+    });
+}
+
+/**
+ * Check whether the breaker tripped
+ *
+ * @returns {boolean} True if the run should stop
+ */
+function isTripped() {
+    return !!trip;
+}
+
+/**
+ * Get the reason the breaker tripped
+ *
+ * @returns {Object|null} { threshold: string, mostCommonError: { message, count } }, or null if not tripped
+ */
+function getTrip() {
+    return trip;
+}
+
+// Export public functions
+module.exports = {
+    configure: configure,
+    recordResults: recordResults,
+    isTripped: isTripped,
+    getTrip: getTrip
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Configuration Fingerprint Helper
+ *
+ * Delta mode only exports content assets modified since their last sync, so a change
+ * to fieldMapping, transforms, static or recordTypeName would only reach existing
+ * articles when their content is edited. This helper fingerprints the effective site
+ * configuration and keeps the fingerprint of the last successful run in the
+ * SFKnowledgeConfigFingerprint custom object (one object per site, see
+ * cartridge/metadata/custom-objecttype-definitions.xml). When the fingerprint differs,
+ * the job resyncs all content of the site (full mode).
+ *
+ * Every configuration key is hashed separately, so the job can log which keys changed.
+ * Keys that only control how the job runs (batch size, retry queue, notifications, ...)
+ * are left out: changing them does not change what is written to Salesforce. For
+ * knowledgeMapping, the rules loaded from cartridge/config/knowledgeMapping.json are
+ * hashed, so editing the file changes the fingerprint as well.
+ *
+ * @module scripts/helpers/configFingerprintHelper
+ */
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var Transaction = require('dw/system/Transaction');
+var Logger = require('dw/system/Logger');
+
+var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
+var knowledgeMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/knowledgeMappingHelper');
+
+var logger = Logger.getLogger('SFKnowledge', 'ConfigFingerprint');
+
+/**
+ * Custom object type ID
+ * @type {string}
+ */
+var CUSTOM_OBJECT_TYPE = 'SFKnowledgeConfigFingerprint';
+
+/**
+ * Configuration keys that are not part of the fingerprint
+ * @type {Array<string>}
+ */
+var EXCLUDED_KEYS = [
+    'apiLimitThreshold',
+    'autoCreateFields',
+    'batchSize',
+    'circuitBreaker',
+    'compositeWrites',
+    'conflictPolicy',
+    'contentFolderIDs',
+    'contentHash',
+    'dryRun',
+    'enableDebugLogging',
+    'exportMode',
+    'fieldMetadata',
+    'humanDraftPolicy',
+    'notifications',
+    'resume',
+    'resyncOnConfigChange',
+    'retiredContentPolicy',
+    'retryQueue',
+    'retryQueueMaxAttempts',
+    'serviceID',
+    'targetID',
+    'targets',
+    'validateDataCategories'
+];
+
+/**
+ * knowledgeMapping.json sections that are not part of the fingerprint
+ * @type {Array<string>}
+ */
+var EXCLUDED_MAPPING_SECTIONS = ['apiSettings'];
+
+/**
+ * Hash a string
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} SHA-256 hash (hex)
+ */
+function hash(value) {
+    var MessageDigest = require('dw/crypto/MessageDigest');
+    var Encoding = require('dw/crypto/Encoding');
+    var Bytes = require('dw/util/Bytes');
+
+    var digest = new MessageDigest(MessageDigest.DIGEST_SHA_256);
+    return Encoding.toHex(digest.digestBytes(new Bytes(value, 'UTF-8')));
+}
+
+/**
+ * Get the value of a configuration key that goes into the fingerprint
+ *
+ * An enabled knowledgeMapping (true or section overrides) is replaced with the
+ * merged mapping rules of the file and the site.
+ *
+ * @param {Object} config - Effective site configuration
+ * @param {string} key - Configuration key
+ * @returns {*} Value to hash
+ */
+function getFingerprintValue(config, key) {
+    if (key !== 'knowledgeMapping' || !config.knowledgeMapping) {
+        return config[key];
+    }
+
+    var rules = knowledgeMappingHelper.loadMappingRules(config);
+    var value = {};
+
+    Object.keys(rules).forEach(function (section) {
+        if (EXCLUDED_MAPPING_SECTIONS.indexOf(section) === -1) {
+            value[section] = rules[section];
+        }
+    });
+
+    return value;
+}
+
+/**
+ * Fingerprint an effective site configuration
+ *
+ * @param {Object} config - Effective site configuration (from siteConfigHelper.getSiteConfiguration())
+ * @returns {Object} { fingerprint: string, keyHashes: Object } - keyHashes maps every fingerprinted key to its hash
+ */
+function getFingerprint(config) {
+    var keyHashes = {};
+
+    Object.keys(config).forEach(function (key) {
+        if (EXCLUDED_KEYS.indexOf(key) === -1 && config[key] !== undefined) {
+            keyHashes[key] = hash(contentMappingHelper.toStableJson(getFingerprintValue(config, key)));
+        }
+    });
+
+    return {
+        fingerprint: hash(contentMappingHelper.toStableJson(keyHashes)),
+        keyHashes: keyHashes
+    };
+}
+
+/**
+ * Get the configuration keys that differ between two fingerprints
+ *
+ * @param {Object} previousKeyHashes - keyHashes of the last successful run
+ * @param {Object} keyHashes - keyHashes of the current configuration
+ * @returns {Array<string>} Added, removed or changed keys (sorted)
+ */
+function getChangedKeys(previousKeyHashes, keyHashes) {
+    var keys = Object.keys(previousKeyHashes).concat(Object.keys(keyHashes).filter(function (key) {
+        return !Object.prototype.hasOwnProperty.call(previousKeyHashes, key);
+    }));
+
+    return keys.filter(function (key) {
+        return previousKeyHashes[key] !== keyHashes[key];
+    }).sort();
+}
+
+/**
+ * Read the fingerprint of the last successful run of a site
+ *
+ * @param {string} siteID - Site ID (with target suffix for Salesforce targets)
+ * @returns {Object|null} { fingerprint, keyHashes, lastUpdate }, or null if there is none
+ */
+function getStoredFingerprint(siteID) {
+    try {
+        var object = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, siteID);
+        if (!object || !object.custom.fingerprint) {
+            return null;
+        }
+
+        var keyHashes = {};
+        try {
+            keyHashes = object.custom.keyHashes ? JSON.parse(object.custom.keyHashes) : {};
+        } catch (parseError) {
+            logger.warn('Invalid keyHashes in configuration fingerprint of site ' + siteID + ': ' + parseError.message);
+        }
+
+        return {
+            fingerprint: object.custom.fingerprint,
+            keyHashes: keyHashes,
+            lastUpdate: object.custom.lastUpdate
+        };
+    } catch (e) {
+        logger.error('Could not read configuration fingerprint (is ' + CUSTOM_OBJECT_TYPE + ' imported?): ' + e.message);
+        return null;
+    }
+}
+
+/**
+ * Store the fingerprint of a successful run
+ *
+ * @param {string} siteID - Site ID (with target suffix for Salesforce targets)
+ * @param {Object} fingerprint - Result of getFingerprint()
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function saveFingerprint(siteID, fingerprint) {
+    try {
+        Transaction.wrap(function () {
+            var object = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, siteID) ||
+                CustomObjectMgr.createCustomObject(CUSTOM_OBJECT_TYPE, siteID);
+
+            object.custom.fingerprint = fingerprint.fingerprint;
+            object.custom.keyHashes = JSON.stringify(fingerprint.keyHashes);
+            object.custom.lastUpdate = new Date();
+        });
+
+        return { success: true };
+    } catch (e) {
+        logger.error('Could not write configuration fingerprint for site ' + siteID + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
+/**
+ * Compare the configuration with the last successful run of a site
+ *
+ * @param {string} siteID - Site ID (with target suffix for Salesforce targets)
+ * @param {Object} config - Effective site configuration
+ * @returns {Object} { fingerprint, keyHashes, previous: boolean, changed: boolean, changedKeys: Array<string> } -
+ *     previous is false if no run stored a fingerprint yet (changed is then false as well)
+ */
+function compareWithLastRun(siteID, config) {
+    var current = getFingerprint(config);
+    var stored = getStoredFingerprint(siteID);
+
+    current.previous = !!stored;
+    current.changed = !!stored && stored.fingerprint !== current.fingerprint;
+    current.changedKeys = current.changed ? getChangedKeys(stored.keyHashes, current.keyHashes) : [];
+
+    return current;
+}
+
+// Export public functions
+module.exports = {
+    EXCLUDED_KEYS: EXCLUDED_KEYS,
+    getFingerprint: getFingerprint,
+    getChangedKeys: getChangedKeys,
+    getStoredFingerprint: getStoredFingerprint,
+    saveFingerprint: saveFingerprint,
+    compareWithLastRun: compareWithLastRun
+};
@@ -9,16 +9,488 @@
  * @module scripts/helpers/contentMappingHelper
  */
 
-var ContentMgr = require('dw/content/ContentMgr');
 var ContentSearchModel = require('dw/content/ContentSearchModel');
 var Site = require('dw/system/Site');
 var Logger = require('dw/system/Logger');
 var fieldTransformHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/fieldTransformHelper');
 var dataCategoryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceDataCategoryHelper');
+var knowledgeMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/knowledgeMappingHelper');
+var siteContextHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteContextHelper');
 
 // Initialize logger
 var logger = Logger.getLogger('SFKnowledge', 'ContentMapping');
 
+// Salesforce target of the run (null: single org, sync metadata in the sfKnowledge* attributes)
+var syncTargetID = null;
+
+/**
+ * Article fields left out of the content hash: set on create only, or request metadata
+ * @type {Array<string>}
+ */
+var PAYLOAD_HASH_EXCLUDED_FIELDS = ['attributes', 'RecordTypeId', 'Language'];
+
+/**
+ * Set the Salesforce target whose sync metadata is read and written
+ *
+ * With a target, sync metadata is kept per target in sfTargetSyncData (JSON) instead
+ * of sfKnowledgeArticleId, sfKnowledgeVersionId, sfLastSyncDateTime, sfLanguageVersions,
+ * sfLanguageSyncData and sfPayloadHashes.
+ *
+ * @param {string|null} targetID - Target ID from the site configuration (null for a single org)
+ */
+function setSyncTarget(targetID) {
+    syncTargetID = targetID || null;
+}
+
+/**
+ * Read a custom attribute of a content asset that holds a JSON object
+ *
+ * @param {dw.content.Content} content - B2C Content Asset
+ * @param {string} attributeID - Custom attribute ID
+ * @returns {Object} Parsed object (empty if not set or invalid)
+ */
+function readJsonAttribute(content, attributeID) {
+    var json = content.custom ? content.custom[attributeID] : null;
+    if (!json) {
+        return {};
+    }
+
+    try {
+        var data = JSON.parse(json);
+        return (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+    } catch (e) {
+        logger.warn('Failed to parse ' + attributeID + ' of ' + content.ID + ', resetting: ' + e.message);
+        return {};
+    }
+}
+
+/**
+ * Read the per-target sync metadata of a content asset
+ *
+ * @param {dw.content.Content} content - B2C Content Asset
+ * @returns {Object} Map of target ID → { knowledgeArticleId, versionId, lastSyncDateTime (ISO), languages, languageSyncData, payloadHashes }
+ */
+function readTargetSyncData(content) {
+    return readJsonAttribute(content, 'sfTargetSyncData');
+}
+
+/**
+ * Read the per-language sync metadata of a content asset for the current target
+ *
+ * @param {dw.content.Content} content - B2C Content Asset
+ * @returns {Object} Map of language → { knowledgeArticleId, versionId, lastSyncDateTime (ISO), publishStatus, lastError, conflict }
+ */
+function readLanguageSyncData(content) {
+    if (syncTargetID) {
+        return (readTargetSyncData(content)[syncTargetID] || {}).languageSyncData || {};
+    }
+
+    return readJsonAttribute(content, 'sfLanguageSyncData');
+}
+
+/**
+ * Get the sync metadata of one language of a content asset for the current target
+ *
+ * @param {Object} contentAsset - Formatted content asset (or B2C Content Asset)
+ * @param {string} language - Salesforce language
+ * @returns {Object|null} { knowledgeArticleId, versionId, lastSyncDateTime: Date|null, publishStatus, lastError, conflict },
+ *     or null if the language was never exported
+ */
+function getLanguageSyncMetadata(contentAsset, language) {
+    var entry = readLanguageSyncData(contentAsset._asset || contentAsset)[language];
+    if (!entry) {
+        return null;
+    }
+
+    return {
+        knowledgeArticleId: entry.knowledgeArticleId || null,
+        versionId: entry.versionId || null,
+        lastSyncDateTime: entry.lastSyncDateTime ? new Date(entry.lastSyncDateTime) : null,
+        publishStatus: entry.publishStatus || null,
+        lastError: entry.lastError || null,
+        conflict: entry.conflict || null,
+        humanDraft: entry.humanDraft || null
+    };
+}
+
+/**
+ * Check whether a language entry of the sync metadata is out of date
+ *
+ * @param {Object|undefined} entry - Entry of readLanguageSyncData()
+ * @param {Date|null} lastModified - Last modification of the content asset
+ * @returns {boolean} True if the language was never synced, its last export failed, is in conflict or waits for a
+ *     draft created in Salesforce, or it was modified since its last sync
+ */
+function isLanguageEntryStale(entry, lastModified) {
+    if (!entry || !entry.lastSyncDateTime || entry.lastError || entry.conflict || entry.humanDraft || !lastModified) {
+        return true;
+    }
+
+    return lastModified.getTime() > new Date(entry.lastSyncDateTime).getTime();
+}
+
+/**
+ * Get the sync metadata of a content asset for the current target
+ *
+ * @param {dw.content.Content} content - B2C Content Asset
+ * @returns {Object} { knowledgeArticleId: string|null, versionId: string|null, lastSyncDateTime: Date|null }
+ */
+function getSyncMetadata(content) {
+    var custom = content.custom || {};
+
+    if (!syncTargetID) {
+        return {
+            knowledgeArticleId: custom.sfKnowledgeArticleId || null,
+            versionId: custom.sfKnowledgeVersionId || null,
+            lastSyncDateTime: custom.sfLastSyncDateTime || null
+        };
+    }
+
+    var entry = readTargetSyncData(content)[syncTargetID] || {};
+    return {
+        knowledgeArticleId: entry.knowledgeArticleId || null,
+        versionId: entry.versionId || null,
+        lastSyncDateTime: entry.lastSyncDateTime ? new Date(entry.lastSyncDateTime) : null
+    };
+}
+
+/**
+ * Serialize a value as JSON with object keys in sorted order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string that does not depend on property order
+ */
+function toStableJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(toStableJson).join(',') + ']';
+    }
+
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort().map(function (key) {
+            return JSON.stringify(key) + ':' + toStableJson(value[key]);
+        }).join(',') + '}';
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Compute the SHA-256 hash of a string
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function sha256Hex(text) {
+    var MessageDigest = require('dw/crypto/MessageDigest');
+    var Encoding = require('dw/crypto/Encoding');
+    var Bytes = require('dw/util/Bytes');
+
+    var digest = new MessageDigest(MessageDigest.DIGEST_SHA_256);
+    return Encoding.toHex(digest.digestBytes(new Bytes(text, 'UTF-8')));
+}
+
+/**
+ * Compute the content hash of a mapped article (contentHash)
+ *
+ * The hash covers the final payload (after transforms, static fields and data
+ * categories) and the article type, so any change to content or configuration
+ * that changes what is sent also changes the hash.
+ *
+ * @param {Object} articleData - Mapped article data
+ * @param {string} articleType - Knowledge Article Type
+ * @returns {string} SHA-256 hash (hex)
+ */
+function getPayloadHash(articleData, articleType) {
+    var hashed = {};
+    Object.keys(articleData).forEach(function (key) {
+        if (PAYLOAD_HASH_EXCLUDED_FIELDS.indexOf(key) === -1) {
+            hashed[key] = articleData[key];
+        }
+    });
+
+    return sha256Hex(articleType + '|' + toStableJson(hashed));
+}
+
+/**
+ * Compute the SHA-256 hash of a single field value
+ *
+ * @param {*} value - Field value
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function getValueHash(value) {
+    return sha256Hex(toStableJson(value));
+}
+
+/**
+ * Read the content hashes of a content asset for the current target
+ *
+ * @param {dw.content.Content} content - B2C Content Asset
+ * @returns {Object} Map of language → hash of the last written payload
+ */
+function readPayloadHashes(content) {
+    if (syncTargetID) {
+        return (readTargetSyncData(content)[syncTargetID] || {}).payloadHashes || {};
+    }
+
+    return readJsonAttribute(content, 'sfPayloadHashes');
+}
+
+/**
+ * Get the content hash of the last payload written for a language
+ *
+ * @param {Object} contentAsset - Formatted content asset (or B2C Content Asset)
+ * @param {string} language - Salesforce language
+ * @returns {string|null} Hash, or null if none was stored
+ */
+function getStoredPayloadHash(contentAsset, language) {
+    var content = contentAsset._asset || contentAsset;
+    return readPayloadHashes(content)[language] || null;
+}
+
+/**
+ * Set or remove the content hash of a language in a hash map
+ *
+ * @param {Object} hashes - Map of language → hash (changed in place)
+ * @param {string} language - Salesforce language
+ * @param {string|null} payloadHash - Hash to store, or null to remove it
+ * @returns {Object} The hash map
+ */
+function setPayloadHash(hashes, language, payloadHash) {
+    if (payloadHash) {
+        hashes[language] = payloadHash;
+    } else {
+        delete hashes[language];
+    }
+    return hashes;
+}
+
+/**
+ * Maximum length of the error message kept in the per-language sync metadata
+ * @type {number}
+ */
+var MAX_SYNC_ERROR_LENGTH = 255;
+
+/**
+ * Walk a content folder of the activated library recursively (organization context)
+ *
+ * The content search index only covers the current site, so the folder tree is read
+ * with Folder.getContent() instead. Offline content is returned as well and filtered
+ * by the callers like search results.
+ *
+ * @param {string} folderID - Content folder ID ('root' for the library root)
+ * @returns {Object} Iterator { hasNext(): boolean, next(): dw.content.Content }
+ */
+function walkContentFolder(folderID) {
+    var rootFolder = siteContextHelper.getFolder(folderID);
+    var folders = rootFolder ? [rootFolder] : [];
+    var contentIterator = null;
+
+    if (!rootFolder) {
+        logger.warn('Content folder not found in library: ' + folderID);
+    }
+
+    var advance = function () {
+        while ((!contentIterator || !contentIterator.hasNext()) && folders.length > 0) {
+            var folder = folders.shift();
+            contentIterator = folder.getContent().iterator();
+
+            var subFolderIterator = folder.getSubFolders().iterator();
+            while (subFolderIterator.hasNext()) {
+                folders.push(subFolderIterator.next());
+            }
+        }
+        return !!contentIterator && contentIterator.hasNext();
+    };
+
+    return {
+        hasNext: advance,
+        next: function () {
+            return advance() ? contentIterator.next() : null;
+        }
+    };
+}
+
+/**
+ * Search a content folder recursively
+ *
+ * @param {string|null} folderID - Content folder ID to search (defaults to 'root' if null/empty)
+ * @returns {dw.util.Iterator} Content assets of the folder and its subfolders
+ */
+function searchContentFolder(folderID) {
+    // Normalize folder ID - default to 'root' if not specified
+    var normalizedFolderID = folderID ? folderID.toString().trim() : 'root';
+
+    // Organization context: read the library of the activated site
+    if (siteContextHelper.hasActiveSite()) {
+        logger.info('Getting content assets from library folder: ' + normalizedFolderID);
+        return walkContentFolder(normalizedFolderID);
+    }
+
+    // Create content search model
+    var searchModel = new ContentSearchModel();
+
+    // Set folder filter
+    if (normalizedFolderID.toLowerCase() === 'root') {
+        // Search from root (default behavior)
+        logger.info('Getting content assets from root folder (recursive search)');
+        searchModel.setFolderID('root');
+    } else {
+        // Search specific folder
+        logger.info('Getting content assets from folder: ' + normalizedFolderID);
+        searchModel.setFolderID(normalizedFolderID);
+    }
+
+    // Search recursively through subfolders
+    searchModel.setRecursiveFolderSearch(true);
+
+    // Execute search
+    searchModel.search();
+
+    return searchModel.content;
+}
+
+/**
+ * Check whether a content asset was modified since its last sync (delta mode)
+ *
+ * With per-language sync metadata, every target language is compared with its own
+ * last sync, so a language whose export failed is selected again even if another
+ * language succeeded. A target language without sync metadata (a newly enabled locale,
+ * or a run that stopped before exporting it) counts as modified. Content synced before
+ * per-language metadata existed is compared with sfLastSyncDateTime. Content that was
+ * never synced, or has no lastModified date, is included.
+ *
+ * @param {dw.content.Content} asset - B2C Content Asset
+ * @param {Array<string>} [targetLanguages] - Salesforce languages of the target locales
+ *     (defaults to the languages with sync metadata)
+ * @returns {boolean} True if the asset belongs in a delta export
+ */
+function isModifiedSinceLastSync(asset, targetLanguages) {
+    var languageSyncData = readLanguageSyncData(asset);
+    var syncedLanguages = Object.keys(languageSyncData);
+
+    if (syncedLanguages.length > 0) {
+        var checkedLanguages = targetLanguages && targetLanguages.length > 0 ? targetLanguages : syncedLanguages;
+        var staleLanguages = checkedLanguages.filter(function (language) {
+            return isLanguageEntryStale(languageSyncData[language], asset.lastModified);
+        });
+
+        if (staleLanguages.length === 0) {
+            logger.debug('Skipping asset ' + asset.ID + ' - no language modified since its last sync');
+            return false;
+        }
+
+        logger.debug('Including asset ' + asset.ID + ' - modified since last sync of ' + staleLanguages.join(', '));
+        return true;
+    }
+
+    var lastSyncDateTime = getSyncMetadata(asset).lastSyncDateTime;
+    var lastModified = asset.lastModified;
+
+    if (lastSyncDateTime && lastModified) {
+        // Compare dates: only include if lastModified > lastSyncDateTime
+        if (lastModified.getTime() <= lastSyncDateTime.getTime()) {
+            logger.debug('Skipping asset ' + asset.ID + ' - not modified since last sync (' +
+                'lastModified: ' + lastModified.toISOString() + ', ' +
+                'lastSync: ' + lastSyncDateTime.toISOString() + ')');
+            return false;
+        }
+
+        logger.debug('Including asset ' + asset.ID + ' - modified since last sync (' +
+            'lastModified: ' + lastModified.toISOString() + ', ' +
+            'lastSync: ' + lastSyncDateTime.toISOString() + ')');
+    } else if (lastSyncDateTime === null || lastSyncDateTime === undefined) {
+        // No last sync date - include in delta sync (first-time sync)
+        logger.debug('Including asset ' + asset.ID + ' - never synced before');
+    } else {
+        // No lastModified date (shouldn't happen) - include for safety
+        logger.debug('Including asset ' + asset.ID + ' - no lastModified date');
+    }
+
+    return true;
+}
+
+/**
+ * Check whether one language of a content asset was modified since its last sync
+ *
+ * Used after delta mode selected a content asset, to export only its out-of-date
+ * languages. A language without sync metadata counts as modified. Without any
+ * per-language sync metadata (synced before it existed), every language counts as
+ * modified.
+ *
+ * @param {Object} contentAsset - Formatted content asset (or B2C Content Asset)
+ * @param {string} language - Salesforce language
+ * @returns {boolean} True if the language belongs in a delta export
+ */
+function isLanguageModifiedSinceLastSync(contentAsset, language) {
+    var content = contentAsset._asset || contentAsset;
+    var languageSyncData = readLanguageSyncData(content);
+
+    if (Object.keys(languageSyncData).length === 0) {
+        return true;
+    }
+
+    return isLanguageEntryStale(languageSyncData[language], content.lastModified);
+}
+
+/**
+ * Get when one language of a content asset was last exported, whatever the outcome
+ *
+ * Covers successful syncs, failed exports, and articles left alone because of a
+ * conflict or a draft created in Salesforce (see isLanguageEntryStale()).
+ *
+ * @param {Object} contentAsset - Formatted content asset (or B2C Content Asset)
+ * @param {string} language - Salesforce language
+ * @returns {number|null} Time in milliseconds, or null if the language was never exported
+ */
+function getLanguageLastExportTime(contentAsset, language) {
+    var entry = readLanguageSyncData(contentAsset._asset || contentAsset)[language];
+    if (!entry) {
+        return null;
+    }
+
+    var times = [
+        entry.lastSyncDateTime,
+        entry.lastErrorDateTime,
+        entry.conflict ? entry.conflict.detectedDateTime : null,
+        entry.humanDraft ? entry.humanDraft.detectedDateTime : null
+    ].filter(function (value) {
+        return !!value;
+    }).map(function (value) {
+        return new Date(value).getTime();
+    });
+
+    return times.length > 0 ? Math.max.apply(null, times) : null;
+}
+
+/**
+ * Normalize folder IDs to an array
+ *
+ * @param {Array<string>|string} folderIDs - Array of folder IDs, comma-separated string, or single folder ID
+ * @returns {Array<string>} Folder IDs
+ */
+function normalizeFolderIDs(folderIDs) {
+    if (Array.isArray(folderIDs)) {
+        return folderIDs;
+    }
+
+    if (typeof folderIDs === 'string') {
+        if (folderIDs.indexOf(',') !== -1) {
+            // Comma-separated - split and trim
+            return folderIDs.split(',').map(function (id) {
+                return id.trim();
+            }).filter(function (id) {
+                return id !== '';
+            });
+        }
+
+        // Single folder
+        return [folderIDs.trim()];
+    }
+
+    logger.warn('Invalid folderIDs format, using "root"');
+    return ['root'];
+}
+
 /**
  * Get Content Assets from B2C Commerce
  *
@@ -29,10 +501,12 @@ var logger = Logger.getLogger('SFKnowledge', 'ContentMapping');
  * Export Modes:
  * - 'full': Returns all online content assets (ignores sync metadata)
  * - 'delta': Returns only content modified since last sync (lastModified > sfLastSyncDateTime)
+ * - 'bulk': Same as 'full' (new articles are then loaded with Bulk API 2.0)
  *
  * @param {string|null} folderID - Content folder ID to search (defaults to 'root' if null/empty)
  * @param {boolean} enableDebugLogging - Enable detailed debug logging
- * @param {string} exportMode - Export mode: 'full' or 'delta' (default: 'delta')
+ * @param {string} exportMode - Export mode: 'full', 'bulk' or 'delta' (default: 'delta')
+ * @param {Array<string>} [targetLanguages] - Salesforce languages of the target locales (delta mode)
  * @returns {Array<Object>} Array of formatted content asset objects
  *
  * @example
@@ -42,7 +516,7 @@ var logger = Logger.getLogger('SFKnowledge', 'ContentMapping');
  * // Get only modified content (delta sync)
  * var modifiedContent = getContentAssets('root', false, 'delta');
  */
-function getContentAssets(folderID, enableDebugLogging, exportMode) {
+function getContentAssets(folderID, enableDebugLogging, exportMode, targetLanguages) {
     var contentAssets = [];
 
     try {
@@ -50,31 +524,8 @@ function getContentAssets(folderID, enableDebugLogging, exportMode) {
         var mode = exportMode || 'delta';
         logger.info('Export mode: ' + mode);
 
-        // Create content search model
-        var searchModel = new ContentSearchModel();
-
-        // Normalize folder ID - default to 'root' if not specified
-        var normalizedFolderID = folderID ? folderID.toString().trim() : 'root';
-
-        // Set folder filter
-        if (normalizedFolderID.toLowerCase() === 'root') {
-            // Search from root (default behavior)
-            logger.info('Getting content assets from root folder (recursive search)');
-            searchModel.setFolderID('root');
-        } else {
-            // Search specific folder
-            logger.info('Getting content assets from folder: ' + normalizedFolderID);
-            searchModel.setFolderID(normalizedFolderID);
-        }
-
-        // Search recursively through subfolders
-        searchModel.setRecursiveFolderSearch(true);
-
-        // Execute search
-        searchModel.search();
-
         // Get content iterator
-        var contentIterator = searchModel.content;
+        var contentIterator = searchContentFolder(folderID);
         var count = 0;
         var skippedCount = 0;
 
@@ -89,30 +540,9 @@ function getContentAssets(folderID, enableDebugLogging, exportMode) {
             }
 
             // Delta mode filtering: check if content was modified since last sync
-            if (mode === 'delta') {
-                var lastSyncDateTime = asset.custom && asset.custom.sfLastSyncDateTime;
-                var lastModified = asset.lastModified;
-
-                if (lastSyncDateTime && lastModified) {
-                    // Compare dates: only include if lastModified > lastSyncDateTime
-                    if (lastModified.getTime() <= lastSyncDateTime.getTime()) {
-                        logger.debug('Skipping asset ' + asset.ID + ' - not modified since last sync (' +
-                            'lastModified: ' + lastModified.toISOString() + ', ' +
-                            'lastSync: ' + lastSyncDateTime.toISOString() + ')');
-                        skippedCount++;
-                        continue;
-                    } else {
-                        logger.debug('Including asset ' + asset.ID + ' - modified since last sync (' +
-                            'lastModified: ' + lastModified.toISOString() + ', ' +
-                            'lastSync: ' + lastSyncDateTime.toISOString() + ')');
-                    }
-                } else if (lastSyncDateTime === null || lastSyncDateTime === undefined) {
-                    // No last sync date - include in delta sync (first-time sync)
-                    logger.debug('Including asset ' + asset.ID + ' - never synced before');
-                } else {
-                    // No lastModified date (shouldn't happen) - include for safety
-                    logger.debug('Including asset ' + asset.ID + ' - no lastModified date');
-                }
+            if (mode === 'delta' && !isModifiedSinceLastSync(asset, targetLanguages)) {
+                skippedCount++;
+                continue;
             }
 
             // Format and add asset
@@ -144,7 +574,8 @@ function getContentAssets(folderID, enableDebugLogging, exportMode) {
  *
  * @param {Array<string>|string} folderIDs - Array of folder IDs, comma-separated string, or single folder ID
  * @param {boolean} enableDebugLogging - Enable detailed debug logging
- * @param {string} exportMode - Export mode: 'full' or 'delta'
+ * @param {string} exportMode - Export mode: 'full', 'bulk' or 'delta'
+ * @param {Array<string>} [targetLanguages] - Salesforce languages of the target locales (delta mode)
  * @returns {Array<Object>} Deduplicated array of formatted content asset objects
  *
  * @example
@@ -157,28 +588,9 @@ function getContentAssets(folderID, enableDebugLogging, exportMode) {
  * // Single folder
  * var assets = getContentAssetsFromMultipleFolders('root', false, 'delta');
  */
-function getContentAssetsFromMultipleFolders(folderIDs, enableDebugLogging, exportMode) {
+function getContentAssetsFromMultipleFolders(folderIDs, enableDebugLogging, exportMode, targetLanguages) {
     // Normalize input to array
-    var normalizedFolderIDs = [];
-
-    if (Array.isArray(folderIDs)) {
-        normalizedFolderIDs = folderIDs;
-    } else if (typeof folderIDs === 'string') {
-        if (folderIDs.indexOf(',') !== -1) {
-            // Comma-separated - split and trim
-            normalizedFolderIDs = folderIDs.split(',').map(function (id) {
-                return id.trim();
-            }).filter(function (id) {
-                return id !== '';
-            });
-        } else {
-            // Single folder
-            normalizedFolderIDs = [folderIDs.trim()];
-        }
-    } else {
-        logger.warn('Invalid folderIDs format, using "root"');
-        normalizedFolderIDs = ['root'];
-    }
+    var normalizedFolderIDs = normalizeFolderIDs(folderIDs);
 
     logger.info('Retrieving content assets from ' + normalizedFolderIDs.length + ' folder(s): ' + normalizedFolderIDs.join(', '));
 
@@ -190,7 +602,7 @@ function getContentAssetsFromMultipleFolders(folderIDs, enableDebugLogging, expo
         var folderID = normalizedFolderIDs[i];
         logger.debug('Fetching content from folder: ' + folderID);
 
-        var folderAssets = getContentAssets(folderID, enableDebugLogging, exportMode);
+        var folderAssets = getContentAssets(folderID, enableDebugLogging, exportMode, targetLanguages);
 
         // Add assets with deduplication
         for (var j = 0; j < folderAssets.length; j++) {
@@ -210,6 +622,145 @@ function getContentAssetsFromMultipleFolders(folderIDs, enableDebugLogging, expo
     return allAssets;
 }
 
+/**
+ * Get Content Assets by ID
+ *
+ * Loads the given content assets directly, without folder search or delta filtering
+ * (targeted sync). Unknown and offline content assets are skipped with a warning.
+ *
+ * @param {Array<string>} contentIDs - Content asset IDs
+ * @param {boolean} enableDebugLogging - Enable detailed debug logging
+ * @returns {Array<Object>} Formatted content asset objects, in the order of contentIDs
+ *
+ * @example
+ * var assets = getContentAssetsByIDs(['faq-001', 'faq-002'], false);
+ */
+function getContentAssetsByIDs(contentIDs, enableDebugLogging) {
+    var contentAssets = [];
+
+    contentIDs.forEach(function (contentID) {
+        var asset = siteContextHelper.getContent(contentID);
+
+        if (!asset) {
+            logger.warn('Content asset ' + contentID + ' not found, skipping');
+            return;
+        }
+
+        if (!asset.online) {
+            logger.warn('Content asset ' + contentID + ' is offline, skipping');
+            return;
+        }
+
+        var formattedAsset = formatContentAsset(asset, enableDebugLogging);
+        if (formattedAsset) {
+            contentAssets.push(formattedAsset);
+        }
+    });
+
+    logger.info('Loaded ' + contentAssets.length + ' of ' + contentIDs.length + ' requested content assets');
+
+    return contentAssets;
+}
+
+/**
+ * Open a content stream over multiple folders
+ *
+ * Same selection as getContentAssetsFromMultipleFolders() (online content, delta
+ * filtering, deduplication across folders), but content assets are read from the
+ * search iterators one at a time instead of being loaded into memory. Used by the
+ * chunk-oriented job step.
+ *
+ * @param {Array<string>|string} folderIDs - Array of folder IDs, comma-separated string, or single folder ID
+ * @param {string} exportMode - Export mode: 'full', 'bulk' or 'delta'
+ * @param {boolean} enableDebugLogging - Enable detailed debug logging
+ * @param {Array<string>} [targetLanguages] - Salesforce languages of the target locales (delta mode)
+ * @returns {Object} Stream { next(): Object|null (formatted asset), skip(): string|null (ID of the skipped asset) }
+ *
+ * @example
+ * var stream = openContentStream(['faq', 'help'], 'delta', false);
+ * var asset;
+ * while ((asset = stream.next()) !== null) {
+ *     // ...
+ * }
+ */
+function openContentStream(folderIDs, exportMode, enableDebugLogging, targetLanguages) {
+    var normalizedFolderIDs = normalizeFolderIDs(folderIDs);
+    var mode = exportMode || 'delta';
+    var folderIndex = 0;
+    var contentIterator = null;
+    var seenIDs = {};  // For deduplication
+
+    logger.info('Streaming content assets from ' + normalizedFolderIDs.length + ' folder(s): ' + normalizedFolderIDs.join(', ') +
+        ' (export mode: ' + mode + ')');
+
+    /**
+     * Advance to the next content asset of the selection
+     * @returns {dw.content.Content|null} Content asset, or null at the end
+     */
+    function nextContent() {
+        while (true) {
+            if (!contentIterator || !contentIterator.hasNext()) {
+                if (folderIndex >= normalizedFolderIDs.length) {
+                    return null;
+                }
+
+                contentIterator = searchContentFolder(normalizedFolderIDs[folderIndex++]);
+                continue;
+            }
+
+            var asset = contentIterator.next();
+
+            if (!asset.online || seenIDs[asset.ID] || (mode === 'delta' && !isModifiedSinceLastSync(asset, targetLanguages))) {
+                continue;
+            }
+
+            seenIDs[asset.ID] = true;
+            return asset;
+        }
+    }
+
+    return {
+        next: function () {
+            while (true) {
+                var asset = nextContent();
+                if (!asset) {
+                    return null;
+                }
+
+                var formattedAsset = formatContentAsset(asset, enableDebugLogging);
+                if (formattedAsset) {
+                    return formattedAsset;
+                }
+            }
+        },
+        skip: function () {
+            var asset = nextContent();
+            return asset ? asset.ID : null;
+        }
+    };
+}
+
+/**
+ * Count content assets over multiple folders
+ *
+ * Counts the selection of getContentAssetsFromMultipleFolders() without formatting
+ * or holding the content assets.
+ *
+ * @param {Array<string>|string} folderIDs - Array of folder IDs, comma-separated string, or single folder ID
+ * @param {string} exportMode - Export mode: 'full', 'bulk' or 'delta'
+ * @returns {number} Number of content assets
+ */
+function countContentAssets(folderIDs, exportMode) {
+    var stream = openContentStream(folderIDs, exportMode, false);
+    var count = 0;
+
+    while (stream.skip() !== null) {
+        count++;
+    }
+
+    return count;
+}
+
 /**
  * Format Content Asset for export
  *
@@ -296,6 +847,8 @@ function formatContentAsset(asset, enableDebugLogging) {
             logger.info('==================================================');
         }
 
+        var syncMetadata = getSyncMetadata(asset);
+
         return {
             ID: asset.ID,
             name: asset.name || '',
@@ -315,10 +868,10 @@ function formatContentAsset(asset, enableDebugLogging) {
             // Timestamps
             creationDate: asset.creationDate,
             lastModified: asset.lastModified,
-            // Salesforce Knowledge sync metadata
-            sfKnowledgeArticleId: (asset.custom && asset.custom.sfKnowledgeArticleId) ? asset.custom.sfKnowledgeArticleId : null,
-            sfKnowledgeVersionId: (asset.custom && asset.custom.sfKnowledgeVersionId) ? asset.custom.sfKnowledgeVersionId : null,
-            sfLastSyncDateTime: (asset.custom && asset.custom.sfLastSyncDateTime) ? asset.custom.sfLastSyncDateTime : null,
+            // Salesforce Knowledge sync metadata (of the current target)
+            sfKnowledgeArticleId: syncMetadata.knowledgeArticleId,
+            sfKnowledgeVersionId: syncMetadata.versionId,
+            sfLastSyncDateTime: syncMetadata.lastSyncDateTime,
             // Full custom object for flexible mapping
             custom: asset.custom,
             // Keep reference to original asset for updates
@@ -396,6 +949,16 @@ function convertToSalesforceSafeValue(value) {
  * - Merges static field values
  * - Adds Record Type ID if configured
  *
+ * Mapping order (knowledgeMapping.json sections apply only if config.mappingRules is set):
+ * 1. fieldMapping (skipping B2C fields listed in excludeFields)
+ * 2. defaultValues (fields still empty after mapping)
+ * 3. transforms
+ * 4. fieldTransformations
+ * 5. static
+ * 6. conditionalRules field overrides
+ * 7. RecordTypeId, Language (create only)
+ * 8. Data categories (content field > conditionalRules DataCategory > categoryMapping > site dataCategories)
+ *
  * @param {Object} contentAsset - Formatted content asset
  * @param {string} articleType - Salesforce Knowledge Article Type (e.g., 'FAQ__kav')
  * @param {Object|string} fieldMapping - Field mapping object or JSON string (SF field -> B2C field path)
@@ -450,6 +1013,11 @@ function mapContentToArticle(contentAsset, articleType, fieldMapping, dataCatego
             if (parsedFieldMapping.hasOwnProperty(sfField)) {
                 var b2cFieldPath = parsedFieldMapping[sfField];
 
+                if (config && knowledgeMappingHelper.isExcludedField(b2cFieldPath, config.mappingRules)) {
+                    logger.debug('Skipping excluded B2C field "' + b2cFieldPath + '" for SF field "' + sfField + '"');
+                    continue;
+                }
+
                 // Get value from content asset using nested property path
                 var rawValue = getNestedProperty(contentAsset, b2cFieldPath);
 
@@ -487,6 +1055,11 @@ function mapContentToArticle(contentAsset, articleType, fieldMapping, dataCatego
             }
         }
 
+        // STEP 1.5: Apply default values from knowledgeMapping.json
+        if (config && config.mappingRules) {
+            article = knowledgeMappingHelper.applyDefaultValues(article, config.mappingRules);
+        }
+
         // STEP 2: Apply field transformations (v2.1+)
         if (config && config.transforms) {
             if (enableDebugLogging) {
@@ -504,6 +1077,11 @@ function mapContentToArticle(contentAsset, articleType, fieldMapping, dataCatego
             }
         }
 
+        // STEP 2.5: Apply fieldTransformations from knowledgeMapping.json
+        if (config && config.mappingRules) {
+            article = knowledgeMappingHelper.applyFieldTransformations(article, config.mappingRules);
+        }
+
         // STEP 3: Merge static field values (v2.1+)
         if (config && config.static) {
             if (enableDebugLogging) {
@@ -522,6 +1100,11 @@ function mapContentToArticle(contentAsset, articleType, fieldMapping, dataCatego
             }
         }
 
+        // STEP 3.5: Apply field overrides from matching conditionalRules
+        if (config && config.mappingRules) {
+            article = knowledgeMappingHelper.applyRuleFieldOverrides(article, contentAsset, config.mappingRules);
+        }
+
         // STEP 4: Add Record Type ID (v2.1+)
         if (config && config.recordTypeId) {
             article.RecordTypeId = config.recordTypeId;
@@ -642,11 +1225,14 @@ function getNestedProperty(obj, path) {
  * @param {Array<Object>} contentAssets - Array of formatted content assets
  * @param {number} batchSize - Number of assets to process per batch
  * @param {Function} exportFunction - Function to call for each batch
+ * @param {Function} shouldStop - Optional check before each batch; returning true stops the export
  * @returns {Object} Export results
  * @returns {number} result.totalProcessed - Total assets processed
  * @returns {number} result.totalSuccess - Total successful exports
  * @returns {number} result.totalFailed - Total failed exports
  * @returns {Array<Object>} result.errors - Array of error objects
+ * @returns {boolean} result.stopped - True if shouldStop ended the export early
+ * @returns {number} result.totalSkipped - Assets not processed because the export stopped
  *
  * @example
  * var knowledgeHelper = require('~/salesforceKnowledgeHelper');
@@ -655,14 +1241,16 @@ function getNestedProperty(obj, path) {
  *     return knowledgeHelper.exportBatch(batch);
  * });
  */
-function exportToExternalAPI(contentAssets, batchSize, exportFunction) {
+function exportToExternalAPI(contentAssets, batchSize, exportFunction, shouldStop) {
     logger.info('Starting batch export of ' + contentAssets.length + ' content assets (batch size: ' + batchSize + ')');
 
     var result = {
         totalProcessed: 0,
         totalSuccess: 0,
         totalFailed: 0,
-        errors: []
+        errors: [],
+        stopped: false,
+        totalSkipped: 0
     };
 
     if (!contentAssets || contentAssets.length === 0) {
@@ -680,6 +1268,13 @@ function exportToExternalAPI(contentAssets, batchSize, exportFunction) {
         var endIdx = Math.min(startIdx + batchSize, contentAssets.length);
         var batch = contentAssets.slice(startIdx, endIdx);
 
+        if (shouldStop && shouldStop()) {
+            result.stopped = true;
+            result.totalSkipped = contentAssets.length - startIdx;
+            logger.warn('Export stopped before batch ' + (i + 1) + '/' + totalBatches + ', ' + result.totalSkipped + ' content assets not processed');
+            break;
+        }
+
         logger.debug('Processing batch ' + (i + 1) + '/' + totalBatches + ' (' + batch.length + ' assets)');
 
         try {
@@ -794,11 +1389,21 @@ function getContentWithAllLanguages(contentAssetID, locales, enableDebugLogging)
  * - sfKnowledgeVersionId: Current version ID
  * - sfLastSyncDateTime: Current timestamp
  * - sfLanguageVersions: JSON array of synced language codes
+ * - sfLanguageSyncData: The values above and the publish status of this language (JSON map per language)
+ *
+ * sfKnowledgeArticleId, sfKnowledgeVersionId and sfLastSyncDateTime hold the language
+ * synced last; delta mode uses sfLanguageSyncData.
+ *
+ * With a sync target (setSyncTarget()), the same values are stored under the target ID
+ * in sfTargetSyncData instead.
  *
  * @param {string} contentAssetID - B2C Content Asset ID
  * @param {string} knowledgeArticleId - Salesforce Knowledge Article ID (master ID)
  * @param {string} versionId - Salesforce Knowledge Version ID
  * @param {string} language - Language code (e.g., 'en_US', 'es', 'fr') - optional, defaults to 'en_US'
+ * @param {string|null} [payloadHash] - Content hash of the written payload (contentHash), null to remove
+ *     the stored hash of the language, undefined to leave hashes untouched
+ * @param {string} [publishStatus] - Publish status of the written version ('online', 'draft', ...)
  * @returns {Object} Update result
  * @returns {boolean} result.success - Whether update succeeded
  * @returns {string} result.error - Error message (if failed)
@@ -809,15 +1414,22 @@ function getContentWithAllLanguages(contentAssetID, locales, enableDebugLogging)
  *     logger.info('Sync metadata updated for content: faq-001');
  * }
  */
-function updateSyncMetadata(contentAssetID, knowledgeArticleId, versionId, language) {
+function updateSyncMetadata(contentAssetID, knowledgeArticleId, versionId, language, payloadHash, publishStatus) {
     // Default language to en_US if not provided
     var lang = language || 'en_US';
+    var syncDateTime = new Date();
+    var languageEntry = {
+        knowledgeArticleId: knowledgeArticleId,
+        versionId: versionId,
+        lastSyncDateTime: syncDateTime.toISOString(),
+        publishStatus: publishStatus || null
+    };
 
     logger.debug('Updating sync metadata for content asset: ' + contentAssetID + ', language: ' + lang);
 
     try {
         // Get content asset
-        var content = ContentMgr.getContent(contentAssetID);
+        var content = siteContextHelper.getContent(contentAssetID);
 
         if (!content) {
             logger.error('Content asset not found: ' + contentAssetID);
@@ -830,11 +1442,52 @@ function updateSyncMetadata(contentAssetID, knowledgeArticleId, versionId, langu
         // Use Transaction API to update custom attributes
         var Transaction = require('dw/system/Transaction');
 
+        // Multiple targets: sync metadata per target
+        if (syncTargetID) {
+            Transaction.wrap(function () {
+                var targetSyncData = readTargetSyncData(content);
+                var entry = targetSyncData[syncTargetID] || {};
+                var targetLanguages = Array.isArray(entry.languages) ? entry.languages : [];
+
+                if (targetLanguages.indexOf(lang) === -1) {
+                    targetLanguages.push(lang);
+                }
+
+                var targetLanguageSyncData = entry.languageSyncData || {};
+                targetLanguageSyncData[lang] = languageEntry;
+
+                targetSyncData[syncTargetID] = {
+                    knowledgeArticleId: knowledgeArticleId,
+                    versionId: versionId,
+                    lastSyncDateTime: syncDateTime.toISOString(),
+                    languages: targetLanguages,
+                    languageSyncData: targetLanguageSyncData
+                };
+
+                var targetHashes = entry.payloadHashes || {};
+                if (payloadHash !== undefined) {
+                    setPayloadHash(targetHashes, lang, payloadHash);
+                }
+                if (Object.keys(targetHashes).length > 0) {
+                    targetSyncData[syncTargetID].payloadHashes = targetHashes;
+                }
+
+                content.custom.sfTargetSyncData = JSON.stringify(targetSyncData);
+
+                logger.debug('Updated sync metadata for ' + contentAssetID + ' (target ' + syncTargetID + '): ' +
+                    'articleId=' + knowledgeArticleId + ', versionId=' + versionId + ', language=' + lang);
+            });
+
+            return {
+                success: true
+            };
+        }
+
         Transaction.wrap(function () {
             // Update standard sync metadata
             content.custom.sfKnowledgeArticleId = knowledgeArticleId;
             content.custom.sfKnowledgeVersionId = versionId;
-            content.custom.sfLastSyncDateTime = new Date();
+            content.custom.sfLastSyncDateTime = syncDateTime;
 
             // Update language versions tracking (JSON array)
             var languageVersions = [];
@@ -860,6 +1513,17 @@ function updateSyncMetadata(contentAssetID, knowledgeArticleId, versionId, langu
             // Store updated language versions as JSON string
             content.custom.sfLanguageVersions = JSON.stringify(languageVersions);
 
+            // Sync metadata of this language (delta mode compares every language separately)
+            var languageSyncData = readLanguageSyncData(content);
+            languageSyncData[lang] = languageEntry;
+            content.custom.sfLanguageSyncData = JSON.stringify(languageSyncData);
+
+            // Content hash of the written payload (only touched with contentHash enabled)
+            if (payloadHash !== undefined) {
+                var payloadHashes = setPayloadHash(readPayloadHashes(content), lang, payloadHash);
+                content.custom.sfPayloadHashes = Object.keys(payloadHashes).length > 0 ? JSON.stringify(payloadHashes) : null;
+            }
+
             logger.debug('Updated sync metadata for ' + contentAssetID + ': ' +
                 'articleId=' + knowledgeArticleId + ', ' +
                 'versionId=' + versionId + ', ' +
@@ -881,14 +1545,250 @@ function updateSyncMetadata(contentAssetID, knowledgeArticleId, versionId, langu
     }
 }
 
+/**
+ * Change the sync metadata entry of one language, keeping the rest of the entry
+ *
+ * @param {string} contentAssetID - B2C Content Asset ID
+ * @param {string} language - Salesforce language
+ * @param {Function} change - Called with the entry (an empty object if there is none) to change it in place
+ * @returns {Object} Update result { success: boolean, error: string }
+ */
+function changeLanguageSyncEntry(contentAssetID, language, change) {
+    var content = siteContextHelper.getContent(contentAssetID);
+
+    if (!content) {
+        logger.error('Content asset not found: ' + contentAssetID);
+        return {
+            success: false,
+            error: 'Content asset not found'
+        };
+    }
+
+    var Transaction = require('dw/system/Transaction');
+
+    Transaction.wrap(function () {
+        var targetSyncData = syncTargetID ? readTargetSyncData(content) : null;
+        var languageSyncData = readLanguageSyncData(content);
+        var entry = languageSyncData[language] || {};
+
+        change(entry);
+        languageSyncData[language] = entry;
+
+        if (targetSyncData) {
+            var targetEntry = targetSyncData[syncTargetID] || {};
+            targetEntry.languageSyncData = languageSyncData;
+            targetSyncData[syncTargetID] = targetEntry;
+            content.custom.sfTargetSyncData = JSON.stringify(targetSyncData);
+        } else {
+            content.custom.sfLanguageSyncData = JSON.stringify(languageSyncData);
+        }
+    });
+
+    return {
+        success: true
+    };
+}
+
+/**
+ * Record a failed export of one language in the sync metadata
+ *
+ * The last successful sync of the language (if any) is kept, so delta mode selects
+ * the language again until it is exported. Legacy attributes are not changed.
+ *
+ * @param {string} contentAssetID - B2C Content Asset ID
+ * @param {string} language - Salesforce language
+ * @param {string} error - Error message of the failed export
+ * @returns {Object} Update result { success: boolean, error: string }
+ */
+function recordSyncFailure(contentAssetID, language, error) {
+    try {
+        var result = changeLanguageSyncEntry(contentAssetID, language, function (entry) {
+            entry.lastError = String(error || 'Unknown error').substring(0, MAX_SYNC_ERROR_LENGTH);
+            entry.lastErrorDateTime = new Date().toISOString();
+        });
+
+        if (result.success) {
+            logger.debug('Recorded failed export of ' + contentAssetID + ' (' + language + ') in sync metadata');
+        }
+
+        return result;
+
+    } catch (e) {
+        logger.error('Error recording failed export of ' + contentAssetID + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
+/**
+ * Record an article edited in Salesforce that was not overwritten (conflictPolicy skip or draft)
+ *
+ * Like a failed export, the last successful sync of the language is kept: the edit is
+ * detected again on the next run, and delta mode selects the language until the
+ * conflict is resolved. The next successful sync of the language removes the conflict.
+ *
+ * @param {string} contentAssetID - B2C Content Asset ID
+ * @param {string} language - Salesforce language
+ * @param {Object} conflict - Conflict { lastModifiedById, lastModifiedDate, policy, action, draftVersionId }
+ * @returns {Object} Update result { success: boolean, error: string }
+ */
+function recordSyncConflict(contentAssetID, language, conflict) {
+    try {
+        var result = changeLanguageSyncEntry(contentAssetID, language, function (entry) {
+            entry.conflict = {
+                lastModifiedById: conflict.lastModifiedById,
+                lastModifiedDate: conflict.lastModifiedDate,
+                policy: conflict.policy,
+                action: conflict.action,
+                draftVersionId: conflict.draftVersionId || null,
+                detectedDateTime: new Date().toISOString()
+            };
+        });
+
+        if (result.success) {
+            logger.debug('Recorded conflict of ' + contentAssetID + ' (' + language + ') in sync metadata');
+        }
+
+        return result;
+
+    } catch (e) {
+        logger.error('Error recording conflict of ' + contentAssetID + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
+/**
+ * Record a draft created in Salesforce by someone else that was not replaced (humanDraftPolicy skip or merge)
+ *
+ * The last successful sync of the language is kept, so delta mode selects the language
+ * again until the draft is published or discarded in Salesforce. The next regular sync
+ * of the language removes the entry.
+ *
+ * @param {string} contentAssetID - B2C Content Asset ID
+ * @param {string} language - Salesforce language
+ * @param {Object} humanDraft - Draft { draftVersionId, createdById, policy, action, mergedFields, authorFields }
+ * @returns {Object} Update result { success: boolean, error: string }
+ */
+function recordSyncHumanDraft(contentAssetID, language, humanDraft) {
+    try {
+        var result = changeLanguageSyncEntry(contentAssetID, language, function (entry) {
+            entry.humanDraft = {
+                draftVersionId: humanDraft.draftVersionId,
+                createdById: humanDraft.createdById,
+                policy: humanDraft.policy,
+                action: humanDraft.action,
+                mergedFields: humanDraft.mergedFields || {},
+                authorFields: humanDraft.authorFields || [],
+                detectedDateTime: new Date().toISOString()
+            };
+        });
+
+        if (result.success) {
+            logger.debug('Recorded draft created in Salesforce for ' + contentAssetID + ' (' + language + ') in sync metadata');
+        }
+
+        return result;
+
+    } catch (e) {
+        logger.error('Error recording draft created in Salesforce for ' + contentAssetID + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
+/**
+ * Clear Sync Metadata on Content Asset
+ *
+ * Removes the Salesforce Knowledge sync metadata from a B2C Content Asset after
+ * its articles have been archived or deleted, so the asset is no longer treated
+ * as synced (and is not picked up again by the next reconciliation pass).
+ *
+ * @param {string} contentAssetID - B2C Content Asset ID
+ * @returns {Object} Update result
+ * @returns {boolean} result.success - Whether update succeeded
+ * @returns {string} result.error - Error message (if failed)
+ */
+function clearSyncMetadata(contentAssetID) {
+    logger.debug('Clearing sync metadata for content asset: ' + contentAssetID);
+
+    try {
+        var content = siteContextHelper.getContent(contentAssetID);
+
+        if (!content) {
+            logger.error('Content asset not found: ' + contentAssetID);
+            return {
+                success: false,
+                error: 'Content asset not found'
+            };
+        }
+
+        var Transaction = require('dw/system/Transaction');
+
+        Transaction.wrap(function () {
+            // Multiple targets: only the sync metadata of the current target
+            if (syncTargetID) {
+                var targetSyncData = readTargetSyncData(content);
+                delete targetSyncData[syncTargetID];
+                content.custom.sfTargetSyncData = Object.keys(targetSyncData).length > 0 ? JSON.stringify(targetSyncData) : null;
+                return;
+            }
+
+            content.custom.sfKnowledgeArticleId = null;
+            content.custom.sfKnowledgeVersionId = null;
+            content.custom.sfLastSyncDateTime = null;
+            content.custom.sfLanguageVersions = null;
+            if (content.custom.sfLanguageSyncData) {
+                content.custom.sfLanguageSyncData = null;
+            }
+            if (content.custom.sfPayloadHashes) {
+                content.custom.sfPayloadHashes = null;
+            }
+        });
+
+        return {
+            success: true
+        };
+
+    } catch (e) {
+        logger.error('Error clearing sync metadata for ' + contentAssetID + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
 // Export public functions
 module.exports = {
     getContentAssets: getContentAssets,
     getContentAssetsFromMultipleFolders: getContentAssetsFromMultipleFolders,
+    getContentAssetsByIDs: getContentAssetsByIDs,
+    openContentStream: openContentStream,
+    countContentAssets: countContentAssets,
     formatContentAsset: formatContentAsset,
     mapContentToArticle: mapContentToArticle,
     getNestedProperty: getNestedProperty,
     exportToExternalAPI: exportToExternalAPI,
     getContentWithAllLanguages: getContentWithAllLanguages,
-    updateSyncMetadata: updateSyncMetadata
+    updateSyncMetadata: updateSyncMetadata,
+    recordSyncFailure: recordSyncFailure,
+    recordSyncConflict: recordSyncConflict,
+    recordSyncHumanDraft: recordSyncHumanDraft,
+    clearSyncMetadata: clearSyncMetadata,
+    setSyncTarget: setSyncTarget,
+    getSyncMetadata: getSyncMetadata,
+    getLanguageSyncMetadata: getLanguageSyncMetadata,
+    isLanguageModifiedSinceLastSync: isLanguageModifiedSinceLastSync,
+    getLanguageLastExportTime: getLanguageLastExportTime,
+    toStableJson: toStableJson,
+    getPayloadHash: getPayloadHash,
+    getValueHash: getValueHash,
+    getStoredPayloadHash: getStoredPayloadHash
 };
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Content Reconciliation Helper
+ *
+ * Finds Knowledge articles whose source Content Assets have been retired in
+ * B2C Commerce and applies the site's retiredContentPolicy to them.
+ *
+ * A content asset is considered retired when it has been synced before
+ * (an article ID is in its sync metadata, or an article with its ID and the source
+ * marker of this library and target exists in Salesforce) and:
+ * - it is now offline
+ * - it has been deleted from the content library
+ * - it is no longer inside any of the configured contentFolderIDs
+ *
+ * Policies:
+ * - 'archive': Archive the Online article versions in every language
+ * - 'delete': Archive and delete all article versions
+ * - 'report': Only log the retired content, don't change Salesforce (always used in dry-run mode)
+ *
+ * Translations follow their master version (see knowledgeHelper.retireArticle).
+ *
+ * @module scripts/helpers/contentReconciliationHelper
+ */
+
+var Logger = require('dw/system/Logger');
+var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
+var knowledgeHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceKnowledgeHelper');
+var siteContextHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteContextHelper');
+
+var logger = Logger.getLogger('SFKnowledge', 'Reconciliation');
+
+/**
+ * Walk a content folder tree and call visitor for every content asset
+ *
+ * Uses Folder.getContent() (not the search index) so offline assets are included.
+ *
+ * @param {dw.content.Folder} folder - Folder to start from
+ * @param {Function} visitor - Called with each dw.content.Content
+ */
+function walkFolder(folder, visitor) {
+    if (!folder) {
+        return;
+    }
+
+    var contentIterator = folder.getContent().iterator();
+    while (contentIterator.hasNext()) {
+        visitor(contentIterator.next());
+    }
+
+    var subFolderIterator = folder.getSubFolders().iterator();
+    while (subFolderIterator.hasNext()) {
+        walkFolder(subFolderIterator.next(), visitor);
+    }
+}
+
+/**
+ * Collect IDs of all content assets inside the configured folders
+ *
+ * @param {Array<string>} folderIDs - Configured content folder IDs
+ * @returns {Object|null} Map of content ID → true, or null if 'root' is configured (everything is in scope)
+ */
+function getInScopeContentIDs(folderIDs) {
+    var inScope = {};
+
+    for (var i = 0; i < folderIDs.length; i++) {
+        var folderID = folderIDs[i];
+
+        if (folderID.toLowerCase() === 'root') {
+            return null;
+        }
+
+        var folder = siteContextHelper.getFolder(folderID);
+        if (!folder) {
+            logger.warn('Content folder not found: ' + folderID);
+            continue;
+        }
+
+        walkFolder(folder, function (asset) {
+            inScope[asset.ID] = true;
+        });
+    }
+
+    return inScope;
+}
+
+/**
+ * Find retired content assets that still have articles in Salesforce
+ *
+ * @param {Object} config - Site configuration
+ * @param {Array<string>} folderIDs - Normalized content folder IDs
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @returns {Array<Object>} Retired content entries { contentId, reason } where reason is 'offline', 'deleted' or 'out_of_scope'
+ */
+function findRetiredContent(config, folderIDs, authResult) {
+    var retired = [];
+    var seenIDs = {};
+    var inScope = getInScopeContentIDs(folderIDs);
+
+    // STEP 1: Synced assets in the library that are offline or outside the configured folders
+    var library = siteContextHelper.getLibrary();
+    walkFolder(library ? library.getRoot() : null, function (asset) {
+        if (seenIDs[asset.ID]) {
+            return;
+        }
+        seenIDs[asset.ID] = true;
+
+        if (!contentMappingHelper.getSyncMetadata(asset).knowledgeArticleId) {
+            return;
+        }
+
+        if (!asset.online) {
+            retired.push({ contentId: asset.ID, reason: 'offline' });
+        } else if (inScope && !inScope[asset.ID]) {
+            retired.push({ contentId: asset.ID, reason: 'out_of_scope' });
+        }
+    });
+
+    // STEP 2: Articles in Salesforce whose content asset no longer exists
+    // Only articles this library and target wrote (SFCC_Source__c): other sites may share the org
+    var syncedResult = knowledgeHelper.findSyncedExternalIds(
+        authResult.accessToken,
+        authResult.instanceUrl,
+        config.articleType,
+        config.static,
+        config.syncSource ? config.syncSource.value : null,
+        config.serviceID
+    );
+
+    if (syncedResult.success) {
+        for (var i = 0; i < syncedResult.externalIds.length; i++) {
+            var externalId = syncedResult.externalIds[i];
+            if (!seenIDs[externalId] && !siteContextHelper.getContent(externalId)) {
+                retired.push({ contentId: externalId, reason: 'deleted' });
+            }
+        }
+    } else {
+        logger.warn('Could not check Salesforce for deleted content: ' + syncedResult.error);
+    }
+
+    return retired;
+}
+
+/**
+ * Reconcile retired content with Salesforce Knowledge
+ *
+ * Finds retired content assets and applies the configured policy. After articles
+ * are archived or deleted, sync metadata is cleared on assets that still exist.
+ *
+ * @param {Object} config - Site configuration (articleType, serviceID, static, retiredContentPolicy)
+ * @param {Array<string>} folderIDs - Normalized content folder IDs
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @returns {Object} Reconciliation summary
+ * @returns {number} result.found - Number of retired content assets found
+ * @returns {number} result.archived - Number of articles archived
+ * @returns {number} result.deleted - Number of articles deleted
+ * @returns {number} result.reported - Number of articles only reported
+ * @returns {number} result.failed - Number of articles that could not be retired
+ * @returns {Array<Object>} result.details - Per-asset results { contentId, reason, action, success, translationCount, error }
+ */
+function reconcileRetiredContent(config, folderIDs, authResult) {
+    // Dry runs never change Salesforce, so retired content is only reported
+    var policy = config.dryRun ? 'report' : config.retiredContentPolicy;
+
+    var summary = {
+        found: 0,
+        archived: 0,
+        deleted: 0,
+        reported: 0,
+        failed: 0,
+        details: []
+    };
+
+    var retired = findRetiredContent(config, folderIDs, authResult);
+    summary.found = retired.length;
+
+    if (retired.length === 0) {
+        logger.info('No retired content found');
+        return summary;
+    }
+
+    logger.info('Found ' + retired.length + ' retired content asset(s)');
+
+    for (var i = 0; i < retired.length; i++) {
+        var entry = retired[i];
+        var detail = {
+            contentId: entry.contentId,
+            reason: entry.reason,
+            action: policy,
+            success: true
+        };
+
+        if (policy === 'report') {
+            logger.warn('[' + entry.contentId + '] Retired content (' + entry.reason + ') still has articles in Salesforce');
+            summary.reported++;
+        } else {
+            var retireResult = knowledgeHelper.retireArticle(entry.contentId, config.articleType, policy === 'delete', config.serviceID);
+
+            detail.translationCount = retireResult.translationCount || 0;
+
+            if (retireResult.success) {
+                if (policy === 'delete') {
+                    summary.deleted++;
+                } else {
+                    summary.archived++;
+                }
+
+                if (entry.reason !== 'deleted') {
+                    contentMappingHelper.clearSyncMetadata(entry.contentId);
+                }
+            } else {
+                logger.error('[' + entry.contentId + '] Failed to ' + policy + ' retired article: ' + retireResult.error);
+                detail.success = false;
+                detail.error = retireResult.error;
+                summary.failed++;
+            }
+        }
+
+        summary.details.push(detail);
+    }
+
+    logger.info('Reconciliation complete: ' + summary.archived + ' archived, ' + summary.deleted + ' deleted, ' +
+        summary.reported + ' reported, ' + summary.failed + ' failed');
+
+    return summary;
+}
+
+// Export public functions
+module.exports = {
+    findRetiredContent: findRetiredContent,
+    reconcileRetiredContent: reconcileRetiredContent
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * CSV Helper
+ *
+ * Formats CSV fields and lines (RFC 4180) for Bulk API 2.0 ingest jobs and run reports.
+ *
+ * @module scripts/helpers/csvHelper
+ */
+
+/**
+ * Format a value as a CSV field
+ *
+ * Objects are written as JSON.
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field (quoted if needed)
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    var text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * Build a CSV line
+ *
+ * @param {Array<string>} columns - Column names
+ * @param {Object} row - Field values
+ * @returns {string} CSV line (without line ending)
+ */
+function toCsvLine(columns, row) {
+    return columns.map(function (column) {
+        return toCsvValue(row[column]);
+    }).join(',');
+}
+
+// Export public functions
+module.exports = {
+    toCsvValue: toCsvValue,
+    toCsvLine: toCsvLine
+};
@@ -0,0 +1,564 @@
+'use strict';
+
+/**
+ * Knowledge Mapping Helper
+ *
+ * Loads the advanced mapping file (cartridge/config/knowledgeMapping.json) and applies
+ * its sections during export. The file is only used when a site enables it with the
+ * "knowledgeMapping" key in SiteConfigurations:
+ * - true: Use the file as-is
+ * - object: Use the file, with the given sections overriding the file's sections
+ *
+ * Sections:
+ * - exportFilters: Which content assets are exported (applied after content discovery)
+ * - contentTypeMapping: custom.contentType / classification folder → Article Type
+ * - conditionalRules: Per-asset overrides (ArticleType, RecordTypeName, DataCategory, field values)
+ * - excludeFields: B2C fields that are never mapped
+ * - defaultValues: Values for Salesforce fields that are empty after mapping
+ * - fieldTransformations: stripHTML, maxLength, truncateWithEllipsis, capitalizeWords, convertLineBreaks
+ * - categoryMapping: Classification folder → Data Category ("Group:Category")
+ * - languageMapping: B2C locale → Salesforce language (overrides built-in mapping)
+ * - validationRules: required, minLengths, maxLengths (checked before sending)
+ * - apiSettings: Salesforce API settings (retry settings are used even if knowledgeMapping is not enabled)
+ *
+ * @module scripts/helpers/knowledgeMappingHelper
+ */
+
+var Logger = require('dw/system/Logger');
+var ruleEngineHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/ruleEngineHelper');
+
+var logger = Logger.getLogger('SFKnowledge', 'KnowledgeMapping');
+
+/**
+ * Path of the mapping file inside the cartridge
+ * @type {string}
+ */
+var MAPPING_FILE = 'int_salesforce_knowledge/cartridge/config/knowledgeMapping.json';
+
+/**
+ * Salesforce system fields that defaultValues and conditionalRules never set
+ * (Language is handled by mapContentToArticle, the others are read-only)
+ * @type {Array<string>}
+ */
+var PROTECTED_FIELDS = ['Language', 'Id', 'KnowledgeArticleId', 'PublishStatus', 'VersionNumber'];
+
+/**
+ * conditionalRules "then" keys that are settings rather than Salesforce field values
+ * @type {Array<string>}
+ */
+var RULE_SETTINGS = ['ArticleType', 'RecordTypeName', 'DataCategory'];
+
+// Cache for the parsed mapping file (per execution)
+var mappingFileCache = null;
+
+/**
+ * Remove documentation keys ("_comment", "_description", "_format", ...) from a section
+ *
+ * @param {Object} section - Mapping file section
+ * @returns {Object} Section without underscore-prefixed keys
+ */
+function stripDocumentationKeys(section) {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        return section;
+    }
+
+    var result = {};
+    for (var key in section) {
+        if (section.hasOwnProperty(key) && key.charAt(0) !== '_') {
+            result[key] = stripDocumentationKeys(section[key]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Load the mapping file from the cartridge
+ *
+ * @returns {Object} Parsed mapping file (without documentation keys), or empty object on failure
+ */
+function loadMappingFile() {
+    if (mappingFileCache) {
+        return mappingFileCache;
+    }
+
+    try {
+        mappingFileCache = stripDocumentationKeys(require(MAPPING_FILE));
+        logger.info('Loaded mapping file: ' + MAPPING_FILE + ' (sections: ' + Object.keys(mappingFileCache).join(', ') + ')');
+    } catch (e) {
+        logger.error('Failed to load mapping file ' + MAPPING_FILE + ': ' + e.message);
+        mappingFileCache = {};
+    }
+
+    return mappingFileCache;
+}
+
+/**
+ * Load mapping rules for a site configuration
+ *
+ * Site sections override file sections. Object sections are merged key by key,
+ * arrays and values are replaced.
+ *
+ * @param {Object} config - Site configuration
+ * @returns {Object|null} Mapping rules, or null if knowledgeMapping is not enabled
+ */
+function loadMappingRules(config) {
+    if (!config || !config.knowledgeMapping) {
+        return null;
+    }
+
+    var fileRules = loadMappingFile();
+    var siteRules = typeof config.knowledgeMapping === 'object' ? stripDocumentationKeys(config.knowledgeMapping) : {};
+    var rules = {};
+    var section;
+
+    for (section in fileRules) {
+        if (fileRules.hasOwnProperty(section)) {
+            rules[section] = fileRules[section];
+        }
+    }
+
+    for (section in siteRules) {
+        if (siteRules.hasOwnProperty(section)) {
+            var fileSection = rules[section];
+            var siteSection = siteRules[section];
+
+            if (isPlainObject(fileSection) && isPlainObject(siteSection)) {
+                var merged = {};
+                var key;
+                for (key in fileSection) {
+                    if (fileSection.hasOwnProperty(key)) {
+                        merged[key] = fileSection[key];
+                    }
+                }
+                for (key in siteSection) {
+                    if (siteSection.hasOwnProperty(key)) {
+                        merged[key] = siteSection[key];
+                    }
+                }
+                rules[section] = merged;
+            } else {
+                rules[section] = siteSection;
+            }
+
+            logger.debug('Site override for mapping section: ' + section);
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get a nested property of a content asset (same semantics as fieldMapping paths)
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {string} path - Dot-separated path (e.g., "custom.contentType")
+ * @returns {*} Property value or null
+ */
+function getAssetProperty(contentAsset, path) {
+    var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
+    try {
+        return contentMappingHelper.getNestedProperty(contentAsset, path);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get Salesforce API settings
+ *
+ * Uses the site's mapping rules if knowledgeMapping is enabled, otherwise the file's apiSettings.
+ *
+ * @param {Object} config - Site configuration (with mappingRules from loadMappingRules())
+ * @returns {Object} API settings (retryAttempts, retryDelay, ...)
+ */
+function getApiSettings(config) {
+    var rules = (config && config.mappingRules) || loadMappingFile();
+    return rules.apiSettings || {};
+}
+
+/**
+ * Validate conditionalRules (condition syntax and "then" objects)
+ *
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateConditionalRules(rules) {
+    var errors = [];
+    var ruleList = rules && rules.conditionalRules && rules.conditionalRules.rules;
+
+    if (!ruleList) {
+        return errors;
+    }
+
+    if (!Array.isArray(ruleList)) {
+        return ['conditionalRules.rules must be an array'];
+    }
+
+    for (var i = 0; i < ruleList.length; i++) {
+        var rule = ruleList[i] || {};
+        var validation = ruleEngineHelper.validateExpression(rule.condition);
+
+        if (!validation.valid) {
+            errors.push('conditionalRules.rules[' + i + '] condition "' + rule.condition + '": ' + validation.error);
+        }
+        if (!isPlainObject(rule.then)) {
+            errors.push('conditionalRules.rules[' + i + '] must have a "then" object');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Get overrides from all matching conditional rules
+ *
+ * Rules are evaluated in order; later matches override earlier ones.
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object|null} rules - Mapping rules from loadMappingRules()
+ * @returns {Object} Merged "then" values of matching rules (empty if none)
+ */
+function getRuleOverrides(contentAsset, rules) {
+    var overrides = {};
+    var ruleList = rules && rules.conditionalRules && rules.conditionalRules.rules;
+
+    if (!Array.isArray(ruleList)) {
+        return overrides;
+    }
+
+    for (var i = 0; i < ruleList.length; i++) {
+        var rule = ruleList[i];
+        if (rule && rule.then && ruleEngineHelper.evaluate(rule.condition, contentAsset)) {
+            logger.debug('[' + contentAsset.ID + '] Matched rule: ' + rule.condition);
+            for (var key in rule.then) {
+                if (rule.then.hasOwnProperty(key)) {
+                    overrides[key] = rule.then[key];
+                }
+            }
+        }
+    }
+
+    return overrides;
+}
+
+/**
+ * Resolve the Article Type for a content asset
+ *
+ * Priority: conditionalRules ArticleType > contentTypeMapping (custom.contentType,
+ * then classification folder) > site articleType
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object|null} rules - Mapping rules
+ * @param {string} defaultArticleType - Site article type
+ * @returns {string} Article type
+ */
+function resolveArticleType(contentAsset, rules, defaultArticleType) {
+    if (!rules) {
+        return defaultArticleType;
+    }
+
+    var overrides = getRuleOverrides(contentAsset, rules);
+    if (overrides.ArticleType) {
+        return overrides.ArticleType;
+    }
+
+    var typeMapping = rules.contentTypeMapping;
+    if (typeMapping) {
+        var contentType = getAssetProperty(contentAsset, 'custom.contentType');
+        if (contentType && typeMapping[contentType]) {
+            return typeMapping[contentType];
+        }
+        if (contentAsset.classificationFolder && typeMapping[contentAsset.classificationFolder]) {
+            return typeMapping[contentAsset.classificationFolder];
+        }
+    }
+
+    return defaultArticleType;
+}
+
+/**
+ * Parse a "Group:Category" value into a data categories object
+ *
+ * @param {string} value - Category in "CategoryGroup:Category" format
+ * @returns {Object|null} Data categories object { groupName: categoryPath }
+ */
+function parseGroupCategory(value) {
+    if (!value || typeof value !== 'string' || value.indexOf(':') === -1) {
+        return null;
+    }
+
+    var separatorIndex = value.indexOf(':');
+    var result = {};
+    result[value.substring(0, separatorIndex).trim()] = value.substring(separatorIndex + 1).trim();
+    return result;
+}
+
+/**
+ * Get data categories from conditionalRules (DataCategory) or categoryMapping
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Object|null} Data categories object { groupName: categoryPath }
+ */
+function getMappedDataCategories(contentAsset, rules) {
+    if (!rules) {
+        return null;
+    }
+
+    var overrides = getRuleOverrides(contentAsset, rules);
+    if (overrides.DataCategory) {
+        return parseGroupCategory(overrides.DataCategory);
+    }
+
+    if (rules.categoryMapping && contentAsset.classificationFolder) {
+        return parseGroupCategory(rules.categoryMapping[contentAsset.classificationFolder]);
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the Salesforce language for a B2C locale
+ *
+ * @param {string} b2cLocale - B2C locale (e.g., "fr_FR")
+ * @param {Object|null} rules - Mapping rules
+ * @returns {string} Salesforce language code
+ */
+function resolveLanguage(b2cLocale, rules) {
+    if (rules && rules.languageMapping && rules.languageMapping[b2cLocale]) {
+        return rules.languageMapping[b2cLocale];
+    }
+
+    var languageHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/languageHelper');
+    return languageHelper.mapLocaleToSalesforceLanguage(b2cLocale);
+}
+
+/**
+ * Check whether a B2C field path is excluded from export
+ *
+ * A path is excluded if it, or its first segment, is listed in excludeFields.fields.
+ *
+ * @param {string} b2cFieldPath - B2C field path from fieldMapping
+ * @param {Object|null} rules - Mapping rules
+ * @returns {boolean} True if excluded
+ */
+function isExcludedField(b2cFieldPath, rules) {
+    var excluded = rules && rules.excludeFields && rules.excludeFields.fields;
+    if (!Array.isArray(excluded) || typeof b2cFieldPath !== 'string') {
+        return false;
+    }
+
+    return excluded.indexOf(b2cFieldPath) > -1 || excluded.indexOf(b2cFieldPath.split('.')[0]) > -1;
+}
+
+/**
+ * Apply defaultValues to fields that are missing or empty
+ *
+ * @param {Object} article - Mapped article
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Object} Article with defaults applied
+ */
+function applyDefaultValues(article, rules) {
+    var defaults = rules && rules.defaultValues;
+    if (!defaults) {
+        return article;
+    }
+
+    for (var field in defaults) {
+        if (defaults.hasOwnProperty(field) && PROTECTED_FIELDS.indexOf(field) === -1) {
+            if (article[field] === undefined || article[field] === null || article[field] === '') {
+                article[field] = defaults[field];
+            }
+        }
+    }
+
+    return article;
+}
+
+/**
+ * Apply fieldTransformations to mapped string fields
+ *
+ * Applied per field in this order: stripHTML, convertLineBreaks, capitalizeWords, maxLength.
+ *
+ * @param {Object} article - Mapped article
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Object} Article with transformations applied
+ */
+function applyFieldTransformations(article, rules) {
+    var transformations = rules && rules.fieldTransformations;
+    if (!transformations) {
+        return article;
+    }
+
+    for (var field in transformations) {
+        if (!transformations.hasOwnProperty(field) || typeof article[field] !== 'string') {
+            continue;
+        }
+
+        var options = transformations[field];
+        var value = article[field];
+
+        if (options.stripHTML) {
+            value = value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        }
+
+        if (options.convertLineBreaks) {
+            value = value.replace(/\r?\n/g, '<br>');
+        }
+
+        if (options.capitalizeWords) {
+            value = value.replace(/(^|\s)(\S)/g, function (all, space, firstChar) {
+                return space + firstChar.toUpperCase();
+            });
+        }
+
+        if (options.maxLength && value.length > options.maxLength) {
+            value = options.truncateWithEllipsis && options.maxLength > 3
+                ? value.substring(0, options.maxLength - 3) + '...'
+                : value.substring(0, options.maxLength);
+            logger.debug('Truncated field ' + field + ' to ' + options.maxLength + ' characters');
+        }
+
+        article[field] = value;
+    }
+
+    return article;
+}
+
+/**
+ * Apply field values from matching conditionalRules
+ *
+ * ArticleType, RecordTypeName and DataCategory are resolved separately; every other key
+ * (e.g., IsVisibleInPkb) is set as a Salesforce field value.
+ *
+ * @param {Object} article - Mapped article
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Object} Article with rule field overrides applied
+ */
+function applyRuleFieldOverrides(article, contentAsset, rules) {
+    if (!rules) {
+        return article;
+    }
+
+    var overrides = getRuleOverrides(contentAsset, rules);
+    for (var key in overrides) {
+        if (overrides.hasOwnProperty(key) && RULE_SETTINGS.indexOf(key) === -1 && PROTECTED_FIELDS.indexOf(key) === -1) {
+            article[key] = overrides[key];
+        }
+    }
+
+    return article;
+}
+
+/**
+ * Validate a mapped article against validationRules
+ *
+ * @param {Object} article - Mapped article (including External ID)
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateArticle(article, rules) {
+    var errors = [];
+    var validation = rules && rules.validationRules;
+    if (!validation) {
+        return errors;
+    }
+
+    var field;
+
+    if (Array.isArray(validation.required)) {
+        validation.required.forEach(function (requiredField) {
+            if (article[requiredField] === undefined || article[requiredField] === null || article[requiredField] === '') {
+                errors.push(requiredField + ' is required');
+            }
+        });
+    }
+
+    if (validation.minLengths) {
+        for (field in validation.minLengths) {
+            if (validation.minLengths.hasOwnProperty(field) && typeof article[field] === 'string' &&
+                    article[field].length < validation.minLengths[field]) {
+                errors.push(field + ' must be at least ' + validation.minLengths[field] + ' characters');
+            }
+        }
+    }
+
+    if (validation.maxLengths) {
+        for (field in validation.maxLengths) {
+            if (validation.maxLengths.hasOwnProperty(field) && typeof article[field] === 'string' &&
+                    article[field].length > validation.maxLengths[field]) {
+                errors.push(field + ' must be at most ' + validation.maxLengths[field] + ' characters');
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Filter content assets using exportFilters
+ *
+ * - excludeFolders: Skip assets whose classification folder is listed
+ * - includeCustomTypes: Only export assets whose custom.contentType is listed (if set)
+ *
+ * onlineOnly is always in effect, since content discovery only returns online assets.
+ *
+ * @param {Array<Object>} contentAssets - Formatted content assets
+ * @param {Object|null} rules - Mapping rules
+ * @returns {Array<Object>} Content assets to export
+ */
+function filterContentAssets(contentAssets, rules) {
+    var filters = rules && rules.exportFilters;
+    if (!filters || !contentAssets) {
+        return contentAssets;
+    }
+
+    var excludeFolders = Array.isArray(filters.excludeFolders) ? filters.excludeFolders : [];
+    var includeTypes = Array.isArray(filters.includeCustomTypes) ? filters.includeCustomTypes : [];
+
+    var filtered = contentAssets.filter(function (asset) {
+        if (asset.classificationFolder && excludeFolders.indexOf(asset.classificationFolder) > -1) {
+            logger.debug('[' + asset.ID + '] Excluded by exportFilters.excludeFolders: ' + asset.classificationFolder);
+            return false;
+        }
+
+        if (includeTypes.length > 0 && includeTypes.indexOf(getAssetProperty(asset, 'custom.contentType')) === -1) {
+            logger.debug('[' + asset.ID + '] Excluded by exportFilters.includeCustomTypes');
+            return false;
+        }
+
+        return true;
+    });
+
+    if (filtered.length !== contentAssets.length) {
+        logger.info('Export filters excluded ' + (contentAssets.length - filtered.length) + ' of ' + contentAssets.length + ' content assets');
+    }
+
+    return filtered;
+}
+
+// Export public functions
+module.exports = {
+    loadMappingRules: loadMappingRules,
+    validateConditionalRules: validateConditionalRules,
+    getApiSettings: getApiSettings,
+    getRuleOverrides: getRuleOverrides,
+    resolveArticleType: resolveArticleType,
+    getMappedDataCategories: getMappedDataCategories,
+    resolveLanguage: resolveLanguage,
+    isExcludedField: isExcludedField,
+    applyDefaultValues: applyDefaultValues,
+    applyFieldTransformations: applyFieldTransformations,
+    applyRuleFieldOverrides: applyRuleFieldOverrides,
+    validateArticle: validateArticle,
+    filterContentAssets: filterContentAssets
+};
@@ -15,9 +15,8 @@
  * @module scripts/helpers/languageHelper
  */
 
-var Site = require('dw/system/Site');
-var ContentMgr = require('dw/content/ContentMgr');
 var Logger = require('dw/system/Logger');
+var siteContextHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteContextHelper');
 
 var logger = Logger.getLogger('SFKnowledge', 'LanguageHelper');
 
@@ -219,7 +218,8 @@ function mapLocaleToSalesforceLanguage(b2cLocale) {
 /**
  * Get all enabled locales for the current site
  *
- * Retrieves the list of allowed locales from Site configuration.
+ * Retrieves the list of allowed locales from Site configuration (the site activated
+ * by siteContextHelper in organization context).
  * These are the languages that could potentially have content.
  *
  * @returns {Array<String>} Array of locale IDs (e.g., ["en_US", "es", "fr"])
@@ -230,7 +230,7 @@ function mapLocaleToSalesforceLanguage(b2cLocale) {
  */
 function getAvailableLocalesForSite() {
     try {
-        var currentSite = Site.getCurrent();
+        var currentSite = siteContextHelper.getSite();
         if (!currentSite) {
             logger.error('Unable to get current site');
             return ['en_US']; // Fallback to default locale
@@ -317,7 +317,7 @@ function getAvailableLanguagesForContent(contentAssetID, locales) {
                 request.setLocale(locale);
 
                 // Try to get content in this locale
-                var content = ContentMgr.getContent(contentAssetID);
+                var content = siteContextHelper.getContent(contentAssetID);
 
                 if (!content) {
                     logger.debug('[' + contentAssetID + '] Content not found in locale: ' + locale);
@@ -439,7 +439,7 @@ function getContentAssetInLocale(contentAssetID, locale, enableDebugLogging) {
         logger.debug('Switched to locale: ' + locale + ' for content: ' + contentAssetID);
 
         // Get content in this locale
-        var content = ContentMgr.getContent(contentAssetID);
+        var content = siteContextHelper.getContent(contentAssetID);
 
         if (!content) {
             logger.debug('Content ' + contentAssetID + ' not found in locale: ' + locale);
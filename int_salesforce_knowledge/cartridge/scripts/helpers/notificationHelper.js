@@ -0,0 +1,363 @@
+'use strict';
+
+/**
+ * Notification Helper
+ *
+ * Sends the summary of an export run to the people who have to act on it, instead
+ * of leaving failed syncs in the job log until someone notices stale articles.
+ *
+ * Channels (notifications in the site configuration):
+ * - Email: plain-text summary via dw.net.Mail to emailTo (sender: emailFrom)
+ * - Webhook: JSON summary POSTed to the service webhookServiceID (e.g., a Slack or Teams bridge)
+ *
+ * Triggers:
+ * - always: after every run
+ * - failure: runs that end with ERROR (default)
+ * - partial: runs that end with ERROR, or with failed or unprocessed content assets
+ *
+ * Notifications never change the job status: send errors are logged as warnings.
+ *
+ * @module scripts/helpers/notificationHelper
+ */
+
+var Mail = require('dw/net/Mail');
+var LocalServiceRegistry = require('dw/svc/LocalServiceRegistry');
+var Logger = require('dw/system/Logger');
+
+var logger = Logger.getLogger('SFKnowledge', 'Notification');
+
+/**
+ * Number of distinct error messages listed in a notification
+ * @type {number}
+ */
+var MAX_TOP_ERRORS = 5;
+
+/**
+ * Number of articles edited in Salesforce listed in a notification (email and webhook)
+ * @type {number}
+ */
+var MAX_LISTED_CONFLICTS = 20;
+
+/**
+ * Number of drafts created in Salesforce listed in a notification (email and webhook)
+ * @type {number}
+ */
+var MAX_LISTED_HUMAN_DRAFTS = 20;
+
+/**
+ * Outcome of a run
+ * @type {Object}
+ */
+var OUTCOME = {
+    SUCCESS: 'success',
+    PARTIAL: 'partial',
+    FAILURE: 'failure'
+};
+
+/**
+ * Get the outcome of a run from its summary
+ *
+ * @param {Object} summary - Run summary (status, counts)
+ * @returns {string} OUTCOME value
+ */
+function getOutcome(summary) {
+    if (summary.status === 'ERROR') {
+        return OUTCOME.FAILURE;
+    }
+    if (summary.counts.failed > 0 || summary.counts.notProcessed > 0) {
+        return OUTCOME.PARTIAL;
+    }
+    return OUTCOME.SUCCESS;
+}
+
+/**
+ * Check whether a trigger fires for an outcome
+ *
+ * @param {string} trigger - 'always', 'failure' or 'partial'
+ * @param {string} outcome - OUTCOME value
+ * @returns {boolean} True if a notification is sent
+ */
+function shouldNotify(trigger, outcome) {
+    switch (trigger || 'failure') {
+        case 'always':
+            return true;
+        case 'partial':
+            return outcome !== OUTCOME.SUCCESS;
+        default:
+            return outcome === OUTCOME.FAILURE;
+    }
+}
+
+/**
+ * Count the error messages of export details, as the run exports
+ *
+ * @param {Object} counts - Map of error message → count (changed in place)
+ * @param {Array<Object>} details - Run report details ({ success, error })
+ */
+function countErrors(counts, details) {
+    details.forEach(function (detail) {
+        if (!detail.success && detail.error) {
+            var message = typeof detail.error === 'string' ? detail.error : JSON.stringify(detail.error);
+            counts[message] = (counts[message] || 0) + 1;
+        }
+    });
+}
+
+/**
+ * Get the most common error messages of a run
+ *
+ * @param {Object} counts - Map of error message → count (see countErrors())
+ * @returns {Array<Object>} Up to MAX_TOP_ERRORS { message: string, count: number }, most common first
+ */
+function getTopErrors(counts) {
+    return Object.keys(counts).map(function (message) {
+        return { message: message, count: counts[message] };
+    }).sort(function (a, b) {
+        return b.count - a.count;
+    }).slice(0, MAX_TOP_ERRORS);
+}
+
+/**
+ * Describe an article edited in Salesforce since its last sync (conflictPolicy)
+ *
+ * @param {Object} conflict - Conflict of the run summary { contentId, language, lastModifiedById, lastModifiedDate, action, success }
+ * @returns {string} e.g. 'faq-001 (fr): edited by 005xx0000012345 at 2025-01-01T10:00:00.000Z, skip'
+ */
+function formatConflict(conflict) {
+    return conflict.contentId + ' (' + conflict.language + '): edited by ' + conflict.lastModifiedById + ' at ' + conflict.lastModifiedDate +
+        ', ' + conflict.action + (conflict.success ? '' : ' (failed)');
+}
+
+/**
+ * Describe a draft created in Salesforce by someone else than the integration user (humanDraftPolicy)
+ *
+ * @param {Object} humanDraft - Draft of the run summary { contentId, language, draftVersionId, createdById, action, authorFields, success }
+ * @returns {string} e.g. 'faq-001 (fr): draft ka0xx0000001234 by 005xx0000012345, merge (kept Body__c)'
+ */
+function formatHumanDraft(humanDraft) {
+    var authorFields = humanDraft.authorFields && humanDraft.authorFields.length > 0 ? ' (kept ' + humanDraft.authorFields.join(', ') + ')' : '';
+    return humanDraft.contentId + ' (' + humanDraft.language + '): draft ' + humanDraft.draftVersionId + ' by ' + humanDraft.createdById +
+        ', ' + humanDraft.action + authorFields + (humanDraft.success ? '' : ' (failed)');
+}
+
+/**
+ * Build the email subject and plain-text body of a run summary
+ *
+ * @param {Object} summary - Run summary (see ExportContentToKnowledge buildRunSummary())
+ * @returns {Object} { subject: string, body: string }
+ */
+function formatMessage(summary) {
+    var scope = summary.siteID + (summary.targetID ? ' (target ' + summary.targetID + ')' : '');
+    var counts = summary.counts;
+
+    var lines = [
+        'Salesforce Knowledge export for ' + scope + ': ' + summary.outcome.toUpperCase(),
+        '',
+        'Status: ' + summary.status + (summary.message ? ' - ' + summary.message : ''),
+        'Export Mode: ' + (summary.exportMode || 'unknown') + (summary.dryRun ? ' (dry run)' : ''),
+        'Started: ' + summary.startTime,
+        'Duration: ' + summary.durationSeconds.toFixed(2) + ' seconds',
+        '',
+        'Content Assets: ' + counts.contentAssets,
+        'Processed: ' + counts.processed,
+        'Exported: ' + counts.exported,
+        'Failed: ' + counts.failed,
+        'Not Processed: ' + counts.notProcessed
+    ];
+
+    if (counts.unchanged > 0) {
+        lines.push('Unchanged (not written): ' + counts.unchanged);
+    }
+
+    if (summary.conflicts.length > 0) {
+        lines.push('', 'Edited in Salesforce since the last sync: ' + summary.conflicts.length);
+        summary.conflicts.slice(0, MAX_LISTED_CONFLICTS).forEach(function (conflict) {
+            lines.push('  - ' + formatConflict(conflict));
+        });
+        if (summary.conflicts.length > MAX_LISTED_CONFLICTS) {
+            lines.push('  - ... and ' + (summary.conflicts.length - MAX_LISTED_CONFLICTS) + ' more (see the run report)');
+        }
+    }
+
+    if (summary.humanDrafts.length > 0) {
+        lines.push('', 'Drafts created in Salesforce: ' + summary.humanDrafts.length);
+        summary.humanDrafts.slice(0, MAX_LISTED_HUMAN_DRAFTS).forEach(function (humanDraft) {
+            lines.push('  - ' + formatHumanDraft(humanDraft));
+        });
+        if (summary.humanDrafts.length > MAX_LISTED_HUMAN_DRAFTS) {
+            lines.push('  - ... and ' + (summary.humanDrafts.length - MAX_LISTED_HUMAN_DRAFTS) + ' more (see the run report)');
+        }
+    }
+
+    if (summary.topErrors.length > 0) {
+        lines.push('', 'Top Errors:');
+        summary.topErrors.forEach(function (error) {
+            lines.push('  - (' + error.count + 'x) ' + error.message);
+        });
+    }
+
+    if (summary.runReport) {
+        lines.push('', 'Run Report: ' + summary.runReport.url);
+    }
+
+    return {
+        subject: '[SF Knowledge] ' + scope + ': ' + summary.outcome + ' - exported ' + counts.exported + ', failed ' + counts.failed,
+        body: lines.join('\n') + '\n'
+    };
+}
+
+/**
+ * Send the summary by email
+ *
+ * @param {Object} notifications - notifications from the site configuration
+ * @param {Object} message - { subject, body } from formatMessage()
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function sendEmail(notifications, message) {
+    try {
+        var mail = new Mail();
+        notifications.emailTo.forEach(function (recipient) {
+            mail.addTo(recipient);
+        });
+        mail.setFrom(notifications.emailFrom);
+        mail.setSubject(message.subject);
+        mail.setContent(message.body, 'text/plain', 'UTF-8');
+
+        var sendStatus = mail.send();
+        if (sendStatus.isError()) {
+            return {
+                success: false,
+                error: sendStatus.message || 'Mail could not be sent'
+            };
+        }
+
+        return { success: true };
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
+/**
+ * Build the webhook payload of a run summary
+ *
+ * Conflicts and drafts are cut to the first entries, so large runs stay within
+ * the payload limits of the endpoint. counts has the full numbers.
+ *
+ * @param {Object} summary - Run summary
+ * @returns {Object} Copy of the summary with conflicts and humanDrafts truncated
+ */
+function buildWebhookPayload(summary) {
+    var payload = {};
+
+    Object.keys(summary).forEach(function (key) {
+        payload[key] = summary[key];
+    });
+    payload.conflicts = (summary.conflicts || []).slice(0, MAX_LISTED_CONFLICTS);
+    payload.humanDrafts = (summary.humanDrafts || []).slice(0, MAX_LISTED_HUMAN_DRAFTS);
+
+    return payload;
+}
+
+/**
+ * POST the summary as JSON to a webhook service
+ *
+ * The service (type HTTP) is defined in Administration > Operations > Services,
+ * its URL is the webhook endpoint.
+ *
+ * @param {string} serviceID - Webhook service ID
+ * @param {Object} summary - Run summary (see buildWebhookPayload())
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function sendWebhook(serviceID, summary) {
+    try {
+        var service = LocalServiceRegistry.createService(serviceID, {
+            createRequest: function (svc, payload) {
+                svc.setRequestMethod('POST');
+                svc.addHeader('Content-Type', 'application/json');
+                return JSON.stringify(payload);
+            },
+
+            parseResponse: function (svc, httpClient) {
+                return {
+                    statusCode: httpClient.statusCode
+                };
+            }
+        });
+
+        var result = service.call(buildWebhookPayload(summary));
+        if (result.status !== 'OK') {
+            return {
+                success: false,
+                error: 'HTTP ' + result.error + ': ' + (result.errorMessage || result.msg || 'webhook call failed')
+            };
+        }
+
+        return { success: true };
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
+/**
+ * Send the notifications of a run, if the trigger fires
+ *
+ * @param {Object} notifications - notifications from the site configuration
+ *     { trigger, emailTo, emailFrom, webhookServiceID }
+ * @param {Object} summary - Run summary (outcome is added here)
+ * @returns {Object} Result { sent: boolean, outcome: string, email: Object|null, webhook: Object|null }
+ */
+function notify(notifications, summary) {
+    summary.outcome = getOutcome(summary);
+
+    var result = {
+        sent: false,
+        outcome: summary.outcome,
+        email: null,
+        webhook: null
+    };
+
+    if (!shouldNotify(notifications.trigger, summary.outcome)) {
+        logger.debug('No notification for outcome ' + summary.outcome + ' (trigger: ' + (notifications.trigger || 'failure') + ')');
+        return result;
+    }
+
+    if (notifications.emailTo) {
+        result.email = sendEmail(notifications, formatMessage(summary));
+        if (result.email.success) {
+            logger.info('Notification email sent to ' + notifications.emailTo.join(', '));
+        } else {
+            logger.warn('Notification email to ' + notifications.emailTo.join(', ') + ' failed: ' + result.email.error);
+        }
+    }
+
+    if (notifications.webhookServiceID) {
+        result.webhook = sendWebhook(notifications.webhookServiceID, summary);
+        if (result.webhook.success) {
+            logger.info('Notification webhook ' + notifications.webhookServiceID + ' called');
+        } else {
+            logger.warn('Notification webhook ' + notifications.webhookServiceID + ' failed: ' + result.webhook.error);
+        }
+    }
+
+    result.sent = !!(result.email && result.email.success) || !!(result.webhook && result.webhook.success);
+    return result;
+}
+
+// Export public functions
+module.exports = {
+    OUTCOME: OUTCOME,
+    getOutcome: getOutcome,
+    shouldNotify: shouldNotify,
+    countErrors: countErrors,
+    getTopErrors: getTopErrors,
+    formatConflict: formatConflict,
+    formatHumanDraft: formatHumanDraft,
+    formatMessage: formatMessage,
+    notify: notify
+};
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * Retry Helper
+ *
+ * Retries Salesforce service calls that fail with transient errors, using
+ * exponential backoff. Used by salesforceKnowledgeService for every call,
+ * so helpers calling service.call() don't need their own retry logic.
+ *
+ * A failed call is retried when:
+ * - the HTTP status is in retryableStatusCodes (e.g., 429, 503)
+ * - the Salesforce error code is in retryableErrorCodes (e.g., UNABLE_TO_LOCK_ROW)
+ *
+ * POST requests are not idempotent: a 500 or 504 may come after the record was
+ * created, and a retry would create it twice. They are only retried when the
+ * response shows the request was not processed (NOT_PROCESSED_STATUS_CODES,
+ * NOT_PROCESSED_ERROR_CODES), and only if those are retryable as configured.
+ *
+ * Delay before retry n: retryDelay * 2^(n-1), capped at maxRetryDelay.
+ * A Retry-After response header (seconds) replaces the computed delay.
+ *
+ * The script API has no sleep, so every wait keeps the job thread busy. wait()
+ * is the only place that waits (also for apiLimitHelper throttling and Bulk API
+ * polling) and never waits longer than MAX_WAIT at a time.
+ *
+ * Settings come from apiSettings in knowledgeMapping.json (see configure()).
+ *
+ * @module scripts/helpers/retryHelper
+ */
+
+var Logger = require('dw/system/Logger');
+
+var logger = Logger.getLogger('SFKnowledge', 'Retry');
+
+/**
+ * Default retry settings (used until configure() is called)
+ * @type {Object}
+ */
+var DEFAULT_SETTINGS = {
+    retryAttempts: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 5000,
+    retryableStatusCodes: [429, 500, 502, 503, 504],
+    retryableErrorCodes: ['REQUEST_LIMIT_EXCEEDED', 'UNABLE_TO_LOCK_ROW', 'SERVER_UNAVAILABLE', 'QUERY_TIMEOUT']
+};
+
+/**
+ * HTTP statuses that mean a request was rejected before it was processed
+ * @type {Array<number>}
+ */
+var NOT_PROCESSED_STATUS_CODES = [429, 503];
+
+/**
+ * Salesforce error codes that mean a request was rejected before it was processed
+ * @type {Array<string>}
+ */
+var NOT_PROCESSED_ERROR_CODES = ['REQUEST_LIMIT_EXCEEDED', 'UNABLE_TO_LOCK_ROW'];
+
+/**
+ * Longest single wait in milliseconds
+ * @type {number}
+ */
+var MAX_WAIT = 5000;
+
+// Active retry settings (per execution)
+var settings = DEFAULT_SETTINGS;
+
+/**
+ * Configure retry settings
+ *
+ * Missing or invalid values fall back to the defaults. maxRetryDelay is capped at MAX_WAIT.
+ *
+ * @param {Object} apiSettings - apiSettings from knowledgeMapping.json
+ * @param {number} apiSettings.retryAttempts - Retries after the first attempt (0 disables retries)
+ * @param {number} apiSettings.retryDelay - Base delay in milliseconds
+ * @param {number} apiSettings.maxRetryDelay - Maximum delay in milliseconds
+ * @param {Array<number>} apiSettings.retryableStatusCodes - HTTP statuses to retry
+ * @param {Array<string>} apiSettings.retryableErrorCodes - Salesforce error codes to retry
+ */
+function configure(apiSettings) {
+    var source = apiSettings || {};
+
+    function numberOrDefault(key) {
+        var value = source[key];
+        return (typeof value === 'number' && value >= 0) ? value : DEFAULT_SETTINGS[key];
+    }
+
+    var maxRetryDelay = numberOrDefault('maxRetryDelay');
+    if (maxRetryDelay > MAX_WAIT) {
+        logger.warn('maxRetryDelay ' + maxRetryDelay + 'ms is above the ' + MAX_WAIT + 'ms limit, using ' + MAX_WAIT + 'ms');
+        maxRetryDelay = MAX_WAIT;
+    }
+
+    settings = {
+        retryAttempts: numberOrDefault('retryAttempts'),
+        retryDelay: numberOrDefault('retryDelay'),
+        maxRetryDelay: maxRetryDelay,
+        retryableStatusCodes: Array.isArray(source.retryableStatusCodes) ? source.retryableStatusCodes : DEFAULT_SETTINGS.retryableStatusCodes,
+        retryableErrorCodes: Array.isArray(source.retryableErrorCodes) ? source.retryableErrorCodes : DEFAULT_SETTINGS.retryableErrorCodes
+    };
+
+    logger.info('Retry settings: ' + settings.retryAttempts + ' attempt(s), base delay ' + settings.retryDelay +
+        'ms, max delay ' + settings.maxRetryDelay + 'ms');
+}
+
+/**
+ * Get the HTTP status code of a service result
+ *
+ * @param {dw.svc.Result} result - Service result
+ * @returns {number|null} HTTP status code, or null if not available
+ */
+function getStatusCode(result) {
+    if (result.object && result.object.statusCode) {
+        return result.object.statusCode;
+    }
+    // For HTTP errors, Result.error holds the status code
+    return (typeof result.error === 'number' && result.error > 0) ? result.error : null;
+}
+
+/**
+ * Get Salesforce error codes from a service result
+ *
+ * Salesforce REST errors are returned as [{ errorCode, message }].
+ *
+ * @param {dw.svc.Result} result - Service result
+ * @returns {Array<string>} Error codes (empty if none found)
+ */
+function getErrorCodes(result) {
+    var errorData = result.object ? result.object.error : null;
+
+    if (!errorData && result.errorMessage) {
+        try {
+            errorData = JSON.parse(result.errorMessage);
+        } catch (e) {
+            errorData = result.errorMessage;
+        }
+    }
+
+    if (Array.isArray(errorData)) {
+        return errorData.filter(function (item) {
+            return item && item.errorCode;
+        }).map(function (item) {
+            return item.errorCode;
+        });
+    }
+
+    if (typeof errorData === 'string') {
+        return settings.retryableErrorCodes.filter(function (code) {
+            return errorData.indexOf(code) > -1;
+        });
+    }
+
+    return [];
+}
+
+/**
+ * Check whether a failed service result is worth retrying
+ *
+ * @param {dw.svc.Result} result - Service result
+ * @param {string} [method] - HTTP method of the call (POST is only retried if it was not processed)
+ * @returns {boolean} True if the error is transient
+ */
+function isRetryable(result, method) {
+    if (!result || (result.status === 'OK' && (!result.object || result.object.success !== false))) {
+        return false;
+    }
+
+    var notProcessedOnly = method === 'POST';
+
+    var statusCode = getStatusCode(result);
+    if (statusCode && settings.retryableStatusCodes.indexOf(statusCode) > -1 &&
+        (!notProcessedOnly || NOT_PROCESSED_STATUS_CODES.indexOf(statusCode) > -1)) {
+        return true;
+    }
+
+    return getErrorCodes(result).some(function (code) {
+        return settings.retryableErrorCodes.indexOf(code) > -1 &&
+            (!notProcessedOnly || NOT_PROCESSED_ERROR_CODES.indexOf(code) > -1);
+    });
+}
+
+/**
+ * Get the Retry-After header of the last response, in milliseconds
+ *
+ * @param {dw.svc.Service} service - Service that made the call
+ * @returns {number|null} Delay in milliseconds, or null if not sent
+ */
+function getRetryAfter(service) {
+    try {
+        var client = service.getClient();
+        var header = client ? client.getResponseHeader('Retry-After') : null;
+        var seconds = header ? parseInt(header, 10) : NaN;
+        return isNaN(seconds) ? null : seconds * 1000;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the delay before a retry
+ *
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {number|null} retryAfter - Retry-After delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getDelay(attempt, retryAfter) {
+    var delay = retryAfter !== null ? retryAfter : settings.retryDelay * Math.pow(2, attempt - 1);
+    return Math.min(delay, settings.maxRetryDelay);
+}
+
+/**
+ * Wait for the given time, at most MAX_WAIT
+ *
+ * The script API has no sleep, so this waits in a loop.
+ *
+ * @param {number} milliseconds - Time to wait
+ * @returns {number} Time waited in milliseconds
+ */
+function wait(milliseconds) {
+    var duration = Math.min(Math.max(milliseconds || 0, 0), MAX_WAIT);
+    var end = new Date().getTime() + duration;
+    while (new Date().getTime() < end) {
+        // waiting
+    }
+    return duration;
+}
+
+/**
+ * Call a service, retrying transient failures
+ *
+ * @param {dw.svc.Service} service - Service to call
+ * @param {Object} params - Call parameters
+ * @returns {dw.svc.Result} Result of the last attempt
+ */
+function callWithRetry(service, params) {
+    var result = service.call(params);
+    var method = params ? params.method : null;
+    var description = (params && params.method ? params.method + ' ' : '') + ((params && params.endpoint) || service.getConfiguration().getID());
+
+    for (var attempt = 1; attempt <= settings.retryAttempts && isRetryable(result, method); attempt++) {
+        var delay = getDelay(attempt, getRetryAfter(service));
+
+        logger.warn('Transient error on ' + description + ' (HTTP ' + (getStatusCode(result) || 'n/a') + '), retry ' +
+            attempt + '/' + settings.retryAttempts + ' in ' + delay + 'ms');
+
+        wait(delay);
+        result = service.call(params);
+    }
+
+    if (isRetryable(result, method) && settings.retryAttempts > 0) {
+        logger.error('Giving up on ' + description + ' after ' + settings.retryAttempts + ' retries');
+    }
+
+    return result;
+}
+
+// Export public functions
+module.exports = {
+    MAX_WAIT: MAX_WAIT,
+    configure: configure,
+    isRetryable: isRetryable,
+    wait: wait,
+    callWithRetry: callWithRetry
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Retry Queue Helper
+ *
+ * Persists failed exports across job runs in the SFKnowledgeRetryQueue custom object
+ * (see cartridge/metadata/custom-objecttype-definitions.xml), one object per site,
+ * content asset and language.
+ *
+ * - A failure creates or updates the queue item (attempt count, error, failure times)
+ * - A successful export removes the item (removeItem)
+ * - After maxAttempts failed attempts the item is parked as a dead letter
+ *   (status 'dead') and no longer retried automatically
+ *
+ * @module scripts/helpers/retryQueueHelper
+ */
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var Transaction = require('dw/system/Transaction');
+var Logger = require('dw/system/Logger');
+
+var logger = Logger.getLogger('SFKnowledge', 'RetryQueue');
+
+/**
+ * Custom object type ID
+ * @type {string}
+ */
+var CUSTOM_OBJECT_TYPE = 'SFKnowledgeRetryQueue';
+
+/**
+ * Default number of failed attempts before an item becomes a dead letter
+ * @type {number}
+ */
+var DEFAULT_MAX_ATTEMPTS = 5;
+
+/**
+ * Queue item status values
+ * @type {Object}
+ */
+var STATUS = {
+    PENDING: 'pending',
+    DEAD: 'dead'
+};
+
+/**
+ * Get the custom object key of a queue item
+ *
+ * @param {string} siteID - Site ID
+ * @param {string} contentId - Content asset ID
+ * @param {string} language - Salesforce language code
+ * @returns {string} Key (siteID|contentId|language)
+ */
+function getKey(siteID, contentId, language) {
+    return siteID + '|' + contentId + '|' + (language || '');
+}
+
+/**
+ * Record a failed export
+ *
+ * @param {string} siteID - Site ID
+ * @param {Object} detail - Failed detail from exportBatch() (contentId, language, operation, error)
+ * @param {number} maxAttempts - Failed attempts before the item becomes a dead letter
+ * @returns {Object} Result { success: boolean, attemptCount: number, deadLetter: boolean, error: string }
+ */
+function recordFailure(siteID, detail, maxAttempts) {
+    var limit = maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    var key = getKey(siteID, detail.contentId, detail.language);
+
+    try {
+        var item = null;
+
+        Transaction.wrap(function () {
+            var now = new Date();
+            item = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, key);
+
+            if (!item) {
+                item = CustomObjectMgr.createCustomObject(CUSTOM_OBJECT_TYPE, key);
+                item.custom.siteId = siteID;
+                item.custom.contentId = detail.contentId;
+                item.custom.language = detail.language || '';
+                item.custom.attemptCount = 0;
+                item.custom.firstFailure = now;
+            }
+
+            item.custom.attemptCount = (item.custom.attemptCount || 0) + 1;
+            item.custom.operation = detail.operation || '';
+            item.custom.lastError = detail.error || 'Unknown error';
+            item.custom.lastFailure = now;
+            item.custom.status = item.custom.attemptCount >= limit ? STATUS.DEAD : STATUS.PENDING;
+        });
+
+        var deadLetter = item.custom.status.value === STATUS.DEAD;
+        if (deadLetter) {
+            logger.warn('Content ' + detail.contentId + ' (' + detail.language + ') failed ' + item.custom.attemptCount +
+                ' times, parked as dead letter: ' + detail.error);
+        }
+
+        return {
+            success: true,
+            attemptCount: item.custom.attemptCount,
+            deadLetter: deadLetter
+        };
+    } catch (e) {
+        logger.error('Could not record failure for ' + key + ': ' + e.message);
+        return {
+            success: false,
+            error: e.message
+        };
+    }
+}
+
+/**
+ * Remove an item (after a successful export, or when the content asset is gone)
+ *
+ * Dead letters are removed as well.
+ *
+ * @param {string} siteID - Site ID
+ * @param {string} contentId - Content asset ID
+ * @param {string} language - Salesforce language code
+ * @returns {boolean} True if an item was removed
+ */
+function removeItem(siteID, contentId, language) {
+    var key = getKey(siteID, contentId, language);
+
+    try {
+        var item = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, key);
+        if (!item) {
+            return false;
+        }
+
+        Transaction.wrap(function () {
+            CustomObjectMgr.remove(item);
+        });
+
+        logger.info('Removed ' + contentId + ' (' + language + ') from retry queue');
+        return true;
+    } catch (e) {
+        logger.error('Could not remove ' + key + ' from retry queue: ' + e.message);
+        return false;
+    }
+}
+
+/**
+ * Get queue items of a site
+ *
+ * @param {string} siteID - Site ID
+ * @param {string} status - STATUS.PENDING or STATUS.DEAD
+ * @returns {Array<Object>} Items { contentId, language, operation, attemptCount, lastError }, oldest first
+ */
+function getItems(siteID, status) {
+    var items = [];
+    var iterator = null;
+
+    try {
+        iterator = CustomObjectMgr.queryCustomObjects(
+            CUSTOM_OBJECT_TYPE,
+            'custom.siteId = {0} AND custom.status = {1}',
+            'creationDate asc',
+            siteID,
+            status
+        );
+
+        while (iterator.hasNext()) {
+            var item = iterator.next();
+            items.push({
+                contentId: item.custom.contentId,
+                language: item.custom.language,
+                operation: item.custom.operation,
+                attemptCount: item.custom.attemptCount,
+                lastError: item.custom.lastError
+            });
+        }
+    } catch (e) {
+        logger.error('Could not read retry queue (is ' + CUSTOM_OBJECT_TYPE + ' imported?): ' + e.message);
+    } finally {
+        if (iterator) {
+            iterator.close();
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Get pending items of a site (to retry on this run)
+ *
+ * @param {string} siteID - Site ID
+ * @returns {Array<Object>} Pending items, oldest first
+ */
+function getPendingItems(siteID) {
+    return getItems(siteID, STATUS.PENDING);
+}
+
+/**
+ * Get dead letters of a site (for manual review)
+ *
+ * @param {string} siteID - Site ID
+ * @returns {Array<Object>} Dead letters, oldest first
+ */
+function getDeadLetters(siteID) {
+    return getItems(siteID, STATUS.DEAD);
+}
+
+// Export public functions
+module.exports = {
+    STATUS: STATUS,
+    recordFailure: recordFailure,
+    removeItem: removeItem,
+    getPendingItems: getPendingItems,
+    getDeadLetters: getDeadLetters
+};
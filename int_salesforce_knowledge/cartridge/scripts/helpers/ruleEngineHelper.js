@@ -0,0 +1,376 @@
+'use strict';
+
+/**
+ * Rule Engine Helper
+ *
+ * Safe expression evaluator for conditionalRules (no eval / Function).
+ * Expressions are tokenized and parsed into a small syntax tree, which is
+ * evaluated against a formatted content asset.
+ *
+ * Supported syntax:
+ * - Paths: classificationFolder, custom.contentType, ID (resolved like fieldMapping paths)
+ * - Literals: 'text', "text", 42, true, false, null, ['a', 'b']
+ * - Comparison: ==, !=, in, startsWith
+ * - Boolean: && / and, || / or, ! / not, parentheses
+ * - A path on its own is true if its value is truthy
+ *
+ * @example
+ * "classificationFolder == 'faq'"
+ * "custom.contentType in ['product-guide', 'manual'] && !custom.internalOnly"
+ * "ID startsWith 'help-' or (classificationFolder == 'support' and custom.priority == 1)"
+ *
+ * @module scripts/helpers/ruleEngineHelper
+ */
+
+var Logger = require('dw/system/Logger');
+
+var logger = Logger.getLogger('SFKnowledge', 'RuleEngine');
+
+/**
+ * Keyword operators and their canonical token values
+ * @type {Object}
+ */
+var KEYWORDS = {
+    'and': '&&',
+    'or': '||',
+    'not': '!',
+    'in': 'in',
+    'startsWith': 'startsWith'
+};
+
+/**
+ * Comparison operators
+ * @type {Array<string>}
+ */
+var COMPARISON_OPERATORS = ['==', '!=', 'in', 'startsWith'];
+
+// Cache for compiled expressions
+// Structure: { "expression": syntaxTree }
+var compiledCache = {};
+
+/**
+ * Split an expression into tokens
+ *
+ * @param {string} expression - Rule expression
+ * @returns {Array<Object>} Tokens { type: 'op'|'path'|'literal'|'punct', value }
+ * @throws {Error} On unexpected characters or unterminated strings
+ */
+function tokenize(expression) {
+    var tokens = [];
+    var i = 0;
+
+    while (i < expression.length) {
+        var ch = expression.charAt(i);
+        var twoChars = expression.substr(i, 2);
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (twoChars === '==' || twoChars === '!=' || twoChars === '&&' || twoChars === '||') {
+            tokens.push({ type: 'op', value: twoChars });
+            i += 2;
+        } else if (ch === '!') {
+            tokens.push({ type: 'op', value: '!' });
+            i++;
+        } else if (ch === '(' || ch === ')' || ch === '[' || ch === ']' || ch === ',') {
+            tokens.push({ type: 'punct', value: ch });
+            i++;
+        } else if (ch === '\'' || ch === '"') {
+            var end = expression.indexOf(ch, i + 1);
+            if (end === -1) {
+                throw new Error('Unterminated string at position ' + i);
+            }
+            tokens.push({ type: 'literal', value: expression.substring(i + 1, end) });
+            i = end + 1;
+        } else if (/[0-9-]/.test(ch)) {
+            var numberMatch = /^-?\d+(\.\d+)?/.exec(expression.substring(i));
+            if (!numberMatch) {
+                throw new Error('Unexpected character "' + ch + '" at position ' + i);
+            }
+            tokens.push({ type: 'literal', value: parseFloat(numberMatch[0]) });
+            i += numberMatch[0].length;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            var word = /^[A-Za-z_][\w.]*/.exec(expression.substring(i))[0];
+            if (KEYWORDS.hasOwnProperty(word)) {
+                tokens.push({ type: 'op', value: KEYWORDS[word] });
+            } else if (word === 'true' || word === 'false') {
+                tokens.push({ type: 'literal', value: word === 'true' });
+            } else if (word === 'null') {
+                tokens.push({ type: 'literal', value: null });
+            } else {
+                tokens.push({ type: 'path', value: word });
+            }
+            i += word.length;
+        } else {
+            throw new Error('Unexpected character "' + ch + '" at position ' + i);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse tokens into a syntax tree (recursive descent)
+ *
+ * Precedence (lowest first): ||, &&, !, comparison
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @returns {Object} Syntax tree
+ * @throws {Error} On syntax errors
+ */
+function parse(tokens) {
+    var position = 0;
+
+    function peek() {
+        return tokens[position];
+    }
+
+    function isToken(type, value) {
+        var token = tokens[position];
+        return !!token && token.type === type && token.value === value;
+    }
+
+    function expect(type, value) {
+        if (!isToken(type, value)) {
+            var token = peek();
+            throw new Error('Expected "' + value + '" but found ' + (token ? '"' + token.value + '"' : 'end of expression'));
+        }
+        position++;
+    }
+
+    function parseOr() {
+        var node = parseAnd();
+        while (isToken('op', '||')) {
+            position++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        var node = parseNot();
+        while (isToken('op', '&&')) {
+            position++;
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+
+    function parseNot() {
+        if (isToken('op', '!')) {
+            position++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        var left = parseOperand();
+        var token = peek();
+
+        if (token && token.type === 'op' && COMPARISON_OPERATORS.indexOf(token.value) > -1) {
+            position++;
+            return { type: 'compare', operator: token.value, left: left, right: parseOperand() };
+        }
+
+        return left;
+    }
+
+    function parseOperand() {
+        var token = peek();
+
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+
+        if (isToken('punct', '(')) {
+            position++;
+            var inner = parseOr();
+            expect('punct', ')');
+            return inner;
+        }
+
+        if (isToken('punct', '[')) {
+            position++;
+            var values = [];
+            while (!isToken('punct', ']')) {
+                var item = peek();
+                if (!item || item.type !== 'literal') {
+                    throw new Error('Lists may only contain literal values');
+                }
+                values.push(item.value);
+                position++;
+                if (!isToken('punct', ']')) {
+                    expect('punct', ',');
+                }
+            }
+            position++;
+            return { type: 'literal', value: values };
+        }
+
+        if (token.type === 'literal' || token.type === 'path') {
+            position++;
+            return { type: token.type, value: token.value };
+        }
+
+        throw new Error('Unexpected "' + token.value + '"');
+    }
+
+    var tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error('Unexpected "' + tokens[position].value + '"');
+    }
+
+    return tree;
+}
+
+/**
+ * Compile an expression (cached)
+ *
+ * @param {string} expression - Rule expression
+ * @returns {Object} Syntax tree
+ * @throws {Error} If the expression is invalid
+ */
+function compile(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Condition must be a non-empty string');
+    }
+
+    if (!compiledCache.hasOwnProperty(expression)) {
+        compiledCache[expression] = parse(tokenize(expression));
+    }
+
+    return compiledCache[expression];
+}
+
+/**
+ * Convert B2C attribute values to plain values for comparison
+ *
+ * @param {*} value - Raw value (may be an EnumValue or MarkupText)
+ * @returns {*} Plain value
+ */
+function toPlainValue(value) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        if (value.value !== undefined) {
+            return value.value; // dw.value.EnumValue
+        }
+        if (value.markup !== undefined) {
+            return value.markup; // dw.content.MarkupText
+        }
+    }
+    return value;
+}
+
+/**
+ * Compare two values for equality
+ *
+ * Numbers and booleans in the expression are compared by value, everything else as strings.
+ *
+ * @param {*} actual - Value from the content asset
+ * @param {*} expected - Value from the expression
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(actual, expected) {
+    if (expected === null) {
+        return actual === null || actual === undefined;
+    }
+    if (actual === null || actual === undefined) {
+        return false;
+    }
+    if (typeof expected === 'number') {
+        return Number(actual) === expected;
+    }
+    return String(actual) === String(expected);
+}
+
+/**
+ * Evaluate a syntax tree node
+ *
+ * @param {Object} node - Syntax tree node
+ * @param {Object} contentAsset - Formatted content asset
+ * @returns {*} Node value
+ */
+function evaluateNode(node, contentAsset) {
+    switch (node.type) {
+        case 'or':
+            return !!evaluateNode(node.left, contentAsset) || !!evaluateNode(node.right, contentAsset);
+
+        case 'and':
+            return !!evaluateNode(node.left, contentAsset) && !!evaluateNode(node.right, contentAsset);
+
+        case 'not':
+            return !evaluateNode(node.operand, contentAsset);
+
+        case 'literal':
+            return node.value;
+
+        case 'path':
+            var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
+            try {
+                return toPlainValue(contentMappingHelper.getNestedProperty(contentAsset, node.value));
+            } catch (e) {
+                return null;
+            }
+
+        case 'compare':
+            var left = evaluateNode(node.left, contentAsset);
+            var right = evaluateNode(node.right, contentAsset);
+
+            if (node.operator === '==') {
+                return valuesEqual(left, right);
+            }
+            if (node.operator === '!=') {
+                return !valuesEqual(left, right);
+            }
+            if (node.operator === 'in') {
+                return Array.isArray(right) && right.some(function (candidate) {
+                    return valuesEqual(left, candidate);
+                });
+            }
+            if (node.operator === 'startsWith') {
+                return left !== null && left !== undefined && right !== null && String(left).indexOf(String(right)) === 0;
+            }
+            return false;
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Validate an expression without evaluating it
+ *
+ * @param {string} expression - Rule expression
+ * @returns {Object} Result { valid: boolean, error: string }
+ */
+function validateExpression(expression) {
+    try {
+        compile(expression);
+        return { valid: true };
+    } catch (e) {
+        return { valid: false, error: e.message };
+    }
+}
+
+/**
+ * Evaluate an expression against a content asset
+ *
+ * Invalid expressions are logged and evaluate to false.
+ *
+ * @param {string} expression - Rule expression
+ * @param {Object} contentAsset - Formatted content asset
+ * @returns {boolean} True if the expression matches
+ */
+function evaluate(expression, contentAsset) {
+    try {
+        return !!evaluateNode(compile(expression), contentAsset);
+    } catch (e) {
+        logger.warn('Invalid rule condition "' + expression + '": ' + e.message);
+        return false;
+    }
+}
+
+// Export public functions
+module.exports = {
+    evaluate: evaluate,
+    validateExpression: validateExpression
+};
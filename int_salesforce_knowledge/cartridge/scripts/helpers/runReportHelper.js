@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * Run Report Helper
+ *
+ * Writes job run reports to the IMPEX WebDAV share so they can be downloaded
+ * and reviewed outside of the log files.
+ *
+ * Reports are written to: IMPEX/src/sfknowledge/<reportType>/
+ * - dryrun/: Dry-run previews (JSON)
+ * - reports/: Per-asset results of every export run (CSV and JSON)
+ *
+ * @module scripts/helpers/runReportHelper
+ */
+
+var File = require('dw/io/File');
+var FileWriter = require('dw/io/FileWriter');
+var Calendar = require('dw/util/Calendar');
+var StringUtils = require('dw/util/StringUtils');
+var System = require('dw/system/System');
+var Logger = require('dw/system/Logger');
+var csvHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/csvHelper');
+
+var logger = Logger.getLogger('SFKnowledge', 'RunReport');
+
+/**
+ * Base IMPEX directory for all connector reports
+ * @type {string}
+ */
+var REPORT_BASE_PATH = File.IMPEX + File.SEPARATOR + 'src' + File.SEPARATOR + 'sfknowledge';
+
+/**
+ * Columns of the run report (CSV header and JSON entry fields)
+ * @type {Array<string>}
+ */
+var RUN_REPORT_COLUMNS = ['contentId', 'language', 'operation', 'success', 'publishStatus', 'knowledgeArticleId', 'versionId', 'warning', 'error'];
+
+/**
+ * Write a file to an IMPEX report directory
+ *
+ * @param {string} reportType - Report sub-directory (e.g., 'dryrun')
+ * @param {string} fileName - File name
+ * @param {string} content - File content
+ * @returns {Object} Result { success: boolean, filePath: string, error: string }
+ */
+function writeReportFile(reportType, fileName, content) {
+    var writer = null;
+
+    try {
+        var directory = new File(REPORT_BASE_PATH + File.SEPARATOR + reportType);
+        if (!directory.exists() && !directory.mkdirs()) {
+            return {
+                success: false,
+                error: 'Could not create directory: ' + directory.getFullPath()
+            };
+        }
+
+        var file = new File(directory, fileName);
+        writer = new FileWriter(file, 'UTF-8');
+        writer.write(content);
+
+        return {
+            success: true,
+            filePath: file.getFullPath()
+        };
+
+    } catch (e) {
+        logger.error('Exception writing report file ' + fileName + ': ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    } finally {
+        if (writer) {
+            writer.close();
+        }
+    }
+}
+
+/**
+ * Build a report file name for a site and run
+ *
+ * @param {string} prefix - File name prefix
+ * @param {string} siteID - Site ID
+ * @param {string} extension - File extension (without dot)
+ * @returns {string} File name, e.g. 'dryrun_RefArch_20250101-120000.json'
+ */
+function buildFileName(prefix, siteID, extension) {
+    var timestamp = StringUtils.formatCalendar(new Calendar(), 'yyyyMMdd-HHmmss');
+    return prefix + '_' + siteID + '_' + timestamp + '.' + extension;
+}
+
+/**
+ * Write dry-run report
+ *
+ * One entry per content asset and language, describing what the export would do:
+ * - would_create: No article exists, includes the payload that would be sent
+ * - would_update: Article exists and differs, includes changed fields (current → proposed)
+ * - unchanged: Article exists and matches the mapped payload
+ * - failed: Preview failed (mapping or lookup error)
+ *
+ * @param {string} siteID - Site ID
+ * @param {Object} config - Effective site configuration
+ * @param {Array<Object>} details - Batch details from knowledgeHelper.exportBatch() in dry-run mode
+ * @param {Object|null} reconciliationResult - Retired content reconciliation summary (report policy)
+ * @returns {Object} Result { success: boolean, filePath: string, summary: Object, error: string }
+ */
+function writeDryRunReport(siteID, config, details, reconciliationResult) {
+    var summary = {
+        wouldCreate: 0,
+        wouldUpdate: 0,
+        unchanged: 0,
+        failed: 0
+    };
+
+    var entries = details.map(function (detail) {
+        var action = detail.success ? detail.operation : 'failed';
+
+        if (action === 'would_create') {
+            summary.wouldCreate++;
+        } else if (action === 'would_update') {
+            summary.wouldUpdate++;
+        } else if (action === 'unchanged') {
+            summary.unchanged++;
+        } else {
+            summary.failed++;
+        }
+
+        return {
+            contentId: detail.contentId,
+            language: detail.language || null,
+            action: action,
+            knowledgeArticleId: detail.knowledgeArticleId || null,
+            versionId: detail.versionId || null,
+            publishStatus: detail.publishStatus || null,
+            changedFields: detail.changedFields || [],
+            fields: detail.fields || null,
+            error: detail.error || null
+        };
+    });
+
+    var report = {
+        siteID: siteID,
+        generatedAt: new Date().toISOString(),
+        articleType: config.articleType,
+        exportMode: config.exportMode || 'delta',
+        publishArticles: config.publishArticles || false,
+        summary: summary,
+        entries: entries,
+        retiredContent: reconciliationResult ? reconciliationResult.details : []
+    };
+
+    var writeResult = writeReportFile('dryrun', buildFileName('dryrun', siteID, 'json'), JSON.stringify(report, null, 2));
+    writeResult.summary = summary;
+
+    if (writeResult.success) {
+        logger.info('Dry-run report written to: ' + writeResult.filePath);
+    } else {
+        logger.error('Failed to write dry-run report: ' + writeResult.error);
+    }
+
+    return writeResult;
+}
+
+/**
+ * Open the run report of an export run
+ *
+ * One entry per content asset and language, written as CSV (for spreadsheets) and
+ * JSON (with run summary) to IMPEX/src/sfknowledge/reports/:
+ * - operation: create, update, update_draft, create_translation, update_translation, ... or skip
+ * - publishStatus, knowledgeArticleId, versionId: as returned by the write
+ * - warning: write succeeded with a problem (e.g., publish failed), or why content was skipped
+ *   (including articles edited in Salesforce since the last sync, counted as conflicts in the summary, and
+ *   drafts created in Salesforce by someone else, counted as humanDrafts)
+ * - error: why the write failed
+ *
+ * Entries are written as the run exports (appendRunReport()), so large runs don't keep
+ * them in memory. closeRunReport() adds the summary and closes both files.
+ *
+ * @param {string} siteID - Site ID
+ * @param {Object} config - Effective site configuration
+ * @returns {Object} Open report (pass to appendRunReport() and closeRunReport())
+ */
+function openRunReport(siteID, config) {
+    var report = {
+        siteID: siteID,
+        filePath: null,
+        jsonFilePath: null,
+        csvWriter: null,
+        jsonWriter: null,
+        entryCount: 0,
+        summary: {
+            created: 0,
+            updated: 0,
+            skipped: 0,
+            failed: 0,
+            conflicts: 0,
+            humanDrafts: 0
+        },
+        error: null
+    };
+
+    try {
+        var directory = new File(REPORT_BASE_PATH + File.SEPARATOR + 'reports');
+        if (!directory.exists() && !directory.mkdirs()) {
+            report.error = 'Could not create directory: ' + directory.getFullPath();
+            return report;
+        }
+
+        // Both files share the timestamp of the CSV file name
+        var csvFile = new File(directory, buildFileName('run', siteID, 'csv'));
+        var jsonFile = new File(directory, csvFile.getName().replace(/\.csv$/, '.json'));
+
+        report.csvWriter = new FileWriter(csvFile, 'UTF-8');
+        report.csvWriter.write(RUN_REPORT_COLUMNS.join(',') + '\r\n');
+        report.filePath = csvFile.getFullPath();
+
+        report.jsonWriter = new FileWriter(jsonFile, 'UTF-8');
+        report.jsonWriter.write('{\n  "siteID": ' + JSON.stringify(siteID) +
+            ',\n  "articleType": ' + JSON.stringify(config.articleType || null) +
+            ',\n  "exportMode": ' + JSON.stringify(config.exportMode || 'delta') +
+            ',\n  "publishArticles": ' + JSON.stringify(config.publishArticles || false) +
+            ',\n  "entries": [');
+        report.jsonFilePath = jsonFile.getFullPath();
+    } catch (e) {
+        logger.error('Exception opening run report: ' + e.message);
+        report.error = 'Exception: ' + e.message;
+    }
+
+    return report;
+}
+
+/**
+ * Write export details to an open run report
+ *
+ * @param {Object} report - Result of openRunReport()
+ * @param {Array<Object>} details - Details from knowledgeHelper.exportBatch() and bulk loads, or skipped content
+ */
+function appendRunReport(report, details) {
+    var summary = report.summary;
+    var csvLines = '';
+    var jsonEntries = '';
+
+    details.forEach(function (detail) {
+        if (detail.conflict) {
+            summary.conflicts++;
+        }
+        if (detail.humanDraft) {
+            summary.humanDrafts++;
+        }
+
+        if (!detail.success) {
+            summary.failed++;
+        } else if (detail.operation === 'skip') {
+            summary.skipped++;
+        } else if (detail.operation && detail.operation.indexOf('create') === 0) {
+            summary.created++;
+        } else {
+            summary.updated++;
+        }
+
+        var entry = {};
+        RUN_REPORT_COLUMNS.forEach(function (column) {
+            entry[column] = detail[column] === undefined ? null : detail[column];
+        });
+        entry.success = !!detail.success;
+
+        csvLines += csvHelper.toCsvLine(RUN_REPORT_COLUMNS, entry) + '\r\n';
+        jsonEntries += (report.entryCount > 0 ? ',' : '') + '\n    ' + JSON.stringify(entry);
+        report.entryCount++;
+    });
+
+    if (report.error || !report.csvWriter) {
+        return;
+    }
+
+    try {
+        report.csvWriter.write(csvLines);
+        report.jsonWriter.write(jsonEntries);
+    } catch (e) {
+        logger.error('Exception writing run report: ' + e.message);
+        report.error = 'Exception: ' + e.message;
+    }
+}
+
+/**
+ * Finish a run report: write the summary and close both files
+ *
+ * @param {Object} report - Result of openRunReport()
+ * @param {string|null} runId - Run ID of the checkpoint (null if checkpoints are disabled)
+ * @returns {Object} Result { success: boolean, filePath: string (CSV), jsonFilePath: string, summary: Object, error: string }
+ */
+function closeRunReport(report, runId) {
+    try {
+        if (report.jsonWriter && !report.error) {
+            report.jsonWriter.write('\n  ],\n  "runId": ' + JSON.stringify(runId || null) +
+                ',\n  "generatedAt": ' + JSON.stringify(new Date().toISOString()) +
+                ',\n  "summary": ' + JSON.stringify(report.summary) + '\n}\n');
+        }
+    } catch (e) {
+        logger.error('Exception writing run report: ' + e.message);
+        report.error = 'Exception: ' + e.message;
+    } finally {
+        [report.csvWriter, report.jsonWriter].forEach(function (writer) {
+            if (writer) {
+                writer.close();
+            }
+        });
+        report.csvWriter = null;
+        report.jsonWriter = null;
+    }
+
+    var result = {
+        success: !report.error,
+        filePath: report.filePath,
+        jsonFilePath: report.jsonFilePath,
+        summary: report.summary,
+        error: report.error
+    };
+
+    if (result.success) {
+        logger.info('Run report written to: ' + result.filePath + ' (JSON: ' + result.jsonFilePath + ')');
+    } else {
+        logger.error('Failed to write run report: ' + result.error);
+    }
+
+    return result;
+}
+
+/**
+ * Get the WebDAV URL of a report file, for download links
+ *
+ * @param {string} filePath - Full path of the report file (e.g., '/IMPEX/src/sfknowledge/reports/run_RefArch_20250101-120000.csv')
+ * @returns {string} URL, e.g. 'https://<instance>/on/demandware.servlet/webdav/Sites/Impex/src/sfknowledge/reports/run_RefArch_20250101-120000.csv'
+ */
+function getWebDavUrl(filePath) {
+    var impexPath = filePath.indexOf(File.IMPEX) === 0 ? filePath.substring(File.IMPEX.length) : filePath;
+    return 'https://' + System.getInstanceHostname() + '/on/demandware.servlet/webdav/Sites/Impex' + impexPath;
+}
+
+// Export public functions
+module.exports = {
+    writeDryRunReport: writeDryRunReport,
+    openRunReport: openRunReport,
+    appendRunReport: appendRunReport,
+    closeRunReport: closeRunReport,
+    getWebDavUrl: getWebDavUrl
+};
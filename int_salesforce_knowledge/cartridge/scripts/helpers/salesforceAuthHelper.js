@@ -18,11 +18,30 @@ var services = require('int_salesforce_knowledge/cartridge/scripts/services/sale
 var logger = Logger.getLogger('SFKnowledge', 'Auth');
 
 /**
- * Cache key for storing access token in request scope
+ * Cache key prefix for storing access tokens in request scope (one entry per service ID)
  * @type {string}
  */
 var CACHE_KEY = 'sf_oauth_access_token';
 
+// Service IDs with a cached token (per execution)
+var cachedServiceIds = [];
+
+/**
+ * Get the request cache key of a service
+ *
+ * Every service (Salesforce org) has its own entry, so tokens of different
+ * targets don't replace each other.
+ *
+ * @param {string} serviceId - Service ID
+ * @returns {string} Cache key
+ */
+function getCacheKey(serviceId) {
+    return CACHE_KEY + ':' + serviceId;
+}
+
+// Number of sessions renewed after expiry (per execution)
+var sessionRenewals = 0;
+
 /**
  * Get OAuth 2.0 access token from Salesforce
  *
@@ -68,9 +87,9 @@ function getAccessToken(serviceId) {
     logger.debug('Getting Salesforce OAuth access token using service: ' + serviceId);
 
     // Check request cache for existing token
-    if (request.custom && request.custom[CACHE_KEY]) {
+    if (request.custom && request.custom[getCacheKey(serviceId)]) {
         logger.debug('Using cached access token from request');
-        return request.custom[CACHE_KEY];
+        return request.custom[getCacheKey(serviceId)];
     }
 
     try {
@@ -238,7 +257,10 @@ function getAccessToken(serviceId) {
                 if (!request.custom) {
                     request.custom = {};
                 }
-                request.custom[CACHE_KEY] = authResult;
+                request.custom[getCacheKey(serviceId)] = authResult;
+                if (cachedServiceIds.indexOf(serviceId) === -1) {
+                    cachedServiceIds.push(serviceId);
+                }
 
                 return authResult;
             } else {
@@ -304,16 +326,67 @@ function getAccessToken(serviceId) {
  *
  * Use this to force token refresh on next getAccessToken() call
  *
+ * @param {string} [serviceId] - Service ID (default: clear the tokens of all services)
+ *
  * @example
  * // After API call fails with 401 Unauthorized
- * authHelper.clearCachedToken();
- * var newAuth = authHelper.getAccessToken();
+ * authHelper.clearCachedToken('salesforce.oauth');
+ * var newAuth = authHelper.getAccessToken('salesforce.oauth');
  */
-function clearCachedToken() {
-    if (request.custom && request.custom[CACHE_KEY]) {
-        delete request.custom[CACHE_KEY];
-        logger.debug('Cleared cached access token');
+function clearCachedToken(serviceId) {
+    var serviceIds = serviceId ? [serviceId] : cachedServiceIds.slice();
+
+    serviceIds.forEach(function (id) {
+        if (request.custom && request.custom[getCacheKey(id)]) {
+            delete request.custom[getCacheKey(id)];
+            logger.debug('Cleared cached access token of service: ' + id);
+        }
+
+        var index = cachedServiceIds.indexOf(id);
+        if (index !== -1) {
+            cachedServiceIds.splice(index, 1);
+        }
+    });
+}
+
+/**
+ * Renew an expired or revoked session
+ *
+ * Called by the Knowledge service when a request fails with 401 / INVALID_SESSION_ID.
+ * If the cached token already differs from the expired one (renewed by an earlier
+ * call), it is returned without authenticating again.
+ *
+ * @param {string} serviceId - Service ID
+ * @param {string} expiredToken - Access token that was rejected
+ * @returns {Object} Authentication result (same as getAccessToken())
+ */
+function renewAccessToken(serviceId, expiredToken) {
+    var cached = request.custom ? request.custom[getCacheKey(serviceId)] : null;
+    if (cached && cached.success && cached.accessToken !== expiredToken) {
+        return cached;
+    }
+
+    logger.warn('Salesforce session expired or was revoked, authenticating again');
+    clearCachedToken(serviceId);
+
+    var authResult = getAccessToken(serviceId);
+    if (authResult.success) {
+        sessionRenewals++;
+        logger.info('Salesforce session renewed (' + sessionRenewals + ' renewal(s) in this run)');
+    } else {
+        logger.error('Session renewal failed: ' + authResult.error);
     }
+
+    return authResult;
+}
+
+/**
+ * Get number of sessions renewed in this run
+ *
+ * @returns {number} Session renewals
+ */
+function getSessionRenewalCount() {
+    return sessionRenewals;
 }
 
 /**
@@ -437,5 +510,7 @@ function validateConfiguration(serviceId) {
 module.exports = {
     getAccessToken: getAccessToken,
     clearCachedToken: clearCachedToken,
+    renewAccessToken: renewAccessToken,
+    getSessionRenewalCount: getSessionRenewalCount,
     validateConfiguration: validateConfiguration
 };
@@ -81,7 +81,8 @@ function getFirstConfiguredGroup(config) {
  *
  * Priority:
  * 1. Content-level custom field (if exists)
- * 2. Site-level defaults from config
+ * 2. knowledgeMapping.json conditionalRules DataCategory / categoryMapping (if enabled)
+ * 3. Site-level defaults from config
  *
  * @param {Object} contentAsset - Formatted content asset
  * @param {Object} config - Site configuration
@@ -104,7 +105,19 @@ function getDataCategories(contentAsset, config, enableDebugLogging) {
         }
     }
 
-    // Step 2: Fall back to site-level defaults
+    // Step 2: Categories from knowledgeMapping.json (conditionalRules, categoryMapping)
+    if (config && config.mappingRules) {
+        var knowledgeMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/knowledgeMappingHelper');
+        var mappedCategories = knowledgeMappingHelper.getMappedDataCategories(contentAsset, config.mappingRules);
+        if (mappedCategories) {
+            if (enableDebugLogging) {
+                logger.debug('Using mapped data categories: ' + JSON.stringify(mappedCategories));
+            }
+            return mappedCategories;
+        }
+    }
+
+    // Step 3: Fall back to site-level defaults
     if (config && config.dataCategories) {
         if (enableDebugLogging) {
             logger.debug('No content-level categories, using site defaults: ' + JSON.stringify(config.dataCategories));
@@ -112,7 +125,7 @@ function getDataCategories(contentAsset, config, enableDebugLogging) {
         return config.dataCategories;
     }
 
-    // Step 3: No categories configured
+    // Step 4: No categories configured
     return null;
 }
 
@@ -239,18 +252,10 @@ function collectAllDataCategories(config, contentAssets) {
         addCategories(config.dataCategories);
     }
 
-    // Add content-level categories
+    // Add content-level (and knowledgeMapping.json) categories
     if (contentAssets && contentAssets.length > 0) {
-        var dataCategoryField = (config && config.dataCategoryField) || 'custom.sfDataCategory';
-
         for (var i = 0; i < contentAssets.length; i++) {
-            var contentAsset = contentAssets[i];
-            var contentValue = getNestedProperty(contentAsset, dataCategoryField);
-
-            if (contentValue) {
-                var contentCategories = parseDataCategoryValue(contentValue, config);
-                addCategories(contentCategories);
-            }
+            addCategories(getDataCategories(contentAssets[i], config, false));
         }
     }
 
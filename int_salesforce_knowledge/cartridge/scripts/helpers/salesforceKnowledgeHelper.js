@@ -15,6 +15,8 @@ var Logger = require('dw/system/Logger');
 var authHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceAuthHelper');
 var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
 var toolingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceToolingHelper');
+var knowledgeMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/knowledgeMappingHelper');
+var recordTypeHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/recordTypeHelper');
 
 // Get services from service definition file
 var services = require('int_salesforce_knowledge/cartridge/scripts/services/salesforceKnowledgeService');
@@ -34,6 +36,68 @@ var API_VERSION = 'v58.0';
  */
 var EXTERNAL_ID_FIELD = 'SFCC_External_ID__c';
 
+/**
+ * Source field name (library and target that wrote the article, see addSyncSource)
+ * @type {string}
+ */
+var SOURCE_FIELD = 'SFCC_Source__c';
+
+/**
+ * Maximum number of external IDs per prefetch query (keeps the query URL short)
+ * @type {number}
+ */
+var PREFETCH_CHUNK_SIZE = 100;
+
+// Article versions prefetched for the current batch (set by exportBatch)
+// Structure: { "articleType|externalId|language": record or null (no article) }
+var prefetchedArticles = null;
+
+/**
+ * Maximum number of records per sObject Collections request
+ * @type {number}
+ */
+var COLLECTION_SIZE = 200;
+
+/**
+ * How articles edited in Salesforce since their last sync are handled (conflictPolicy)
+ * @type {Object}
+ */
+var CONFLICT_POLICY = {
+    OVERWRITE: 'overwrite',
+    SKIP: 'skip',
+    DRAFT: 'draft'
+};
+
+/**
+ * What happens to an article in conflict, by action (for logs and warnings)
+ * @type {Object}
+ */
+var CONFLICT_ACTION_MESSAGES = {
+    overwrite: 'overwritten',
+    skip: 'not written',
+    draft: 'written as a draft for review'
+};
+
+/**
+ * How drafts created in Salesforce by someone else than the integration user are handled (humanDraftPolicy)
+ * @type {Object}
+ */
+var HUMAN_DRAFT_POLICY = {
+    SKIP: 'skip',
+    MERGE: 'merge',
+    REPLACE: 'replace'
+};
+
+/**
+ * What happens to a draft created in Salesforce, by action (for logs and warnings)
+ * @type {Object}
+ */
+var HUMAN_DRAFT_ACTION_MESSAGES = {
+    skip: 'left alone',
+    merge: 'merged (connector fields only)',
+    replace: 'replaced'
+};
+
 /**
  * Upsert Knowledge Article with Versioning Support
  *
@@ -44,11 +108,15 @@ var EXTERNAL_ID_FIELD = 'SFCC_External_ID__c';
  * 4. Queries for existing article by SFCC_External_ID__c
  * 5. Handles versioning:
  *    - If Online (Published): Create draft via editOnlineArticle
- *    - If Draft exists: Update draft directly
+ *    - If Draft exists: Update draft directly (drafts created in Salesforce by someone else: see humanDraftPolicy)
  *    - If doesn't exist: Create new article
- * 6. Publishes the draft version
+ *    - With contentHash: skipped if the mapped payload did not change since the last write (operation 'skip')
+ *    - If edited in Salesforce since the last sync: handled by conflictPolicy (see detectConflict)
+ * 6. Publishes the draft version (not for conflicts written as a draft)
  * 7. Returns result with KnowledgeArticleId (stable across versions)
  *
+ * With translationMode 'linked', non-master languages are handled by upsertTranslation instead.
+ *
  * @param {Object} contentAsset - Formatted content asset object
  * @param {Object} config - Configuration object
  * @param {string} config.articleType - Knowledge Article Type (default: Knowledge__kav)
@@ -58,132 +126,48 @@ var EXTERNAL_ID_FIELD = 'SFCC_External_ID__c';
  * @returns {boolean} result.success - Whether operation succeeded
  * @returns {string} result.knowledgeArticleId - Stable master article ID (if success)
  * @returns {string} result.versionId - Draft version ID (if success)
- * @returns {string} result.operation - 'create', 'update', or 'publish' (if success)
+ * @returns {string} result.operation - 'create', 'update', 'create_translation', 'update_translation' or 'skip' (if success)
+ * @returns {string} result.payloadHash - Content hash of the written payload (if contentHash is enabled and the write had no warning)
+ * @returns {Object} result.conflict - Edit made in Salesforce since the last sync (if detected, see detectConflict)
+ * @returns {Object} result.humanDraft - Draft created in Salesforce by someone else (if found, see getHumanDraft)
  * @returns {string} result.error - Error message (if failed)
  */
 function upsertKnowledgeArticle(contentAsset, config) {
     logger.debug('Upserting knowledge article for content asset: ' + contentAsset.ID);
 
     try {
-        // Get configuration from parameters
-        var articleType = (config && config.articleType) || 'Knowledge__kav';
-        var fieldMappingJSON = (config && config.fieldMapping) || '{}';
-        var dataCategory = (config && config.dataCategory) || null;
-        var enableDebugLogging = (config && config.enableDebugLogging) || false;
-        var publishArticles = (config && config.publishArticles) || false;
-        var serviceID = (config && config.serviceID) || null;
-
-        // Validate serviceID is provided
-        if (!serviceID || serviceID.trim() === '') {
-            logger.error('Service ID not provided in config');
-            return {
-                success: false,
-                error: 'Service ID is required but not provided in configuration'
-            };
+        var prepared = prepareArticleWrite(contentAsset, config);
+        if (prepared.done) {
+            return prepared.result;
         }
 
-        var fieldMapping;
-        try {
-            fieldMapping = JSON.parse(fieldMappingJSON);
-        } catch (e) {
-            logger.error('Invalid field mapping JSON: ' + e.message);
-            return {
-                success: false,
-                error: 'Invalid field mapping configuration'
-            };
-        }
-
-        // Note: Field validation (including SFCC_External_ID__c) is now handled upfront
-        // in Step 4.5 by toolingHelper.ensureAllMappedFieldsExist() before processing any articles
-
-        // Get OAuth token
-        var authResult = authHelper.getAccessToken(serviceID);
-        if (!authResult.success) {
-            logger.error('Authentication failed: ' + authResult.error);
-            return {
-                success: false,
-                error: 'Authentication failed: ' + authResult.error
-            };
-        }
-
-        logger.debug('Authentication successful, checking for existing article');
-
-        // Get language from contentAsset or config, default to en_US
-        var language = (contentAsset && contentAsset.language) || (config && config.language) || 'en_US';
-        logger.debug('Using language for article lookup: ' + language);
-
-        // Add language to config for mapping function to use
-        if (config) {
-            config.language = language;
-        }
-
-        // Find existing article by SFCC_External_ID__c AND Language
-        var existingArticle = findArticleByExternalId(
-            authResult.accessToken,
-            authResult.instanceUrl,
-            contentAsset.ID,
-            articleType,
-            language,
-            serviceID
-        );
-
+        var enableDebugLogging = prepared.config.enableDebugLogging || false;
+        var publishArticles = isPublishAllowed(prepared);
         var result;
 
-        if (existingArticle) {
-            logger.info('[' + contentAsset.ID + '] Found existing article: KnowledgeArticleId=' + existingArticle.KnowledgeArticleId + ', PublishStatus=' + existingArticle.PublishStatus);
-
-            // Map content asset to article format for UPDATE (isCreate = false)
-            var updateData = contentMappingHelper.mapContentToArticle(contentAsset, articleType, fieldMapping, dataCategory, false, enableDebugLogging, config);
-
-            if (!updateData || Object.keys(updateData).length <= 1) {
-                logger.error('[' + contentAsset.ID + '] Article mapping resulted in empty data');
-                return {
-                    success: false,
-                    error: 'Failed to map content to article'
-                };
-            }
-
-            // Ensure External ID is included in article data
-            updateData[EXTERNAL_ID_FIELD] = contentAsset.ID;
-
+        if (prepared.existingArticle) {
             // Update existing article with versioning support
             result = updateArticleWithVersioning(
-                authResult.accessToken,
-                authResult.instanceUrl,
-                existingArticle,
-                updateData,
-                articleType,
+                prepared.authResult.accessToken,
+                prepared.authResult.instanceUrl,
+                prepared.existingArticle,
+                prepared.articleData,
+                prepared.articleType,
                 enableDebugLogging,
                 publishArticles,
-                serviceID,
+                prepared.config.serviceID,
                 contentAsset.ID
             );
         } else {
-            logger.info('[' + contentAsset.ID + '] No existing article found, creating new article');
-
-            // Map content asset to article format for CREATE (isCreate = true)
-            var createData = contentMappingHelper.mapContentToArticle(contentAsset, articleType, fieldMapping, dataCategory, true, enableDebugLogging, config);
-
-            if (!createData || Object.keys(createData).length <= 1) {
-                logger.error('[' + contentAsset.ID + '] Article mapping resulted in empty data');
-                return {
-                    success: false,
-                    error: 'Failed to map content to article'
-                };
-            }
-
-            // Ensure External ID is included in article data
-            createData[EXTERNAL_ID_FIELD] = contentAsset.ID;
-
             // Create new article
             result = createArticle(
-                authResult.accessToken,
-                authResult.instanceUrl,
-                createData,
-                articleType,
+                prepared.authResult.accessToken,
+                prepared.authResult.instanceUrl,
+                prepared.articleData,
+                prepared.articleType,
                 enableDebugLogging,
                 publishArticles,
-                serviceID,
+                prepared.config.serviceID,
                 contentAsset.ID
             );
         }
@@ -191,6 +175,9 @@ function upsertKnowledgeArticle(contentAsset, config) {
         // Add content ID to result
         if (result) {
             result.contentId = contentAsset.ID;
+            addPayloadHash(result, prepared.payloadHash);
+            addConflict(result, prepared.conflict);
+            addHumanDraft(result, prepared.humanDraft);
         }
 
         return result;
@@ -206,658 +193,2631 @@ function upsertKnowledgeArticle(contentAsset, config) {
 }
 
 /**
- * Find existing Knowledge Article by SFCC External ID
- *
- * Queries Salesforce for articles matching the B2C Content Asset ID.
- * Uses KnowledgeArticleId as the stable reference across versions.
- * IMPORTANT: Prioritizes Draft versions over Online versions to avoid duplicate draft creation.
+ * Prepare the write for a content asset
  *
- * Strategy:
- * 1. First search for Draft version (if exists, use it for updates)
- * 2. If no Draft, search for Online version (will need to create draft from it)
- * 3. This prevents "TRANSLATIONALREADYEXIST" error when draft already exists
+ * Runs everything upsertKnowledgeArticle does before the create or update call:
+ * authentication, per-asset settings, existing article lookup, mapping and validation.
+ * Translations (translationMode 'linked') are written here directly.
  *
- * @param {string} accessToken - OAuth access token
- * @param {string} instanceUrl - Salesforce instance URL
- * @param {string} externalId - B2C Content Asset ID
- * @param {string} articleType - Knowledge Article Type (e.g., 'Knowledge__kav')
- * @param {string} language - Language code (e.g., 'en_US', 'es', 'fr') - defaults to 'en_US'
- * @param {string} serviceID - Service ID for Salesforce API
- * @returns {Object|null} Article object or null if not found
- * @returns {string} article.Id - Salesforce version record ID
- * @returns {string} article.KnowledgeArticleId - Master article ID (stable across versions)
- * @returns {string} article.PublishStatus - Publish status (Online, Draft, etc.)
+ * @param {Object} contentAsset - Formatted content asset object
+ * @param {Object} config - Configuration object
+ * @returns {Object} Prepared write
+ * @returns {boolean} result.done - True if there is nothing left to write (result holds the upsert result)
+ * @returns {Object} result.result - Upsert result (if done)
+ * @returns {string} result.articleType - Resolved Knowledge Article Type (if not done)
+ * @returns {Object} result.config - Per-asset configuration (if not done)
+ * @returns {Object} result.authResult - Authentication result (if not done)
+ * @returns {Object|null} result.existingArticle - Existing article version, or null to create (if not done)
+ * @returns {Object} result.articleData - Mapped and validated article data (if not done)
+ * @returns {string|null} result.payloadHash - Content hash of articleData (if not done and contentHash is enabled)
+ * @returns {Object|null} result.conflict - Edit made in Salesforce since the last sync, with policy and action (if not done)
+ * @returns {Object|null} result.humanDraft - Draft created in Salesforce that is replaced, with policy and action (if not done)
  */
-function findArticleByExternalId(accessToken, instanceUrl, externalId, articleType, language, serviceID) {
-    // Default language to en_US if not provided
-    var lang = language || 'en_US';
-
-    logger.debug('Searching for existing article with SFCC_External_ID__c: ' + externalId + ', Language: ' + lang);
+function prepareArticleWrite(contentAsset, config) {
+    // Get configuration from parameters
+    var articleType = (config && config.articleType) || 'Knowledge__kav';
+    var fieldMappingJSON = (config && config.fieldMapping) || '{}';
+    var dataCategory = (config && config.dataCategory) || null;
+    var enableDebugLogging = (config && config.enableDebugLogging) || false;
+    var serviceID = (config && config.serviceID) || null;
+
+    // Validate serviceID is provided
+    if (!serviceID || serviceID.trim() === '') {
+        logger.error('Service ID not provided in config');
+        return {
+            done: true,
+            result: {
+                success: false,
+                error: 'Service ID is required but not provided in configuration'
+            }
+        };
+    }
 
+    var fieldMapping;
     try {
-        var escapedId = externalId.replace(/'/g, "\\'");
-        var service = services.getKnowledgeService(serviceID);
-        if (!service) {
-            logger.error('Knowledge API service not found for serviceID: ' + serviceID);
-            return null;
-        }
-
-        // STEP 1: First, search for Draft version (highest priority)
-        var draftQuery = "SELECT Id, KnowledgeArticleId, Title, " + EXTERNAL_ID_FIELD + ", Language, PublishStatus, VersionNumber " +
-            "FROM " + articleType +
-            " WHERE " + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
-            "AND Language = '" + lang + "' " +
-            "AND PublishStatus = 'Draft' " +
-            "ORDER BY VersionNumber DESC LIMIT 1";
+        fieldMapping = JSON.parse(fieldMappingJSON);
+    } catch (e) {
+        logger.error('Invalid field mapping JSON: ' + e.message);
+        return {
+            done: true,
+            result: {
+                success: false,
+                error: 'Invalid field mapping configuration'
+            }
+        };
+    }
 
-        logger.debug('Query (Draft): ' + draftQuery);
+    // Note: Field validation (including SFCC_External_ID__c) is now handled upfront
+    // in Step 4.5 by toolingHelper.ensureAllMappedFieldsExist() before processing any articles
 
-        var draftResult = service.call({
-            accessToken: accessToken,
-            instanceUrl: instanceUrl,
-            endpoint: '/query?q=' + encodeURIComponent(draftQuery),
-            method: 'GET',
-            body: {}
-        });
+    // Get OAuth token
+    var authResult = authHelper.getAccessToken(serviceID);
+    if (!authResult.success) {
+        logger.error('Authentication failed: ' + authResult.error);
+        return {
+            done: true,
+            result: {
+                success: false,
+                error: 'Authentication failed: ' + authResult.error
+            }
+        };
+    }
 
-        if (draftResult.status === 'OK' && draftResult.object && draftResult.object.success) {
-            var draftRecords = draftResult.object.data.records;
+    logger.debug('Authentication successful, checking for existing article');
 
-            if (draftRecords && draftRecords.length > 0) {
-                var draftArticle = draftRecords[0];
-                logger.debug('[' + externalId + '] Found existing DRAFT article: Id=' + draftArticle.Id + ', KnowledgeArticleId=' + draftArticle.KnowledgeArticleId + ', Language=' + lang + ', PublishStatus=' + draftArticle.PublishStatus);
-                return draftArticle;
-            }
-        }
+    // Get language from contentAsset or config, default to en_US
+    var language = (contentAsset && contentAsset.language) || (config && config.language) || 'en_US';
+    logger.debug('Using language for article lookup: ' + language);
 
-        // STEP 2: No Draft found, search for Online version
-        logger.debug('No draft found, searching for Online version');
+    // Add language to config for mapping function to use
+    if (config) {
+        config.language = language;
+    }
 
-        var onlineQuery = "SELECT Id, KnowledgeArticleId, Title, " + EXTERNAL_ID_FIELD + ", Language, PublishStatus, VersionNumber " +
-            "FROM " + articleType +
-            " WHERE " + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
-            "AND Language = '" + lang + "' " +
-            "AND PublishStatus = 'Online' " +
-            "ORDER BY VersionNumber DESC LIMIT 1";
+    // Per-asset article type and record type from knowledgeMapping.json (contentTypeMapping, conditionalRules)
+    var assetSettings = resolveAssetConfig(contentAsset, config, authResult);
+    if (assetSettings.error) {
+        return {
+            done: true,
+            result: {
+                success: false,
+                error: assetSettings.error,
+                contentId: contentAsset.ID
+            }
+        };
+    }
+    articleType = assetSettings.articleType;
+    config = assetSettings.config;
 
-        logger.debug('Query (Online): ' + onlineQuery);
+    // Non-master languages are linked to the master article as translations (translationMode: 'linked')
+    if (isTranslation(contentAsset, config)) {
+        var translationResult = upsertTranslation(contentAsset, config, authResult, fieldMapping);
+        translationResult.contentId = contentAsset.ID;
+        return {
+            done: true,
+            result: translationResult
+        };
+    }
 
-        var onlineResult = service.call({
-            accessToken: accessToken,
-            instanceUrl: instanceUrl,
-            endpoint: '/query?q=' + encodeURIComponent(onlineQuery),
-            method: 'GET',
-            body: {}
-        });
+    // Find existing article by SFCC_External_ID__c AND Language
+    var existingArticle = findArticleByExternalId(
+        authResult.accessToken,
+        authResult.instanceUrl,
+        contentAsset.ID,
+        articleType,
+        language,
+        serviceID
+    );
+
+    if (existingArticle) {
+        logger.info('[' + contentAsset.ID + '] Found existing article: KnowledgeArticleId=' + existingArticle.KnowledgeArticleId + ', PublishStatus=' + existingArticle.PublishStatus);
+    } else {
+        logger.info('[' + contentAsset.ID + '] No existing article found, creating new article');
+    }
 
-        if (onlineResult.status === 'OK' && onlineResult.object && onlineResult.object.success) {
-            var onlineRecords = onlineResult.object.data.records;
+    // Map content asset to article format (Language and Record Type only on CREATE)
+    var articleData = contentMappingHelper.mapContentToArticle(contentAsset, articleType, fieldMapping, dataCategory, !existingArticle, enableDebugLogging, config);
 
-            if (onlineRecords && onlineRecords.length > 0) {
-                var onlineArticle = onlineRecords[0];
-                logger.debug('Found existing ONLINE article: Id=' + onlineArticle.Id + ', KnowledgeArticleId=' + onlineArticle.KnowledgeArticleId + ', Language=' + lang + ', PublishStatus=' + onlineArticle.PublishStatus);
-                return onlineArticle;
+    if (!articleData || Object.keys(articleData).length <= 1) {
+        logger.error('[' + contentAsset.ID + '] Article mapping resulted in empty data');
+        return {
+            done: true,
+            result: {
+                success: false,
+                error: 'Failed to map content to article'
             }
-        }
+        };
+    }
 
-        // STEP 3: No Draft or Online found, try Archived or other statuses
-        logger.debug('No draft or online found, searching all statuses');
+    // Ensure External ID is included in article data
+    articleData[EXTERNAL_ID_FIELD] = contentAsset.ID;
+    addSyncSource(articleData, articleType, config);
 
-        var allQuery = "SELECT Id, KnowledgeArticleId, Title, " + EXTERNAL_ID_FIELD + ", Language, PublishStatus, VersionNumber " +
-            "FROM " + articleType +
-            " WHERE " + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
-            "AND Language = '" + lang + "' " +
-            "ORDER BY VersionNumber DESC LIMIT 1";
+    var validation = checkValidationRules(contentAsset.ID, articleData, config);
+    if (validation) {
+        return {
+            done: true,
+            result: validation
+        };
+    }
 
-        logger.debug('Query (All): ' + allQuery);
+    // contentHash: leave the article alone if the payload did not change since the last write
+    var payloadHash = config && config.contentHash ? contentMappingHelper.getPayloadHash(articleData, articleType) : null;
+    if (payloadHash && existingArticle && isPayloadUnchanged(contentAsset, language, payloadHash, existingArticle, config)) {
+        logger.info('[' + contentAsset.ID + '] Payload unchanged since last sync (' + language + '), skipping update');
+        return {
+            done: true,
+            result: getUnchangedResult(existingArticle.KnowledgeArticleId, existingArticle, payloadHash, contentAsset.ID)
+        };
+    }
 
-        var allResult = service.call({
-            accessToken: accessToken,
-            instanceUrl: instanceUrl,
-            endpoint: '/query?q=' + encodeURIComponent(allQuery),
-            method: 'GET',
-            body: {}
-        });
+    // humanDraftPolicy: the existing draft was created in Salesforce by someone else
+    var humanDraft = existingArticle ? getHumanDraft(contentAsset, existingArticle, authResult, config) : null;
+    if (humanDraft) {
+        logger.warn('[' + contentAsset.ID + '] Draft ' + humanDraft.draftVersionId + ' (' + language + ') was created in Salesforce by ' +
+            humanDraft.createdById + ', humanDraftPolicy ' + humanDraft.policy);
 
-        if (allResult.status === 'OK' && allResult.object && allResult.object.success) {
-            var allRecords = allResult.object.data.records;
+        if (humanDraft.policy === HUMAN_DRAFT_POLICY.SKIP) {
+            return {
+                done: true,
+                result: getHumanDraftResult(existingArticle, humanDraft, contentAsset.ID)
+            };
+        }
 
-            if (allRecords && allRecords.length > 0) {
-                var article = allRecords[0];
-                logger.info('[' + externalId + '] Found existing article (other status): Id=' + article.Id + ', KnowledgeArticleId=' + article.KnowledgeArticleId + ', Language=' + lang + ', PublishStatus=' + article.PublishStatus);
-                return article;
-            }
+        if (humanDraft.policy === HUMAN_DRAFT_POLICY.MERGE) {
+            return {
+                done: true,
+                result: mergeHumanDraft(contentAsset, language, existingArticle, articleData, articleType, config, authResult, humanDraft)
+            };
         }
+    }
 
-        logger.debug('No existing article found with SFCC_External_ID__c: ' + externalId + ', Language: ' + lang);
-        return null;
+    // conflictPolicy: the article was edited in Salesforce since the last sync (drafts of others are handled above)
+    var conflict = existingArticle && !humanDraft ? detectConflict(contentAsset, language, existingArticle, authResult) : null;
+    if (conflict) {
+        conflict.policy = getConflictPolicy(contentAsset, config);
+        conflict.action = getConflictAction(conflict, existingArticle);
 
-    } catch (e) {
-        logger.error('Exception searching for article: ' + e.message);
-        return null;
+        logger.warn('[' + contentAsset.ID + '] Article edited in Salesforce by ' + conflict.lastModifiedById + ' at ' + conflict.lastModifiedDate +
+            ' since the last sync (' + language + '), conflictPolicy ' + conflict.policy + ': ' + CONFLICT_ACTION_MESSAGES[conflict.action]);
+
+        if (conflict.action === CONFLICT_POLICY.SKIP) {
+            return {
+                done: true,
+                result: getConflictResult(existingArticle, conflict, contentAsset.ID)
+            };
+        }
     }
+
+    return {
+        done: false,
+        articleType: articleType,
+        config: config,
+        authResult: authResult,
+        existingArticle: existingArticle,
+        articleData: articleData,
+        payloadHash: payloadHash,
+        conflict: conflict,
+        humanDraft: humanDraft
+    };
 }
 
 /**
- * Update Article with Versioning Support
+ * Add the source marker to mapped article data
  *
- * Handles Knowledge versioning:
- * - If Online (Published): Creates draft via editOnlineArticle REST API
- * - If Draft: Updates draft directly
- * Then optionally publishes the updated draft based on publishArticles flag.
+ * The job sets config.syncSource ({ articleType, value }) once SFCC_Source__c exists on
+ * the site article type. Articles of other article types (contentTypeMapping,
+ * conditionalRules) are written without it.
  *
- * @param {string} accessToken - OAuth access token
- * @param {string} instanceUrl - Salesforce instance URL
- * @param {Object} existingArticle - Existing article object from query
- * @param {Object} articleData - Article data to update
- * @param {string} articleType - Knowledge Article Type
- * @param {boolean} enableDebugLogging - Enable debug logging
- * @param {boolean} publishArticles - Whether to publish the article (true) or keep as draft (false)
- * @param {string} serviceID - Service ID for Salesforce API
- * @param {string} contentId - Content Asset ID for logging
- * @returns {Object} Update result
+ * @param {Object} articleData - Mapped article data (changed in place)
+ * @param {string} articleType - Knowledge Article Type of the write
+ * @param {Object} config - Configuration object
  */
-function updateArticleWithVersioning(accessToken, instanceUrl, existingArticle, articleData, articleType, enableDebugLogging, publishArticles, serviceID, contentId) {
+function addSyncSource(articleData, articleType, config) {
+    if (config && config.syncSource && config.syncSource.articleType === articleType) {
+        articleData[SOURCE_FIELD] = config.syncSource.value;
+    }
+}
+
+/**
+ * Check whether an existing article version already has the mapped payload (contentHash)
+ *
+ * The payload is unchanged when its hash matches the hash stored after the last write
+ * of this content asset and language. With publishArticles, versions that are not
+ * Online are written again, so a failed publish is retried. Content assets in
+ * ForceFullForIDs are always written.
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {string} language - Salesforce language
+ * @param {string} payloadHash - Content hash of the mapped payload
+ * @param {Object} existingVersion - Existing article version ({ PublishStatus })
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if the write can be skipped
+ */
+function isPayloadUnchanged(contentAsset, language, payloadHash, existingVersion, config) {
+    if (config.forcedContentIDs && config.forcedContentIDs.indexOf(contentAsset.ID) !== -1) {
+        return false;
+    }
+    if (config.publishArticles && existingVersion.PublishStatus !== 'Online') {
+        return false;
+    }
+    return contentMappingHelper.getStoredPayloadHash(contentAsset, language) === payloadHash;
+}
+
+/**
+ * Build the upsert result of a content asset whose payload did not change
+ *
+ * @param {string} knowledgeArticleId - Master article ID
+ * @param {Object} existingVersion - Existing article version ({ Id, PublishStatus })
+ * @param {string} payloadHash - Content hash of the mapped payload
+ * @param {string} contentId - Content Asset ID
+ * @returns {Object} Upsert result with operation 'skip'
+ */
+function getUnchangedResult(knowledgeArticleId, existingVersion, payloadHash, contentId) {
+    return {
+        success: true,
+        knowledgeArticleId: knowledgeArticleId,
+        versionId: existingVersion.Id,
+        operation: 'skip',
+        publishStatus: existingVersion.PublishStatus === 'Online' ? 'online' : 'draft',
+        warning: 'Unchanged since last sync (content hash)',
+        payloadHash: payloadHash,
+        contentId: contentId
+    };
+}
+
+/**
+ * Add the content hash to a successful upsert result
+ *
+ * Writes with a warning (publish or data category assignment failed) get no hash, so
+ * the next run writes them again.
+ *
+ * @param {Object} result - Upsert result (changed in place)
+ * @param {string|null} payloadHash - Content hash of the written payload
+ */
+function addPayloadHash(result, payloadHash) {
+    if (payloadHash && result.success && !result.warning && !result.payloadHash) {
+        result.payloadHash = payloadHash;
+    }
+}
+
+/**
+ * Parse a Salesforce datetime value
+ *
+ * The REST API returns datetimes with an offset without colon (2024-02-17T10:30:00.000+0000),
+ * which Date does not parse.
+ *
+ * @param {string} value - Salesforce datetime
+ * @returns {Date|null} Parsed date, or null if the value is empty or invalid
+ */
+function parseSalesforceDateTime(value) {
+    if (!value) {
+        return null;
+    }
+
+    var date = new Date(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether an existing article version was edited in Salesforce since the last sync
+ *
+ * A version is in conflict when another user than the integration user (userId of the
+ * OAuth token) modified it after the last sync of this content asset and language
+ * (sfLanguageSyncData). Versions the connector wrote that someone only published are not
+ * in conflict.
+ *
+ * Skipped conflicts and conflicts written as a draft keep the sync metadata of the last
+ * sync, so they are detected again on the next run. The draft written for a conflict is
+ * updated while it is a draft; once it is published, the conflict is resolved.
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {string} language - Salesforce language
+ * @param {Object} existingVersion - Existing article version ({ Id, PublishStatus, LastModifiedDate, LastModifiedById })
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @returns {Object|null} Conflict { lastModifiedById, lastModifiedDate, draftVersionId }, or null if there is none
+ */
+function detectConflict(contentAsset, language, existingVersion, authResult) {
+    var syncMetadata = contentMappingHelper.getLanguageSyncMetadata(contentAsset, language);
+    if (!syncMetadata || !syncMetadata.lastSyncDateTime || !authResult.userId) {
+        return null;
+    }
+
+    var openConflict = syncMetadata.conflict;
+    if (openConflict && openConflict.draftVersionId && openConflict.draftVersionId === existingVersion.Id) {
+        return existingVersion.PublishStatus === 'Draft' ? openConflict : null;
+    }
+
+    if (existingVersion.PublishStatus === 'Online' && existingVersion.Id === syncMetadata.versionId) {
+        return null;
+    }
+
+    var lastModifiedDate = parseSalesforceDateTime(existingVersion.LastModifiedDate);
+    if (!lastModifiedDate || !existingVersion.LastModifiedById || existingVersion.LastModifiedById === authResult.userId ||
+            lastModifiedDate.getTime() <= syncMetadata.lastSyncDateTime.getTime()) {
+        return null;
+    }
+
+    return {
+        lastModifiedById: existingVersion.LastModifiedById,
+        lastModifiedDate: lastModifiedDate.toISOString(),
+        draftVersionId: null
+    };
+}
+
+/**
+ * Get the conflict policy of a content asset
+ *
+ * Content assets in ForceFullForIDs are always overwritten.
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object} config - Configuration object
+ * @returns {string} CONFLICT_POLICY value
+ */
+function getConflictPolicy(contentAsset, config) {
+    if (config.forcedContentIDs && config.forcedContentIDs.indexOf(contentAsset.ID) !== -1) {
+        return CONFLICT_POLICY.OVERWRITE;
+    }
+    return config.conflictPolicy || CONFLICT_POLICY.OVERWRITE;
+}
+
+/**
+ * Get what is done with a conflict
+ *
+ * Usually the policy itself. An article has at most one draft per language, so with
+ * policy 'draft' an existing draft edited by someone else is left alone (skip).
+ *
+ * @param {Object} conflict - Conflict from detectConflict() with policy
+ * @param {Object} existingVersion - Existing article version ({ Id, PublishStatus })
+ * @returns {string} CONFLICT_POLICY value
+ */
+function getConflictAction(conflict, existingVersion) {
+    if (conflict.policy === CONFLICT_POLICY.DRAFT && existingVersion.PublishStatus === 'Draft' &&
+            existingVersion.Id !== conflict.draftVersionId) {
+        return CONFLICT_POLICY.SKIP;
+    }
+    return conflict.policy;
+}
+
+/**
+ * Build the upsert result of a content asset whose article is left alone because of a conflict
+ *
+ * @param {Object} existingVersion - Existing article version ({ Id, KnowledgeArticleId, PublishStatus })
+ * @param {Object} conflict - Conflict with policy and action
+ * @param {string} contentId - Content Asset ID
+ * @returns {Object} Upsert result with operation 'skip'
+ */
+function getConflictResult(existingVersion, conflict, contentId) {
+    var result = {
+        success: true,
+        knowledgeArticleId: existingVersion.KnowledgeArticleId,
+        versionId: existingVersion.Id,
+        operation: 'skip',
+        publishStatus: existingVersion.PublishStatus === 'Online' ? 'online' : 'draft',
+        contentId: contentId
+    };
+
+    addConflict(result, conflict);
+    return result;
+}
+
+/**
+ * Add a conflict to an upsert result, with a warning for the run report
+ *
+ * Called after addPayloadHash(): an overwritten conflict still stores its content hash.
+ *
+ * @param {Object} result - Upsert result (changed in place)
+ * @param {Object|null} conflict - Conflict with policy and action
+ */
+function addConflict(result, conflict) {
+    if (!conflict) {
+        return;
+    }
+
+    if (conflict.action === CONFLICT_POLICY.DRAFT && result.success) {
+        conflict.draftVersionId = result.versionId;
+    }
+
+    result.conflict = conflict;
+    result.warning = (result.warning ? result.warning + '; ' : '') + 'Edited in Salesforce by ' + conflict.lastModifiedById +
+        ' at ' + conflict.lastModifiedDate + ' since the last sync, ' + CONFLICT_ACTION_MESSAGES[conflict.action] +
+        ' (conflictPolicy ' + conflict.policy + ')';
+}
+
+/**
+ * Find out whether an existing article version is a draft created in Salesforce by someone else
+ *
+ * Drafts are compared with the integration user (userId of the OAuth token): a draft a
+ * knowledge author opened in Salesforce (CreatedById) may hold editorial work in
+ * progress. Content assets in ForceFullForIDs always replace the draft.
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object} existingVersion - Existing article version ({ Id, PublishStatus, CreatedById })
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} Draft { draftVersionId, createdById, policy, action }, or null if the version is not such a draft
+ */
+function getHumanDraft(contentAsset, existingVersion, authResult, config) {
+    if (existingVersion.PublishStatus !== 'Draft' || !existingVersion.CreatedById || !authResult.userId ||
+            existingVersion.CreatedById === authResult.userId) {
+        return null;
+    }
+
+    var policy = config.humanDraftPolicy || HUMAN_DRAFT_POLICY.SKIP;
+    if (config.forcedContentIDs && config.forcedContentIDs.indexOf(contentAsset.ID) !== -1) {
+        policy = HUMAN_DRAFT_POLICY.REPLACE;
+    }
+
+    return {
+        draftVersionId: existingVersion.Id,
+        createdById: existingVersion.CreatedById,
+        policy: policy,
+        action: policy
+    };
+}
+
+/**
+ * Build the upsert result of a content asset whose draft created in Salesforce is left alone
+ *
+ * @param {Object} existingVersion - Existing draft version ({ Id, KnowledgeArticleId })
+ * @param {Object} humanDraft - Draft from getHumanDraft()
+ * @param {string} contentId - Content Asset ID
+ * @returns {Object} Upsert result with operation 'skip'
+ */
+function getHumanDraftResult(existingVersion, humanDraft, contentId) {
+    var result = {
+        success: true,
+        knowledgeArticleId: existingVersion.KnowledgeArticleId,
+        versionId: existingVersion.Id,
+        operation: 'skip',
+        publishStatus: 'draft',
+        contentId: contentId
+    };
+
+    humanDraft.action = HUMAN_DRAFT_POLICY.SKIP;
+    addHumanDraft(result, humanDraft);
+    return result;
+}
+
+/**
+ * Update only the connector-owned fields of a draft created in Salesforce (humanDraftPolicy merge)
+ *
+ * A field is connector-owned while the author did not change it: its draft value still
+ * equals the last synced version (versionId in sfLanguageSyncData), or the value this
+ * merge wrote to the same draft before (mergedFields, stored with the draft in the sync
+ * metadata). All other fields keep the author's value. The draft is never published and
+ * data categories are not assigned, publishing stays with the author.
+ *
+ * Without a synced version to compare with, the draft is left alone.
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {string} language - Salesforce language
+ * @param {Object} existingDraft - Existing draft version ({ Id, KnowledgeArticleId })
+ * @param {Object} articleData - Mapped article data
+ * @param {string} articleType - Knowledge Article Type
+ * @param {Object} config - Configuration object
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {Object} humanDraft - Draft from getHumanDraft()
+ * @returns {Object} Upsert result with operation 'update' or 'skip' (nothing to merge)
+ */
+function mergeHumanDraft(contentAsset, language, existingDraft, articleData, articleType, config, authResult, humanDraft) {
+    var logPrefix = '[' + contentAsset.ID + '] ';
+    var syncMetadata = contentMappingHelper.getLanguageSyncMetadata(contentAsset, language);
+    var baseVersionId = syncMetadata && syncMetadata.versionId;
+
+    if (!baseVersionId || baseVersionId === existingDraft.Id) {
+        logger.warn(logPrefix + 'No synced version to merge draft ' + existingDraft.Id + ' with, leaving it alone');
+        return getHumanDraftResult(existingDraft, humanDraft, contentAsset.ID);
+    }
+
+    var payload = getUpdatePayload(articleData);
+    var fields = Object.keys(payload);
+    var draftValues = getArticleFieldValues(authResult.accessToken, authResult.instanceUrl, articleType, existingDraft.Id, fields, config.serviceID);
+    var baseValues = draftValues && getArticleFieldValues(authResult.accessToken, authResult.instanceUrl, articleType, baseVersionId, fields, config.serviceID);
+    if (!draftValues || !baseValues) {
+        return {
+            success: false,
+            error: 'Could not read draft ' + existingDraft.Id + ' or version ' + baseVersionId + ' to merge',
+            operation: 'merge_draft',
+            contentId: contentAsset.ID
+        };
+    }
+
+    var openDraft = syncMetadata.humanDraft;
+    var mergedBefore = openDraft && openDraft.draftVersionId === existingDraft.Id ? openDraft.mergedFields || {} : {};
+    var update = {};
+    var ownedFields = [];
+
+    humanDraft.authorFields = [];
+    fields.forEach(function (field) {
+        var draftValue = normalizeFieldValue(draftValues[field]);
+        if (draftValue !== normalizeFieldValue(baseValues[field]) && mergedBefore[field] !== contentMappingHelper.getValueHash(draftValue)) {
+            humanDraft.authorFields.push(field);
+            return;
+        }
+
+        ownedFields.push(field);
+        if (draftValue !== normalizeFieldValue(payload[field])) {
+            update[field] = payload[field];
+        }
+    });
+
+    var writtenValues = draftValues;
+    if (Object.keys(update).length > 0) {
+        logger.info(logPrefix + 'Merging ' + Object.keys(update).join(', ') + ' into draft ' + existingDraft.Id);
+
+        var service = services.getKnowledgeService(config.serviceID);
+        var updateResult = service.call({
+            accessToken: authResult.accessToken,
+            instanceUrl: authResult.instanceUrl,
+            endpoint: '/sobjects/' + articleType + '/' + existingDraft.Id,
+            method: 'PATCH',
+            body: update
+        });
+
+        if (updateResult.status !== 'OK' || !updateResult.object || !updateResult.object.success) {
+            var errorMsg = updateResult.object ? updateResult.object.errorMessage : (updateResult.errorMessage || 'Update failed');
+            logger.error(logPrefix + 'Draft merge failed: ' + errorMsg);
+            return {
+                success: false,
+                error: 'Failed to merge draft: ' + errorMsg,
+                operation: 'merge_draft',
+                contentId: contentAsset.ID
+            };
+        }
+
+        // Salesforce may store a value differently than sent (rich text), so remember what it stored
+        writtenValues = getArticleFieldValues(authResult.accessToken, authResult.instanceUrl, articleType, existingDraft.Id, ownedFields, config.serviceID) || {};
+    }
+
+    humanDraft.mergedFields = {};
+    ownedFields.forEach(function (field) {
+        humanDraft.mergedFields[field] = contentMappingHelper.getValueHash(normalizeFieldValue(writtenValues[field]));
+    });
+
+    var result = {
+        success: true,
+        knowledgeArticleId: existingDraft.KnowledgeArticleId,
+        versionId: existingDraft.Id,
+        operation: Object.keys(update).length > 0 ? 'update' : 'skip',
+        publishStatus: 'draft',
+        contentId: contentAsset.ID
+    };
+
+    addHumanDraft(result, humanDraft);
+    return result;
+}
+
+/**
+ * Add a draft created in Salesforce to an upsert result, with a warning for the run report
+ *
+ * @param {Object} result - Upsert result (changed in place)
+ * @param {Object|null} humanDraft - Draft with policy and action
+ */
+function addHumanDraft(result, humanDraft) {
+    if (!humanDraft) {
+        return;
+    }
+
+    var message = 'Draft created in Salesforce by ' + humanDraft.createdById + ' ' + HUMAN_DRAFT_ACTION_MESSAGES[humanDraft.action];
+    if (humanDraft.authorFields && humanDraft.authorFields.length > 0) {
+        message += ', kept the author\'s ' + humanDraft.authorFields.join(', ');
+    }
+
+    result.humanDraft = humanDraft;
+    result.warning = (result.warning ? result.warning + '; ' : '') + message + ' (humanDraftPolicy ' + humanDraft.policy + ')';
+}
+
+/**
+ * Check whether a prepared write may publish its version
+ *
+ * Conflicts written as a draft are never published.
+ *
+ * @param {Object} prepared - Result of prepareArticleWrite()
+ * @returns {boolean} True if the version is published (publishArticles)
+ */
+function isPublishAllowed(prepared) {
+    if (prepared.conflict && prepared.conflict.action === CONFLICT_POLICY.DRAFT) {
+        return false;
+    }
+    return prepared.config.publishArticles || false;
+}
+
+/**
+ * Resolve per-asset settings from conditionalRules and contentTypeMapping
+ *
+ * Returns the site config unchanged if no rule applies. Otherwise returns a copy with
+ * articleType and recordTypeId set for this asset:
+ * - ArticleType: from conditionalRules, then contentTypeMapping
+ * - RecordTypeName: from conditionalRules; if only the article type changed, the site
+ *   recordTypeName is looked up again for the new article type
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object} config - Configuration object
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @returns {Object} Result { articleType: string, config: Object, error: string }
+ */
+function resolveAssetConfig(contentAsset, config, authResult) {
+    var siteArticleType = (config && config.articleType) || 'Knowledge__kav';
+    var rules = config && config.mappingRules;
+
+    if (!rules) {
+        return { articleType: siteArticleType, config: config };
+    }
+
+    var articleType = knowledgeMappingHelper.resolveArticleType(contentAsset, rules, siteArticleType);
+    var overrides = knowledgeMappingHelper.getRuleOverrides(contentAsset, rules);
+    var recordTypeName = overrides.RecordTypeName || (articleType !== siteArticleType ? config.recordTypeName : null);
+
+    if (articleType === siteArticleType && !recordTypeName) {
+        return { articleType: articleType, config: config };
+    }
+
+    var assetConfig = {};
+    for (var key in config) {
+        if (config.hasOwnProperty(key)) {
+            assetConfig[key] = config[key];
+        }
+    }
+    assetConfig.articleType = articleType;
+    assetConfig.recordTypeName = recordTypeName || null;
+    assetConfig.recordTypeId = null;
+
+    if (recordTypeName) {
+        var recordTypeResult = recordTypeHelper.getRecordTypeId(
+            recordTypeName,
+            articleType,
+            authResult.accessToken,
+            authResult.instanceUrl,
+            config.serviceID
+        );
+
+        if (!recordTypeResult.success) {
+            return { error: 'Record Type lookup failed: ' + recordTypeResult.error };
+        }
+
+        assetConfig.recordTypeId = recordTypeResult.recordTypeId;
+    }
+
+    logger.debug('[' + contentAsset.ID + '] Rule overrides: articleType=' + articleType + ', recordTypeName=' + (recordTypeName || 'none'));
+
+    return { articleType: articleType, config: assetConfig };
+}
+
+/**
+ * Check mapped article data against knowledgeMapping.json validationRules
+ *
+ * @param {string} contentId - Content Asset ID (for logging)
+ * @param {Object} articleData - Mapped article data
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} Failure result if validation failed, null if valid
+ */
+function checkValidationRules(contentId, articleData, config) {
+    var errors = knowledgeMappingHelper.validateArticle(articleData, config && config.mappingRules);
+    if (errors.length === 0) {
+        return null;
+    }
+
+    logger.error('[' + contentId + '] Article failed validation rules: ' + errors.join('; '));
+    return {
+        success: false,
+        error: 'Validation failed: ' + errors.join('; '),
+        operation: 'validate'
+    };
+}
+
+/**
+ * Build the prefetch cache key for an article lookup
+ *
+ * @param {string} articleType - Knowledge Article Type
+ * @param {string} externalId - B2C Content Asset ID
+ * @param {string} language - Salesforce language code
+ * @returns {string} Cache key
+ */
+function getLookupKey(articleType, externalId, language) {
+    return articleType + '|' + externalId + '|' + language;
+}
+
+/**
+ * Pick the version findArticleByExternalId would return: Draft, then Online, then latest other version
+ *
+ * @param {Array<Object>} records - Versions of one article and language, ordered by VersionNumber DESC
+ * @returns {Object|null} Selected version, or null if there are none
+ */
+function selectArticleVersion(records) {
+    if (!records || records.length === 0) {
+        return null;
+    }
+
+    var statuses = ['Draft', 'Online'];
+    for (var s = 0; s < statuses.length; s++) {
+        for (var i = 0; i < records.length; i++) {
+            if (records[i].PublishStatus === statuses[s]) {
+                return records[i];
+            }
+        }
+    }
+
+    return records[0];
+}
+
+/**
+ * Prefetch existing article versions for a batch
+ *
+ * Runs one SOQL query per article type and chunk of PREFETCH_CHUNK_SIZE external IDs
+ * (instead of up to three queries per asset and language) and stores the selected
+ * version for every requested external ID and language. findArticleByExternalId
+ * answers from this cache until clearPrefetchedArticles() is called.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {Object} lookups - Requested lookups { articleType: { externalIds: Array<string>, languages: Array<string> } }
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, queries: number, error: string }
+ */
+function prefetchArticles(accessToken, instanceUrl, lookups, serviceID) {
+    var cache = {};
+    var queryCount = 0;
+
+    try {
+        var service = services.getKnowledgeService(serviceID);
+
+        for (var articleType in lookups) {
+            if (!lookups.hasOwnProperty(articleType)) {
+                continue;
+            }
+
+            var externalIds = lookups[articleType].externalIds;
+            var languages = lookups[articleType].languages;
+            var quotedLanguages = languages.map(function (language) {
+                return "'" + language + "'";
+            }).join(', ');
+
+            for (var start = 0; start < externalIds.length; start += PREFETCH_CHUNK_SIZE) {
+                var chunk = externalIds.slice(start, start + PREFETCH_CHUNK_SIZE);
+                var quotedIds = chunk.map(function (externalId) {
+                    return "'" + externalId.replace(/'/g, "\\'") + "'";
+                }).join(', ');
+
+                var query = 'SELECT Id, KnowledgeArticleId, Title, ' + EXTERNAL_ID_FIELD + ', Language, PublishStatus, VersionNumber, LastModifiedDate, LastModifiedById, CreatedById ' +
+                    'FROM ' + articleType +
+                    ' WHERE ' + EXTERNAL_ID_FIELD + ' IN (' + quotedIds + ')' +
+                    ' AND Language IN (' + quotedLanguages + ')' +
+                    ' ORDER BY VersionNumber DESC';
+
+                logger.debug('Query (prefetch): ' + query);
+
+                // Versions grouped by lookup key, in VersionNumber DESC order
+                var versions = {};
+                var endpoint = '/query?q=' + encodeURIComponent(query);
+
+                while (endpoint) {
+                    var result = service.call({
+                        accessToken: accessToken,
+                        instanceUrl: instanceUrl,
+                        endpoint: endpoint,
+                        method: 'GET'
+                    });
+                    queryCount++;
+
+                    if (result.status !== 'OK' || !result.object || !result.object.success) {
+                        var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Query failed');
+                        return {
+                            success: false,
+                            queries: queryCount,
+                            error: errorMsg
+                        };
+                    }
+
+                    var records = result.object.data.records || [];
+                    for (var r = 0; r < records.length; r++) {
+                        var key = getLookupKey(articleType, records[r][EXTERNAL_ID_FIELD], records[r].Language);
+                        (versions[key] = versions[key] || []).push(records[r]);
+                    }
+
+                    // nextRecordsUrl includes the /services/data/vXX.X prefix - the service adds it again
+                    var nextRecordsUrl = result.object.data.nextRecordsUrl;
+                    endpoint = nextRecordsUrl ? nextRecordsUrl.substring(nextRecordsUrl.indexOf('/query')) : null;
+                }
+
+                for (var c = 0; c < chunk.length; c++) {
+                    for (var l = 0; l < languages.length; l++) {
+                        var lookupKey = getLookupKey(articleType, chunk[c], languages[l]);
+                        cache[lookupKey] = selectArticleVersion(versions[lookupKey]);
+                    }
+                }
+            }
+        }
+
+        prefetchedArticles = cache;
+
+        return {
+            success: true,
+            queries: queryCount
+        };
+
+    } catch (e) {
+        return {
+            success: false,
+            queries: queryCount,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
+/**
+ * Remove a prefetched lookup (after the article was written)
+ *
+ * @param {string} articleType - Knowledge Article Type
+ * @param {string} externalId - B2C Content Asset ID
+ * @param {string} language - Salesforce language code
+ */
+function forgetPrefetchedArticle(articleType, externalId, language) {
+    if (prefetchedArticles) {
+        delete prefetchedArticles[getLookupKey(articleType, externalId, language)];
+    }
+}
+
+/**
+ * Clear all prefetched lookups
+ */
+function clearPrefetchedArticles() {
+    prefetchedArticles = null;
+}
+
+/**
+ * Find existing Knowledge Article by SFCC External ID
+ *
+ * Queries Salesforce for articles matching the B2C Content Asset ID.
+ * Uses KnowledgeArticleId as the stable reference across versions.
+ * IMPORTANT: Prioritizes Draft versions over Online versions to avoid duplicate draft creation.
+ *
+ * Strategy:
+ * 1. First search for Draft version (if exists, use it for updates)
+ * 2. If no Draft, search for Online version (will need to create draft from it)
+ * 3. This prevents "TRANSLATIONALREADYEXIST" error when draft already exists
+ *
+ * Inside exportBatch, lookups are answered from the batch prefetch (prefetchArticles).
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} externalId - B2C Content Asset ID
+ * @param {string} articleType - Knowledge Article Type (e.g., 'Knowledge__kav')
+ * @param {string} language - Language code (e.g., 'en_US', 'es', 'fr') - defaults to 'en_US'
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object|null} Article object or null if not found
+ * @returns {string} article.Id - Salesforce version record ID
+ * @returns {string} article.KnowledgeArticleId - Master article ID (stable across versions)
+ * @returns {string} article.PublishStatus - Publish status (Online, Draft, etc.)
+ * @returns {string} article.LastModifiedDate - Last modification (for conflict detection)
+ * @returns {string} article.LastModifiedById - User who modified the version last
+ * @returns {string} article.CreatedById - User who created the version (for drafts created in Salesforce)
+ */
+function findArticleByExternalId(accessToken, instanceUrl, externalId, articleType, language, serviceID) {
+    // Default language to en_US if not provided
+    var lang = language || 'en_US';
+
+    // Answer from the batch prefetch if this lookup was included
+    var lookupKey = getLookupKey(articleType, externalId, lang);
+    if (prefetchedArticles && prefetchedArticles.hasOwnProperty(lookupKey)) {
+        logger.debug('[' + externalId + '] Using prefetched lookup for Language: ' + lang);
+        return prefetchedArticles[lookupKey];
+    }
+
+    logger.debug('Searching for existing article with SFCC_External_ID__c: ' + externalId + ', Language: ' + lang);
+
+    try {
+        var escapedId = externalId.replace(/'/g, "\\'");
+        var service = services.getKnowledgeService(serviceID);
+        if (!service) {
+            logger.error('Knowledge API service not found for serviceID: ' + serviceID);
+            return null;
+        }
+
+        // STEP 1: First, search for Draft version (highest priority)
+        var draftQuery = "SELECT Id, KnowledgeArticleId, Title, " + EXTERNAL_ID_FIELD + ", Language, PublishStatus, VersionNumber, LastModifiedDate, LastModifiedById, CreatedById " +
+            "FROM " + articleType +
+            " WHERE " + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
+            "AND Language = '" + lang + "' " +
+            "AND PublishStatus = 'Draft' " +
+            "ORDER BY VersionNumber DESC LIMIT 1";
+
+        logger.debug('Query (Draft): ' + draftQuery);
+
+        var draftResult = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: '/query?q=' + encodeURIComponent(draftQuery),
+            method: 'GET',
+            body: {}
+        });
+
+        if (draftResult.status === 'OK' && draftResult.object && draftResult.object.success) {
+            var draftRecords = draftResult.object.data.records;
+
+            if (draftRecords && draftRecords.length > 0) {
+                var draftArticle = draftRecords[0];
+                logger.debug('[' + externalId + '] Found existing DRAFT article: Id=' + draftArticle.Id + ', KnowledgeArticleId=' + draftArticle.KnowledgeArticleId + ', Language=' + lang + ', PublishStatus=' + draftArticle.PublishStatus);
+                return draftArticle;
+            }
+        }
+
+        // STEP 2: No Draft found, search for Online version
+        logger.debug('No draft found, searching for Online version');
+
+        var onlineQuery = "SELECT Id, KnowledgeArticleId, Title, " + EXTERNAL_ID_FIELD + ", Language, PublishStatus, VersionNumber, LastModifiedDate, LastModifiedById, CreatedById " +
+            "FROM " + articleType +
+            " WHERE " + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
+            "AND Language = '" + lang + "' " +
+            "AND PublishStatus = 'Online' " +
+            "ORDER BY VersionNumber DESC LIMIT 1";
+
+        logger.debug('Query (Online): ' + onlineQuery);
+
+        var onlineResult = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: '/query?q=' + encodeURIComponent(onlineQuery),
+            method: 'GET',
+            body: {}
+        });
+
+        if (onlineResult.status === 'OK' && onlineResult.object && onlineResult.object.success) {
+            var onlineRecords = onlineResult.object.data.records;
+
+            if (onlineRecords && onlineRecords.length > 0) {
+                var onlineArticle = onlineRecords[0];
+                logger.debug('Found existing ONLINE article: Id=' + onlineArticle.Id + ', KnowledgeArticleId=' + onlineArticle.KnowledgeArticleId + ', Language=' + lang + ', PublishStatus=' + onlineArticle.PublishStatus);
+                return onlineArticle;
+            }
+        }
+
+        // STEP 3: No Draft or Online found, try Archived or other statuses
+        logger.debug('No draft or online found, searching all statuses');
+
+        var allQuery = "SELECT Id, KnowledgeArticleId, Title, " + EXTERNAL_ID_FIELD + ", Language, PublishStatus, VersionNumber, LastModifiedDate, LastModifiedById, CreatedById " +
+            "FROM " + articleType +
+            " WHERE " + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
+            "AND Language = '" + lang + "' " +
+            "ORDER BY VersionNumber DESC LIMIT 1";
+
+        logger.debug('Query (All): ' + allQuery);
+
+        var allResult = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: '/query?q=' + encodeURIComponent(allQuery),
+            method: 'GET',
+            body: {}
+        });
+
+        if (allResult.status === 'OK' && allResult.object && allResult.object.success) {
+            var allRecords = allResult.object.data.records;
+
+            if (allRecords && allRecords.length > 0) {
+                var article = allRecords[0];
+                logger.info('[' + externalId + '] Found existing article (other status): Id=' + article.Id + ', KnowledgeArticleId=' + article.KnowledgeArticleId + ', Language=' + lang + ', PublishStatus=' + article.PublishStatus);
+                return article;
+            }
+        }
+
+        logger.debug('No existing article found with SFCC_External_ID__c: ' + externalId + ', Language: ' + lang);
+        return null;
+
+    } catch (e) {
+        logger.error('Exception searching for article: ' + e.message);
+        return null;
+    }
+}
+
+/**
+ * Update Article with Versioning Support
+ *
+ * Handles Knowledge versioning:
+ * - If Online (Published): Creates draft via editOnlineArticle REST API
+ * - If Draft: Updates draft directly
+ * Then optionally publishes the updated draft based on publishArticles flag.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {Object} existingArticle - Existing article object from query
+ * @param {Object} articleData - Article data to update
+ * @param {string} articleType - Knowledge Article Type
+ * @param {boolean} enableDebugLogging - Enable debug logging
+ * @param {boolean} publishArticles - Whether to publish the article (true) or keep as draft (false)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @param {string} contentId - Content Asset ID for logging
+ * @returns {Object} Update result
+ */
+function updateArticleWithVersioning(accessToken, instanceUrl, existingArticle, articleData, articleType, enableDebugLogging, publishArticles, serviceID, contentId) {
     var logPrefix = contentId ? '[' + contentId + '] ' : '';
     logger.info(logPrefix + 'Updating article with versioning: KnowledgeArticleId=' + existingArticle.KnowledgeArticleId + ', PublishStatus=' + existingArticle.PublishStatus);
 
     try {
-        var draftId;
+        var draftResult = getDraftVersion(accessToken, instanceUrl, existingArticle, serviceID, logPrefix);
+        if (!draftResult.success) {
+            return draftResult;
+        }
+
+        var draftId = draftResult.draftId;
+
+        // Update the draft
+        logger.info(logPrefix + 'Updating draft article: ' + draftId);
+
+        var endpoint = '/sobjects/' + articleType + '/' + draftId;
+        var updatePayload = getUpdatePayload(articleData);
+
+        if (enableDebugLogging) {
+            logger.debug('========== DEBUG: SALESFORCE API REQUEST (UPDATE) ==========');
+            logger.debug('Endpoint: ' + instanceUrl + '/services/data/' + API_VERSION + endpoint);
+            logger.debug('Method: PATCH');
+
+            var excludedFields = [];
+            if (articleData.DataCategorySelections) excludedFields.push('DataCategorySelections');
+            if (articleData.RecordTypeId) excludedFields.push('RecordTypeId');
+            if (articleData.attributes) excludedFields.push('attributes');
+
+            if (excludedFields.length > 0) {
+                logger.debug('Note: Excluded immutable fields from update: ' + excludedFields.join(', '));
+            }
+            logger.debug('Payload:');
+            try {
+                logger.debug(JSON.stringify(updatePayload, null, 2));
+            } catch (e) {
+                logger.warn('Could not stringify payload: ' + e.message);
+                logger.debug('Payload fields: ' + Object.keys(updatePayload).join(', '));
+            }
+            logger.debug('===========================================================');
+        }
+
+        var service = services.getKnowledgeService(serviceID);
+        var updateResult = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: endpoint,
+            method: 'PATCH',
+            body: updatePayload
+        });
+
+        if (enableDebugLogging) {
+            logger.debug('========== DEBUG: SALESFORCE API RESPONSE (UPDATE) ==========');
+            logger.debug('HTTP Status: ' + updateResult.status);
+            logger.debug('Response Object:');
+            try {
+                logger.debug(JSON.stringify(updateResult.object, null, 2));
+            } catch (e) {
+                logger.warn('Could not stringify response object: ' + e.message);
+                if (updateResult.object) {
+                    logger.debug('Response success: ' + updateResult.object.success);
+                    logger.debug('Response data: ' + (updateResult.object.data ? JSON.stringify(updateResult.object.data) : 'null'));
+                    logger.debug('Response error: ' + (updateResult.object.errorMessage || 'none'));
+                }
+            }
+            logger.debug('===========================================================');
+        }
+
+        if (updateResult.status !== 'OK' || !updateResult.object || !updateResult.object.success) {
+            var errorMsg = updateResult.object ? updateResult.object.errorMessage : (updateResult.errorMessage || 'Update failed');
+            logger.error(logPrefix + 'Draft update failed: ' + errorMsg);
+            return {
+                success: false,
+                error: 'Failed to update draft: ' + errorMsg,
+                operation: 'update_draft'
+            };
+        }
+
+        logger.info(logPrefix + 'Successfully updated draft article: ' + draftId);
+
+        return completeArticleWrite(
+            accessToken,
+            instanceUrl,
+            existingArticle.KnowledgeArticleId,
+            draftId,
+            'update',
+            articleData.DataCategorySelections,
+            publishArticles,
+            serviceID,
+            logPrefix
+        );
+
+    } catch (e) {
+        logger.error('Exception updating article with versioning: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message,
+            operation: 'update'
+        };
+    }
+}
+
+/**
+ * Get the draft version to update for an existing article
+ *
+ * - Online (Published): Creates a draft via editOnlineArticle
+ * - Draft: Uses the draft
+ * - Other status (Archived, etc.): Uses the version as-is
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {Object} existingArticle - Existing article object from query
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @param {string} logPrefix - Log prefix for messages
+ * @returns {Object} Result { success: boolean, draftId: string, error: string, operation: string }
+ */
+function getDraftVersion(accessToken, instanceUrl, existingArticle, serviceID, logPrefix) {
+    if (existingArticle.PublishStatus === 'Online') {
+        // Article is published, must create draft first using editOnlineArticle
+        logger.debug('Article is Online, creating draft via editOnlineArticle');
+
+        var editResult = editOnlineArticle(accessToken, instanceUrl, existingArticle.KnowledgeArticleId, serviceID);
+
+        if (!editResult.success) {
+            logger.error('Failed to create draft from online article: ' + editResult.error);
+            return {
+                success: false,
+                error: 'Failed to create draft: ' + editResult.error,
+                operation: 'edit_online'
+            };
+        }
+
+        logger.debug('Created draft version: ' + editResult.draftId);
+        return { success: true, draftId: editResult.draftId };
+    }
+
+    if (existingArticle.PublishStatus === 'Draft') {
+        // Draft already exists, use it
+        logger.debug(logPrefix + 'Draft version already exists: ' + existingArticle.Id);
+    } else {
+        // Other status (Archived, etc.) - log warning and attempt to update
+        logger.warn(logPrefix + 'Article has unusual PublishStatus: ' + existingArticle.PublishStatus + ', attempting direct update');
+    }
+
+    return { success: true, draftId: existingArticle.Id };
+}
+
+/**
+ * Build the PATCH payload for a draft update
+ *
+ * IMPORTANT: Removes immutable fields - they're set only during creation:
+ * - DataCategorySelections: Assigned separately via assignDataCategories
+ * - RecordTypeId: Record type cannot be changed
+ * - attributes: Metadata object not allowed in PATCH
+ *
+ * @param {Object} articleData - Mapped article data
+ * @returns {Object} Update payload
+ */
+function getUpdatePayload(articleData) {
+    var excludeFields = ['DataCategorySelections', 'RecordTypeId', 'attributes'];
+    var updatePayload = {};
+    for (var key in articleData) {
+        if (articleData.hasOwnProperty(key) && excludeFields.indexOf(key) === -1) {
+            updatePayload[key] = articleData[key];
+        }
+    }
+    return updatePayload;
+}
+
+/**
+ * Finish a successful create or draft update
+ *
+ * Assigns data categories (if given), then publishes the version if publishArticles is set.
+ * Category and publish failures don't fail the write, they are returned as a warning.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} knowledgeArticleId - Master article ID
+ * @param {string} versionId - Written version ID
+ * @param {string} operation - 'create' or 'update'
+ * @param {Object|null} dataCategorySelections - Categories to assign, or null
+ * @param {boolean} publishArticles - Whether to publish the version
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @param {string} logPrefix - Log prefix for messages
+ * @returns {Object} Upsert result { success, knowledgeArticleId, versionId, operation, publishStatus, warning }
+ */
+function completeArticleWrite(accessToken, instanceUrl, knowledgeArticleId, versionId, operation, dataCategorySelections, publishArticles, serviceID, logPrefix) {
+    var result = {
+        success: true,
+        knowledgeArticleId: knowledgeArticleId,
+        versionId: versionId,
+        operation: operation,
+        publishStatus: 'draft'
+    };
+
+    // Assign/update data categories if configured
+    if (dataCategorySelections) {
+        logger.debug(logPrefix + 'Assigning data categories to article');
+
+        var categoryResult = assignDataCategories(
+            accessToken,
+            instanceUrl,
+            versionId,
+            dataCategorySelections,
+            serviceID,
+            logPrefix
+        );
+
+        if (!categoryResult.success) {
+            logger.warn(logPrefix + 'Data category assignment failed: ' + categoryResult.error);
+            // Don't fail the whole write - article is still written, just categories failed
+            result.warning = 'Data category assignment failed: ' + categoryResult.error;
+        } else {
+            logger.debug(logPrefix + 'Data categories assigned successfully');
+        }
+    }
+
+    // Conditionally publish the version based on publishArticles flag
+    if (!publishArticles) {
+        logger.info(logPrefix + 'PublishArticles is disabled, article will remain in draft status');
+        return result;
+    }
+
+    logger.info(logPrefix + 'PublishArticles is enabled, publishing article');
+    var publishResult = publishArticle(accessToken, instanceUrl, versionId, serviceID);
+
+    if (!publishResult.success) {
+        logger.warn(logPrefix + 'Article ' + (operation === 'create' ? 'created' : 'updated') + ' but publish failed: ' + publishResult.error);
+        // Return success anyway since the version was written
+        result.warning = (result.warning ? result.warning + '; ' : '') + 'Publish failed: ' + publishResult.error;
+        return result;
+    }
+
+    logger.info(logPrefix + 'Successfully published article: ' + knowledgeArticleId);
+    result.publishStatus = 'online';
+    return result;
+}
+
+/**
+ * Create New Knowledge Article
+ *
+ * Creates a new Knowledge article in Draft status, then optionally publishes it based on publishArticles flag.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {Object} articleData - Article data
+ * @param {string} articleType - Knowledge Article Type
+ * @param {boolean} enableDebugLogging - Enable debug logging
+ * @param {boolean} publishArticles - Whether to publish the article (true) or keep as draft (false)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @param {string} contentId - Content Asset ID for logging
+ * @returns {Object} Create result
+ */
+function createArticle(accessToken, instanceUrl, articleData, articleType, enableDebugLogging, publishArticles, serviceID, contentId) {
+    var logPrefix = contentId ? '[' + contentId + '] ' : '';
+    logger.info(logPrefix + 'Creating new Knowledge article');
+
+    try {
+        var endpoint = '/sobjects/' + articleType;
+
+        if (enableDebugLogging) {
+            logger.debug('========== DEBUG: SALESFORCE API REQUEST (CREATE) ==========');
+            logger.debug('Endpoint: ' + instanceUrl + '/services/data/' + API_VERSION + endpoint);
+            logger.debug('Method: POST');
+            logger.debug('Payload:');
+            try {
+                logger.debug(JSON.stringify(articleData, null, 2));
+            } catch (e) {
+                logger.warn('Could not stringify payload: ' + e.message);
+                logger.debug('Payload fields: ' + Object.keys(articleData).join(', '));
+            }
+            logger.debug('===========================================================');
+        }
+
+        var service = services.getKnowledgeService(serviceID);
+        var result = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: endpoint,
+            method: 'POST',
+            body: articleData
+        });
+
+        if (enableDebugLogging) {
+            logger.debug('========== DEBUG: SALESFORCE API RESPONSE (CREATE) ==========');
+            logger.debug('HTTP Status: ' + result.status);
+            logger.debug('Response Object:');
+            try {
+                logger.debug(JSON.stringify(result.object, null, 2));
+            } catch (e) {
+                logger.warn('Could not stringify response object: ' + e.message);
+                if (result.object) {
+                    logger.debug('Response success: ' + result.object.success);
+                    logger.debug('Response data: ' + (result.object.data ? JSON.stringify(result.object.data) : 'null'));
+                    logger.debug('Response error: ' + (result.object.errorMessage || 'none'));
+                }
+            }
+            logger.debug('===========================================================');
+        }
+
+        // Process result
+        if (result.status === 'OK' && result.object && result.object.success) {
+            var articleId = result.object.data.id;
+            logger.info(logPrefix + 'Successfully created article: ' + articleId);
+
+            // Query to get KnowledgeArticleId
+            var query = "SELECT Id, KnowledgeArticleId FROM " + articleType + " WHERE Id = '" + articleId + "'";
+            var queryEndpoint = '/query?q=' + encodeURIComponent(query);
+
+            logger.debug('Querying for KnowledgeArticleId with query: ' + query);
+
+            var queryResult = service.call({
+                accessToken: accessToken,
+                instanceUrl: instanceUrl,
+                endpoint: queryEndpoint,
+                method: 'GET',
+                body: {}
+            });
+
+            logger.debug('Query result status: ' + queryResult.status);
+            if (queryResult.object) {
+                logger.debug('Query result success: ' + queryResult.object.success);
+                if (queryResult.object.data) {
+                    logger.debug('Query result data: ' + JSON.stringify(queryResult.object.data));
+                } else {
+                    logger.warn('Query result has no data property');
+                }
+            } else {
+                logger.warn('Query result has no object property');
+            }
+
+            var knowledgeArticleId = articleId;
+            if (queryResult.status === 'OK' && queryResult.object && queryResult.object.success) {
+                var records = queryResult.object.data.records;
+                if (records && records.length > 0) {
+                    logger.debug('Query returned ' + records.length + ' record(s)');
+                    logger.debug('Record[0].Id: ' + records[0].Id);
+                    logger.debug('Record[0].KnowledgeArticleId: ' + records[0].KnowledgeArticleId);
+
+                    knowledgeArticleId = records[0].KnowledgeArticleId;
+                    logger.debug('Using KnowledgeArticleId: ' + knowledgeArticleId + ' from query result');
+                } else {
+                    logger.warn('Query returned no records, using fallback articleId: ' + knowledgeArticleId);
+                }
+            } else {
+                logger.warn('Query failed or returned no success flag, using fallback articleId: ' + knowledgeArticleId);
+                if (queryResult.object && queryResult.object.errorMessage) {
+                    logger.error('Query error: ' + queryResult.object.errorMessage);
+                }
+            }
+
+            // Categories were sent with the create request
+            return completeArticleWrite(accessToken, instanceUrl, knowledgeArticleId, articleId, 'create', null, publishArticles, serviceID, logPrefix);
+        } else {
+            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Create failed');
+            logger.error('Article creation failed: ' + errorMsg);
+
+            return {
+                success: false,
+                error: errorMsg,
+                operation: 'create'
+            };
+        }
+
+    } catch (e) {
+        logger.error('Exception creating article: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message,
+            operation: 'create'
+        };
+    }
+}
+
+/**
+ * Edit Online Article (Create Draft from Published)
+ *
+ * Uses KbManagement REST API to create a new draft version from a published article.
+ * This is required because you cannot update a Published article directly.
+ *
+ * Endpoint: POST /services/data/vXX.0/knowledgeManagement/articleVersions/masterVersions
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} knowledgeArticleId - Master Knowledge Article ID (kA0...)
+ * @returns {Object} Edit result
+ * @returns {boolean} result.success - Whether operation succeeded
+ * @returns {string} result.draftId - Draft version ID (if success)
+ * @returns {string} result.error - Error message (if failed)
+ */
+function editOnlineArticle(accessToken, instanceUrl, knowledgeArticleId, serviceID) {
+    logger.info('Creating draft version from published article: ' + knowledgeArticleId);
+
+    try {
+        var endpoint = '/knowledgeManagement/articleVersions/masterVersions';
+
+        var service = services.getKnowledgeService(serviceID);
+        var result = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: endpoint,
+            method: 'POST',
+            body: {
+                articleId: knowledgeArticleId
+            }
+        });
+
+        logger.debug('Edit Online Article Response - Status: ' + result.status);
+        if (result.object) {
+            logger.debug('Edit Online Article Response - Success: ' + result.object.success);
+            logger.debug('Edit Online Article Response - Data: ' + JSON.stringify(result.object.data || {}));
+        }
+
+        if (result.status === 'OK' && result.object && result.object.success) {
+            var draftId = result.object.data.id;
+            logger.info('Successfully created draft version: ' + draftId);
+
+            return {
+                success: true,
+                draftId: draftId
+            };
+        } else {
+            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Failed to create draft version');
+            logger.error('Failed to create draft version: ' + errorMsg);
+
+            return {
+                success: false,
+                error: errorMsg
+            };
+        }
+
+    } catch (e) {
+        logger.error('Exception creating draft version: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
+/**
+ * Publish Knowledge Article
+ *
+ * Publishes a draft version using Actions API.
+ *
+ * Endpoint: POST /services/data/vXX.0/actions/standard/publishKnowledgeArticles
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} articleVersionId - Draft version ID (ka0...)
+ * @returns {Object} Publish result
+ * @returns {boolean} result.success - Whether operation succeeded
+ * @returns {string} result.error - Error message (if failed)
+ */
+function publishArticle(accessToken, instanceUrl, articleVersionId, serviceID) {
+    logger.info('Publishing article version: ' + articleVersionId);
+
+    try {
+        var endpoint = '/actions/standard/publishKnowledgeArticles';
+
+        var service = services.getKnowledgeService(serviceID);
+        var result = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: endpoint,
+            method: 'POST',
+            body: {
+                inputs: [{
+                    articleVersionIdList: [articleVersionId],
+                    pubAction: 'PUBLISH_ARTICLE'
+                }]
+            }
+        });
 
-        if (existingArticle.PublishStatus === 'Online') {
-            // Article is published, must create draft first using editOnlineArticle
-            logger.debug('Article is Online, creating draft via editOnlineArticle');
+        // Actions API returns different response structure
+        if (result.status === 'OK' && result.object && result.object.success) {
+            var responseData = result.object.data;
 
-            var editResult = editOnlineArticle(accessToken, instanceUrl, existingArticle.KnowledgeArticleId, serviceID);
+            // Check if it's an array response from Actions API
+            if (responseData && Array.isArray(responseData) && responseData.length > 0) {
+                var actionResult = responseData[0];
 
-            if (!editResult.success) {
-                logger.error('Failed to create draft from online article: ' + editResult.error);
+                if (actionResult.isSuccess) {
+                    logger.info('Successfully published article version: ' + articleVersionId);
+                    return {
+                        success: true
+                    };
+                } else {
+                    var errorMsg = actionResult.errors && actionResult.errors.length > 0
+                        ? JSON.stringify(actionResult.errors)
+                        : 'Publish failed';
+                    logger.error('Publish failed: ' + errorMsg);
+                    return {
+                        success: false,
+                        error: errorMsg
+                    };
+                }
+            } else {
+                logger.error('Unexpected Actions API response structure');
                 return {
                     success: false,
-                    error: 'Failed to create draft: ' + editResult.error,
-                    operation: 'edit_online'
+                    error: 'Unexpected response structure from Actions API'
                 };
             }
+        } else {
+            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Publish failed');
+            logger.error('Publish failed: ' + errorMsg);
+
+            return {
+                success: false,
+                error: errorMsg
+            };
+        }
+
+    } catch (e) {
+        logger.error('Exception publishing article: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
+/**
+ * Publish many article versions with batched Actions API calls
+ *
+ * Sends up to COLLECTION_SIZE version IDs per publishKnowledgeArticles call.
+ * The action reports one result per call, so a failed call marks all of its versions as failed.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {Array<string>} versionIds - Draft version IDs (ka0...)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Map of version ID → error message, for versions that could not be published
+ */
+function publishArticleVersions(accessToken, instanceUrl, versionIds, serviceID) {
+    var failures = {};
+    var service = services.getKnowledgeService(serviceID);
 
-            draftId = editResult.draftId;
-            logger.debug('Created draft version: ' + draftId);
+    for (var start = 0; start < versionIds.length; start += COLLECTION_SIZE) {
+        var chunk = versionIds.slice(start, start + COLLECTION_SIZE);
+        logger.info('Publishing ' + chunk.length + ' article version(s)');
+
+        var result = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: '/actions/standard/publishKnowledgeArticles',
+            method: 'POST',
+            body: {
+                inputs: [{
+                    articleVersionIdList: chunk,
+                    pubAction: 'PUBLISH_ARTICLE'
+                }]
+            }
+        });
 
-        } else if (existingArticle.PublishStatus === 'Draft') {
-            // Draft already exists, use it
-            logger.debug(logPrefix + 'Draft version already exists: ' + existingArticle.Id);
-            draftId = existingArticle.Id;
+        var errorMsg = null;
+        if (result.status === 'OK' && result.object && result.object.success) {
+            var responseData = result.object.data;
+            var actionResult = Array.isArray(responseData) && responseData.length > 0 ? responseData[0] : null;
 
+            if (!actionResult) {
+                errorMsg = 'Unexpected response structure from Actions API';
+            } else if (!actionResult.isSuccess) {
+                errorMsg = actionResult.errors && actionResult.errors.length > 0 ? JSON.stringify(actionResult.errors) : 'Publish failed';
+            }
         } else {
-            // Other status (Archived, etc.) - log warning and attempt to update
-            logger.warn(logPrefix + 'Article has unusual PublishStatus: ' + existingArticle.PublishStatus + ', attempting direct update');
-            draftId = existingArticle.Id;
+            errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Publish failed');
         }
 
-        // Update the draft
-        logger.info(logPrefix + 'Updating draft article: ' + draftId);
+        if (errorMsg) {
+            logger.error('Publish failed for ' + chunk.length + ' article version(s): ' + errorMsg);
+            for (var i = 0; i < chunk.length; i++) {
+                failures[chunk[i]] = errorMsg;
+            }
+        }
+    }
 
-        var endpoint = '/sobjects/' + articleType + '/' + draftId;
+    return failures;
+}
+
+/**
+ * Check whether a content asset should be synced as a translation
+ *
+ * Only applies when translationMode is 'linked' and the asset's B2C locale
+ * differs from the configured master language.
+ *
+ * @param {Object} contentAsset - Formatted content asset (with b2cLocale from languageHelper)
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if the asset is a translation of the master article
+ */
+function isTranslation(contentAsset, config) {
+    return !!(config && config.translationMode === 'linked' &&
+        config.masterLanguage && contentAsset.b2cLocale &&
+        contentAsset.b2cLocale !== config.masterLanguage);
+}
+
+/**
+ * Find the current translation version of a master article
+ *
+ * Prefers the Draft version over the Online version, like findArticleByExternalId.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} knowledgeArticleId - Master Knowledge Article ID (kA0...)
+ * @param {string} articleType - Knowledge Article Type
+ * @param {string} language - Salesforce language code of the translation
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object|null} Translation version { Id, KnowledgeArticleId, PublishStatus, LastModifiedDate, LastModifiedById,
+ *     CreatedById } or null if not found
+ */
+function findTranslationVersion(accessToken, instanceUrl, knowledgeArticleId, articleType, language, serviceID) {
+    try {
+        var query = "SELECT Id, KnowledgeArticleId, Language, PublishStatus, VersionNumber, LastModifiedDate, LastModifiedById, CreatedById " +
+            "FROM " + articleType +
+            " WHERE KnowledgeArticleId = '" + knowledgeArticleId + "' " +
+            "AND Language = '" + language + "' " +
+            "AND PublishStatus IN ('Draft', 'Online')";
+
+        var service = services.getKnowledgeService(serviceID);
+        var result = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: '/query?q=' + encodeURIComponent(query),
+            method: 'GET',
+            body: {}
+        });
+
+        if (result.status !== 'OK' || !result.object || !result.object.success) {
+            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Query failed');
+            logger.error('Translation lookup failed for ' + knowledgeArticleId + ' (' + language + '): ' + errorMsg);
+            return null;
+        }
+
+        var records = result.object.data.records || [];
+        var onlineVersion = null;
 
-        // IMPORTANT: Remove immutable fields from update payload
-        // These fields cannot be updated via PATCH - they're set only during creation:
-        // - DataCategorySelections: Categories are immutable
-        // - RecordTypeId: Record type cannot be changed
-        // - attributes: Metadata object not allowed in PATCH
-        var excludeFields = ['DataCategorySelections', 'RecordTypeId', 'attributes'];
-        var updatePayload = {};
-        for (var key in articleData) {
-            if (articleData.hasOwnProperty(key) && excludeFields.indexOf(key) === -1) {
-                updatePayload[key] = articleData[key];
+        for (var i = 0; i < records.length; i++) {
+            if (records[i].PublishStatus === 'Draft') {
+                return records[i];
             }
+            onlineVersion = records[i];
         }
 
-        if (enableDebugLogging) {
-            logger.debug('========== DEBUG: SALESFORCE API REQUEST (UPDATE) ==========');
-            logger.debug('Endpoint: ' + instanceUrl + '/services/data/' + API_VERSION + endpoint);
-            logger.debug('Method: PATCH');
+        return onlineVersion;
 
-            var excludedFields = [];
-            if (articleData.DataCategorySelections) excludedFields.push('DataCategorySelections');
-            if (articleData.RecordTypeId) excludedFields.push('RecordTypeId');
-            if (articleData.attributes) excludedFields.push('attributes');
+    } catch (e) {
+        logger.error('Exception searching for translation: ' + e.message);
+        return null;
+    }
+}
 
-            if (excludedFields.length > 0) {
-                logger.debug('Note: Excluded immutable fields from update: ' + excludedFields.join(', '));
-            }
-            logger.debug('Payload:');
-            try {
-                logger.debug(JSON.stringify(updatePayload, null, 2));
-            } catch (e) {
-                logger.warn('Could not stringify payload: ' + e.message);
-                logger.debug('Payload fields: ' + Object.keys(updatePayload).join(', '));
-            }
-            logger.debug('===========================================================');
-        }
+/**
+ * Submit Article for Translation (Create Translation Draft)
+ *
+ * Creates a draft translation of the master article in the given language.
+ * For an already published translation this creates a new translation draft.
+ *
+ * Endpoint: POST /services/data/vXX.0/knowledgeManagement/articleVersions/translations
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} knowledgeArticleId - Master Knowledge Article ID (kA0...)
+ * @param {string} language - Salesforce language code of the translation
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, draftId: string, error: string }
+ */
+function submitForTranslation(accessToken, instanceUrl, knowledgeArticleId, language, serviceID) {
+    logger.info('Submitting article ' + knowledgeArticleId + ' for translation: ' + language);
 
+    try {
         var service = services.getKnowledgeService(serviceID);
-        var updateResult = service.call({
+        var result = service.call({
             accessToken: accessToken,
             instanceUrl: instanceUrl,
-            endpoint: endpoint,
-            method: 'PATCH',
-            body: updatePayload
+            endpoint: '/knowledgeManagement/articleVersions/translations',
+            method: 'POST',
+            body: {
+                articleId: knowledgeArticleId,
+                language: language,
+                sendEmailNotification: false
+            }
         });
 
-        if (enableDebugLogging) {
-            logger.debug('========== DEBUG: SALESFORCE API RESPONSE (UPDATE) ==========');
-            logger.debug('HTTP Status: ' + updateResult.status);
-            logger.debug('Response Object:');
-            try {
-                logger.debug(JSON.stringify(updateResult.object, null, 2));
-            } catch (e) {
-                logger.warn('Could not stringify response object: ' + e.message);
-                if (updateResult.object) {
-                    logger.debug('Response success: ' + updateResult.object.success);
-                    logger.debug('Response data: ' + (updateResult.object.data ? JSON.stringify(updateResult.object.data) : 'null'));
-                    logger.debug('Response error: ' + (updateResult.object.errorMessage || 'none'));
-                }
-            }
-            logger.debug('===========================================================');
-        }
+        if (result.status === 'OK' && result.object && result.object.success) {
+            var draftId = result.object.data.id;
+            logger.info('Successfully created translation draft: ' + draftId);
 
-        if (updateResult.status !== 'OK' || !updateResult.object || !updateResult.object.success) {
-            var errorMsg = updateResult.object ? updateResult.object.errorMessage : (updateResult.errorMessage || 'Update failed');
-            logger.error(logPrefix + 'Draft update failed: ' + errorMsg);
             return {
-                success: false,
-                error: 'Failed to update draft: ' + errorMsg,
-                operation: 'update_draft'
+                success: true,
+                draftId: draftId
             };
         }
 
-        logger.info(logPrefix + 'Successfully updated draft article: ' + draftId);
+        var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Failed to submit for translation');
+        logger.error('Failed to submit for translation: ' + errorMsg);
 
-        // STEP 2: Assign/update data categories if configured
-        if (articleData.DataCategorySelections) {
-            logger.debug(logPrefix + 'Assigning data categories to article');
-
-            var categoryResult = assignDataCategories(
-                accessToken,
-                instanceUrl,
-                draftId,
-                articleData.DataCategorySelections,
-                serviceID,
-                logPrefix
-            );
+        return {
+            success: false,
+            error: errorMsg
+        };
 
-            if (!categoryResult.success) {
-                logger.warn(logPrefix + 'Data category assignment failed: ' + categoryResult.error);
-                // Don't fail the whole update - article is still updated, just categories failed
-            } else {
-                logger.debug(logPrefix + 'Data categories assigned successfully');
-            }
-        }
+    } catch (e) {
+        logger.error('Exception submitting for translation: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
 
-        // Conditionally publish the draft based on publishArticles flag
-        if (publishArticles) {
-            logger.info('PublishArticles is enabled, publishing article');
-            var publishResult = publishArticle(accessToken, instanceUrl, draftId, serviceID);
+/**
+ * Publish Translation
+ *
+ * Publishes a translation draft. The master article must be published first.
+ *
+ * Endpoint: PATCH /services/data/vXX.0/knowledgeManagement/articleVersions/translations/{versionId}
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} versionId - Translation draft version ID (ka0...)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function publishTranslation(accessToken, instanceUrl, versionId, serviceID) {
+    logger.info('Publishing translation version: ' + versionId);
 
-            if (!publishResult.success) {
-                logger.warn('Article updated but publish failed: ' + publishResult.error);
-                // Return success anyway since the draft was updated
-                return {
-                    success: true,
-                    knowledgeArticleId: existingArticle.KnowledgeArticleId,
-                    versionId: draftId,
-                    operation: 'update',
-                    publishStatus: 'draft',
-                    warning: 'Publish failed: ' + publishResult.error
-                };
+    try {
+        var service = services.getKnowledgeService(serviceID);
+        var result = service.call({
+            accessToken: accessToken,
+            instanceUrl: instanceUrl,
+            endpoint: '/knowledgeManagement/articleVersions/translations/' + versionId,
+            method: 'PATCH',
+            body: {
+                status: 'Online'
             }
+        });
 
-            logger.info('Successfully published article: ' + existingArticle.KnowledgeArticleId);
-
-            return {
-                success: true,
-                knowledgeArticleId: existingArticle.KnowledgeArticleId,
-                versionId: draftId,
-                operation: 'update',
-                publishStatus: 'online'
-            };
-        } else {
-            logger.info('PublishArticles is disabled, article will remain in draft status');
+        if (result.status === 'OK' && result.object && result.object.success) {
+            logger.info('Successfully published translation version: ' + versionId);
             return {
-                success: true,
-                knowledgeArticleId: existingArticle.KnowledgeArticleId,
-                versionId: draftId,
-                operation: 'update',
-                publishStatus: 'draft'
+                success: true
             };
         }
 
+        var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Publish failed');
+        logger.error('Translation publish failed: ' + errorMsg);
+
+        return {
+            success: false,
+            error: errorMsg
+        };
+
     } catch (e) {
-        logger.error('Exception updating article with versioning: ' + e.message);
+        logger.error('Exception publishing translation: ' + e.message);
         return {
             success: false,
-            error: 'Exception: ' + e.message,
-            operation: 'update'
+            error: 'Exception: ' + e.message
         };
     }
 }
 
 /**
- * Create New Knowledge Article
+ * Edit Online Translation
  *
- * Creates a new Knowledge article in Draft status, then optionally publishes it based on publishArticles flag.
+ * Creates an editable draft of a published translation. A translation can't be submitted
+ * again once it exists for a language, so published translations are edited this way.
+ * The draft gets a new version ID, which is looked up again afterwards.
+ *
+ * Endpoint: PATCH /services/data/vXX.0/knowledgeManagement/articleVersions/translations/{versionId}
  *
  * @param {string} accessToken - OAuth access token
  * @param {string} instanceUrl - Salesforce instance URL
- * @param {Object} articleData - Article data
- * @param {string} articleType - Knowledge Article Type
- * @param {boolean} enableDebugLogging - Enable debug logging
- * @param {boolean} publishArticles - Whether to publish the article (true) or keep as draft (false)
+ * @param {Object} translation - Online translation version (Id, KnowledgeArticleId, Language)
+ * @param {string} articleType - Article type API name
  * @param {string} serviceID - Service ID for Salesforce API
- * @param {string} contentId - Content Asset ID for logging
- * @returns {Object} Create result
+ * @returns {Object} Result { success: boolean, draftId: string, error: string }
  */
-function createArticle(accessToken, instanceUrl, articleData, articleType, enableDebugLogging, publishArticles, serviceID, contentId) {
-    var logPrefix = contentId ? '[' + contentId + '] ' : '';
-    logger.info(logPrefix + 'Creating new Knowledge article');
+function editOnlineTranslation(accessToken, instanceUrl, translation, articleType, serviceID) {
+    logger.info('Creating draft from published translation: ' + translation.Id + ' (' + translation.Language + ')');
 
     try {
-        var endpoint = '/sobjects/' + articleType;
-
-        if (enableDebugLogging) {
-            logger.debug('========== DEBUG: SALESFORCE API REQUEST (CREATE) ==========');
-            logger.debug('Endpoint: ' + instanceUrl + '/services/data/' + API_VERSION + endpoint);
-            logger.debug('Method: POST');
-            logger.debug('Payload:');
-            try {
-                logger.debug(JSON.stringify(articleData, null, 2));
-            } catch (e) {
-                logger.warn('Could not stringify payload: ' + e.message);
-                logger.debug('Payload fields: ' + Object.keys(articleData).join(', '));
-            }
-            logger.debug('===========================================================');
-        }
-
         var service = services.getKnowledgeService(serviceID);
         var result = service.call({
             accessToken: accessToken,
             instanceUrl: instanceUrl,
-            endpoint: endpoint,
-            method: 'POST',
-            body: articleData
+            endpoint: '/knowledgeManagement/articleVersions/translations/' + translation.Id,
+            method: 'PATCH',
+            body: {
+                status: 'Draft'
+            }
         });
 
-        if (enableDebugLogging) {
-            logger.debug('========== DEBUG: SALESFORCE API RESPONSE (CREATE) ==========');
-            logger.debug('HTTP Status: ' + result.status);
-            logger.debug('Response Object:');
-            try {
-                logger.debug(JSON.stringify(result.object, null, 2));
-            } catch (e) {
-                logger.warn('Could not stringify response object: ' + e.message);
-                if (result.object) {
-                    logger.debug('Response success: ' + result.object.success);
-                    logger.debug('Response data: ' + (result.object.data ? JSON.stringify(result.object.data) : 'null'));
-                    logger.debug('Response error: ' + (result.object.errorMessage || 'none'));
-                }
-            }
-            logger.debug('===========================================================');
+        if (result.status !== 'OK' || !result.object || !result.object.success) {
+            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Failed to edit published translation');
+            logger.error('Failed to create translation draft: ' + errorMsg);
+            return {
+                success: false,
+                error: errorMsg
+            };
         }
 
-        // Process result
-        if (result.status === 'OK' && result.object && result.object.success) {
-            var articleId = result.object.data.id;
-            logger.info(logPrefix + 'Successfully created article: ' + articleId);
-
-            // Query to get KnowledgeArticleId
-            var query = "SELECT Id, KnowledgeArticleId FROM " + articleType + " WHERE Id = '" + articleId + "'";
-            var queryEndpoint = '/query?q=' + encodeURIComponent(query);
+        var draft = findTranslationVersion(accessToken, instanceUrl, translation.KnowledgeArticleId, articleType, translation.Language, serviceID);
+        if (!draft || draft.PublishStatus !== 'Draft') {
+            return {
+                success: false,
+                error: 'Translation draft not found after editing ' + translation.Id
+            };
+        }
 
-            logger.debug('Querying for KnowledgeArticleId with query: ' + query);
+        logger.info('Successfully created translation draft: ' + draft.Id);
+        return {
+            success: true,
+            draftId: draft.Id
+        };
 
-            var queryResult = service.call({
-                accessToken: accessToken,
-                instanceUrl: instanceUrl,
-                endpoint: queryEndpoint,
-                method: 'GET',
-                body: {}
-            });
+    } catch (e) {
+        logger.error('Exception editing published translation: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
 
-            logger.debug('Query result status: ' + queryResult.status);
-            if (queryResult.object) {
-                logger.debug('Query result success: ' + queryResult.object.success);
-                if (queryResult.object.data) {
-                    logger.debug('Query result data: ' + JSON.stringify(queryResult.object.data));
-                } else {
-                    logger.warn('Query result has no data property');
-                }
-            } else {
-                logger.warn('Query result has no object property');
-            }
+/**
+ * Upsert Translation of a Master Article
+ *
+ * Used for non-master languages when translationMode is 'linked':
+ * 1. Finds the master article (master language version with the same SFCC_External_ID__c)
+ * 2. Finds the existing translation version (Draft preferred over Online)
+ * 3. Maps the fields; with contentHash, an unchanged translation is skipped here. Like for master
+ *    articles, a translation draft created in Salesforce by someone else is handled by
+ *    humanDraftPolicy, and a translation edited in Salesforce since the last sync by conflictPolicy
+ * 4. If no translation exists, or only an Online one: submits the article for translation
+ * 5. Updates the translation draft with the mapped fields
+ * 6. Publishes the translation (if publishArticles is enabled, and not for conflicts written as a draft)
+ *
+ * Data categories and record type are inherited from the master article.
+ *
+ * @param {Object} contentAsset - Formatted content asset object (non-master language)
+ * @param {Object} config - Configuration object
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {Object} fieldMapping - Parsed field mapping
+ * @returns {Object} Upsert result (same structure as upsertKnowledgeArticle)
+ */
+function upsertTranslation(contentAsset, config, authResult, fieldMapping) {
+    var logPrefix = '[' + contentAsset.ID + '] ';
+    var articleType = config.articleType || 'Knowledge__kav';
+    var serviceID = config.serviceID;
+    var masterLanguage = knowledgeMappingHelper.resolveLanguage(config.masterLanguage, config.mappingRules);
+
+    // STEP 1: Find master article
+    var masterArticle = findArticleByExternalId(
+        authResult.accessToken,
+        authResult.instanceUrl,
+        contentAsset.ID,
+        articleType,
+        masterLanguage,
+        serviceID
+    );
+
+    if (!masterArticle) {
+        logger.error(logPrefix + 'Master article (' + masterLanguage + ') not found, cannot create ' + contentAsset.language + ' translation');
+        return {
+            success: false,
+            error: 'Master article (' + masterLanguage + ') not found for translation ' + contentAsset.language,
+            operation: 'translation'
+        };
+    }
 
-            var knowledgeArticleId = articleId;
-            if (queryResult.status === 'OK' && queryResult.object && queryResult.object.success) {
-                var records = queryResult.object.data.records;
-                if (records && records.length > 0) {
-                    logger.debug('Query returned ' + records.length + ' record(s)');
-                    logger.debug('Record[0].Id: ' + records[0].Id);
-                    logger.debug('Record[0].KnowledgeArticleId: ' + records[0].KnowledgeArticleId);
+    // STEP 2: Find existing translation
+    var translation = findTranslationVersion(
+        authResult.accessToken,
+        authResult.instanceUrl,
+        masterArticle.KnowledgeArticleId,
+        articleType,
+        contentAsset.language,
+        serviceID
+    );
+
+    // STEP 3: Map fields (categories, record type and language come from the master)
+    var articleData = contentMappingHelper.mapContentToArticle(contentAsset, articleType, fieldMapping, null, false, config.enableDebugLogging, config);
+    var excludeFields = ['DataCategorySelections', 'RecordTypeId', 'Language', 'attributes'];
+    var updatePayload = {};
+    for (var key in articleData) {
+        if (articleData.hasOwnProperty(key) && excludeFields.indexOf(key) === -1) {
+            updatePayload[key] = articleData[key];
+        }
+    }
+    updatePayload[EXTERNAL_ID_FIELD] = contentAsset.ID;
+    addSyncSource(updatePayload, articleType, config);
 
-                    knowledgeArticleId = records[0].KnowledgeArticleId;
-                    logger.debug('Using KnowledgeArticleId: ' + knowledgeArticleId + ' from query result');
-                } else {
-                    logger.warn('Query returned no records, using fallback articleId: ' + knowledgeArticleId);
-                }
-            } else {
-                logger.warn('Query failed or returned no success flag, using fallback articleId: ' + knowledgeArticleId);
-                if (queryResult.object && queryResult.object.errorMessage) {
-                    logger.error('Query error: ' + queryResult.object.errorMessage);
-                }
-            }
+    var validationFailure = checkValidationRules(contentAsset.ID, updatePayload, config);
+    if (validationFailure) {
+        return validationFailure;
+    }
 
-            // Conditionally publish the article based on publishArticles flag
-            if (publishArticles) {
-                logger.info('PublishArticles is enabled, publishing article');
-                var publishResult = publishArticle(accessToken, instanceUrl, articleId, serviceID);
+    // contentHash: leave the translation alone if the payload did not change since the last write
+    var payloadHash = config.contentHash ? contentMappingHelper.getPayloadHash(updatePayload, articleType) : null;
+    if (payloadHash && translation && isPayloadUnchanged(contentAsset, contentAsset.language, payloadHash, translation, config)) {
+        logger.info(logPrefix + 'Translation payload unchanged since last sync (' + contentAsset.language + '), skipping update');
+        return getUnchangedResult(masterArticle.KnowledgeArticleId, translation, payloadHash, contentAsset.ID);
+    }
 
-                if (!publishResult.success) {
-                    logger.warn('Article created but publish failed: ' + publishResult.error);
-                    return {
-                        success: true,
-                        knowledgeArticleId: knowledgeArticleId,
-                        versionId: articleId,
-                        operation: 'create',
-                        publishStatus: 'draft',
-                        warning: 'Publish failed: ' + publishResult.error
-                    };
-                }
+    // humanDraftPolicy: the translation draft was created in Salesforce by someone else
+    var humanDraft = translation ? getHumanDraft(contentAsset, translation, authResult, config) : null;
+    if (humanDraft) {
+        logger.warn(logPrefix + 'Translation draft ' + humanDraft.draftVersionId + ' (' + contentAsset.language + ') was created in Salesforce by ' +
+            humanDraft.createdById + ', humanDraftPolicy ' + humanDraft.policy);
 
-                logger.info('Successfully published new article: ' + knowledgeArticleId);
+        if (humanDraft.policy === HUMAN_DRAFT_POLICY.SKIP) {
+            return getHumanDraftResult(translation, humanDraft, contentAsset.ID);
+        }
 
-                return {
-                    success: true,
-                    knowledgeArticleId: knowledgeArticleId,
-                    versionId: articleId,
-                    operation: 'create',
-                    publishStatus: 'online'
-                };
-            } else {
-                logger.info('PublishArticles is disabled, article will remain in draft status');
-                return {
-                    success: true,
-                    knowledgeArticleId: knowledgeArticleId,
-                    versionId: articleId,
-                    operation: 'create',
-                    publishStatus: 'draft'
-                };
+        if (humanDraft.policy === HUMAN_DRAFT_POLICY.MERGE) {
+            var mergeResult = mergeHumanDraft(contentAsset, contentAsset.language, translation, updatePayload, articleType, config, authResult, humanDraft);
+            if (mergeResult.operation === 'update') {
+                mergeResult.operation = 'update_translation';
             }
-        } else {
-            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Create failed');
-            logger.error('Article creation failed: ' + errorMsg);
+            return mergeResult;
+        }
+    }
+
+    // conflictPolicy: the translation was edited in Salesforce since the last sync (drafts of others are handled above)
+    var conflict = translation && !humanDraft ? detectConflict(contentAsset, contentAsset.language, translation, authResult) : null;
+    if (conflict) {
+        conflict.policy = getConflictPolicy(contentAsset, config);
+        conflict.action = getConflictAction(conflict, translation);
+
+        logger.warn(logPrefix + 'Translation edited in Salesforce by ' + conflict.lastModifiedById + ' at ' + conflict.lastModifiedDate +
+            ' since the last sync (' + contentAsset.language + '), conflictPolicy ' + conflict.policy + ': ' + CONFLICT_ACTION_MESSAGES[conflict.action]);
+
+        if (conflict.action === CONFLICT_POLICY.SKIP) {
+            return getConflictResult(translation, conflict, contentAsset.ID);
+        }
+    }
+
+    var draftId;
+    var operation;
+
+    if (translation && translation.PublishStatus === 'Draft') {
+        logger.info(logPrefix + 'Updating existing translation draft (' + contentAsset.language + '): ' + translation.Id);
+        draftId = translation.Id;
+        operation = 'update_translation';
+    } else {
+        // STEP 4: No translation draft - edit the published translation or submit for translation
+        var submitResult = translation
+            ? editOnlineTranslation(authResult.accessToken, authResult.instanceUrl, translation, articleType, serviceID)
+            : submitForTranslation(
+                authResult.accessToken,
+                authResult.instanceUrl,
+                masterArticle.KnowledgeArticleId,
+                contentAsset.language,
+                serviceID
+            );
 
+        if (!submitResult.success) {
             return {
                 success: false,
-                error: errorMsg,
-                operation: 'create'
+                error: 'Failed to create translation draft: ' + submitResult.error,
+                operation: 'translation'
             };
         }
 
-    } catch (e) {
-        logger.error('Exception creating article: ' + e.message);
+        draftId = submitResult.draftId;
+        operation = translation ? 'update_translation' : 'create_translation';
+    }
+
+    // STEP 5: Update translation draft
+    var service = services.getKnowledgeService(serviceID);
+    var updateResult = service.call({
+        accessToken: authResult.accessToken,
+        instanceUrl: authResult.instanceUrl,
+        endpoint: '/sobjects/' + articleType + '/' + draftId,
+        method: 'PATCH',
+        body: updatePayload
+    });
+
+    if (updateResult.status !== 'OK' || !updateResult.object || !updateResult.object.success) {
+        var errorMsg = updateResult.object ? updateResult.object.errorMessage : (updateResult.errorMessage || 'Update failed');
+        logger.error(logPrefix + 'Translation draft update failed: ' + errorMsg);
         return {
             success: false,
-            error: 'Exception: ' + e.message,
-            operation: 'create'
+            error: 'Failed to update translation draft: ' + errorMsg,
+            operation: operation
         };
     }
+
+    logger.info(logPrefix + 'Successfully updated translation draft (' + contentAsset.language + '): ' + draftId);
+
+    var result = {
+        success: true,
+        knowledgeArticleId: masterArticle.KnowledgeArticleId,
+        versionId: draftId,
+        operation: operation,
+        publishStatus: 'draft',
+        payloadHash: payloadHash
+    };
+
+    // STEP 6: Publish translation (conflicts written as a draft stay a draft)
+    if (config.publishArticles && !(conflict && conflict.action === CONFLICT_POLICY.DRAFT)) {
+        var publishResult = publishTranslation(authResult.accessToken, authResult.instanceUrl, draftId, serviceID);
+
+        if (publishResult.success) {
+            result.publishStatus = 'online';
+        } else {
+            logger.warn(logPrefix + 'Translation updated but publish failed: ' + publishResult.error);
+            result.warning = 'Publish failed: ' + publishResult.error;
+            delete result.payloadHash;
+        }
+    }
+
+    addConflict(result, conflict);
+    addHumanDraft(result, humanDraft);
+    return result;
 }
 
 /**
- * Edit Online Article (Create Draft from Published)
- *
- * Uses KbManagement REST API to create a new draft version from a published article.
- * This is required because you cannot update a Published article directly.
- *
- * Endpoint: POST /services/data/vXX.0/knowledgeManagement/articleVersions/masterVersions
+ * Get current field values of an article version
  *
  * @param {string} accessToken - OAuth access token
  * @param {string} instanceUrl - Salesforce instance URL
- * @param {string} knowledgeArticleId - Master Knowledge Article ID (kA0...)
- * @returns {Object} Edit result
- * @returns {boolean} result.success - Whether operation succeeded
- * @returns {string} result.draftId - Draft version ID (if success)
- * @returns {string} result.error - Error message (if failed)
+ * @param {string} articleType - Knowledge Article Type
+ * @param {string} versionId - Article version ID
+ * @param {Array<string>} fieldNames - Fields to retrieve
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object|null} Article version record, or null if it could not be retrieved
  */
-function editOnlineArticle(accessToken, instanceUrl, knowledgeArticleId, serviceID) {
-    logger.info('Creating draft version from published article: ' + knowledgeArticleId);
-
+function getArticleFieldValues(accessToken, instanceUrl, articleType, versionId, fieldNames, serviceID) {
     try {
-        var endpoint = '/knowledgeManagement/articleVersions/masterVersions';
-
         var service = services.getKnowledgeService(serviceID);
         var result = service.call({
             accessToken: accessToken,
             instanceUrl: instanceUrl,
-            endpoint: endpoint,
-            method: 'POST',
-            body: {
-                articleId: knowledgeArticleId
-            }
+            endpoint: '/sobjects/' + articleType + '/' + versionId + '?fields=' + encodeURIComponent(fieldNames.join(',')),
+            method: 'GET',
+            body: {}
         });
 
-        logger.debug('Edit Online Article Response - Status: ' + result.status);
-        if (result.object) {
-            logger.debug('Edit Online Article Response - Success: ' + result.object.success);
-            logger.debug('Edit Online Article Response - Data: ' + JSON.stringify(result.object.data || {}));
+        if (result.status === 'OK' && result.object && result.object.success) {
+            return result.object.data;
         }
 
-        if (result.status === 'OK' && result.object && result.object.success) {
-            var draftId = result.object.data.id;
-            logger.info('Successfully created draft version: ' + draftId);
+        var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Query failed');
+        logger.error('Failed to retrieve article version ' + versionId + ': ' + errorMsg);
+        return null;
+
+    } catch (e) {
+        logger.error('Exception retrieving article version: ' + e.message);
+        return null;
+    }
+}
+
+/**
+ * Normalize a field value for dry-run comparison
+ *
+ * Salesforce returns null for empty fields and may return numbers/booleans,
+ * while mapped values are mostly strings.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Comparable value
+ */
+function normalizeFieldValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * Preview Knowledge Article Upsert (Dry Run)
+ *
+ * Runs the same lookup and mapping as upsertKnowledgeArticle, but never writes to Salesforce.
+ * Compares the mapped payload with the current article version and reports what would change.
+ *
+ * Immutable fields (DataCategorySelections, RecordTypeId) are not compared for updates,
+ * since updateArticleWithVersioning never sends them in a PATCH.
+ *
+ * @param {Object} contentAsset - Formatted content asset object
+ * @param {Object} config - Configuration object (same as upsertKnowledgeArticle)
+ * @returns {Object} Preview result
+ * @returns {boolean} result.success - Whether the preview succeeded
+ * @returns {string} result.operation - 'would_create', 'would_update' or 'unchanged' (if success)
+ * @returns {string} result.knowledgeArticleId - Existing master article ID (updates only)
+ * @returns {string} result.versionId - Existing article version ID (updates only)
+ * @returns {string} result.publishStatus - Existing article publish status (updates only)
+ * @returns {Object} result.fields - Mapped payload that would be created (creates only)
+ * @returns {Array<Object>} result.changedFields - Changed fields { field, current, proposed } (updates only)
+ * @returns {string} result.error - Error message (if failed)
+ */
+function previewKnowledgeArticle(contentAsset, config) {
+    logger.debug('Previewing knowledge article for content asset: ' + contentAsset.ID);
+
+    try {
+        var dataCategory = config.dataCategory || null;
+        var enableDebugLogging = config.enableDebugLogging || false;
+        var serviceID = config.serviceID;
+
+        var fieldMapping;
+        try {
+            fieldMapping = JSON.parse(config.fieldMapping || '{}');
+        } catch (e) {
+            logger.error('Invalid field mapping JSON: ' + e.message);
+            return {
+                success: false,
+                error: 'Invalid field mapping configuration',
+                contentId: contentAsset.ID
+            };
+        }
+
+        var authResult = authHelper.getAccessToken(serviceID);
+        if (!authResult.success) {
+            logger.error('Authentication failed: ' + authResult.error);
+            return {
+                success: false,
+                error: 'Authentication failed: ' + authResult.error,
+                contentId: contentAsset.ID
+            };
+        }
+
+        var language = contentAsset.language || config.language || 'en_US';
+        config.language = language;
+
+        var assetSettings = resolveAssetConfig(contentAsset, config, authResult);
+        if (assetSettings.error) {
+            return {
+                success: false,
+                error: assetSettings.error,
+                contentId: contentAsset.ID
+            };
+        }
+        var articleType = assetSettings.articleType;
+        config = assetSettings.config;
+
+        var existingArticle = findArticleByExternalId(
+            authResult.accessToken,
+            authResult.instanceUrl,
+            contentAsset.ID,
+            articleType,
+            language,
+            serviceID
+        );
+
+        var articleData = contentMappingHelper.mapContentToArticle(contentAsset, articleType, fieldMapping, dataCategory, !existingArticle, enableDebugLogging, config);
+
+        if (!articleData || Object.keys(articleData).length <= 1) {
+            logger.error('[' + contentAsset.ID + '] Article mapping resulted in empty data');
+            return {
+                success: false,
+                error: 'Failed to map content to article',
+                contentId: contentAsset.ID
+            };
+        }
+
+        articleData[EXTERNAL_ID_FIELD] = contentAsset.ID;
+        addSyncSource(articleData, articleType, config);
+        delete articleData.attributes;
+
+        var validationFailure = checkValidationRules(contentAsset.ID, articleData, config);
+        if (validationFailure) {
+            validationFailure.contentId = contentAsset.ID;
+            return validationFailure;
+        }
 
+        if (!existingArticle) {
+            logger.info('[' + contentAsset.ID + '] DRY RUN: Would create new article (' + language + ')');
             return {
                 success: true,
-                draftId: draftId
+                operation: 'would_create',
+                fields: articleData,
+                contentId: contentAsset.ID
             };
-        } else {
-            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Failed to create draft version');
-            logger.error('Failed to create draft version: ' + errorMsg);
+        }
+
+        // Compare against the current version, excluding fields never sent on update
+        var excludeFields = ['DataCategorySelections', 'RecordTypeId'];
+        var compareFields = [];
+        for (var key in articleData) {
+            if (articleData.hasOwnProperty(key) && excludeFields.indexOf(key) === -1) {
+                compareFields.push(key);
+            }
+        }
+
+        var currentValues = getArticleFieldValues(
+            authResult.accessToken,
+            authResult.instanceUrl,
+            articleType,
+            existingArticle.Id,
+            compareFields,
+            serviceID
+        );
 
+        if (!currentValues) {
             return {
                 success: false,
-                error: errorMsg
+                error: 'Failed to retrieve current article version ' + existingArticle.Id,
+                contentId: contentAsset.ID
             };
         }
 
+        var changedFields = [];
+        for (var i = 0; i < compareFields.length; i++) {
+            var fieldName = compareFields[i];
+            if (normalizeFieldValue(currentValues[fieldName]) !== normalizeFieldValue(articleData[fieldName])) {
+                changedFields.push({
+                    field: fieldName,
+                    current: currentValues[fieldName] !== undefined ? currentValues[fieldName] : null,
+                    proposed: articleData[fieldName]
+                });
+            }
+        }
+
+        var operation = changedFields.length > 0 ? 'would_update' : 'unchanged';
+        logger.info('[' + contentAsset.ID + '] DRY RUN: ' + (changedFields.length > 0
+            ? 'Would update ' + changedFields.length + ' field(s): ' + changedFields.map(function (c) { return c.field; }).join(', ')
+            : 'Unchanged') + ' (' + language + ', ' + existingArticle.PublishStatus + ')');
+
+        return {
+            success: true,
+            operation: operation,
+            knowledgeArticleId: existingArticle.KnowledgeArticleId,
+            versionId: existingArticle.Id,
+            publishStatus: existingArticle.PublishStatus,
+            changedFields: changedFields,
+            contentId: contentAsset.ID
+        };
+
     } catch (e) {
-        logger.error('Exception creating draft version: ' + e.message);
+        logger.error('Exception in previewKnowledgeArticle: ' + e.message + '\nStack: ' + e.stack);
         return {
             success: false,
-            error: 'Exception: ' + e.message
+            error: 'Exception: ' + e.message,
+            contentId: contentAsset.ID
         };
     }
 }
 
 /**
- * Publish Knowledge Article
+ * Get an error message from an sObject Collections record result
  *
- * Publishes a draft version using Actions API.
+ * @param {Object} recordResult - Record result { id, success, errors: [{ statusCode, message, fields }] }
+ * @returns {string} Error message
+ */
+function getCollectionErrorMessage(recordResult) {
+    var errors = (recordResult && recordResult.errors) || [];
+    if (errors.length === 0) {
+        return 'Unknown error';
+    }
+    return errors.map(function (error) {
+        return error.statusCode + ': ' + error.message + (error.fields && error.fields.length > 0 ? ' (' + error.fields.join(', ') + ')' : '');
+    }).join('; ');
+}
+
+/**
+ * Create or update records with one sObject Collections request
  *
- * Endpoint: POST /services/data/vXX.0/actions/standard/publishKnowledgeArticles
+ * Endpoint: POST (create) or PATCH (update) /services/data/vXX.0/composite/sobjects
+ * Uses allOrNone: false, so each record succeeds or fails on its own.
  *
  * @param {string} accessToken - OAuth access token
  * @param {string} instanceUrl - Salesforce instance URL
- * @param {string} articleVersionId - Draft version ID (ka0...)
- * @returns {Object} Publish result
- * @returns {boolean} result.success - Whether operation succeeded
- * @returns {string} result.error - Error message (if failed)
+ * @param {string} method - 'POST' or 'PATCH'
+ * @param {Array<Object>} records - Records with attributes.type (and id for PATCH), max COLLECTION_SIZE
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, results: Array<Object> (same order as records), error: string }
  */
-function publishArticle(accessToken, instanceUrl, articleVersionId, serviceID) {
-    logger.info('Publishing article version: ' + articleVersionId);
+function callCollection(accessToken, instanceUrl, method, records, serviceID) {
+    var service = services.getKnowledgeService(serviceID);
+    var result = service.call({
+        accessToken: accessToken,
+        instanceUrl: instanceUrl,
+        endpoint: '/composite/sobjects',
+        method: method,
+        body: {
+            allOrNone: false,
+            records: records
+        }
+    });
 
-    try {
-        var endpoint = '/actions/standard/publishKnowledgeArticles';
+    if (result.status === 'OK' && result.object && result.object.success && Array.isArray(result.object.data)) {
+        return {
+            success: true,
+            results: result.object.data
+        };
+    }
+
+    return {
+        success: false,
+        error: result.object ? (result.object.errorMessage || JSON.stringify(result.object.error)) : (result.errorMessage || 'Collection request failed')
+    };
+}
+
+/**
+ * Get KnowledgeArticleIds for created versions with one query per COLLECTION_SIZE versions
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} articleType - Knowledge Article Type
+ * @param {Array<string>} versionIds - Article version IDs
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Map of version ID → KnowledgeArticleId (missing if the query failed)
+ */
+function fetchKnowledgeArticleIds(accessToken, instanceUrl, articleType, versionIds, serviceID) {
+    var knowledgeArticleIds = {};
+    var service = services.getKnowledgeService(serviceID);
+
+    for (var start = 0; start < versionIds.length; start += COLLECTION_SIZE) {
+        var chunk = versionIds.slice(start, start + COLLECTION_SIZE);
+        var query = 'SELECT Id, KnowledgeArticleId FROM ' + articleType +
+            " WHERE Id IN ('" + chunk.join("', '") + "')";
 
-        var service = services.getKnowledgeService(serviceID);
         var result = service.call({
             accessToken: accessToken,
             instanceUrl: instanceUrl,
-            endpoint: endpoint,
-            method: 'POST',
-            body: {
-                inputs: [{
-                    articleVersionIdList: [articleVersionId],
-                    pubAction: 'PUBLISH_ARTICLE'
-                }]
-            }
+            endpoint: '/query?q=' + encodeURIComponent(query),
+            method: 'GET'
         });
 
-        // Actions API returns different response structure
         if (result.status === 'OK' && result.object && result.object.success) {
-            var responseData = result.object.data;
+            var records = result.object.data.records || [];
+            for (var i = 0; i < records.length; i++) {
+                knowledgeArticleIds[records[i].Id] = records[i].KnowledgeArticleId;
+            }
+        } else {
+            logger.warn('Could not query KnowledgeArticleIds for ' + chunk.length + ' created article(s), using version IDs');
+        }
+    }
+
+    return knowledgeArticleIds;
+}
+
+/**
+ * Write prepared articles with sObject Collections
+ *
+ * Creates are sent as POST collections and draft updates as PATCH collections,
+ * up to COLLECTION_SIZE records per request and article type. Drafts of Online
+ * articles are still created one by one (editOnlineArticle), and data categories
+ * and publishing still run per article (completeArticleWrite).
+ *
+ * @param {Array<Object>} writes - Prepared writes { contentId, prepared } (prepared from prepareArticleWrite)
+ * @returns {Array<Object>} Upsert results, same order as writes
+ */
+function writeArticleCollections(writes) {
+    var results = [];
+    var written = [];
+    var creates = {};
+    var updates = {};
+
+    // STEP 1: Group writes by operation and article type (drafts of Online articles are created here)
+    for (var w = 0; w < writes.length; w++) {
+        var write = writes[w];
+        var prepared = write.prepared;
+        var groups = creates;
+
+        if (prepared.existingArticle) {
+            var draftResult = getDraftVersion(
+                prepared.authResult.accessToken,
+                prepared.authResult.instanceUrl,
+                prepared.existingArticle,
+                prepared.config.serviceID,
+                '[' + write.contentId + '] '
+            );
+
+            if (!draftResult.success) {
+                results[w] = draftResult;
+                continue;
+            }
+
+            write.versionId = draftResult.draftId;
+            write.knowledgeArticleId = prepared.existingArticle.KnowledgeArticleId;
+            groups = updates;
+        }
+
+        (groups[prepared.articleType] = groups[prepared.articleType] || []).push(w);
+    }
+
+    // STEP 2: Send collections
+    [{ groups: creates, method: 'POST', operation: 'create' }, { groups: updates, method: 'PATCH', operation: 'update' }].forEach(function (pass) {
+        for (var articleType in pass.groups) {
+            if (!pass.groups.hasOwnProperty(articleType)) {
+                continue;
+            }
+
+            var positions = pass.groups[articleType];
+
+            for (var start = 0; start < positions.length; start += COLLECTION_SIZE) {
+                var chunk = positions.slice(start, start + COLLECTION_SIZE);
+                var authResult = writes[chunk[0]].prepared.authResult;
+
+                var records = chunk.map(function (position) {
+                    var chunkWrite = writes[position];
+                    // Categories are assigned after the write (completeArticleWrite)
+                    var record = getUpdatePayload(chunkWrite.prepared.articleData);
+                    if (pass.operation === 'create' && chunkWrite.prepared.articleData.RecordTypeId) {
+                        record.RecordTypeId = chunkWrite.prepared.articleData.RecordTypeId;
+                    }
+                    if (pass.operation === 'update') {
+                        record.id = chunkWrite.versionId;
+                    }
+                    record.attributes = { type: articleType };
+                    return record;
+                });
+
+                logger.info('Sending ' + pass.method + ' collection: ' + records.length + ' ' + articleType + ' article(s)');
+
+                var collectionResult = callCollection(authResult.accessToken, authResult.instanceUrl, pass.method, records, writes[chunk[0]].prepared.config.serviceID);
+                var created = [];
+
+                for (var c = 0; c < chunk.length; c++) {
+                    var position = chunk[c];
+                    var recordResult = collectionResult.success ? collectionResult.results[c] : null;
+
+                    if (recordResult && recordResult.success) {
+                        if (pass.operation === 'create') {
+                            writes[position].versionId = recordResult.id;
+                            created.push(recordResult.id);
+                        }
+                        written.push(position);
+                    } else {
+                        var errorMsg = collectionResult.success ? getCollectionErrorMessage(recordResult) : collectionResult.error;
+                        logger.error('[' + writes[position].contentId + '] Article ' + pass.operation + ' failed: ' + errorMsg);
+                        results[position] = {
+                            success: false,
+                            error: (pass.operation === 'update' ? 'Failed to update draft: ' : '') + errorMsg,
+                            operation: pass.operation === 'update' ? 'update_draft' : 'create'
+                        };
+                    }
+                }
+
+                // KnowledgeArticleIds of all created versions in one query
+                if (created.length > 0) {
+                    var knowledgeArticleIds = fetchKnowledgeArticleIds(authResult.accessToken, authResult.instanceUrl, articleType, created, writes[chunk[0]].prepared.config.serviceID);
+                    chunk.forEach(function (createdPosition) {
+                        var versionId = writes[createdPosition].versionId;
+                        if (versionId && !results[createdPosition]) {
+                            writes[createdPosition].knowledgeArticleId = knowledgeArticleIds[versionId] || versionId;
+                        }
+                    });
+                }
+            }
+        }
+    });
+
+    // STEP 3: Data categories and publishing per written article
+    written.forEach(function (position) {
+        var writtenArticle = writes[position];
+        var articleConfig = writtenArticle.prepared.config;
+        var logPrefix = '[' + writtenArticle.contentId + '] ';
+
+        logger.info(logPrefix + 'Successfully ' + (writtenArticle.prepared.existingArticle ? 'updated draft' : 'created') + ' article: ' + writtenArticle.versionId);
+
+        results[position] = completeArticleWrite(
+            writtenArticle.prepared.authResult.accessToken,
+            writtenArticle.prepared.authResult.instanceUrl,
+            writtenArticle.knowledgeArticleId,
+            writtenArticle.versionId,
+            writtenArticle.prepared.existingArticle ? 'update' : 'create',
+            writtenArticle.prepared.articleData.DataCategorySelections,
+            isPublishAllowed(writtenArticle.prepared),
+            articleConfig.serviceID,
+            logPrefix
+        );
+        addPayloadHash(results[position], writtenArticle.prepared.payloadHash);
+        addConflict(results[position], writtenArticle.prepared.conflict);
+        addHumanDraft(results[position], writtenArticle.prepared.humanDraft);
+    });
+
+    return results;
+}
+
+/**
+ * Upsert a batch using sObject Collections
+ *
+ * Non-translation assets are prepared first and written together (writeArticleCollections).
+ * Linked translations are upserted one by one afterwards, so master articles created
+ * in this batch already exist.
+ *
+ * @param {Array<Object>} contentAssets - Array of formatted content assets
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} articleTypes - Article type per content asset (from prefetchBatchArticles)
+ * @returns {Array<Object>} Upsert results, same order as contentAssets
+ */
+function upsertBatchWithCollections(contentAssets, config, articleTypes) {
+    var results = [];
+    var writes = [];
+    var translations = [];
+
+    for (var i = 0; i < contentAssets.length; i++) {
+        var contentAsset = contentAssets[i];
 
-            // Check if it's an array response from Actions API
-            if (responseData && Array.isArray(responseData) && responseData.length > 0) {
-                var actionResult = responseData[0];
+        if (isTranslation(contentAsset, config)) {
+            translations.push(i);
+            continue;
+        }
 
-                if (actionResult.isSuccess) {
-                    logger.info('Successfully published article version: ' + articleVersionId);
-                    return {
-                        success: true
-                    };
-                } else {
-                    var errorMsg = actionResult.errors && actionResult.errors.length > 0
-                        ? JSON.stringify(actionResult.errors)
-                        : 'Publish failed';
-                    logger.error('Publish failed: ' + errorMsg);
-                    return {
-                        success: false,
-                        error: errorMsg
-                    };
-                }
+        logger.debug('Preparing content asset ' + (i + 1) + '/' + contentAssets.length + ': ' + contentAsset.ID);
+
+        try {
+            var prepared = prepareArticleWrite(contentAsset, config);
+            if (prepared.done) {
+                results[i] = prepared.result;
             } else {
-                logger.error('Unexpected Actions API response structure');
-                return {
-                    success: false,
-                    error: 'Unexpected response structure from Actions API'
-                };
+                writes.push({ index: i, contentId: contentAsset.ID, prepared: prepared });
             }
-        } else {
-            var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Publish failed');
-            logger.error('Publish failed: ' + errorMsg);
-
-            return {
+        } catch (e) {
+            logger.error('Exception preparing ' + contentAsset.ID + ': ' + e.message + '\nStack: ' + e.stack);
+            results[i] = {
                 success: false,
-                error: errorMsg
+                error: 'Exception: ' + e.message
             };
         }
+    }
 
-    } catch (e) {
-        logger.error('Exception publishing article: ' + e.message);
-        return {
-            success: false,
-            error: 'Exception: ' + e.message
-        };
+    var writeResults = writeArticleCollections(writes);
+
+    for (var w = 0; w < writes.length; w++) {
+        var index = writes[w].index;
+        results[index] = writeResults[w];
+
+        // The article changed, later lookups in this batch must query Salesforce
+        forgetPrefetchedArticle(articleTypes[index], contentAssets[index].ID, contentAssets[index].language);
+    }
+
+    translations.forEach(function (translationIndex) {
+        results[translationIndex] = upsertKnowledgeArticle(contentAssets[translationIndex], config);
+    });
+
+    results.forEach(function (upsertResult, resultIndex) {
+        upsertResult.contentId = contentAssets[resultIndex].ID;
+    });
+
+    return results;
+}
+
+/**
+ * Prefetch existing articles for every asset and language in a batch
+ *
+ * If the prefetch fails, lookups fall back to per-asset queries.
+ *
+ * @param {Array<Object>} contentAssets - Array of formatted content assets
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Article type per content asset (same order as contentAssets)
+ */
+function prefetchBatchArticles(contentAssets, config) {
+    var siteArticleType = (config && config.articleType) || 'Knowledge__kav';
+    var rules = config && config.mappingRules;
+    var articleTypes = [];
+    var lookups = {};
+    var seen = {};
+
+    function addLookup(articleType, externalId, language) {
+        var lookup = lookups[articleType] = lookups[articleType] || { externalIds: [], languages: [] };
+        if (!seen[articleType + '|id|' + externalId]) {
+            seen[articleType + '|id|' + externalId] = true;
+            lookup.externalIds.push(externalId);
+        }
+        if (!seen[articleType + '|lang|' + language]) {
+            seen[articleType + '|lang|' + language] = true;
+            lookup.languages.push(language);
+        }
+    }
+
+    for (var i = 0; i < contentAssets.length; i++) {
+        var contentAsset = contentAssets[i];
+        var articleType = knowledgeMappingHelper.resolveArticleType(contentAsset, rules, siteArticleType);
+        articleTypes.push(articleType);
+
+        addLookup(articleType, contentAsset.ID, contentAsset.language || config.language || 'en_US');
+
+        // Linked translations also look up the master article
+        if (isTranslation(contentAsset, config)) {
+            addLookup(articleType, contentAsset.ID, knowledgeMappingHelper.resolveLanguage(config.masterLanguage, rules));
+        }
+    }
+
+    var authResult = authHelper.getAccessToken(config.serviceID);
+    if (!authResult.success) {
+        return articleTypes;
+    }
+
+    var prefetchResult = prefetchArticles(authResult.accessToken, authResult.instanceUrl, lookups, config.serviceID);
+    if (prefetchResult.success) {
+        logger.info('Prefetched existing articles for ' + contentAssets.length + ' content assets with ' + prefetchResult.queries + ' query call(s)');
+    } else {
+        logger.warn('Article prefetch failed, falling back to per-asset lookups: ' + prefetchResult.error);
     }
+
+    return articleTypes;
 }
 
 /**
@@ -865,6 +2825,10 @@ function publishArticle(accessToken, instanceUrl, articleVersionId, serviceID) {
  *
  * Processes multiple content assets in a single batch.
  * Continues processing even if individual articles fail.
+ * When config.dryRun is set, articles are previewed instead of written.
+ * Existing articles are looked up for the whole batch first (prefetchBatchArticles).
+ * Creates and draft updates are sent as sObject Collections unless config.compositeWrites
+ * is false (then each article is written with its own requests).
  *
  * @param {Array<Object>} contentAssets - Array of formatted content assets
  * @param {Object} config - Configuration object
@@ -894,25 +2858,48 @@ function exportBatch(contentAssets, config) {
     }
 
     try {
-        // Process each content asset
-        for (var i = 0; i < contentAssets.length; i++) {
-            var contentAsset = contentAssets[i];
+        // Look up existing articles for the whole batch up front
+        var articleTypes = prefetchBatchArticles(contentAssets, config);
+
+        var upsertResults = [];
+        var useCollections = !(config && config.dryRun) && !(config && config.compositeWrites === false);
+
+        if (useCollections) {
+            upsertResults = upsertBatchWithCollections(contentAssets, config, articleTypes);
+        } else {
+            for (var j = 0; j < contentAssets.length; j++) {
+                logger.debug('Processing content asset ' + (j + 1) + '/' + contentAssets.length + ': ' + contentAssets[j].ID);
+
+                // Upsert article (or preview it in dry-run mode)
+                upsertResults.push(config && config.dryRun
+                    ? previewKnowledgeArticle(contentAssets[j], config)
+                    : upsertKnowledgeArticle(contentAssets[j], config));
 
-            logger.debug('Processing content asset ' + (i + 1) + '/' + contentAssets.length + ': ' + contentAsset.ID);
+                // The article may have changed, later lookups in this batch must query Salesforce
+                forgetPrefetchedArticle(articleTypes[j], contentAssets[j].ID, contentAssets[j].language);
+            }
+        }
 
-            // Upsert article
-            var upsertResult = upsertKnowledgeArticle(contentAsset, config);
+        // Track results
+        for (var i = 0; i < contentAssets.length; i++) {
+            var contentAsset = contentAssets[i];
+            var upsertResult = upsertResults[i];
 
-            // Track result
             result.details.push({
                 contentId: contentAsset.ID,
+                language: contentAsset.language,
                 success: upsertResult.success,
                 knowledgeArticleId: upsertResult.knowledgeArticleId,
                 versionId: upsertResult.versionId,
                 operation: upsertResult.operation,
                 publishStatus: upsertResult.publishStatus,
                 error: upsertResult.error,
-                warning: upsertResult.warning
+                warning: upsertResult.warning,
+                changedFields: upsertResult.changedFields,
+                fields: upsertResult.fields,
+                payloadHash: upsertResult.payloadHash,
+                conflict: upsertResult.conflict,
+                humanDraft: upsertResult.humanDraft
             });
 
             if (upsertResult.success) {
@@ -929,6 +2916,8 @@ function exportBatch(contentAssets, config) {
         logger.error('Exception processing batch: ' + e.message + '\nStack: ' + e.stack);
         result.success = false;
         result.error = 'Batch exception: ' + e.message;
+    } finally {
+        clearPrefetchedArticles();
     }
 
     return result;
@@ -1010,6 +2999,410 @@ function deleteArticle(externalId, articleType, serviceID) {
     }
 }
 
+/**
+ * Find External IDs of all active articles synced from B2C
+ *
+ * Queries Online and Draft article versions that carry an SFCC_External_ID__c
+ * and returns the distinct external IDs. Used by the reconciliation pass to
+ * detect articles whose source content asset has been deleted in B2C.
+ *
+ * Only articles whose SFCC_Source__c is the given source are returned, so articles
+ * written by other sites, libraries or targets in the same org are never considered.
+ * Static field values from the site configuration are added as filters as well
+ * (e.g. Site__c). Follows nextRecordsUrl to read all result pages.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} articleType - Knowledge Article Type (e.g., 'Knowledge__kav')
+ * @param {Object} staticFilters - Optional field → value filters (string, number, boolean values only)
+ * @param {string} syncSource - Source marker of the current site (value of SFCC_Source__c)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result
+ * @returns {boolean} result.success - Whether the query succeeded
+ * @returns {Array<string>} result.externalIds - Distinct external IDs (if success)
+ * @returns {string} result.error - Error message (if failed)
+ */
+function findSyncedExternalIds(accessToken, instanceUrl, articleType, staticFilters, syncSource, serviceID) {
+    if (!syncSource) {
+        return {
+            success: false,
+            error: 'No source marker (' + SOURCE_FIELD + ') to scope the query to this site'
+        };
+    }
+
+    try {
+        var conditions = [
+            EXTERNAL_ID_FIELD + ' != null',
+            SOURCE_FIELD + " = '" + syncSource.replace(/'/g, "\\'") + "'",
+            "PublishStatus IN ('Online', 'Draft')"
+        ];
+
+        if (staticFilters && typeof staticFilters === 'object') {
+            for (var field in staticFilters) {
+                if (staticFilters.hasOwnProperty(field)) {
+                    var value = staticFilters[field];
+                    if (typeof value === 'string') {
+                        conditions.push(field + " = '" + value.replace(/'/g, "\\'") + "'");
+                    } else if (typeof value === 'number' || typeof value === 'boolean') {
+                        conditions.push(field + ' = ' + value);
+                    }
+                }
+            }
+        }
+
+        var query = 'SELECT ' + EXTERNAL_ID_FIELD + ' FROM ' + articleType + ' WHERE ' + conditions.join(' AND ');
+        logger.debug('Query (synced external IDs): ' + query);
+
+        var service = services.getKnowledgeService(serviceID);
+        var endpoint = '/query?q=' + encodeURIComponent(query);
+        var seen = {};
+        var externalIds = [];
+
+        while (endpoint) {
+            var result = service.call({
+                accessToken: accessToken,
+                instanceUrl: instanceUrl,
+                endpoint: endpoint,
+                method: 'GET'
+            });
+
+            if (result.status !== 'OK' || !result.object || !result.object.success) {
+                var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Query failed');
+                logger.error('Failed to query synced articles: ' + errorMsg);
+                return {
+                    success: false,
+                    error: errorMsg
+                };
+            }
+
+            var records = result.object.data.records || [];
+            for (var i = 0; i < records.length; i++) {
+                var externalId = records[i][EXTERNAL_ID_FIELD];
+                if (externalId && !seen[externalId]) {
+                    seen[externalId] = true;
+                    externalIds.push(externalId);
+                }
+            }
+
+            // nextRecordsUrl includes the /services/data/vXX.X prefix - the service adds it again
+            var nextRecordsUrl = result.object.data.nextRecordsUrl;
+            endpoint = nextRecordsUrl ? nextRecordsUrl.substring(nextRecordsUrl.indexOf('/query')) : null;
+        }
+
+        logger.info('Found ' + externalIds.length + ' synced article(s) in Salesforce');
+
+        return {
+            success: true,
+            externalIds: externalIds
+        };
+
+    } catch (e) {
+        logger.error('Exception querying synced articles: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
+/**
+ * Find all active versions of an article by SFCC External ID
+ *
+ * Unlike findArticleByExternalId, this returns every Online and Draft version
+ * across all languages (master versions and linked translations, see IsMasterLanguage),
+ * which is what archive and delete operations need.
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} externalId - B2C Content Asset ID
+ * @param {string} articleType - Knowledge Article Type
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Array<Object>|null} Article version records, or null if the query failed
+ */
+function findArticleVersionsByExternalId(accessToken, instanceUrl, externalId, articleType, serviceID) {
+    var escapedId = externalId.replace(/'/g, "\\'");
+    var query = 'SELECT Id, KnowledgeArticleId, Language, PublishStatus, IsMasterLanguage ' +
+        'FROM ' + articleType +
+        ' WHERE ' + EXTERNAL_ID_FIELD + " = '" + escapedId + "' " +
+        "AND PublishStatus IN ('Online', 'Draft')";
+
+    logger.debug('Query (all versions): ' + query);
+
+    var service = services.getKnowledgeService(serviceID);
+    var result = service.call({
+        accessToken: accessToken,
+        instanceUrl: instanceUrl,
+        endpoint: '/query?q=' + encodeURIComponent(query),
+        method: 'GET'
+    });
+
+    if (result.status === 'OK' && result.object && result.object.success) {
+        return result.object.data.records || [];
+    }
+
+    logger.error('[' + externalId + '] Failed to query article versions: ' + (result.object ? result.object.errorMessage : (result.errorMessage || 'Query failed')));
+    return null;
+}
+
+/**
+ * Archive a published article version
+ *
+ * Endpoint: PATCH /services/data/vXX.0/knowledgeManagement/articleVersions/masterVersions/{versionId}
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} versionId - Online version ID (ka0...)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function archiveArticleVersion(accessToken, instanceUrl, versionId, serviceID) {
+    logger.info('Archiving article version: ' + versionId);
+
+    var service = services.getKnowledgeService(serviceID);
+    var result = service.call({
+        accessToken: accessToken,
+        instanceUrl: instanceUrl,
+        endpoint: '/knowledgeManagement/articleVersions/masterVersions/' + versionId,
+        method: 'PATCH',
+        body: {
+            publishStatus: 'Archived'
+        }
+    });
+
+    if (result.status === 'OK' && result.object && result.object.success) {
+        return { success: true };
+    }
+
+    var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Archive failed');
+    logger.error('Failed to archive article version ' + versionId + ': ' + errorMsg);
+    return {
+        success: false,
+        error: errorMsg
+    };
+}
+
+/**
+ * Delete a draft or archived article version
+ *
+ * Endpoint: DELETE /services/data/vXX.0/knowledgeManagement/articleVersions/masterVersions/{versionId}
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} versionId - Draft or archived version ID (ka0...)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function deleteArticleVersion(accessToken, instanceUrl, versionId, serviceID) {
+    logger.info('Deleting article version: ' + versionId);
+
+    var service = services.getKnowledgeService(serviceID);
+    var result = service.call({
+        accessToken: accessToken,
+        instanceUrl: instanceUrl,
+        endpoint: '/knowledgeManagement/articleVersions/masterVersions/' + versionId,
+        method: 'DELETE'
+    });
+
+    if (result.status === 'OK') {
+        return { success: true };
+    }
+
+    var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Delete failed');
+    logger.error('Failed to delete article version ' + versionId + ': ' + errorMsg);
+    return {
+        success: false,
+        error: errorMsg
+    };
+}
+
+/**
+ * Delete a translation draft
+ *
+ * Endpoint: DELETE /services/data/vXX.0/knowledgeManagement/articleVersions/translations/{versionId}
+ *
+ * @param {string} accessToken - OAuth access token
+ * @param {string} instanceUrl - Salesforce instance URL
+ * @param {string} versionId - Translation draft version ID (ka0...)
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function deleteTranslationVersion(accessToken, instanceUrl, versionId, serviceID) {
+    logger.info('Deleting translation version: ' + versionId);
+
+    var service = services.getKnowledgeService(serviceID);
+    var result = service.call({
+        accessToken: accessToken,
+        instanceUrl: instanceUrl,
+        endpoint: '/knowledgeManagement/articleVersions/translations/' + versionId,
+        method: 'DELETE'
+    });
+
+    if (result.status === 'OK') {
+        return { success: true };
+    }
+
+    var errorMsg = result.object ? result.object.errorMessage : (result.errorMessage || 'Delete failed');
+    logger.error('Failed to delete translation version ' + versionId + ': ' + errorMsg);
+    return {
+        success: false,
+        error: errorMsg
+    };
+}
+
+/**
+ * Archive or delete a master article version (see retireArticle)
+ *
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {Object} version - Article version ({ Id, Language, PublishStatus })
+ * @param {boolean} deleteArticles - Delete the version instead of archiving it
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @param {string} logPrefix - Log prefix for messages
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function retireMasterVersion(authResult, version, deleteArticles, serviceID, logPrefix) {
+    var versionResult = { success: true };
+
+    if (version.PublishStatus === 'Online') {
+        versionResult = archiveArticleVersion(authResult.accessToken, authResult.instanceUrl, version.Id, serviceID);
+    }
+
+    if (versionResult.success && deleteArticles) {
+        versionResult = deleteArticleVersion(authResult.accessToken, authResult.instanceUrl, version.Id, serviceID);
+    } else if (versionResult.success && version.PublishStatus === 'Draft') {
+        logger.info(logPrefix + 'Leaving draft version ' + version.Id + ' (' + version.Language + ') in place');
+    }
+
+    return versionResult;
+}
+
+/**
+ * Retire a linked translation version (see retireArticle)
+ *
+ * Only translation drafts are changed (deleted with deleteArticles). Online translations
+ * follow their master version.
+ *
+ * @param {Object} authResult - Result of authHelper.getAccessToken()
+ * @param {Object} version - Translation version ({ Id, Language, PublishStatus })
+ * @param {boolean} deleteArticles - Delete drafts instead of leaving them in place
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @param {string} logPrefix - Log prefix for messages
+ * @returns {Object} Result { success: boolean, error: string }
+ */
+function retireTranslationVersion(authResult, version, deleteArticles, serviceID, logPrefix) {
+    if (version.PublishStatus !== 'Draft') {
+        logger.info(logPrefix + 'Translation ' + version.Id + ' (' + version.Language + ') is ' +
+            (deleteArticles ? 'deleted' : 'archived') + ' with its master version');
+        return { success: true };
+    }
+
+    if (deleteArticles) {
+        return deleteTranslationVersion(authResult.accessToken, authResult.instanceUrl, version.Id, serviceID);
+    }
+
+    logger.info(logPrefix + 'Leaving translation draft ' + version.Id + ' (' + version.Language + ') in place');
+    return { success: true };
+}
+
+/**
+ * Retire Knowledge Article by SFCC External ID
+ *
+ * Takes a retired content asset out of Salesforce Knowledge in every language:
+ * - Archive: Online versions are archived, drafts are left untouched
+ * - Delete: Online versions are archived and then deleted, drafts are deleted
+ *
+ * Translations (IsMasterLanguage false) can't be archived on their own: an Online
+ * translation is archived, and deleted, together with its master version. With
+ * delete, translation drafts are deleted first, since Salesforce does not delete a
+ * master version that still has translation drafts.
+ *
+ * @param {string} externalId - B2C Content Asset ID
+ * @param {string} articleType - Knowledge Article Type
+ * @param {boolean} deleteArticles - Delete the article versions instead of archiving them
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Retire result
+ * @returns {boolean} result.success - Whether all versions were retired
+ * @returns {number} result.versionCount - Number of versions found
+ * @returns {number} result.translationCount - Number of them that are linked translations
+ * @returns {string} result.error - Error message (if failed)
+ */
+function retireArticle(externalId, articleType, deleteArticles, serviceID) {
+    var logPrefix = '[' + externalId + '] ';
+    logger.info(logPrefix + (deleteArticles ? 'Deleting' : 'Archiving') + ' retired article');
+
+    try {
+        var authResult = authHelper.getAccessToken(serviceID);
+        if (!authResult.success) {
+            return {
+                success: false,
+                error: 'Authentication failed: ' + authResult.error
+            };
+        }
+
+        var versions = findArticleVersionsByExternalId(authResult.accessToken, authResult.instanceUrl, externalId, articleType, serviceID);
+        if (versions === null) {
+            return {
+                success: false,
+                error: 'Failed to query article versions'
+            };
+        }
+
+        if (versions.length === 0) {
+            logger.info(logPrefix + 'No Online or Draft versions found, nothing to retire');
+            return {
+                success: true,
+                versionCount: 0,
+                translationCount: 0
+            };
+        }
+
+        // Translations before master versions (see above)
+        var translations = versions.filter(function (version) {
+            return version.IsMasterLanguage === false;
+        });
+        versions = translations.concat(versions.filter(function (version) {
+            return version.IsMasterLanguage !== false;
+        }));
+
+        var errors = [];
+
+        for (var i = 0; i < versions.length; i++) {
+            var version = versions[i];
+            var versionResult = version.IsMasterLanguage === false ?
+                retireTranslationVersion(authResult, version, deleteArticles, serviceID, logPrefix) :
+                retireMasterVersion(authResult, version, deleteArticles, serviceID, logPrefix);
+
+            if (!versionResult.success) {
+                errors.push(version.Language + ': ' + versionResult.error);
+            }
+        }
+
+        if (errors.length > 0) {
+            return {
+                success: false,
+                versionCount: versions.length,
+                translationCount: translations.length,
+                error: errors.join('; ')
+            };
+        }
+
+        logger.info(logPrefix + 'Retired ' + versions.length + ' article version(s)' +
+            (translations.length > 0 ? ', ' + translations.length + ' of them translation(s)' : ''));
+
+        return {
+            success: true,
+            versionCount: versions.length,
+            translationCount: translations.length
+        };
+
+    } catch (e) {
+        logger.error(logPrefix + 'Exception retiring article: ' + e.message);
+        return {
+            success: false,
+            error: 'Exception: ' + e.message
+        };
+    }
+}
+
 /**
  * Assign data categories to a Knowledge article version
  *
@@ -1207,8 +3600,21 @@ function assignDataCategories(accessToken, instanceUrl, articleVersionId, dataCa
 
 // Export public functions
 module.exports = {
+    SOURCE_FIELD: SOURCE_FIELD,
+    CONFLICT_POLICY: CONFLICT_POLICY,
+    HUMAN_DRAFT_POLICY: HUMAN_DRAFT_POLICY,
     upsertKnowledgeArticle: upsertKnowledgeArticle,
+    previewKnowledgeArticle: previewKnowledgeArticle,
     findArticleByExternalId: findArticleByExternalId,
+    prefetchArticles: prefetchArticles,
+    prefetchBatchArticles: prefetchBatchArticles,
+    clearPrefetchedArticles: clearPrefetchedArticles,
+    prepareArticleWrite: prepareArticleWrite,
+    isTranslation: isTranslation,
+    fetchKnowledgeArticleIds: fetchKnowledgeArticleIds,
+    publishArticleVersions: publishArticleVersions,
     exportBatch: exportBatch,
-    deleteArticle: deleteArticle
+    deleteArticle: deleteArticle,
+    findSyncedExternalIds: findSyncedExternalIds,
+    retireArticle: retireArticle
 };
@@ -689,6 +689,70 @@ function ensureExternalIdField(articleType, serviceID) {
     }
 }
 
+/**
+ * Ensure SFCC Source field exists
+ *
+ * SFCC_Source__c records which library (and target) wrote an article, so retired
+ * content reconciliation only considers articles of the current site. Unlike the mapped
+ * fields, a missing source field does not stop the export: articles are written without
+ * it and deleted content is not detected.
+ *
+ * @param {string} articleType - Knowledge Article Type (e.g., 'Knowledge__kav')
+ * @param {boolean} autoCreate - Whether to create the field if it is missing
+ * @param {string} serviceID - Service ID for Salesforce API
+ * @returns {Object} Ensure result
+ * @returns {boolean} result.ready - Whether field is ready to use
+ * @returns {boolean} result.created - Whether field was created (vs already existed)
+ * @returns {string} result.error - Error message (if not ready)
+ */
+function ensureSourceField(articleType, autoCreate, serviceID) {
+    var checkResult = checkCustomFieldExists(articleType, 'SFCC_Source', serviceID);
+
+    if (checkResult.exists) {
+        return {
+            ready: true,
+            created: false
+        };
+    }
+
+    if (checkResult.error) {
+        logger.error('Failed to check field existence: ' + checkResult.error);
+        return {
+            ready: false,
+            error: checkResult.error
+        };
+    }
+
+    if (!autoCreate) {
+        return {
+            ready: false,
+            error: 'SFCC_Source__c field does not exist on ' + articleType + ' (auto-create disabled)'
+        };
+    }
+
+    logger.info('SFCC_Source__c field does not exist, creating it');
+
+    var createResult = createCustomField(articleType, 'SFCC_Source', {
+        label: 'SFCC Source',
+        description: 'B2C Commerce content library (and target) that wrote this article',
+        type: 'Text',
+        length: 255
+    }, serviceID);
+
+    if (!createResult.success) {
+        logger.error('Failed to create SFCC_Source__c field: ' + createResult.error);
+        return {
+            ready: false,
+            error: createResult.error
+        };
+    }
+
+    return {
+        ready: true,
+        created: true
+    };
+}
+
 /**
  * Generate default field metadata from field name
  *
@@ -981,5 +1045,6 @@ module.exports = {
     checkCustomFieldExists: checkCustomFieldExists,
     createCustomField: createCustomField,
     ensureExternalIdField: ensureExternalIdField,
+    ensureSourceField: ensureSourceField,
     ensureAllMappedFieldsExist: ensureAllMappedFieldsExist
 };
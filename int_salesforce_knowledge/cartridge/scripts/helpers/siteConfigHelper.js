@@ -10,7 +10,7 @@
  */
 
 var Logger = require('dw/system/Logger');
-var Site = require('dw/system/Site');
+var siteContextHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteContextHelper');
 
 var logger = Logger.getLogger('SFKnowledge', 'SiteConfigHelper');
 
@@ -82,6 +82,24 @@ function getSiteConfiguration(allConfigs, siteID) {
     return effectiveConfig;
 }
 
+/**
+ * Get the IDs of all configured sites (every key except _defaults)
+ *
+ * Used by organization-scoped job steps, in the order of SiteConfigurations.
+ *
+ * @param {Object} allConfigs - All site configurations including _defaults
+ * @returns {Array<string>} Site IDs
+ */
+function getConfiguredSiteIDs(allConfigs) {
+    if (!allConfigs || typeof allConfigs !== 'object') {
+        return [];
+    }
+
+    return Object.keys(allConfigs).filter(function (key) {
+        return key !== '_defaults';
+    });
+}
+
 /**
  * Merge two configuration objects (site-specific overrides defaults)
  *
@@ -150,10 +168,12 @@ function mergeStaticFields(defaultStatic, siteStatic) {
 /**
  * Get current site ID from DW Site context
  *
+ * In organization context, this is the site activated by siteContextHelper.activateSite().
+ *
  * @returns {string} Current site ID
  */
 function getCurrentSiteID() {
-    var currentSite = Site.getCurrent();
+    var currentSite = siteContextHelper.getSite();
     if (!currentSite) {
         logger.error('Unable to determine current site');
         return null;
@@ -165,13 +185,13 @@ function getCurrentSiteID() {
 }
 
 /**
- * Validate site configuration structure
+ * Check site configuration structure (without logging)
  *
- * @param {Object} config - Configuration object to validate
+ * @param {Object} config - Configuration object to check
  * @param {string} siteID - Site ID (for error messages)
  * @returns {Object} Validation result { valid: boolean, errors: [], warnings: [] }
  */
-function validateConfiguration(config, siteID) {
+function checkConfiguration(config, siteID) {
     var result = {
         valid: true,
         errors: [],
@@ -208,8 +228,8 @@ function validateConfiguration(config, siteID) {
     }
 
     // Validate exportMode
-    if (config.exportMode && config.exportMode !== 'delta' && config.exportMode !== 'full') {
-        result.errors.push('exportMode must be "delta" or "full"');
+    if (config.exportMode && ['delta', 'full', 'bulk'].indexOf(config.exportMode) === -1) {
+        result.errors.push('exportMode must be "delta", "full" or "bulk"');
         result.valid = false;
     }
 
@@ -231,6 +251,111 @@ function validateConfiguration(config, siteID) {
         result.valid = false;
     }
 
+    // Validate translationMode
+    if (config.translationMode !== undefined && ['independent', 'linked'].indexOf(config.translationMode) === -1) {
+        result.errors.push('translationMode must be "independent" or "linked"');
+        result.valid = false;
+    }
+
+    // Validate knowledgeMapping
+    if (config.knowledgeMapping !== undefined && typeof config.knowledgeMapping !== 'boolean' &&
+            (typeof config.knowledgeMapping !== 'object' || config.knowledgeMapping === null || Array.isArray(config.knowledgeMapping))) {
+        result.errors.push('knowledgeMapping must be a boolean or an object of knowledgeMapping.json section overrides');
+        result.valid = false;
+    }
+
+    // Validate dryRun
+    if (config.dryRun !== undefined && typeof config.dryRun !== 'boolean') {
+        result.errors.push('dryRun must be a boolean');
+        result.valid = false;
+    }
+
+    // Validate compositeWrites
+    if (config.compositeWrites !== undefined && typeof config.compositeWrites !== 'boolean') {
+        result.errors.push('compositeWrites must be a boolean');
+        result.valid = false;
+    }
+
+    // Validate contentHash
+    if (config.contentHash !== undefined && typeof config.contentHash !== 'boolean') {
+        result.errors.push('contentHash must be a boolean');
+        result.valid = false;
+    }
+
+    // Validate resyncOnConfigChange
+    if (config.resyncOnConfigChange !== undefined && typeof config.resyncOnConfigChange !== 'boolean') {
+        result.errors.push('resyncOnConfigChange must be a boolean');
+        result.valid = false;
+    }
+
+    // Validate conflictPolicy
+    if (config.conflictPolicy !== undefined && ['overwrite', 'skip', 'draft'].indexOf(config.conflictPolicy) === -1) {
+        result.errors.push('conflictPolicy must be "overwrite", "skip" or "draft"');
+        result.valid = false;
+    }
+
+    // Validate humanDraftPolicy
+    if (config.humanDraftPolicy !== undefined && ['skip', 'merge', 'replace'].indexOf(config.humanDraftPolicy) === -1) {
+        result.errors.push('humanDraftPolicy must be "skip", "merge" or "replace"');
+        result.valid = false;
+    }
+
+    // Validate libraryID (organization context)
+    if (config.libraryID !== undefined && (typeof config.libraryID !== 'string' || config.libraryID.trim() === '')) {
+        result.errors.push('libraryID must be a non-empty string');
+        result.valid = false;
+    }
+
+    // Validate retry queue settings
+    if (config.retryQueue !== undefined && typeof config.retryQueue !== 'boolean') {
+        result.errors.push('retryQueue must be a boolean');
+        result.valid = false;
+    }
+
+    if (config.retryQueueMaxAttempts !== undefined && (typeof config.retryQueueMaxAttempts !== 'number' || config.retryQueueMaxAttempts < 1 || config.retryQueueMaxAttempts % 1 !== 0)) {
+        result.errors.push('retryQueueMaxAttempts must be a positive integer');
+        result.valid = false;
+    }
+
+    // Validate resume
+    if (config.resume !== undefined && typeof config.resume !== 'boolean') {
+        result.errors.push('resume must be a boolean');
+        result.valid = false;
+    }
+
+    // Validate apiLimitThreshold
+    if (config.apiLimitThreshold !== undefined && (typeof config.apiLimitThreshold !== 'number' || config.apiLimitThreshold <= 0 || config.apiLimitThreshold > 100)) {
+        result.errors.push('apiLimitThreshold must be a number between 1 and 100 (percent of daily API requests)');
+        result.valid = false;
+    }
+
+    // Validate Salesforce targets (multiple orgs)
+    if (config.targets !== undefined) {
+        var targetsValid = validateTargets(config.targets, siteID);
+        if (!targetsValid.valid) {
+            result.errors = result.errors.concat(targetsValid.errors);
+            result.valid = false;
+        }
+    }
+
+    // Validate circuitBreaker
+    if (config.circuitBreaker !== undefined) {
+        var breakerValid = validateCircuitBreaker(config.circuitBreaker);
+        if (!breakerValid.valid) {
+            result.errors = result.errors.concat(breakerValid.errors);
+            result.valid = false;
+        }
+    }
+
+    // Validate notifications
+    if (config.notifications !== undefined) {
+        var notificationsValid = validateNotifications(config.notifications);
+        if (!notificationsValid.valid) {
+            result.errors = result.errors.concat(notificationsValid.errors);
+            result.valid = false;
+        }
+    }
+
     // Validate fieldMapping
     if (config.fieldMapping) {
         if (typeof config.fieldMapping !== 'object') {
@@ -308,6 +433,15 @@ function validateConfiguration(config, siteID) {
         result.valid = false;
     }
 
+    // Validate retiredContentPolicy
+    if (config.retiredContentPolicy !== undefined) {
+        var retiredContentPolicies = ['archive', 'delete', 'report'];
+        if (retiredContentPolicies.indexOf(config.retiredContentPolicy) === -1) {
+            result.errors.push('retiredContentPolicy must be "archive", "delete" or "report"');
+            result.valid = false;
+        }
+    }
+
     // Validate masterLanguage (v2.2+)
     if (config.masterLanguage) {
         if (typeof config.masterLanguage !== 'string') {
@@ -353,6 +487,19 @@ function validateConfiguration(config, siteID) {
         }
     }
 
+    return result;
+}
+
+/**
+ * Validate site configuration structure
+ *
+ * @param {Object} config - Configuration object to validate
+ * @param {string} siteID - Site ID (for error messages)
+ * @returns {Object} Validation result { valid: boolean, errors: [], warnings: [] }
+ */
+function validateConfiguration(config, siteID) {
+    var result = checkConfiguration(config, siteID);
+
     // Log validation results
     if (!result.valid) {
         logger.error('Configuration validation failed for site: ' + siteID);
@@ -410,6 +557,167 @@ function validateContentFolderIDs(folderIDs) {
     return { valid: false, error: 'contentFolderIDs must be a string or array of strings' };
 }
 
+/**
+ * Settings a Salesforce target can override
+ * @type {Array<string>}
+ */
+var TARGET_SETTINGS = ['id', 'serviceID', 'articleType', 'recordTypeName', 'dataCategories', 'dataCategoryField',
+    'validateDataCategories', 'publishArticles', 'conflictPolicy', 'humanDraftPolicy', 'static'];
+
+/**
+ * Validate Salesforce targets configuration
+ *
+ * @param {Array<Object>} targets - [{ id, serviceID, articleType, recordTypeName, dataCategories, publishArticles, ... }]
+ * @param {string} siteID - Site ID (for error messages)
+ * @returns {Object} Validation result { valid: boolean, errors: [] }
+ */
+function validateTargets(targets, siteID) {
+    var errors = [];
+    var seenIDs = {};
+
+    if (!Array.isArray(targets) || targets.length === 0) {
+        return { valid: false, errors: ['targets must be a non-empty array'] };
+    }
+
+    targets.forEach(function (target, index) {
+        var prefix = 'targets[' + index + ']';
+
+        if (!target || typeof target !== 'object' || Array.isArray(target)) {
+            errors.push(prefix + ' must be an object');
+            return;
+        }
+
+        if (typeof target.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(target.id)) {
+            errors.push(prefix + '.id must be a string of letters, digits, "_" or "-"');
+        } else if (seenIDs[target.id]) {
+            errors.push(prefix + '.id "' + target.id + '" is used more than once');
+        } else {
+            seenIDs[target.id] = true;
+            prefix = 'targets.' + target.id;
+        }
+
+        if (target.serviceID !== undefined && (typeof target.serviceID !== 'string' || target.serviceID.trim() === '')) {
+            errors.push(prefix + '.serviceID must be a non-empty string');
+        }
+
+        Object.keys(target).forEach(function (key) {
+            if (TARGET_SETTINGS.indexOf(key) === -1) {
+                errors.push(prefix + '.' + key + ' cannot be set per target (allowed: ' + TARGET_SETTINGS.join(', ') + ')');
+            }
+        });
+
+        // Overridden settings follow the rules of the site configuration
+        checkConfiguration(target, siteID).errors.forEach(function (error) {
+            errors.push(prefix + ': ' + error);
+        });
+    });
+
+    return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Get the effective configuration of a Salesforce target
+ *
+ * Target settings override the site configuration like site settings override
+ * _defaults (static fields are merged). config.targetID is set to the target ID.
+ *
+ * @param {Object} config - Effective site configuration
+ * @param {Object} target - Target from config.targets
+ * @returns {Object} Target configuration (without targets)
+ */
+function getTargetConfiguration(config, target) {
+    var overrides = {};
+
+    Object.keys(target).forEach(function (key) {
+        if (key !== 'id' && key !== 'serviceID') {
+            overrides[key] = target[key];
+        }
+    });
+
+    var targetConfig = mergeConfigurations(config, overrides);
+    delete targetConfig.targets;
+    targetConfig.targetID = target.id;
+
+    return targetConfig;
+}
+
+/**
+ * Validate circuitBreaker configuration
+ *
+ * @param {Object} circuitBreaker - { maxConsecutiveFailures, maxFailureRate, sampleSize }
+ * @returns {Object} { valid: boolean, errors: [] }
+ */
+function validateCircuitBreaker(circuitBreaker) {
+    var errors = [];
+
+    if (!circuitBreaker || typeof circuitBreaker !== 'object' || Array.isArray(circuitBreaker)) {
+        return { valid: false, errors: ['circuitBreaker must be an object'] };
+    }
+
+    var isPositiveInteger = function (value) {
+        return typeof value === 'number' && value >= 1 && value % 1 === 0;
+    };
+
+    if (circuitBreaker.maxConsecutiveFailures !== undefined && !isPositiveInteger(circuitBreaker.maxConsecutiveFailures)) {
+        errors.push('circuitBreaker.maxConsecutiveFailures must be a positive integer');
+    }
+
+    if (circuitBreaker.maxFailureRate !== undefined) {
+        if (typeof circuitBreaker.maxFailureRate !== 'number' || circuitBreaker.maxFailureRate < 0 || circuitBreaker.maxFailureRate >= 100) {
+            errors.push('circuitBreaker.maxFailureRate must be a number between 0 and 99 (percent)');
+        }
+        if (!isPositiveInteger(circuitBreaker.sampleSize)) {
+            errors.push('circuitBreaker.sampleSize must be a positive integer when maxFailureRate is set');
+        }
+    }
+
+    if (circuitBreaker.maxConsecutiveFailures === undefined && circuitBreaker.maxFailureRate === undefined) {
+        errors.push('circuitBreaker needs maxConsecutiveFailures or maxFailureRate');
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Validate notifications configuration
+ *
+ * @param {Object} notifications - { trigger, emailTo, emailFrom, webhookServiceID }
+ * @returns {Object} { valid: boolean, errors: [] }
+ */
+function validateNotifications(notifications) {
+    var errors = [];
+
+    if (!notifications || typeof notifications !== 'object' || Array.isArray(notifications)) {
+        return { valid: false, errors: ['notifications must be an object'] };
+    }
+
+    var validTriggers = ['always', 'failure', 'partial'];
+    if (notifications.trigger !== undefined && validTriggers.indexOf(notifications.trigger) === -1) {
+        errors.push('notifications.trigger must be one of: ' + validTriggers.join(', '));
+    }
+
+    if (notifications.emailTo !== undefined) {
+        if (!Array.isArray(notifications.emailTo) || notifications.emailTo.length === 0 || notifications.emailTo.some(function (address) {
+            return typeof address !== 'string' || address.indexOf('@') < 1;
+        })) {
+            errors.push('notifications.emailTo must be a non-empty array of email addresses');
+        }
+        if (typeof notifications.emailFrom !== 'string' || notifications.emailFrom.indexOf('@') < 1) {
+            errors.push('notifications.emailFrom must be an email address when emailTo is set');
+        }
+    }
+
+    if (notifications.webhookServiceID !== undefined && (typeof notifications.webhookServiceID !== 'string' || notifications.webhookServiceID.trim() === '')) {
+        errors.push('notifications.webhookServiceID must be a service ID');
+    }
+
+    if (notifications.emailTo === undefined && notifications.webhookServiceID === undefined) {
+        errors.push('notifications needs emailTo or webhookServiceID');
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+}
+
 /**
  * Validate transforms configuration
  *
@@ -527,6 +835,7 @@ function logEffectiveConfiguration(config, siteID) {
     logger.info('========== EFFECTIVE CONFIGURATION FOR SITE: ' + siteID + ' ==========');
     logger.info('Article Type: ' + (config.articleType || 'not set'));
     logger.info('Content Folder IDs: ' + JSON.stringify(config.contentFolderIDs || []));
+    logger.info('Content Library: ' + (config.libraryID || 'site library'));
     logger.info('Batch Size: ' + (config.batchSize || 'not set'));
     logger.info('Export Mode: ' + (config.exportMode || 'not set'));
     logger.info('Publish Articles: ' + (config.publishArticles !== undefined ? config.publishArticles : 'not set'));
@@ -534,6 +843,27 @@ function logEffectiveConfiguration(config, siteID) {
     logger.info('Data Category (legacy): ' + (config.dataCategory || 'none'));
     logger.info('Auto Create Fields: ' + (config.autoCreateFields !== undefined ? config.autoCreateFields : 'not set'));
     logger.info('Enable Debug Logging: ' + (config.enableDebugLogging !== undefined ? config.enableDebugLogging : 'not set'));
+    logger.info('Retired Content Policy: ' + (config.retiredContentPolicy || 'none'));
+    logger.info('Dry Run: ' + (config.dryRun === true));
+    logger.info('Translation Mode: ' + (config.translationMode || 'independent'));
+    logger.info('Composite Writes: ' + (config.compositeWrites !== false));
+    logger.info('Skip Unchanged (content hash): ' + (config.contentHash === true));
+    logger.info('Resync on Configuration Change: ' + (config.resyncOnConfigChange !== false));
+    logger.info('Conflict Policy (edited in Salesforce): ' + (config.conflictPolicy || 'overwrite'));
+    logger.info('Human Draft Policy (drafts created in Salesforce): ' + (config.humanDraftPolicy || 'skip'));
+    logger.info('Retry Queue: ' + (config.retryQueue === true ? 'enabled (dead letter after ' + (config.retryQueueMaxAttempts || 5) + ' attempts)' : 'disabled'));
+    logger.info('Resume Interrupted Run: ' + (config.resume === true));
+    logger.info('API Limit Threshold: ' + (config.apiLimitThreshold ? config.apiLimitThreshold + '%' : 'disabled'));
+    logger.info('Circuit Breaker: ' + (config.circuitBreaker ? JSON.stringify(config.circuitBreaker) : 'disabled'));
+    logger.info('Notifications: ' + (config.notifications
+        ? 'on ' + (config.notifications.trigger || 'failure') +
+            (config.notifications.emailTo ? ', email to ' + config.notifications.emailTo.join(', ') : '') +
+            (config.notifications.webhookServiceID ? ', webhook ' + config.notifications.webhookServiceID : '')
+        : 'disabled'));
+    logger.info('Salesforce Target: ' + (config.targetID ? config.targetID + ' (service: ' + config.serviceID + ')' : 'single org'));
+    logger.info('Knowledge Mapping File: ' + (config.knowledgeMapping
+        ? 'enabled' + (typeof config.knowledgeMapping === 'object' ? ' (site overrides: ' + Object.keys(config.knowledgeMapping).join(', ') + ')' : '')
+        : 'disabled'));
 
     // Data categories (v2.3+)
     if (config.dataCategories) {
@@ -582,7 +912,11 @@ module.exports = {
     parseSiteConfigurations: parseSiteConfigurations,
     getSiteConfiguration: getSiteConfiguration,
     getCurrentSiteID: getCurrentSiteID,
+    getConfiguredSiteIDs: getConfiguredSiteIDs,
+    getTargetConfiguration: getTargetConfiguration,
     validateConfiguration: validateConfiguration,
+    validateTargets: validateTargets,
+    validateNotifications: validateNotifications,
     normalizeContentFolderIDs: normalizeContentFolderIDs,
     isMultiSiteMode: isMultiSiteMode,
     logEffectiveConfiguration: logEffectiveConfiguration,
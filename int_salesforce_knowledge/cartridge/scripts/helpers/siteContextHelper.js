@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Site Context Helper
+ *
+ * Resolves the site and content library the export runs for. In a site-scoped job
+ * step this is the current site and its library. In an organization-scoped job step
+ * there is no current site, so the job activates each configured site in turn
+ * (activateSite) and content is read from that site's library explicitly.
+ *
+ * Library IDs:
+ * - Private site libraries have the ID of the site (default)
+ * - Shared libraries are configured per site with libraryID in SiteConfigurations
+ *
+ * @module scripts/helpers/siteContextHelper
+ */
+
+var ContentMgr = require('dw/content/ContentMgr');
+var Site = require('dw/system/Site');
+var Logger = require('dw/system/Logger');
+
+var logger = Logger.getLogger('SFKnowledge', 'SiteContext');
+
+// Site activated by the organization-scoped job (null in site context)
+// Structure: { site: dw.system.Site, library: dw.content.Library }
+var activeContext = null;
+
+/**
+ * Check whether the job step runs in organization context (no current site)
+ *
+ * @returns {boolean} True in organization context
+ */
+function isOrganizationContext() {
+    return !Site.getCurrent();
+}
+
+/**
+ * Activate a site for an organization-scoped run
+ *
+ * @param {string} siteID - Site ID
+ * @param {string} [libraryID] - Content library ID (default: the site ID, i.e. the private site library)
+ * @returns {Object} Result { success: boolean, libraryID: string, error: string }
+ */
+function activateSite(siteID, libraryID) {
+    activeContext = null;
+
+    var site = null;
+    var sitesIterator = Site.getAllSites().iterator();
+    while (sitesIterator.hasNext()) {
+        var candidate = sitesIterator.next();
+        if (candidate.getID() === siteID) {
+            site = candidate;
+            break;
+        }
+    }
+
+    if (!site) {
+        return {
+            success: false,
+            error: 'Site not found: ' + siteID
+        };
+    }
+
+    var resolvedLibraryID = libraryID || siteID;
+    var library = ContentMgr.getLibrary(resolvedLibraryID);
+    if (!library) {
+        return {
+            success: false,
+            error: 'Content library not found: ' + resolvedLibraryID + ' (set libraryID for sites with a shared library)'
+        };
+    }
+
+    activeContext = {
+        site: site,
+        library: library
+    };
+
+    logger.info('Activated site ' + siteID + ' (content library: ' + resolvedLibraryID + ')');
+
+    return {
+        success: true,
+        libraryID: resolvedLibraryID
+    };
+}
+
+/**
+ * Deactivate the site of an organization-scoped run
+ */
+function deactivateSite() {
+    activeContext = null;
+}
+
+/**
+ * Get the site the export runs for
+ *
+ * @returns {dw.system.Site|null} Activated site, or the current site
+ */
+function getSite() {
+    return activeContext ? activeContext.site : Site.getCurrent();
+}
+
+/**
+ * Get the content library the export reads from
+ *
+ * @returns {dw.content.Library|null} Library of the activated site, or the current site library
+ */
+function getLibrary() {
+    return activeContext ? activeContext.library : ContentMgr.getSiteLibrary();
+}
+
+/**
+ * Check whether content is read from an explicitly activated library
+ *
+ * The content search index (ContentSearchModel) only covers the current site, so
+ * folders are walked instead when this returns true.
+ *
+ * @returns {boolean} True if a site was activated
+ */
+function hasActiveSite() {
+    return !!activeContext;
+}
+
+/**
+ * Get a content asset by ID from the export library
+ *
+ * @param {string} contentID - Content asset ID
+ * @returns {dw.content.Content|null} Content asset, or null if not found
+ */
+function getContent(contentID) {
+    return activeContext ? ContentMgr.getContent(activeContext.library, contentID) : ContentMgr.getContent(contentID);
+}
+
+/**
+ * Get a content folder by ID from the export library
+ *
+ * @param {string} folderID - Folder ID ('root' for the library root)
+ * @returns {dw.content.Folder|null} Folder, or null if not found
+ */
+function getFolder(folderID) {
+    if (!activeContext) {
+        return ContentMgr.getFolder(folderID);
+    }
+
+    if (folderID.toLowerCase() === 'root') {
+        return activeContext.library.getRoot();
+    }
+    return ContentMgr.getFolder(activeContext.library, folderID);
+}
+
+// Export public functions
+module.exports = {
+    isOrganizationContext: isOrganizationContext,
+    activateSite: activateSite,
+    deactivateSite: deactivateSite,
+    getSite: getSite,
+    getLibrary: getLibrary,
+    hasActiveSite: hasActiveSite,
+    getContent: getContent,
+    getFolder: getFolder
+};
@@ -9,6 +9,8 @@
  * Job Parameters:
  * - ServiceID (optional): Salesforce service ID (default: salesforce.oauth)
  * - SiteConfigurations (required): Multi-site configuration JSON with _defaults inheritance
+ * - ContentIDs (optional): Comma-separated content IDs, syncs only these (no folder discovery or delta filtering)
+ * - ForceFullForIDs (optional): Comma-separated content IDs exported in addition, changed or not
  *
  * Configuration Format:
  * {
@@ -33,6 +35,29 @@
  * - Static field values (override mapped values)
  * - Record Type lookup by DeveloperName
  * - Multi-folder content aggregation with deduplication
+ * - Retired content reconciliation (archive/delete/report articles for offline or removed content)
+ * - Dry-run mode (preview report in IMPEX, no writes to Salesforce or content assets)
+ * - Linked translations of the master-language article (translationMode: "linked")
+ * - Advanced mapping rules from config/knowledgeMapping.json ("knowledgeMapping": true or section overrides)
+ * - Conditional rules per asset (article type, record type, field values) validated at job start
+ * - Bulk API 2.0 initial loads of new articles (exportMode: "bulk")
+ * - API limit awareness: stops gracefully at apiLimitThreshold, spaces calls by rateLimitDelay
+ * - Persistent retry queue for failed content assets with dead letters (retryQueue: true)
+ * - Checkpoint after every batch; interrupted runs continue with resume: true
+ * - Per-asset run report in IMPEX (CSV and JSON) after every run
+ * - Circuit breaker: aborts the run with ERROR when content assets keep failing (circuitBreaker)
+ * - Organization-scoped step: exports every site of SiteConfigurations, shared libraries once
+ * - Multiple Salesforce orgs per site (targets), with sync metadata per target
+ * - Content hash per language: unchanged articles are not written again (contentHash)
+ * - Sync metadata per language (sfLanguageSyncData): delta mode exports only the languages that changed or failed
+ * - Email and webhook notifications with the run summary (notifications: always, on failure or partial success)
+ * - Full resync when the site configuration changed since the last successful run (resyncOnConfigChange)
+ * - Articles edited in Salesforce since their last sync are overwritten, skipped or written as a draft (conflictPolicy),
+ *   and listed in the run summary
+ * - Drafts created in Salesforce by knowledge authors are left alone, merged (connector fields only) or replaced
+ *   (humanDraftPolicy), and listed in the run summary
+ * - Chunk-oriented step variant (custom.ExportContentToKnowledgeChunked): beforeStep/read/process/write/afterStep
+ *   stream content assets and report progress via getTotalCount
  *
  * @module scripts/jobs/ExportContentToKnowledge
  */
@@ -46,580 +71,2223 @@ var knowledgeHelper = require('int_salesforce_knowledge/cartridge/scripts/helper
 var toolingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceToolingHelper');
 var siteConfigHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteConfigHelper');
 var recordTypeHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/recordTypeHelper');
+var reconciliationHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentReconciliationHelper');
+var runReportHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/runReportHelper');
+var knowledgeMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/knowledgeMappingHelper');
+var retryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/retryHelper');
+var bulkExportHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/bulkExportHelper');
+var apiLimitHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/apiLimitHelper');
+var retryQueueHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/retryQueueHelper');
+var checkpointHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/checkpointHelper');
+var circuitBreakerHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/circuitBreakerHelper');
+var siteContextHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteContextHelper');
+var notificationHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/notificationHelper');
+var configFingerprintHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/configFingerprintHelper');
+
+// Owner site of shared library content, per library (organization context only)
+// Structure: { 'libraryID|contentID': siteID }
+var sharedContentOwners = null;
 
 /**
- * Main job execution function
+ * Set the source marker written to SFCC_Source__c (config.syncSource)
  *
- * This is the entry point called by SFCC Job Framework.
- * The function name 'execute' is specified in steptypes.json.
+ * The marker is the content library ID, plus the target ID for sites with targets. It
+ * scopes retired content reconciliation to the articles this library and target wrote.
+ * Without the field, config.syncSource stays unset: articles are written without a
+ * marker and deleted content is not detected.
+ *
+ * @param {Object} config - Effective site configuration (changed in place)
+ * @param {boolean} autoCreate - Whether to create the field if it is missing
+ * @param {dw.system.Log} logger - Job logger
+ */
+function resolveSyncSource(config, autoCreate, logger) {
+    if (config.syncSource) {
+        return;
+    }
+
+    var sourceFieldResult = toolingHelper.ensureSourceField(config.articleType, autoCreate, config.serviceID);
+    if (!sourceFieldResult.ready) {
+        logger.warn('Articles are written without a source marker, deleted content is not detected: ' + sourceFieldResult.error);
+        return;
+    }
+
+    config.syncSource = {
+        articleType: config.articleType,
+        value: (config.libraryID || siteConfigHelper.getCurrentSiteID()) + (config.targetID ? '|' + config.targetID : '')
+    };
+    logger.info('Source marker (' + knowledgeHelper.SOURCE_FIELD + '): ' + config.syncSource.value);
+}
+
+/**
+ * Run the retired content reconciliation pass (if configured)
+ *
+ * Archives, deletes, or reports Knowledge articles whose content assets went
+ * offline, were deleted, or moved out of contentFolderIDs (see retiredContentPolicy).
+ *
+ * @param {Object} config - Effective site configuration
+ * @param {Array<string>} contentFolderIDs - Normalized content folder IDs
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Object|null} Reconciliation summary, or null if not configured or authentication failed
+ */
+function runRetiredContentReconciliation(config, contentFolderIDs, logger) {
+    if (!config.retiredContentPolicy) {
+        return null;
+    }
+
+    if (config.targetContentIDs.length > 0) {
+        logger.info('Step 5.3: Skipping retired content reconciliation (targeted sync)');
+        return null;
+    }
+
+    logger.info('Step 5.3: Reconciling retired content (policy: ' + (config.dryRun ? 'report (dry run)' : config.retiredContentPolicy) + ')');
+
+    var authResult = authHelper.getAccessToken(config.serviceID);
+    if (!authResult.success) {
+        logger.error('Skipping reconciliation - authentication failed: ' + authResult.error);
+        return null;
+    }
+
+    // Runs without content to export did not check the source field yet
+    resolveSyncSource(config, false, logger);
+
+    return reconciliationHelper.reconcileRetiredContent(config, contentFolderIDs, authResult);
+}
+
+/**
+ * Leave out shared library content that an earlier site of the run exported
+ *
+ * Organization context only: the first site that selects a content asset of a
+ * library exports it, later sites record it as skipped.
+ *
+ * @param {Object} run - Export run
+ * @param {Array<Object>} contentAssets - Content assets selected for the site
+ * @returns {Array<Object>} Content assets to export for the site
+ */
+function claimSharedContent(run, contentAssets) {
+    if (!sharedContentOwners) {
+        return contentAssets;
+    }
+
+    var siteID = run.setup.currentSiteID;
+    var libraryID = run.config.libraryID || siteID;
+    var claimed = contentAssets.filter(function (asset) {
+        var key = libraryID + '|' + asset.ID;
+        var owner = sharedContentOwners[key];
+
+        if (owner && owner !== siteID) {
+            recordSkipped(run, asset.ID, null, 'Exported by site ' + owner + ' (shared library ' + libraryID + ')');
+            return false;
+        }
+
+        sharedContentOwners[key] = siteID;
+        return true;
+    });
+
+    if (claimed.length < contentAssets.length) {
+        run.logger.info('Step 3.2: ' + (contentAssets.length - claimed.length) + ' content asset(s) of library ' + libraryID +
+            ' already exported by an earlier site');
+    }
+
+    return claimed;
+}
+
+/**
+ * Parse a content ID list job parameter (ContentIDs, ForceFullForIDs)
+ *
+ * @param {string} value - Content IDs separated by commas, spaces or line breaks
+ * @returns {Array<string>} Unique content IDs (empty if not set)
+ */
+function parseContentIDs(value) {
+    var contentIDs = [];
+
+    (value || '').split(/[\s,]+/).forEach(function (contentID) {
+        if (contentID && contentIDs.indexOf(contentID) === -1) {
+            contentIDs.push(contentID);
+        }
+    });
+
+    return contentIDs;
+}
+
+/**
+ * Load the ForceFullForIDs content assets that are not in the export set
+ *
+ * Forced content assets are exported even if delta mode found no changes, or they
+ * are outside contentFolderIDs. knowledgeMapping.json exportFilters still apply.
+ *
+ * @param {Array<Object>} contentAssets - Content assets selected for this run
+ * @param {Object} config - Effective site configuration
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Array<Object>} Forced content assets to add
+ */
+function loadForcedContentAssets(contentAssets, config, logger) {
+    var selected = {};
+    contentAssets.forEach(function (asset) {
+        selected[asset.ID] = true;
+    });
+
+    var missingIDs = config.forcedContentIDs.filter(function (contentID) {
+        return !selected[contentID];
+    });
+
+    logger.info('Step 3: Forcing export of ' + config.forcedContentIDs.length + ' content asset(s) (ForceFullForIDs), ' +
+        missingIDs.length + ' not in the export set');
+
+    if (missingIDs.length === 0) {
+        return [];
+    }
+
+    var forced = contentMappingHelper.getContentAssetsByIDs(missingIDs, config.enableDebugLogging || false);
+    return knowledgeMappingHelper.filterContentAssets(forced, config.mappingRules);
+}
+
+/**
+ * Put content assets from the retry queue in front of the export set
+ *
+ * Queued assets that are already in the export set are moved to the front. Other queued
+ * assets are loaded and only their failed languages are exported (see result.retryLanguages).
+ * Items of deleted or offline content assets are removed from the queue.
+ *
+ * @param {Array<Object>} contentAssets - Content assets selected for this run
+ * @param {Object} config - Effective site configuration
+ * @param {string} siteID - Current site ID
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Object} Result { contentAssets: Array<Object>, retryLanguages: Object, pending: number }
+ */
+function applyRetryQueue(contentAssets, config, siteID, logger) {
+    var pendingItems = retryQueueHelper.getPendingItems(siteID);
+    var queuedLanguages = {};
+    var queued = [];
+    var others = [];
+    var selected = {};
+    var retryLanguages = {};
+
+    logger.info('Step 3.1: Retry queue has ' + pendingItems.length + ' pending item(s)');
+
+    pendingItems.forEach(function (item) {
+        (queuedLanguages[item.contentId] = queuedLanguages[item.contentId] || []).push(item.language);
+    });
+
+    contentAssets.forEach(function (asset) {
+        selected[asset.ID] = true;
+        (queuedLanguages[asset.ID] ? queued : others).push(asset);
+    });
+
+    var retryOnly = [];
+    Object.keys(queuedLanguages).forEach(function (contentId) {
+        if (selected[contentId]) {
+            return;
+        }
+
+        var content = siteContextHelper.getContent(contentId);
+        var formatted = content && content.online ? contentMappingHelper.formatContentAsset(content, config.enableDebugLogging || false) : null;
+
+        if (!formatted) {
+            logger.warn('Queued content ' + contentId + ' no longer exists or is offline, removing it from the retry queue');
+            queuedLanguages[contentId].forEach(function (language) {
+                retryQueueHelper.removeItem(siteID, contentId, language);
+            });
+            return;
+        }
+
+        retryOnly.push(formatted);
+    });
+
+    // knowledgeMapping.json exportFilters apply to queued content as well
+    knowledgeMappingHelper.filterContentAssets(retryOnly, config.mappingRules).forEach(function (asset) {
+        retryLanguages[asset.ID] = queuedLanguages[asset.ID];
+        queued.push(asset);
+    });
+
+    return {
+        contentAssets: queued.concat(others),
+        retryLanguages: retryLanguages,
+        pending: pendingItems.length
+    };
+}
+
+/**
+ * Compare the site configuration with the last successful run (Step 2)
+ *
+ * Targeted syncs don't compare: they export their content assets regardless of
+ * delta mode and never store the fingerprint.
+ *
+ * @param {Object} config - Effective site configuration (before job defaults are applied)
+ * @param {string} siteID - Site ID (with target suffix for Salesforce targets)
+ * @param {boolean} targeted - Whether this is a targeted sync (ContentIDs)
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Object|null} Result of configFingerprintHelper.compareWithLastRun(), or null if not compared
+ */
+function checkConfigurationChange(config, siteID, targeted, logger) {
+    if (config.resyncOnConfigChange === false || targeted) {
+        return null;
+    }
+
+    var configFingerprint = configFingerprintHelper.compareWithLastRun(siteID, config);
+
+    if (!configFingerprint.previous) {
+        logger.info('No configuration fingerprint from an earlier run, it is stored after this run');
+    } else if (configFingerprint.changed) {
+        logger.info('Configuration changed since the last successful run: ' + configFingerprint.changedKeys.join(', '));
+    }
+
+    return configFingerprint;
+}
+
+/**
+ * Build the export configuration for the current site (Steps 1-2)
+ *
+ * With a Salesforce target, the target settings override the site configuration and
+ * its serviceID replaces the ServiceID job parameter.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters
+ * @param {dw.system.Log} logger - Job logger
+ * @param {Object} [target] - Target from the site's targets (multiple orgs)
+ * @returns {Object} Setup { config, serviceID, currentSiteID, contentFolderID, batchSize, exportMode, autoCreateFields, fieldMetadata,
+ *     configFingerprint }, or { status } if the job must end
+ */
+function buildExportSetup(parameters, logger, target) {
+    // ========================================
+    // 1. VALIDATE CONFIGURATION
+    // ========================================
+    logger.info('Step 1: Validating configuration');
+
+    // Get Service ID first (needed for validation)
+    var serviceID = (target && target.serviceID) || parameters.ServiceID;
+
+    // Validate Service ID is provided
+    if (!serviceID || serviceID.trim() === '') {
+        logger.error('Service ID not configured. Please configure ServiceID parameter in job step.');
+        logger.error('ServiceID should match a service configured at Administration > Operations > Services');
+        return { status: new Status(Status.ERROR, 'ERROR', 'Service ID not configured in job parameters') };
+    }
+
+    // Validate OAuth configuration
+    var configValidation = authHelper.validateConfiguration(serviceID);
+    if (!configValidation.valid) {
+        logger.error('Configuration validation failed:');
+        configValidation.errors.forEach(function (error) {
+            logger.error('  - ' + error);
+        });
+        return { status: new Status(Status.ERROR, 'ERROR', 'Invalid configuration: ' + configValidation.errors.join(', ')) };
+    }
+
+    if (configValidation.warnings.length > 0) {
+        logger.warn('Configuration warnings:');
+        configValidation.warnings.forEach(function (warning) {
+            logger.warn('  - ' + warning);
+        });
+    }
+
+    logger.info('Configuration validated successfully');
+
+    // ========================================
+    // 2. GET JOB PARAMETERS & BUILD CONFIGURATION
+    // ========================================
+    logger.info('Step 2: Processing job parameters and building configuration');
+
+    // Get SiteConfigurations parameter
+    var siteConfigurationsJSON = parameters.SiteConfigurations || '';
+
+    // Validate SiteConfigurations is provided
+    if (!siteConfigurationsJSON || siteConfigurationsJSON.trim() === '') {
+        logger.error('SiteConfigurations parameter is required');
+        logger.error('Please provide a valid SiteConfigurations JSON in the job step configuration');
+        return { status: new Status(Status.ERROR, 'ERROR', 'SiteConfigurations parameter is required') };
+    }
+
+    // Parse site configurations
+    var allSiteConfigs = siteConfigHelper.parseSiteConfigurations(siteConfigurationsJSON);
+    if (!allSiteConfigs) {
+        logger.error('Failed to parse SiteConfigurations JSON');
+        return { status: new Status(Status.ERROR, 'ERROR', 'Invalid SiteConfigurations JSON') };
+    }
+
+    // Get current site ID
+    var currentSiteID = siteConfigHelper.getCurrentSiteID();
+    if (!currentSiteID) {
+        logger.error('Unable to determine current site ID');
+        return { status: new Status(Status.ERROR, 'ERROR', 'Unable to determine current site') };
+    }
+
+    logger.info('Current site: ' + currentSiteID);
+
+    // Get site-specific configuration with defaults inheritance
+    var config = siteConfigHelper.getSiteConfiguration(allSiteConfigs, currentSiteID);
+    if (!config) {
+        logger.error('Failed to get configuration for site: ' + currentSiteID);
+        return { status: new Status(Status.ERROR, 'ERROR', 'Configuration not found for site: ' + currentSiteID) };
+    }
+
+    // Validate configuration
+    var validation = siteConfigHelper.validateConfiguration(config, currentSiteID);
+    if (!validation.valid) {
+        logger.error('Configuration validation failed for site: ' + currentSiteID);
+        validation.errors.forEach(function (error) {
+            logger.error('  - ' + error);
+        });
+        return { status: new Status(Status.ERROR, 'ERROR', 'Invalid configuration for site: ' + currentSiteID) };
+    }
+
+    // Target settings override the site configuration
+    if (target) {
+        config = siteConfigHelper.getTargetConfiguration(config, target);
+    }
+
+    // Fingerprint and checkpoint are kept per target
+    var configFingerprint = checkConfigurationChange(
+        config,
+        currentSiteID + (config.targetID ? '_' + config.targetID : ''),
+        parseContentIDs(parameters.ContentIDs).length > 0,
+        logger
+    );
+
+    // Extract parameters from config
+    var contentFolderID = siteConfigHelper.normalizeContentFolderIDs(config.contentFolderIDs || ['root']);
+    var batchSize = config.batchSize || 50;
+    var exportMode = config.exportMode || 'delta';
+
+    // Existing articles only get the changed mapping with a full resync
+    if (configFingerprint && configFingerprint.changed && exportMode === 'delta') {
+        logger.info('Resyncing all content: delta mode runs as full mode once');
+        exportMode = 'full';
+        config.exportMode = exportMode;
+    }
+    var autoCreateFields = config.autoCreateFields || false;
+    var fieldMetadata = JSON.stringify(config.fieldMetadata || {});
+
+    // Add serviceID to config (from Step 1)
+    config.serviceID = serviceID;
+
+    // Sync metadata is kept per target when the site exports to multiple orgs
+    contentMappingHelper.setSyncTarget(config.targetID || null);
+
+    // Targeted sync: only these content assets, no folder search or delta filtering
+    config.targetContentIDs = parseContentIDs(parameters.ContentIDs);
+
+    // Exported in addition to the regular selection, changed or not
+    config.forcedContentIDs = parseContentIDs(parameters.ForceFullForIDs);
+
+    // Set defaults for optional config properties
+    if (!config.articleType) config.articleType = 'Knowledge__kav';
+
+    // Handle fieldMapping - ensure it's always a JSON string for helper functions
+    // If it's an object (from parsed SiteConfigurations), convert to JSON string
+    if (!config.fieldMapping) {
+        config.fieldMapping = '{"Title":"name","Summary":"pageDescription","Body__c":"custom.body","SFCC_External_ID__c":"ID","UrlName":"ID"}';
+    } else if (typeof config.fieldMapping === 'object') {
+        // Convert object to JSON string
+        config.fieldMapping = JSON.stringify(config.fieldMapping);
+    }
+
+    if (config.enableDebugLogging === undefined) config.enableDebugLogging = false;
+    if (config.publishArticles === undefined) config.publishArticles = false;
+
+    // Load knowledgeMapping.json rules (null unless enabled for this site)
+    config.mappingRules = knowledgeMappingHelper.loadMappingRules(config);
+
+    var ruleErrors = knowledgeMappingHelper.validateConditionalRules(config.mappingRules);
+    if (ruleErrors.length > 0) {
+        logger.error('Invalid conditionalRules in knowledgeMapping.json:');
+        ruleErrors.forEach(function (ruleError) {
+            logger.error('  - ' + ruleError);
+        });
+        return { status: new Status(Status.ERROR, 'ERROR', 'Invalid conditionalRules in knowledgeMapping.json') };
+    }
+
+    // Retry transient Salesforce errors and space calls (apiSettings in knowledgeMapping.json)
+    var apiSettings = knowledgeMappingHelper.getApiSettings(config);
+    retryHelper.configure(apiSettings);
+    apiLimitHelper.configure(apiSettings, config.apiLimitThreshold);
+    circuitBreakerHelper.configure(config.circuitBreaker);
+
+    // Log effective configuration
+    siteConfigHelper.logEffectiveConfiguration(config, currentSiteID);
+
+    if (config.dryRun) {
+        logger.info('DRY RUN: No changes will be written to Salesforce or content assets');
+    }
+
+    if (config.targetContentIDs.length > 0) {
+        logger.info('TARGETED SYNC: ' + config.targetContentIDs.join(', ') + ' (folder discovery and delta filtering skipped)');
+    }
+
+    // Validate batch size (common for both modes)
+    if (batchSize < 1 || batchSize > 500) {
+        logger.error('Invalid batch size: ' + batchSize + ' (must be 1-500)');
+        return { status: new Status(Status.ERROR, 'ERROR', 'Invalid batch size') };
+    }
+
+    return {
+        config: config,
+        serviceID: serviceID,
+        currentSiteID: currentSiteID,
+        contentFolderID: contentFolderID,
+        batchSize: batchSize,
+        exportMode: exportMode,
+        autoCreateFields: autoCreateFields,
+        fieldMetadata: fieldMetadata,
+        configFingerprint: configFingerprint
+    };
+}
+
+/**
+ * Discover target languages and the master language (Step 2.5)
+ *
+ * Sets config.masterLanguage, config.targetLocales and config.targetLanguages (their
+ * Salesforce languages, for delta mode).
+ *
+ * @param {Object} config - Effective site configuration
+ * @param {dw.system.Log} logger - Job logger
+ */
+function discoverLanguages(config, logger) {
+    // ========================================
+    // 2.5. DISCOVER AVAILABLE LANGUAGES (v2.2+)
+    // ========================================
+    logger.info('Step 2.5: Discovering available languages for site');
+
+    var languageHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/languageHelper');
+
+    // Get all available locales for the site
+    var availableLocales = languageHelper.getAvailableLocalesForSite();
+    logger.info('Site has ' + availableLocales.length + ' enabled locales: ' + availableLocales.join(', '));
+
+    // Filter locales based on configuration
+    var targetLocales = languageHelper.filterLocales(availableLocales, config);
+    logger.info('Target locales after filtering: ' + targetLocales.length + ' - ' + targetLocales.join(', '));
+
+    // Determine master language (default to first available locale if not configured)
+    var masterLanguage = config.masterLanguage || 'en_US';
+    if (targetLocales.indexOf(masterLanguage) === -1) {
+        logger.warn('Master language ' + masterLanguage + ' not in available locales, using first locale: ' + targetLocales[0]);
+        masterLanguage = targetLocales.length > 0 ? targetLocales[0] : 'en_US';
+    }
+
+    logger.info('Master language: ' + masterLanguage);
+
+    // Add language info to config for downstream processing
+    config.masterLanguage = masterLanguage;
+    config.targetLocales = targetLocales;
+    config.targetLanguages = targetLocales.map(function (locale) {
+        return knowledgeMappingHelper.resolveLanguage(locale, config.mappingRules);
+    });
+
+    // Log language discovery summary
+    languageHelper.logLanguageDiscovery(availableLocales, targetLocales, masterLanguage);
+}
+
+/**
+ * Authenticate and validate the Salesforce org (Steps 4-4.7)
+ *
+ * @param {Object} setup - Result of buildExportSetup()
+ * @param {Array<Object>} contentAssets - Content assets used to collect data categories (may be empty)
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Object} Result { authResult }, or { status } if the job must end
+ */
+function prepareSalesforce(setup, contentAssets, logger) {
+    var config = setup.config;
+    var serviceID = setup.serviceID;
+    var autoCreateFields = setup.autoCreateFields;
+    var fieldMetadata = setup.fieldMetadata;
+
+    // ========================================
+    // 4. AUTHENTICATE WITH SALESFORCE
+    // ========================================
+    logger.info('Step 4: Authenticating with Salesforce');
+
+    var authResult = authHelper.getAccessToken(serviceID);
+    if (!authResult.success) {
+        logger.error('Salesforce authentication failed: ' + authResult.error);
+        return { status: new Status(Status.ERROR, 'ERROR', 'Authentication failed: ' + authResult.error) };
+    }
+
+    logger.info('Successfully authenticated with Salesforce');
+    logger.info('  - Instance URL: ' + authResult.instanceUrl);
+
+    // ========================================
+    // 4.3. LOOKUP RECORD TYPE (if configured)
+    // ========================================
+    if (config.recordTypeName) {
+        logger.info('Step 4.3: Looking up Record Type');
+
+        var recordTypeResult = recordTypeHelper.getRecordTypeIdFromConfig(
+            config,
+            authResult.accessToken,
+            authResult.instanceUrl,
+            serviceID
+        );
+
+        if (!recordTypeResult.success) {
+            logger.error('Record Type lookup failed: ' + recordTypeResult.error);
+            return { status: new Status(Status.ERROR, 'ERROR', 'Record Type lookup failed: ' + recordTypeResult.error) };
+        }
+
+        if (recordTypeResult.recordTypeId) {
+            logger.info('Record Type found: ' + config.recordTypeName + ' (ID: ' + recordTypeResult.recordTypeId + ')');
+            config.recordTypeId = recordTypeResult.recordTypeId;
+        } else {
+            logger.info('No Record Type configured, using default');
+        }
+    } else {
+        logger.info('Step 4.3: No Record Type configured, skipping lookup');
+    }
+
+    // ========================================
+    // 4.5. ENSURE MAPPED CUSTOM FIELDS EXIST
+    // ========================================
+    logger.info('Step 4.5: Validating mapped custom fields in Salesforce');
+
+    // Merge fieldMapping with static fields for validation
+    // Static fields need to exist in Salesforce too
+    var allFieldsMapping = JSON.parse(config.fieldMapping);
+    if (config.static && typeof config.static === 'object') {
+        logger.info('Including static fields in validation: ' + Object.keys(config.static).join(', '));
+        for (var staticField in config.static) {
+            if (config.static.hasOwnProperty(staticField) && staticField.indexOf('__c') > -1) {
+                // Add static field to mapping with a dummy value for validation
+                // This ensures static fields are checked/created too
+                if (!allFieldsMapping[staticField]) {
+                    allFieldsMapping[staticField] = 'static';
+                }
+            }
+        }
+    }
+
+    // Dry runs only report missing fields, they never create them
+    if (config.dryRun && autoCreateFields) {
+        logger.info('DRY RUN: Field auto-creation disabled');
+        autoCreateFields = false;
+    }
+
+    var fieldCheckResult = toolingHelper.ensureAllMappedFieldsExist(
+        config.articleType,
+        JSON.stringify(allFieldsMapping),
+        fieldMetadata,
+        autoCreateFields,
+        serviceID
+    );
+
+    if (!fieldCheckResult.ready) {
+        logger.error('Field validation failed');
+        fieldCheckResult.errors.forEach(function (error) {
+            logger.error('  - ' + error.field + ': ' + error.error);
+        });
+
+        // If auto-create is enabled and fields failed to create, this is an error
+        if (autoCreateFields) {
+            return { status: new Status(
+                Status.ERROR,
+                'ERROR',
+                'Field validation failed: ' + fieldCheckResult.errors.map(function (e) { return e.field; }).join(', ')
+            ) };
+        } else {
+            // If auto-create is disabled, just warn about missing fields
+            logger.warn('Some fields may be missing. Enable AutoCreateFields to create them automatically.');
+        }
+    }
+
+    if (fieldCheckResult.created.length > 0) {
+        logger.info('Created ' + fieldCheckResult.created.length + ' custom fields: ' + fieldCheckResult.created.join(', '));
+    }
+
+    if (fieldCheckResult.skipped.length > 0) {
+        logger.warn('Skipped ' + fieldCheckResult.skipped.length + ' fields (auto-create disabled): ' + fieldCheckResult.skipped.join(', '));
+    }
+
+    logger.info('Field validation completed successfully');
+
+    resolveSyncSource(config, autoCreateFields, logger);
+
+    // ========================================
+    // 4.6. VALIDATE DATA CATEGORIES (IF CONFIGURED)
+    // ========================================
+    var validateDataCategories = (config.validateDataCategories !== undefined) ? config.validateDataCategories : true;
+
+    if (validateDataCategories && (config.dataCategories || config.mappingRules)) {
+        logger.info('Step 4.6: Validating data categories');
+
+        var dataCategoryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceDataCategoryHelper');
+
+        // Collect all unique data categories from config + content
+        logger.info('Collecting data categories from site config and content assets');
+        var allDataCategories = dataCategoryHelper.collectAllDataCategories(config, contentAssets);
+
+        if (allDataCategories && Object.keys(allDataCategories).length > 0) {
+            var totalCategories = 0;
+            for (var groupName in allDataCategories) {
+                if (allDataCategories.hasOwnProperty(groupName)) {
+                    totalCategories += allDataCategories[groupName].length;
+                    logger.info('  - Group "' + groupName + '": ' + allDataCategories[groupName].join(', '));
+                }
+            }
+
+            logger.info('Found ' + totalCategories + ' unique categor(ies) to validate across ' + Object.keys(allDataCategories).length + ' group(s)');
+
+            // Validate against Salesforce
+            var categoryValidationResult = dataCategoryHelper.validateDataCategories(
+                authResult.accessToken,
+                authResult.instanceUrl,
+                allDataCategories,
+                serviceID,
+                config.articleType
+            );
+
+            if (!categoryValidationResult.valid) {
+                logger.error('');
+                logger.error('Data category validation FAILED:');
+
+                categoryValidationResult.errors.forEach(function (error) {
+                    logger.error('  - ' + error);
+                });
+
+                // Log available valid categories for each failed group
+                for (var failedGroup in categoryValidationResult.details) {
+                    if (categoryValidationResult.details.hasOwnProperty(failedGroup)) {
+                        var groupDetails = categoryValidationResult.details[failedGroup];
+                        if (!groupDetails.valid && groupDetails.validCategories.length > 0) {
+                            logger.error('');
+                            logger.error('Valid categories in group "' + failedGroup + '":');
+                            groupDetails.validCategories.forEach(function (validCat) {
+                                logger.error('  - ' + validCat);
+                            });
+                        }
+                    }
+                }
+
+                logger.error('');
+                logger.error('Job execution stopped. Please fix the data category configuration and try again.');
+
+                return { status: new Status(
+                    Status.ERROR,
+                    'ERROR',
+                    'Data category validation failed. See logs for details.'
+                ) };
+            }
+
+            logger.info('All data categories validated successfully');
+        } else {
+            logger.info('No data categories found to validate');
+        }
+    } else if (config.dataCategories) {
+        logger.info('Step 4.6: Data category validation disabled (validateDataCategories: false)');
+    } else {
+        logger.info('Step 4.6: No data categories configured, skipping validation');
+    }
+
+    // ========================================
+    // 4.7. CHECK DAILY API USAGE
+    // ========================================
+    if (apiLimitHelper.getThreshold()) {
+        logger.info('Step 4.7: Checking daily API usage (threshold: ' + apiLimitHelper.getThreshold() + '%)');
+
+        var limitsResult = apiLimitHelper.fetchLimits(authResult.accessToken, authResult.instanceUrl, serviceID);
+        if (!limitsResult.success) {
+            logger.warn('Could not read API limits, continuing: ' + limitsResult.error);
+        } else if (limitsResult.usage) {
+            logger.info('Daily API requests: ' + limitsResult.usage.used + '/' + limitsResult.usage.max + ' (' + limitsResult.usage.percent + '%)');
+        }
+
+        if (apiLimitHelper.isBudgetReached()) {
+            logger.warn('API budget reached before export, no content exported. Content is picked up by the next run.');
+            return { status: new Status(Status.OK, 'OK', 'API budget reached (' + apiLimitHelper.getUsage().percent + '% of daily API requests used), no content exported') };
+        }
+    }
+
+    return {
+        authResult: authResult
+    };
+}
+
+/**
+ * Expand a content asset to its language versions (Step 5.1)
+ *
+ * The master language comes first (translations need the master article to exist).
+ *
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Object} config - Effective site configuration (with targetLocales and masterLanguage)
+ * @param {Array<string>|null} retryLanguages - Only export these languages (content loaded from the retry queue)
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Array<Object>} Language versions to export (empty if none)
+ */
+function expandLanguageVersions(contentAsset, config, retryLanguages, logger) {
+    var masterLanguage = config.masterLanguage;
+    var expanded = [];
+
+    // Get all language versions for this content
+    var languageVersions = contentMappingHelper.getContentWithAllLanguages(
+        contentAsset.ID,
+        config.targetLocales,
+        config.enableDebugLogging || false
+    );
+
+    if (languageVersions.length === 0) {
+        logger.warn('Content ' + contentAsset.ID + ' not available in any target language, skipping');
+        return expanded;
+    }
+
+    // Sort so master language is first (translations need the master article to exist)
+    // masterLanguage is a B2C locale, so compare against b2cLocale rather than the Salesforce language
+    languageVersions.sort(function (a, b) {
+        if (a.b2cLocale === masterLanguage) return -1;
+        if (b.b2cLocale === masterLanguage) return 1;
+        return 0;
+    });
+
+    for (var j = 0; j < languageVersions.length; j++) {
+        // knowledgeMapping.json languageMapping overrides the built-in locale mapping
+        if (config.mappingRules && config.mappingRules.languageMapping) {
+            languageVersions[j].language = knowledgeMappingHelper.resolveLanguage(languageVersions[j].b2cLocale, config.mappingRules);
+        }
+
+        // Content loaded from the retry queue: only the failed languages
+        if (retryLanguages && retryLanguages.indexOf(languageVersions[j].language) === -1) {
+            continue;
+        }
+
+        expanded.push(languageVersions[j]);
+    }
+
+    return expanded;
+}
+
+/**
+ * Create the state of an export run
+ *
+ * Shared by execute() and the chunk functions, which export the same way but
+ * read content assets differently.
+ *
+ * @param {Object} setup - Result of buildExportSetup()
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {Object} Export run
+ */
+function createExportRun(setup, logger) {
+    return {
+        setup: setup,
+        config: setup.config,
+        // Retry queue, checkpoint and run report are kept per target
+        siteID: setup.currentSiteID + (setup.config.targetID ? '_' + setup.config.targetID : ''),
+        logger: logger,
+        startTime: new Date().getTime(),
+        contentCount: 0,
+        languageVersionCount: 0,
+        syncMetadataUpdates: 0,
+        syncMetadataErrors: 0,
+        unchangedCount: 0,
+        conflicts: [],
+        humanDrafts: [],
+        retryQueueResult: null,
+        retryQueueStats: { recovered: 0, queued: 0, deadLetters: 0 },
+        checkpoint: null,
+        resumed: false,
+        resumedFrom: 0,
+        bulkResult: null,
+        dryRunDetails: [],
+        report: null,
+        errorCounts: {},
+        exportResult: null,
+        runReport: null,
+        dryRunReport: null
+    };
+}
+
+/**
+ * Check whether the export must stop before the next batch
+ *
+ * @returns {boolean} True if the API budget is reached or the circuit breaker tripped
+ */
+function shouldStopExport() {
+    return circuitBreakerHelper.isTripped() || apiLimitHelper.isBudgetReached();
+}
+
+/**
+ * Get why the export stopped early
+ *
+ * @returns {string} Reason (for logs and the run report)
+ */
+function getStopReason() {
+    return circuitBreakerHelper.isTripped() ? 'circuit breaker tripped' : 'API budget reached';
+}
+
+/**
+ * Record content that was not exported, for the run report
+ *
+ * @param {Object} run - Export run
+ * @param {string} contentId - Content asset ID
+ * @param {string|null} language - Salesforce language code (null if not expanded yet)
+ * @param {string} reason - Why the content was skipped
+ */
+function recordSkipped(run, contentId, language, reason) {
+    recordReportDetails(run, [{
+        contentId: contentId,
+        language: language,
+        operation: 'skip',
+        success: true,
+        warning: reason
+    }]);
+}
+
+/**
+ * Add export details to the run report (Step 5.5)
+ *
+ * The report is opened with the first details and written while the run exports,
+ * so the details are not kept in memory. Dry runs don't write one. Errors are counted
+ * for the notification summary.
+ *
+ * @param {Object} run - Export run
+ * @param {Array<Object>} details - Export details (contentId, language, operation, success, warning, error)
+ */
+function recordReportDetails(run, details) {
+    notificationHelper.countErrors(run.errorCounts, details);
+
+    if (run.config.dryRun) {
+        return;
+    }
+
+    if (!run.report) {
+        run.report = runReportHelper.openRunReport(run.siteID, run.config);
+    }
+    runReportHelper.appendRunReport(run.report, details);
+}
+
+/**
+ * Write the summary of the run report and close it (Step 5.5)
+ *
+ * Runs without any details get a report with just the header.
+ *
+ * @param {Object} run - Export run (not a dry run)
+ * @returns {Object} Result of runReportHelper.closeRunReport()
+ */
+function closeRunReport(run) {
+    if (!run.runReport) {
+        run.runReport = runReportHelper.closeRunReport(run.report || runReportHelper.openRunReport(run.siteID, run.config),
+            run.checkpoint ? run.checkpoint.runId : null);
+    }
+    return run.runReport;
+}
+
+/**
+ * Update the retry queue with export results
+ *
+ * Failures are queued (or counted as another attempt), successes leave the queue.
+ *
+ * @param {Object} run - Export run
+ * @param {Array<Object>} details - Export details (contentId, language, success, error)
+ */
+function recordRetryQueue(run, details) {
+    if (!run.config.retryQueue) {
+        return;
+    }
+
+    details.forEach(function (detail) {
+        if (detail.success) {
+            if (retryQueueHelper.removeItem(run.siteID, detail.contentId, detail.language)) {
+                run.retryQueueStats.recovered++;
+            }
+            return;
+        }
+
+        var queueResult = retryQueueHelper.recordFailure(run.siteID, detail, run.config.retryQueueMaxAttempts);
+        if (queueResult.deadLetter) {
+            run.retryQueueStats.deadLetters++;
+        } else if (queueResult.success) {
+            run.retryQueueStats.queued++;
+        }
+    });
+}
+
+/**
+ * Update sync metadata for exported content assets
+ *
+ * Failed exports are recorded per language, so delta mode selects them again. So are
+ * articles edited in Salesforce that were skipped or written as a draft (conflictPolicy),
+ * which are also collected for the run summary, and drafts created in Salesforce that
+ * were left alone or merged (humanDraftPolicy).
+ *
+ * @param {Object} run - Export run
+ * @param {Array<Object>} details - Export details (contentId, language, success, knowledgeArticleId, versionId, publishStatus, payloadHash, conflict,
+ *     humanDraft, error)
+ */
+function recordSyncMetadata(run, details) {
+    var logger = run.logger;
+
+    for (var i = 0; i < details.length; i++) {
+        var detail = details[i];
+        var language = detail.language || run.config.masterLanguage;
+
+        if (detail.conflict) {
+            run.conflicts.push({
+                contentId: detail.contentId,
+                language: language,
+                lastModifiedById: detail.conflict.lastModifiedById,
+                lastModifiedDate: detail.conflict.lastModifiedDate,
+                action: detail.conflict.action,
+                success: detail.success
+            });
+        }
+
+        if (detail.humanDraft) {
+            run.humanDrafts.push({
+                contentId: detail.contentId,
+                language: language,
+                draftVersionId: detail.humanDraft.draftVersionId,
+                createdById: detail.humanDraft.createdById,
+                action: detail.humanDraft.action,
+                authorFields: detail.humanDraft.authorFields || [],
+                success: detail.success
+            });
+        }
+
+        if (detail.success && detail.humanDraft && detail.humanDraft.action !== knowledgeHelper.HUMAN_DRAFT_POLICY.REPLACE) {
+            // Left alone or merged: the last sync stays until the author publishes or discards the draft
+            var humanDraftResult = contentMappingHelper.recordSyncHumanDraft(detail.contentId, language, detail.humanDraft);
+
+            if (!humanDraftResult.success) {
+                logger.warn('Failed to record draft created in Salesforce in sync metadata for ' + detail.contentId + ': ' + humanDraftResult.error);
+            }
+        } else if (detail.success && detail.conflict && detail.conflict.action !== knowledgeHelper.CONFLICT_POLICY.OVERWRITE) {
+            // Not overwritten: the last sync stays, so the edit is detected again
+            var conflictResult = contentMappingHelper.recordSyncConflict(detail.contentId, language, detail.conflict);
+
+            if (!conflictResult.success) {
+                logger.warn('Failed to record conflict in sync metadata for ' + detail.contentId + ': ' + conflictResult.error);
+            }
+        } else if (detail.success && detail.knowledgeArticleId && detail.versionId) {
+            // Only update metadata for successful exports
+            var updateResult = contentMappingHelper.updateSyncMetadata(
+                detail.contentId,
+                detail.knowledgeArticleId,
+                detail.versionId,
+                language,  // Pass language parameter (v2.2+)
+                run.config.contentHash ? (detail.payloadHash || null) : undefined,
+                detail.publishStatus
+            );
+
+            if (detail.operation === 'skip') {
+                run.unchangedCount++;
+            }
+
+            if (updateResult.success) {
+                run.syncMetadataUpdates++;
+                logger.debug('Updated sync metadata for: ' + detail.contentId + ' (Language: ' + language + ')');
+            } else {
+                run.syncMetadataErrors++;
+                logger.warn('Failed to update sync metadata for ' + detail.contentId + ': ' + updateResult.error);
+            }
+        } else if (!detail.success) {
+            var failureResult = contentMappingHelper.recordSyncFailure(detail.contentId, language, detail.error);
+
+            if (!failureResult.success) {
+                logger.warn('Failed to record failed export in sync metadata for ' + detail.contentId + ': ' + failureResult.error);
+            }
+        }
+    }
+}
+
+/**
+ * Leave out the up-to-date languages of a content asset (Step 5.1, delta mode)
+ *
+ * Delta mode selects a content asset when one of its languages changed since its own
+ * last sync, or its last export failed. Only those languages are exported. Targeted
+ * syncs, ForceFullForIDs and content loaded from the retry queue keep their languages.
+ *
+ * @param {Object} run - Export run
+ * @param {Object} contentAsset - Formatted content asset
+ * @param {Array<Object>} languageVersions - Language versions from expandLanguageVersions()
+ * @param {boolean} retryOnly - Whether the content asset was loaded from the retry queue
+ * @returns {Array<Object>} Language versions to export
+ */
+function filterChangedLanguages(run, contentAsset, languageVersions, retryOnly) {
+    var config = run.config;
+
+    if (run.setup.exportMode !== 'delta' || retryOnly || config.targetContentIDs.length > 0 ||
+            config.forcedContentIDs.indexOf(contentAsset.ID) !== -1) {
+        return languageVersions;
+    }
+
+    return languageVersions.filter(function (languageVersion) {
+        if (contentMappingHelper.isLanguageModifiedSinceLastSync(languageVersion, languageVersion.language)) {
+            return true;
+        }
+
+        run.logger.debug('Content ' + contentAsset.ID + ' (' + languageVersion.language + ') not modified since its last sync, skipping');
+        return false;
+    });
+}
+
+/**
+ * Start or resume the checkpoint of a run (Step 5.1.1)
+ *
+ * Dry runs don't write checkpoints. Sets run.checkpoint (null if checkpoints are
+ * unavailable) and run.resumed. A resumed run leaves out what the interrupted run
+ * exported with skipExportedLanguages().
+ *
+ * @param {Object} run - Export run
+ */
+function startCheckpoint(run) {
+    var logger = run.logger;
+    var exportMode = run.setup.exportMode;
+
+    // Targeted syncs leave the checkpoint of the regular runs alone
+    if (run.config.dryRun || run.config.targetContentIDs.length > 0) {
+        return;
+    }
+
+    var previousCheckpoint = run.config.resume ? checkpointHelper.getCheckpoint(run.siteID) : null;
+
+    if (previousCheckpoint && previousCheckpoint.status === checkpointHelper.STATUS.RUNNING && previousCheckpoint.exportMode === exportMode) {
+        run.checkpoint = previousCheckpoint;
+        run.resumed = true;
+
+        logger.info('Step 5.1.1: Resuming run ' + previousCheckpoint.runId + ' after batch ' + previousCheckpoint.lastBatch +
+            ', content exported by it is skipped');
+    } else {
+        if (run.config.resume) {
+            logger.info('Step 5.1.1: No interrupted ' + exportMode + ' run to resume, starting a new run');
+        }
+
+        run.checkpoint = {
+            runId: checkpointHelper.createRunId(run.siteID),
+            exportMode: exportMode,
+            status: checkpointHelper.STATUS.RUNNING,
+            lastBatch: 0,
+            processedCount: 0,
+            lastKey: null
+        };
+    }
+
+    if (!checkpointHelper.saveCheckpoint(run.siteID, run.checkpoint).success) {
+        logger.warn('Checkpoints disabled for this run, an interrupted run cannot be resumed');
+        run.checkpoint = null;
+    }
+}
+
+/**
+ * Leave out the language versions the interrupted run already exported (Step 5.1.1, resumed runs)
+ *
+ * Counted in run.resumedFrom.
+ *
+ * @param {Object} run - Export run
+ * @param {Array<Object>} languageVersions - Language versions to export
+ * @returns {Array<Object>} Language versions the interrupted run did not export
+ */
+function skipExportedLanguages(run, languageVersions) {
+    if (!run.resumed || !run.checkpoint) {
+        return languageVersions;
+    }
+
+    return languageVersions.filter(function (languageVersion) {
+        if (checkpointHelper.isExportedInRun(languageVersion, run.checkpoint)) {
+            run.resumedFrom++;
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Get the checkpoint keys of the last language version of every content asset
+ *
+ * The language versions of a content asset are next to each other, so a content asset
+ * ends where the next language version belongs to another one (or the list ends).
+ *
+ * @param {Array<Object>} languageVersions - Language versions in export order
+ * @returns {Object} Map of checkpoint key → true
+ */
+function getAssetEndKeys(languageVersions) {
+    var endKeys = {};
+
+    for (var i = 0; i < languageVersions.length; i++) {
+        if (i === languageVersions.length - 1 || languageVersions[i + 1].ID !== languageVersions[i].ID) {
+            endKeys[checkpointHelper.getAssetKey(languageVersions[i])] = true;
+        }
+    }
+
+    return endKeys;
+}
+
+/**
+ * Export a batch and record the results
+ *
+ * Updates sync metadata, the retry queue and the checkpoint. Dry runs only collect
+ * the previews for the report. A batch can end partway through the languages of a
+ * content asset, so the checkpoint key is the last content asset the batch completed.
+ *
+ * @param {Object} run - Export run
+ * @param {Array<Object>} batch - Content assets (with languages)
+ * @param {Object} assetEndKeys - Result of getAssetEndKeys() for the language versions being exported
+ * @returns {Object} Batch result from knowledgeHelper.exportBatch()
+ */
+function exportAndRecordBatch(run, batch, assetEndKeys) {
+    var logger = run.logger;
+
+    // Export batch to Salesforce Knowledge
+    var batchResult = knowledgeHelper.exportBatch(batch, run.config);
+
+    // Dry run: collect previews for the report, leave sync metadata untouched
+    if (run.config.dryRun) {
+        run.dryRunDetails = run.dryRunDetails.concat(batchResult.details || []);
+        circuitBreakerHelper.recordResults(batchResult.details || []);
+        return batchResult;
+    }
+
+    if (batchResult.success && batchResult.details && batchResult.details.length > 0) {
+        logger.debug('Updating sync metadata for ' + batchResult.details.length + ' content assets in batch');
+        recordSyncMetadata(run, batchResult.details);
+        recordRetryQueue(run, batchResult.details);
+        circuitBreakerHelper.recordResults(batchResult.details);
+        recordReportDetails(run, batchResult.details);
+    } else if (!batchResult.success) {
+        // Batch exception: every asset of the batch counts as failed
+        var failedDetails = batch.map(function (asset) {
+            return { contentId: asset.ID, language: asset.language, success: false, error: batchResult.error };
+        });
+        recordSyncMetadata(run, failedDetails);
+        recordRetryQueue(run, failedDetails);
+        circuitBreakerHelper.recordResults(failedDetails);
+        recordReportDetails(run, failedDetails);
+    }
+
+    // Checkpoint: a resumed run continues after this batch
+    if (run.checkpoint) {
+        run.checkpoint.lastBatch++;
+        run.checkpoint.processedCount += batch.length;
+
+        for (var i = batch.length - 1; i >= 0; i--) {
+            var key = checkpointHelper.getAssetKey(batch[i]);
+            if (assetEndKeys[key]) {
+                run.checkpoint.lastKey = key;
+                break;
+            }
+        }
+
+        checkpointHelper.saveCheckpoint(run.siteID, run.checkpoint);
+    }
+
+    return batchResult;
+}
+
+/**
+ * Store the configuration fingerprint of a successful run
+ *
+ * Dry runs and targeted syncs (no fingerprint) don't store it.
+ *
+ * @param {Object} run - Export run
+ * @returns {boolean} True if the fingerprint was stored
+ */
+function storeConfigFingerprint(run) {
+    if (!run.setup.configFingerprint || run.config.dryRun) {
+        return false;
+    }
+
+    return configFingerprintHelper.saveFingerprint(run.siteID, run.setup.configFingerprint).success;
+}
+
+/**
+ * Finish an export run (Steps 5.3-6)
+ *
+ * Completes the checkpoint, reconciles retired content, writes the dry-run or run
+ * report, logs the summary and determines the final status.
+ *
+ * @param {Object} run - Export run
+ * @param {Object} exportResult - Result of contentMappingHelper.exportToExternalAPI() for the whole run
+ * @returns {dw.system.Status} Final status
+ */
+function finishExportRun(run, exportResult) {
+    var logger = run.logger;
+    var config = run.config;
+    var checkpoint = run.checkpoint;
+    var bulkResult = run.bulkResult;
+    var retryQueueStats = run.retryQueueStats;
+    var breakerTrip = circuitBreakerHelper.getTrip();
+    var stopReason = getStopReason();
+
+    if (exportResult.stopped) {
+        logger.warn(stopReason.charAt(0).toUpperCase() + stopReason.slice(1) + ', ' + exportResult.totalSkipped + ' content assets left for the next run');
+    }
+
+    // A stopped run stays resumable
+    if (checkpoint && !exportResult.stopped) {
+        checkpoint.status = checkpointHelper.STATUS.COMPLETE;
+        checkpointHelper.saveCheckpoint(run.siteID, checkpoint);
+    }
+
+    if (bulkResult) {
+        exportResult.totalProcessed += bulkResult.details.length;
+        exportResult.totalSuccess += bulkResult.successCount;
+        exportResult.totalFailed += bulkResult.failureCount;
+    }
+
+    // The configuration counts as applied once every content asset was exported with it.
+    // With the retry queue, failed content assets are retried without a full resync.
+    var configFingerprint = run.setup.configFingerprint;
+    var configApplied = !exportResult.stopped && (exportResult.totalFailed === 0 || config.retryQueue) && storeConfigFingerprint(run);
+
+    logger.info('Sync metadata updates: ' + run.syncMetadataUpdates + ' successful, ' + run.syncMetadataErrors + ' failed');
+
+    // ========================================
+    // 5.3. RECONCILE RETIRED CONTENT
+    // ========================================
+    var reconciliationResult = null;
+    if (exportResult.stopped) {
+        logger.info('Step 5.3: Skipping retired content reconciliation (' + stopReason + ')');
+    } else {
+        reconciliationResult = runRetiredContentReconciliation(config, run.setup.contentFolderID, logger);
+    }
+
+    // ========================================
+    // 5.4. WRITE DRY-RUN REPORT
+    // ========================================
+    var dryRunReport = null;
+    if (config.dryRun) {
+        logger.info('Step 5.4: Writing dry-run report');
+        dryRunReport = runReportHelper.writeDryRunReport(run.siteID, config, run.dryRunDetails, reconciliationResult);
+    }
+
+    // ========================================
+    // 5.5. WRITE RUN REPORT
+    // ========================================
+    var runReport = null;
+    if (!config.dryRun) {
+        logger.info('Step 5.5: Writing run report');
+        runReport = closeRunReport(run);
+    }
+
+    // Kept for the notification summary
+    run.exportResult = exportResult;
+    run.runReport = runReport;
+    run.dryRunReport = dryRunReport;
+
+    // ========================================
+    // 6. LOG RESULTS
+    // ========================================
+    logger.info('Step 6: Processing results');
+
+    var endTime = new Date().getTime();
+    var duration = (endTime - run.startTime) / 1000; // seconds
+    var averageLanguages = run.contentCount > 0 ? run.languageVersionCount / run.contentCount : 0;
+
+    logger.info('=======================================================');
+    logger.info('Export Job Completed');
+    logger.info('=======================================================');
+    logger.info('Summary:');
+    logger.info('  - Export Mode: ' + run.setup.exportMode);
+    logger.info('  - Original Content Assets: ' + run.contentCount);
+    logger.info('  - Target Languages: ' + config.targetLocales.length + ' (' + config.targetLocales.join(', ') + ')');
+    logger.info('  - Master Language: ' + config.masterLanguage);
+    logger.info('  - Total Content with Languages: ' + run.languageVersionCount);
+    logger.info('  - Average Languages per Content: ' + averageLanguages.toFixed(2));
+    logger.info('  - Total Processed: ' + exportResult.totalProcessed);
+    logger.info('  - Successful Exports: ' + exportResult.totalSuccess);
+    logger.info('  - Failed Exports: ' + exportResult.totalFailed);
+    if (config.contentHash) {
+        logger.info('  - Unchanged (content hash, not written): ' + run.unchangedCount);
+    }
+    logger.info('  - Sync Metadata Updates: ' + run.syncMetadataUpdates + ' successful, ' + run.syncMetadataErrors + ' failed');
+    logger.info('  - Session Renewals: ' + authHelper.getSessionRenewalCount());
+    if (apiLimitHelper.getUsage()) {
+        var apiUsage = apiLimitHelper.getUsage();
+        logger.info('  - Daily API Requests: ' + apiUsage.used + '/' + apiUsage.max + ' (' + apiUsage.percent + '%)');
+    }
+    if (exportResult.stopped) {
+        logger.info('  - Not Processed (' + stopReason + '): ' + exportResult.totalSkipped);
+    }
+    if (breakerTrip) {
+        logger.info('  - Circuit Breaker: tripped after ' + breakerTrip.threshold);
+    }
+    if (run.conflicts.length > 0) {
+        logger.info('  - Edited in Salesforce since the last sync (conflictPolicy ' + (config.conflictPolicy || 'overwrite') + '): ' + run.conflicts.length);
+        run.conflicts.forEach(function (conflict) {
+            logger.info('      ' + notificationHelper.formatConflict(conflict));
+        });
+    }
+    if (run.humanDrafts.length > 0) {
+        logger.info('  - Drafts created in Salesforce (humanDraftPolicy ' + (config.humanDraftPolicy || 'skip') + '): ' + run.humanDrafts.length);
+        run.humanDrafts.forEach(function (humanDraft) {
+            logger.info('      ' + notificationHelper.formatHumanDraft(humanDraft));
+        });
+    }
+    if (configFingerprint && configFingerprint.changed) {
+        logger.info('  - Configuration Changed: ' + configFingerprint.changedKeys.join(', ') +
+            (configApplied ? ' (applied)' : ' (not applied yet, the next run resyncs again)'));
+    }
+    if (checkpoint) {
+        logger.info('  - Run ID: ' + checkpoint.runId + (run.resumedFrom > 0 ? ' (resumed, ' + run.resumedFrom + ' content assets skipped)' : '') +
+            ', ' + checkpoint.lastBatch + ' batches completed');
+    }
+    if (run.retryQueueResult && !config.dryRun) {
+        logger.info('  - Retry Queue: ' + run.retryQueueResult.pending + ' pending at start, ' + retryQueueStats.recovered + ' recovered, ' +
+            retryQueueStats.queued + ' queued, ' + retryQueueStats.deadLetters + ' new dead letters');
+    }
+    if (bulkResult) {
+        logger.info('  - Bulk API Loads: ' + bulkResult.successCount + ' successful, ' + bulkResult.failureCount + ' failed (' + bulkResult.jobIds.length + ' ingest jobs)');
+    }
+    if (reconciliationResult) {
+        logger.info('  - Retired Content: ' + reconciliationResult.found + ' found (' +
+            reconciliationResult.archived + ' archived, ' + reconciliationResult.deleted + ' deleted, ' +
+            reconciliationResult.reported + ' reported, ' + reconciliationResult.failed + ' failed)');
+    }
+    if (dryRunReport) {
+        logger.info('  - Dry Run: ' + dryRunReport.summary.wouldCreate + ' would create, ' +
+            dryRunReport.summary.wouldUpdate + ' would update, ' + dryRunReport.summary.unchanged + ' unchanged, ' +
+            dryRunReport.summary.failed + ' failed');
+        logger.info('  - Dry Run Report: ' + (dryRunReport.success ? dryRunReport.filePath : 'not written (' + dryRunReport.error + ')'));
+    }
+    if (runReport) {
+        logger.info('  - Run Report: ' + (runReport.success ? runReport.filePath : 'not written (' + runReport.error + ')'));
+    }
+    logger.info('  - Duration: ' + duration.toFixed(2) + ' seconds');
+
+    if (exportResult.errors.length > 0) {
+        logger.warn('Errors encountered:');
+        exportResult.errors.forEach(function (error) {
+            logger.warn('  - Batch ' + error.batch + ': ' + error.error);
+        });
+    }
+
+    // Determine final status
+    if (breakerTrip) {
+        // Something is broken for every asset (credentials, page layout, ...): fix it, then resume
+        var mostCommonError = breakerTrip.mostCommonError;
+        return new Status(
+            Status.ERROR,
+            'ERROR',
+            'Circuit breaker tripped: ' + breakerTrip.threshold + '. ' +
+                (mostCommonError ? 'Most common error (' + mostCommonError.count + 'x): ' + mostCommonError.message + '. ' : '') +
+                'Exported: ' + exportResult.totalSuccess + ', failed: ' + exportResult.totalFailed + ', not processed: ' + exportResult.totalSkipped
+        );
+    } else if (dryRunReport) {
+        if (!dryRunReport.success) {
+            return new Status(Status.ERROR, 'ERROR', 'Dry run completed but report could not be written: ' + dryRunReport.error);
+        }
+
+        return new Status(
+            Status.OK,
+            'OK',
+            'Dry run. Would create: ' + dryRunReport.summary.wouldCreate + ', would update: ' + dryRunReport.summary.wouldUpdate +
+                ', unchanged: ' + dryRunReport.summary.unchanged + ', failed: ' + dryRunReport.summary.failed +
+                '. Report: ' + dryRunReport.filePath
+        );
+    } else if (exportResult.stopped) {
+        // Budget reached: unprocessed content is picked up by the next run
+        return new Status(
+            Status.OK,
+            'OK',
+            'API budget reached (' + apiLimitHelper.getUsage().percent + '% of daily API requests used). Exported: ' +
+                exportResult.totalSuccess + ', failed: ' + exportResult.totalFailed + ', not processed: ' + exportResult.totalSkipped
+        );
+    } else if (exportResult.totalSuccess === 0 && exportResult.totalFailed > 0) {
+        // All exports failed
+        logger.error('All exports failed');
+        return new Status(
+            Status.ERROR,
+            'ERROR',
+            'All exports failed. Processed: ' + exportResult.totalProcessed
+        );
+    } else if (exportResult.totalFailed > 0) {
+        // Partial success
+        logger.warn('Some exports failed');
+        return new Status(
+            Status.OK,
+            'OK',
+            'Partial success. Success: ' + exportResult.totalSuccess + ', Failed: ' + exportResult.totalFailed
+        );
+    }
+
+    // All successful
+    logger.info('All exports successful');
+    return new Status(
+        Status.OK,
+        'OK',
+        'Success. Exported: ' + exportResult.totalSuccess + ' articles' + (config.contentHash ? ' (' + run.unchangedCount + ' unchanged)' : '')
+    );
+}
+
+/**
+ * Export the content of one site
+ *
+ * Runs for the current site, or in organization context for the site activated by
+ * executeForAllSites().
  *
  * Execution Flow:
  * 1. Validate OAuth configuration
- * 2. Get job parameters and build config
+ * 2. Get job parameters and build config (delta runs as full mode if the configuration changed)
  * 3. Get content assets from B2C
+ * 3.1. Put failed content from the retry queue first (if retryQueue enabled)
+ * 3.2. Leave out shared library content exported by an earlier site (organization context)
  * 4. Authenticate with Salesforce
  * 4.5. Validate/create custom fields (if AutoCreateFields enabled)
- * 5. Export articles in batches with versioning support
+ * 4.7. Check daily API usage (if apiLimitThreshold configured)
+ * 5. Export articles in batches with versioning support (stops early on API budget or circuit breaker)
+ * 5.1.1. Resume from the checkpoint of an interrupted run (if resume enabled)
+ * 5.3. Reconcile retired content (if retiredContentPolicy configured)
+ * 5.4. Write dry-run report (if dryRun enabled)
+ * 5.5. Write run report to IMPEX (CSV and JSON, unless dryRun)
  * 6. Log results and return status
  *
  * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
- * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
+ * @param {dw.system.Log} logger - Job logger
+ * @param {Object} [target] - Salesforce target to export to (sites with targets)
+ * @param {Object} context - Receives the export run ({ run }) for the notification summary
  * @returns {dw.system.Status} Status.OK or Status.ERROR
- *
- * @example
- * // This function is called by SFCC Job Framework
- * // Not meant to be called directly from code
  */
-exports.execute = function (parameters, stepExecution) {
-    // Initialize logger
-    var logger = Logger.getLogger('SFKnowledge', 'ExportJob');
+function exportSiteContent(parameters, logger, target, context) {
+    try {
+        var setup = buildExportSetup(parameters, logger, target);
+        if (setup.status) {
+            return setup.status;
+        }
 
-    logger.info('=======================================================');
-    logger.info('Starting Salesforce Knowledge Export Job');
-    logger.info('=======================================================');
+        var config = setup.config;
+        var contentFolderID = setup.contentFolderID;
+        var batchSize = setup.batchSize;
+        var exportMode = setup.exportMode;
+        var run = createExportRun(setup, logger);
+        context.run = run;
 
-    var startTime = new Date().getTime();
+        // Delta mode compares every target language with its sync metadata
+        discoverLanguages(config, logger);
 
-    try {
         // ========================================
-        // 1. VALIDATE CONFIGURATION
+        // 3. GET CONTENT ASSETS
         // ========================================
-        logger.info('Step 1: Validating configuration');
+        logger.info('Step 3: Retrieving content assets from B2C Commerce');
 
-        // Get Service ID first (needed for validation)
-        var serviceID = parameters.ServiceID;
+        var targeted = config.targetContentIDs.length > 0;
+        var contentAssets;
 
-        // Validate Service ID is provided
-        if (!serviceID || serviceID.trim() === '') {
-            logger.error('Service ID not configured. Please configure ServiceID parameter in job step.');
-            logger.error('ServiceID should match a service configured at Administration > Operations > Services');
-            return new Status(Status.ERROR, 'ERROR', 'Service ID not configured in job parameters');
+        if (targeted) {
+            // Targeted sync: exactly the requested content assets (plus ForceFullForIDs)
+            contentAssets = contentMappingHelper.getContentAssetsByIDs(
+                parseContentIDs(config.targetContentIDs.concat(config.forcedContentIDs).join(',')),
+                config.enableDebugLogging || false
+            );
+        } else {
+            // Get content assets from all configured folders
+            contentAssets = contentMappingHelper.getContentAssetsFromMultipleFolders(
+                contentFolderID,  // This is now always an array
+                config.enableDebugLogging || false,
+                exportMode,
+                config.targetLanguages
+            );
         }
 
-        // Validate OAuth configuration
-        var configValidation = authHelper.validateConfiguration(serviceID);
-        if (!configValidation.valid) {
-            logger.error('Configuration validation failed:');
-            configValidation.errors.forEach(function (error) {
-                logger.error('  - ' + error);
-            });
-            return new Status(Status.ERROR, 'ERROR', 'Invalid configuration: ' + configValidation.errors.join(', '));
+        // Apply knowledgeMapping.json exportFilters
+        contentAssets = knowledgeMappingHelper.filterContentAssets(contentAssets, config.mappingRules);
+
+        // ForceFullForIDs content goes first
+        if (!targeted && config.forcedContentIDs.length > 0) {
+            contentAssets = loadForcedContentAssets(contentAssets, config, logger).concat(contentAssets);
         }
 
-        if (configValidation.warnings.length > 0) {
-            logger.warn('Configuration warnings:');
-            configValidation.warnings.forEach(function (warning) {
-                logger.warn('  - ' + warning);
-            });
+        // Failed content assets from earlier runs go first (not in targeted syncs)
+        if (config.retryQueue && !targeted) {
+            run.retryQueueResult = applyRetryQueue(contentAssets || [], config, run.siteID, logger);
+            contentAssets = run.retryQueueResult.contentAssets;
+        }
+
+        // Organization context: shared library content is exported once
+        contentAssets = claimSharedContent(run, contentAssets || []);
+
+        if (!contentAssets || contentAssets.length === 0) {
+            logger.warn('No content assets found to export');
+            storeConfigFingerprint(run);
+
+            // Retired content still needs reconciling when nothing changed
+            var emptyRunReconciliation = runRetiredContentReconciliation(config, contentFolderID, logger);
+
+            // Dry runs always leave a report, also when there is nothing to preview
+            if (config.dryRun) {
+                run.dryRunReport = runReportHelper.writeDryRunReport(run.siteID, config, [], emptyRunReconciliation);
+                if (!run.dryRunReport.success) {
+                    return new Status(Status.ERROR, 'ERROR', 'Dry run completed but report could not be written: ' + run.dryRunReport.error);
+                }
+            }
+
+            if (emptyRunReconciliation && emptyRunReconciliation.found > 0) {
+                logger.info('Job completed: No content to export, ' + emptyRunReconciliation.found + ' retired content asset(s) reconciled');
+                return new Status(Status.OK, 'OK', 'No content assets found. Retired: ' + emptyRunReconciliation.found +
+                    ' (' + config.retiredContentPolicy + ', failed: ' + emptyRunReconciliation.failed + ')');
+            }
+
+            logger.info('Job completed: No content to export');
+            return new Status(Status.OK, 'OK', 'No content assets found');
         }
 
-        logger.info('Configuration validated successfully');
+        logger.info('Found ' + contentAssets.length + ' content assets to export');
+
+        var salesforce = prepareSalesforce(setup, contentAssets, logger);
+        if (salesforce.status) {
+            return salesforce.status;
+        }
 
         // ========================================
-        // 2. GET JOB PARAMETERS & BUILD CONFIGURATION
+        // 5. EXPORT ARTICLES IN BATCHES (MULTI-LANGUAGE)
         // ========================================
-        logger.info('Step 2: Processing job parameters and building configuration');
+        logger.info('Step 5: Exporting articles to Salesforce Knowledge (multi-language)');
 
-        // Get SiteConfigurations parameter
-        var siteConfigurationsJSON = parameters.SiteConfigurations || '';
+        // Expand content assets to include all language versions
+        logger.info('Step 5.1: Expanding content assets to include all language versions');
+
+        var contentAssetsWithLanguages = [];
+
+        for (var i = 0; i < contentAssets.length; i++) {
+            var retryLanguages = run.retryQueueResult ? run.retryQueueResult.retryLanguages[contentAssets[i].ID] : null;
+            var languageVersions = expandLanguageVersions(contentAssets[i], config, retryLanguages, logger);
+
+            if (languageVersions.length === 0) {
+                recordSkipped(run, contentAssets[i].ID, null, 'Not available in any target language');
+            }
+            languageVersions = filterChangedLanguages(run, contentAssets[i], languageVersions, !!retryLanguages);
+            contentAssetsWithLanguages = contentAssetsWithLanguages.concat(languageVersions);
+        }
+
+        run.contentCount = contentAssets.length;
+        run.languageVersionCount = contentAssetsWithLanguages.length;
+
+        logger.info('Original content assets: ' + run.contentCount);
+        logger.info('Total content assets with languages: ' + run.languageVersionCount);
+        logger.info('Average languages per content: ' + (run.languageVersionCount / run.contentCount).toFixed(2));
+
+        if (contentAssetsWithLanguages.length === 0) {
+            logger.warn('No content assets with language versions found');
+            storeConfigFingerprint(run);
+            logger.info('Job completed: No content to export');
+            return new Status(Status.OK, 'OK', 'No content assets with language versions found');
+        }
+
+        // ========================================
+        // 5.1.1. RESUME FROM CHECKPOINT
+        // ========================================
+        startCheckpoint(run);
+
+        var exportSet = skipExportedLanguages(run, contentAssetsWithLanguages);
+        if (run.resumed) {
+            logger.info('Step 5.1.1: ' + run.resumedFrom + ' content assets already exported, ' + exportSet.length + ' left');
+        }
+
+        // Bulk mode: load new articles with Bulk API 2.0, the rest goes through the batches below
+        var assetsToExport = exportSet;
+
+        if (exportMode === 'bulk' && (config.dryRun || targeted)) {
+            logger.info('Step 5.2: ' + (targeted ? 'Targeted sync' : 'Dry run') + ' - bulk mode exports articles like full mode');
+        } else if (exportMode === 'bulk') {
+            logger.info('Step 5.2: Loading new articles with Bulk API 2.0');
+
+            var bulkResult = bulkExportHelper.exportWithBulkApi(exportSet, config);
+            recordSyncMetadata(run, bulkResult.details);
+            recordRetryQueue(run, bulkResult.details);
+            circuitBreakerHelper.recordResults(bulkResult.details);
+            recordReportDetails(run, bulkResult.details);
+            assetsToExport = bulkResult.remaining;
+
+            bulkResult.successCount = bulkResult.details.filter(function (detail) {
+                return detail.success;
+            }).length;
+            bulkResult.failureCount = bulkResult.details.length - bulkResult.successCount;
+
+            bulkResult.details.forEach(function (detail) {
+                if (!detail.success) {
+                    logger.warn('Bulk API load failed for content ' + detail.contentId + ': ' + detail.error);
+                } else if (detail.warning) {
+                    logger.warn('Bulk API load warning for content ' + detail.contentId + ': ' + detail.warning);
+                }
+            });
+
+            logger.info('Bulk API load complete: ' + bulkResult.successCount + ' success, ' + bulkResult.failureCount + ' failed, ' +
+                bulkResult.jobIds.length + ' ingest job(s)');
+            run.bulkResult = bulkResult;
+        }
+
+        // Process the expanded list with language versions
+        logger.info('Step 5.2: Processing content in batches');
+
+        var assetEndKeys = getAssetEndKeys(assetsToExport);
+        var exportResult = contentMappingHelper.exportToExternalAPI(
+            assetsToExport,
+            batchSize,
+            function (batch) {
+                return exportAndRecordBatch(run, batch, assetEndKeys);
+            },
+            shouldStopExport
+        );
+
+        // Batches run in order, so everything after the processed part was not exported
+        if (exportResult.stopped) {
+            assetsToExport.slice(exportResult.totalProcessed).forEach(function (asset) {
+                recordSkipped(run, asset.ID, asset.language, 'Not processed (' + getStopReason() + ')');
+            });
+        }
+
+        return finishExportRun(run, exportResult);
+
+    } catch (e) {
+        // Catch any unexpected exceptions
+        logger.error('Unexpected error in export job: ' + e.message);
+        logger.error('Stack trace: ' + e.stack);
+
+        return new Status(
+            Status.ERROR,
+            'ERROR',
+            'Job exception: ' + e.message
+        );
+    }
+}
+
+/**
+ * Build the notification summary of an export run
+ *
+ * Runs that ended before the export started (configuration or authentication errors)
+ * have no export run and report zero counts.
+ *
+ * @param {string} siteID - Site ID
+ * @param {Object|null} target - Salesforce target (sites with targets)
+ * @param {Object|null} run - Export run
+ * @param {dw.system.Status} status - Final status of the run
+ * @param {number} startTime - Start of the run (ms)
+ * @param {Object} siteConfig - Effective site configuration
+ * @returns {Object} Summary (also the webhook payload)
+ */
+function buildRunSummary(siteID, target, run, status, startTime, siteConfig) {
+    var exportResult = run && run.exportResult;
+    var report = run && (run.runReport || run.dryRunReport);
+    var endTime = new Date().getTime();
+
+    return {
+        job: 'ExportContentToKnowledge',
+        siteID: siteID,
+        targetID: target ? target.id : null,
+        runId: run && run.checkpoint ? run.checkpoint.runId : null,
+        status: status.isError() ? 'ERROR' : 'OK',
+        message: status.message || null,
+        exportMode: run ? run.setup.exportMode : (siteConfig.exportMode || 'delta'),
+        dryRun: siteConfig.dryRun === true,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        durationSeconds: (endTime - startTime) / 1000,
+        counts: {
+            contentAssets: run ? run.contentCount : 0,
+            processed: exportResult ? exportResult.totalProcessed : 0,
+            exported: exportResult ? exportResult.totalSuccess : 0,
+            failed: exportResult ? exportResult.totalFailed : 0,
+            notProcessed: exportResult ? exportResult.totalSkipped : 0,
+            unchanged: run ? run.unchangedCount : 0,
+            conflicts: run ? run.conflicts.length : 0,
+            humanDrafts: run ? run.humanDrafts.length : 0
+        },
+        topErrors: run ? notificationHelper.getTopErrors(run.errorCounts) : [],
+        conflicts: run ? run.conflicts : [],
+        humanDrafts: run ? run.humanDrafts : [],
+        runReport: report && report.success ? {
+            filePath: report.filePath,
+            jsonFilePath: report.jsonFilePath || null,
+            url: runReportHelper.getWebDavUrl(report.filePath)
+        } : null
+    };
+}
+
+/**
+ * Send the notifications of an export run (notifications in the site configuration)
+ *
+ * The configuration is read from SiteConfigurations again, so runs that failed during
+ * setup are reported too. Errors are logged, the job status is never changed.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {string} siteID - Site ID
+ * @param {Object|null} target - Salesforce target (sites with targets)
+ * @param {Object|null} run - Export run (null if the run ended during setup)
+ * @param {dw.system.Status} status - Final status of the run
+ * @param {number} startTime - Start of the run (ms)
+ * @param {dw.system.Log} logger - Job logger
+ */
+function notifyRunResult(parameters, siteID, target, run, status, startTime, logger) {
+    try {
+        var allSiteConfigs = siteConfigHelper.parseSiteConfigurations(parameters.SiteConfigurations || '');
+        var siteConfig = allSiteConfigs && siteID ? siteConfigHelper.getSiteConfiguration(allSiteConfigs, siteID) : null;
 
-        // Validate SiteConfigurations is provided
-        if (!siteConfigurationsJSON || siteConfigurationsJSON.trim() === '') {
-            logger.error('SiteConfigurations parameter is required');
-            logger.error('Please provide a valid SiteConfigurations JSON in the job step configuration');
-            return new Status(Status.ERROR, 'ERROR', 'SiteConfigurations parameter is required');
+        // Invalid settings are reported by the configuration validation
+        if (!siteConfig || !siteConfig.notifications || !siteConfigHelper.validateNotifications(siteConfig.notifications).valid) {
+            return;
         }
 
-        // Parse site configurations
-        var allSiteConfigs = siteConfigHelper.parseSiteConfigurations(siteConfigurationsJSON);
-        if (!allSiteConfigs) {
-            logger.error('Failed to parse SiteConfigurations JSON');
-            return new Status(Status.ERROR, 'ERROR', 'Invalid SiteConfigurations JSON');
-        }
+        notificationHelper.notify(siteConfig.notifications, buildRunSummary(siteID, target, run, status, startTime, siteConfig));
+    } catch (e) {
+        logger.warn('Notification failed: ' + e.message);
+    }
+}
 
-        // Get current site ID
-        var currentSiteID = siteConfigHelper.getCurrentSiteID();
-        if (!currentSiteID) {
-            logger.error('Unable to determine current site ID');
-            return new Status(Status.ERROR, 'ERROR', 'Unable to determine current site');
-        }
+/**
+ * Export the content of one site and send the notifications of the run
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.system.Log} logger - Job logger
+ * @param {Object} [target] - Salesforce target to export to (sites with targets)
+ * @returns {dw.system.Status} Status.OK or Status.ERROR
+ */
+function exportSite(parameters, logger, target) {
+    var startTime = new Date().getTime();
+    var context = { run: null };
+    var status = exportSiteContent(parameters, logger, target, context);
 
-        logger.info('Current site: ' + currentSiteID);
+    // Runs that ended early still close the report they started
+    if (context.run && context.run.report && !context.run.runReport) {
+        closeRunReport(context.run);
+    }
 
-        // Get site-specific configuration with defaults inheritance
-        var config = siteConfigHelper.getSiteConfiguration(allSiteConfigs, currentSiteID);
-        if (!config) {
-            logger.error('Failed to get configuration for site: ' + currentSiteID);
-            return new Status(Status.ERROR, 'ERROR', 'Configuration not found for site: ' + currentSiteID);
-        }
+    notifyRunResult(parameters, siteConfigHelper.getCurrentSiteID(), target || null, context.run, status, startTime, logger);
 
-        // Validate configuration
-        var validation = siteConfigHelper.validateConfiguration(config, currentSiteID);
-        if (!validation.valid) {
-            logger.error('Configuration validation failed for site: ' + currentSiteID);
-            validation.errors.forEach(function (error) {
-                logger.error('  - ' + error);
-            });
-            return new Status(Status.ERROR, 'ERROR', 'Invalid configuration for site: ' + currentSiteID);
-        }
+    return status;
+}
 
-        // Extract parameters from config
-        var contentFolderID = siteConfigHelper.normalizeContentFolderIDs(config.contentFolderIDs || ['root']);
-        var batchSize = config.batchSize || 50;
-        var exportMode = config.exportMode || 'delta';
-        var autoCreateFields = config.autoCreateFields || false;
-        var fieldMetadata = JSON.stringify(config.fieldMetadata || {});
+/**
+ * Log the combined summary of several exports and build the job status
+ *
+ * @param {Array<Object>} results - { name: string, status: dw.system.Status } per site or target
+ * @param {string} label - 'site' or 'target'
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {dw.system.Status} Status.ERROR if any export failed, Status.OK otherwise
+ */
+function summarizeStatuses(results, label, logger) {
+    var failed = results.filter(function (result) {
+        return result.status.isError();
+    }).map(function (result) {
+        return result.name;
+    });
 
-        // Add serviceID to config (from Step 1)
-        config.serviceID = serviceID;
+    logger.info('=======================================================');
+    logger.info('Export Summary per ' + label + ':');
+    results.forEach(function (result) {
+        logger.info('  - ' + result.name + ': ' + result.status.code + (result.status.message ? ' - ' + result.status.message : ''));
+    });
+    logger.info('=======================================================');
 
-        // Set defaults for optional config properties
-        if (!config.articleType) config.articleType = 'Knowledge__kav';
+    var message = (results.length - failed.length) + ' of ' + results.length + ' ' + label + '(s) OK' +
+        (failed.length > 0 ? ', failed: ' + failed.join(', ') : '');
 
-        // Handle fieldMapping - ensure it's always a JSON string for helper functions
-        // If it's an object (from parsed SiteConfigurations), convert to JSON string
-        if (!config.fieldMapping) {
-            config.fieldMapping = '{"Title":"name","Summary":"pageDescription","Body__c":"custom.body","SFCC_External_ID__c":"ID","UrlName":"ID"}';
-        } else if (typeof config.fieldMapping === 'object') {
-            // Convert object to JSON string
-            config.fieldMapping = JSON.stringify(config.fieldMapping);
-        }
+    if (failed.length > 0) {
+        return new Status(Status.ERROR, 'ERROR', message);
+    }
+    return new Status(Status.OK, 'OK', message);
+}
 
-        if (config.enableDebugLogging === undefined) config.enableDebugLogging = false;
-        if (config.publishArticles === undefined) config.publishArticles = false;
+/**
+ * Export the current site to each of its Salesforce targets
+ *
+ * Sites without targets are exported once, to the org of the ServiceID parameter.
+ * With targets, the export runs once per target in the order of the configuration.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {dw.system.Status} Status.ERROR if any target failed, Status.OK otherwise
+ */
+function exportSiteTargets(parameters, logger) {
+    var allSiteConfigs = siteConfigHelper.parseSiteConfigurations(parameters.SiteConfigurations || '');
+    var siteID = allSiteConfigs ? siteConfigHelper.getCurrentSiteID() : null;
+    var siteConfig = siteID ? siteConfigHelper.getSiteConfiguration(allSiteConfigs, siteID) : null;
+
+    // Without targets (or with an invalid configuration, reported by buildExportSetup()) the site is exported once
+    if (!siteConfig || siteConfig.targets === undefined || !siteConfigHelper.validateTargets(siteConfig.targets, siteID).valid) {
+        return exportSite(parameters, logger);
+    }
 
-        // Log effective configuration
-        siteConfigHelper.logEffectiveConfiguration(config, currentSiteID);
+    var targetIDs = siteConfig.targets.map(function (target) {
+        return target.id;
+    });
+    logger.info('Exporting site ' + siteID + ' to ' + targetIDs.length + ' Salesforce target(s): ' + targetIDs.join(', '));
 
-        // Validate batch size (common for both modes)
-        if (batchSize < 1 || batchSize > 500) {
-            logger.error('Invalid batch size: ' + batchSize + ' (must be 1-500)');
-            return new Status(Status.ERROR, 'ERROR', 'Invalid batch size');
-        }
+    var results = [];
 
-        // ========================================
-        // 3. GET CONTENT ASSETS
-        // ========================================
-        logger.info('Step 3: Retrieving content assets from B2C Commerce');
+    try {
+        siteConfig.targets.forEach(function (target) {
+            logger.info('-------------------- TARGET: ' + target.id + ' --------------------');
+            results.push({ name: target.id, status: exportSite(parameters, logger, target) });
+        });
+    } finally {
+        contentMappingHelper.setSyncTarget(null);
+    }
 
-        // Get content assets from all configured folders
-        var contentAssets = contentMappingHelper.getContentAssetsFromMultipleFolders(
-            contentFolderID,  // This is now always an array
-            config.enableDebugLogging || false,
-            exportMode
-        );
+    return summarizeStatuses(results, 'target', logger);
+}
 
-        if (!contentAssets || contentAssets.length === 0) {
-            logger.warn('No content assets found to export');
-            logger.info('Job completed: No content to export');
-            return new Status(Status.OK, 'OK', 'No content assets found');
-        }
+/**
+ * Export every site of SiteConfigurations (organization context)
+ *
+ * Sites are exported one after the other in the order of SiteConfigurations
+ * (_defaults excluded), each with its own locales and content library. Content of a
+ * shared library is exported by the first site that selects it.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.system.Log} logger - Job logger
+ * @returns {dw.system.Status} Status.ERROR if any site failed, Status.OK otherwise
+ */
+function executeForAllSites(parameters, logger) {
+    var allSiteConfigs = siteConfigHelper.parseSiteConfigurations(parameters.SiteConfigurations || '');
+    if (!allSiteConfigs) {
+        logger.error('Failed to parse SiteConfigurations JSON');
+        return new Status(Status.ERROR, 'ERROR', 'Invalid SiteConfigurations JSON');
+    }
 
-        logger.info('Found ' + contentAssets.length + ' content assets to export');
+    var siteIDs = siteConfigHelper.getConfiguredSiteIDs(allSiteConfigs);
+    if (siteIDs.length === 0) {
+        logger.error('Organization context needs at least one site entry in SiteConfigurations (besides _defaults)');
+        return new Status(Status.ERROR, 'ERROR', 'No sites configured in SiteConfigurations');
+    }
 
-        // ========================================
-        // 3.5. DISCOVER AVAILABLE LANGUAGES (v2.2+)
-        // ========================================
-        logger.info('Step 3.5: Discovering available languages for site');
+    logger.info('Organization context: exporting ' + siteIDs.length + ' site(s): ' + siteIDs.join(', '));
 
-        var languageHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/languageHelper');
+    var results = [];
+    sharedContentOwners = {};
 
-        // Get all available locales for the site
-        var availableLocales = languageHelper.getAvailableLocalesForSite();
-        logger.info('Site has ' + availableLocales.length + ' enabled locales: ' + availableLocales.join(', '));
+    try {
+        siteIDs.forEach(function (siteID) {
+            logger.info('==================== SITE: ' + siteID + ' ====================');
 
-        // Filter locales based on configuration
-        var targetLocales = languageHelper.filterLocales(availableLocales, config);
-        logger.info('Target locales after filtering: ' + targetLocales.length + ' - ' + targetLocales.join(', '));
+            var siteConfig = siteConfigHelper.getSiteConfiguration(allSiteConfigs, siteID) || {};
+            var activation = siteContextHelper.activateSite(siteID, siteConfig.libraryID);
+            var status;
 
-        // Determine master language (default to first available locale if not configured)
-        var masterLanguage = config.masterLanguage || 'en_US';
-        if (targetLocales.indexOf(masterLanguage) === -1) {
-            logger.warn('Master language ' + masterLanguage + ' not in available locales, using first locale: ' + targetLocales[0]);
-            masterLanguage = targetLocales.length > 0 ? targetLocales[0] : 'en_US';
-        }
+            if (activation.success) {
+                status = exportSiteTargets(parameters, logger);
+            } else {
+                logger.error('Skipping site ' + siteID + ': ' + activation.error);
+                status = new Status(Status.ERROR, 'ERROR', activation.error);
+                notifyRunResult(parameters, siteID, null, null, status, new Date().getTime(), logger);
+            }
 
-        logger.info('Master language: ' + masterLanguage);
+            results.push({ name: siteID, status: status });
+        });
+    } finally {
+        siteContextHelper.deactivateSite();
+        sharedContentOwners = null;
+    }
 
-        // Add language info to config for downstream processing
-        config.masterLanguage = masterLanguage;
-        config.targetLocales = targetLocales;
+    return summarizeStatuses(results, 'site', logger);
+}
 
-        // Log language discovery summary
-        languageHelper.logLanguageDiscovery(availableLocales, targetLocales, masterLanguage);
+/**
+ * Main job execution function
+ *
+ * This is the entry point called by SFCC Job Framework.
+ * The function name 'execute' is specified in steptypes.json.
+ *
+ * In a site-scoped step the current site is exported. In an organization-scoped step
+ * every site of SiteConfigurations is exported (see executeForAllSites()). Sites with
+ * targets are exported to each of their Salesforce orgs (see exportSiteTargets()).
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters from Business Manager
+ * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
+ * @returns {dw.system.Status} Status.OK or Status.ERROR
+ *
+ * @example
+ * // This function is called by SFCC Job Framework
+ * // Not meant to be called directly from code
+ */
+exports.execute = function (parameters, stepExecution) {
+    // Initialize logger
+    var logger = Logger.getLogger('SFKnowledge', 'ExportJob');
 
-        // ========================================
-        // 4. AUTHENTICATE WITH SALESFORCE
-        // ========================================
-        logger.info('Step 4: Authenticating with Salesforce');
+    logger.info('=======================================================');
+    logger.info('Starting Salesforce Knowledge Export Job');
+    logger.info('=======================================================');
 
-        var authResult = authHelper.getAccessToken(serviceID);
-        if (!authResult.success) {
-            logger.error('Salesforce authentication failed: ' + authResult.error);
-            return new Status(Status.ERROR, 'ERROR', 'Authentication failed: ' + authResult.error);
-        }
+    if (siteContextHelper.isOrganizationContext()) {
+        return executeForAllSites(parameters, logger);
+    }
 
-        logger.info('Successfully authenticated with Salesforce');
-        logger.info('  - Instance URL: ' + authResult.instanceUrl);
+    return exportSiteTargets(parameters, logger);
+};
 
-        // ========================================
-        // 4.3. LOOKUP RECORD TYPE (if configured)
-        // ========================================
-        if (config.recordTypeName) {
-            logger.info('Step 4.3: Looking up Record Type');
+// ========================================
+// CHUNK-ORIENTED STEP (custom.ExportContentToKnowledgeChunked)
+// ========================================
 
-            var recordTypeResult = recordTypeHelper.getRecordTypeIdFromConfig(
-                config,
-                authResult.accessToken,
-                authResult.instanceUrl,
-                serviceID
-            );
+// Export run of the current chunk step execution (set by beforeStep)
+var chunkRun = null;
 
-            if (!recordTypeResult.success) {
-                logger.error('Record Type lookup failed: ' + recordTypeResult.error);
-                return new Status(Status.ERROR, 'ERROR', 'Record Type lookup failed: ' + recordTypeResult.error);
-            }
+// Status of a chunk step that ended in beforeStep (returned by afterStep)
+var chunkStatus = null;
 
-            if (recordTypeResult.recordTypeId) {
-                logger.info('Record Type found: ' + config.recordTypeName + ' (ID: ' + recordTypeResult.recordTypeId + ')');
-                config.recordTypeId = recordTypeResult.recordTypeId;
-            } else {
-                logger.info('No Record Type configured, using default');
-            }
-        } else {
-            logger.info('Step 4.3: No Record Type configured, skipping lookup');
-        }
+// Start of the current chunk step execution (ms, for the notification summary)
+var chunkStartTime = null;
 
-        // ========================================
-        // 4.5. ENSURE MAPPED CUSTOM FIELDS EXIST
-        // ========================================
-        logger.info('Step 4.5: Validating mapped custom fields in Salesforce');
-
-        // Merge fieldMapping with static fields for validation
-        // Static fields need to exist in Salesforce too
-        var allFieldsMapping = JSON.parse(config.fieldMapping);
-        if (config.static && typeof config.static === 'object') {
-            logger.info('Including static fields in validation: ' + Object.keys(config.static).join(', '));
-            for (var staticField in config.static) {
-                if (config.static.hasOwnProperty(staticField) && staticField.indexOf('__c') > -1) {
-                    // Add static field to mapping with a dummy value for validation
-                    // This ensures static fields are checked/created too
-                    if (!allFieldsMapping[staticField]) {
-                        allFieldsMapping[staticField] = 'static';
-                    }
-                }
-            }
+/**
+ * Create a content stream over loaded content assets (targeted sync)
+ *
+ * Same interface as contentMappingHelper.openContentStream().
+ *
+ * @param {Array<Object>} contentAssets - Formatted content assets
+ * @returns {Object} Stream { next(): Object|null, skip(): string|null }
+ */
+function createListStream(contentAssets) {
+    var index = 0;
+
+    return {
+        next: function () {
+            return index < contentAssets.length ? contentAssets[index++] : null;
+        },
+        skip: function () {
+            return index < contentAssets.length ? contentAssets[index++].ID : null;
         }
+    };
+}
 
-        var fieldCheckResult = toolingHelper.ensureAllMappedFieldsExist(
-            config.articleType,
-            JSON.stringify(allFieldsMapping),
-            fieldMetadata,
-            autoCreateFields,
-            serviceID
+/**
+ * Open the content stream of a chunk run and skip the part exported before an interruption
+ *
+ * Targeted syncs stream the ContentIDs content assets. ForceFullForIDs content assets
+ * are read before the stream and left out of it.
+ *
+ * @param {Object} run - Export run
+ */
+function openChunkStream(run) {
+    var setup = run.setup;
+    var config = setup.config;
+    var openStream = function () {
+        return contentMappingHelper.openContentStream(setup.contentFolderID, setup.exportMode, config.enableDebugLogging || false,
+            config.targetLanguages);
+    };
+
+    if (config.targetContentIDs.length > 0) {
+        var targetAssets = contentMappingHelper.getContentAssetsByIDs(
+            parseContentIDs(config.targetContentIDs.concat(config.forcedContentIDs).join(',')),
+            config.enableDebugLogging || false
         );
+        openStream = function () {
+            return createListStream(targetAssets);
+        };
+    } else if (config.forcedContentIDs.length > 0) {
+        run.forcedAssets = loadForcedContentAssets([], config, run.logger);
+        run.forcedIDs = {};
+        run.forcedAssets.forEach(function (asset) {
+            run.forcedIDs[asset.ID] = true;
+        });
+    }
 
-        if (!fieldCheckResult.ready) {
-            logger.error('Field validation failed');
-            fieldCheckResult.errors.forEach(function (error) {
-                logger.error('  - ' + error.field + ': ' + error.error);
-            });
-
-            // If auto-create is enabled and fields failed to create, this is an error
-            if (autoCreateFields) {
-                return new Status(
-                    Status.ERROR,
-                    'ERROR',
-                    'Field validation failed: ' + fieldCheckResult.errors.map(function (e) { return e.field; }).join(', ')
-                );
-            } else {
-                // If auto-create is disabled, just warn about missing fields
-                logger.warn('Some fields may be missing. Enable AutoCreateFields to create them automatically.');
-            }
-        }
+    // A resumed run reads the whole stream, process() leaves out what was exported
+    startCheckpoint(run);
 
-        if (fieldCheckResult.created.length > 0) {
-            logger.info('Created ' + fieldCheckResult.created.length + ' custom fields: ' + fieldCheckResult.created.join(', '));
-        }
+    run.stream = openStream();
 
-        if (fieldCheckResult.skipped.length > 0) {
-            logger.warn('Skipped ' + fieldCheckResult.skipped.length + ' fields (auto-create disabled): ' + fieldCheckResult.skipped.join(', '));
-        }
+    run.forcedIndex = 0;
+    run.retryIndex = 0;
+    run.exportResult = {
+        totalProcessed: 0,
+        totalSuccess: 0,
+        totalFailed: 0,
+        errors: [],
+        stopped: false,
+        totalSkipped: 0
+    };
+}
 
-        logger.info('Field validation completed successfully');
+/**
+ * Before Step function (chunk step)
+ *
+ * Runs Steps 1-4.7 of execute() and opens the content stream. Data categories are
+ * validated from the site configuration only, content assets are not loaded up front.
+ * With retryQueue enabled, queued content that is not in the stream is exported after it.
+ * ContentIDs (targeted sync) replaces the stream with the listed content assets.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters
+ * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
+ * @returns {dw.system.Status} Status.OK to continue, Status.ERROR to abort
+ */
+exports.beforeStep = function (parameters, stepExecution) {
+    var logger = Logger.getLogger('SFKnowledge', 'ExportJob');
 
-        // ========================================
-        // 4.6. VALIDATE DATA CATEGORIES (IF CONFIGURED)
-        // ========================================
-        var validateDataCategories = (config.validateDataCategories !== undefined) ? config.validateDataCategories : true;
+    chunkRun = null;
+    chunkStatus = null;
+    chunkStartTime = new Date().getTime();
 
-        if (validateDataCategories && config.dataCategories) {
-            logger.info('Step 4.6: Validating data categories');
+    logger.info('=======================================================');
+    logger.info('Starting Salesforce Knowledge Export Job (chunk step)');
+    logger.info('=======================================================');
 
-            var dataCategoryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceDataCategoryHelper');
+    try {
+        var setup = buildExportSetup(parameters, logger);
+        if (setup.status) {
+            chunkStatus = setup.status;
+            return chunkStatus;
+        }
 
-            // Collect all unique data categories from config + content
-            logger.info('Collecting data categories from site config and content assets');
-            var allDataCategories = dataCategoryHelper.collectAllDataCategories(config, contentAssets);
+        if (setup.config.targets) {
+            logger.error('Salesforce targets are supported by custom.ExportContentToKnowledge only');
+            chunkStatus = new Status(Status.ERROR, 'ERROR', 'targets are not supported by the chunk step');
+            return chunkStatus;
+        }
 
-            if (allDataCategories && Object.keys(allDataCategories).length > 0) {
-                var totalCategories = 0;
-                for (var groupName in allDataCategories) {
-                    if (allDataCategories.hasOwnProperty(groupName)) {
-                        totalCategories += allDataCategories[groupName].length;
-                        logger.info('  - Group "' + groupName + '": ' + allDataCategories[groupName].join(', '));
-                    }
-                }
+        if (setup.exportMode === 'bulk') {
+            logger.warn('Bulk API loads need the whole export set, the chunk step exports bulk mode like full mode');
+        }
 
-                logger.info('Found ' + totalCategories + ' unique categor(ies) to validate across ' + Object.keys(allDataCategories).length + ' group(s)');
-
-                // Validate against Salesforce
-                var categoryValidationResult = dataCategoryHelper.validateDataCategories(
-                    authResult.accessToken,
-                    authResult.instanceUrl,
-                    allDataCategories,
-                    serviceID,
-                    config.articleType
-                );
-
-                if (!categoryValidationResult.valid) {
-                    logger.error('');
-                    logger.error('Data category validation FAILED:');
-
-                    categoryValidationResult.errors.forEach(function (error) {
-                        logger.error('  - ' + error);
-                    });
-
-                    // Log available valid categories for each failed group
-                    for (var failedGroup in categoryValidationResult.details) {
-                        if (categoryValidationResult.details.hasOwnProperty(failedGroup)) {
-                            var groupDetails = categoryValidationResult.details[failedGroup];
-                            if (!groupDetails.valid && groupDetails.validCategories.length > 0) {
-                                logger.error('');
-                                logger.error('Valid categories in group "' + failedGroup + '":');
-                                groupDetails.validCategories.forEach(function (validCat) {
-                                    logger.error('  - ' + validCat);
-                                });
-                            }
-                        }
-                    }
+        discoverLanguages(setup.config, logger);
 
-                    logger.error('');
-                    logger.error('Job execution stopped. Please fix the data category configuration and try again.');
+        var salesforce = prepareSalesforce(setup, [], logger);
+        if (salesforce.status) {
+            chunkStatus = salesforce.status;
+            return chunkStatus;
+        }
 
-                    return new Status(
-                        Status.ERROR,
-                        'ERROR',
-                        'Data category validation failed. See logs for details.'
-                    );
-                }
+        var run = createExportRun(setup, logger);
 
-                logger.info('All data categories validated successfully');
-            } else {
-                logger.info('No data categories found to validate');
-            }
-        } else if (config.dataCategories) {
-            logger.info('Step 4.6: Data category validation disabled (validateDataCategories: false)');
-        } else {
-            logger.info('Step 4.6: No data categories configured, skipping validation');
+        if (setup.config.retryQueue && setup.config.targetContentIDs.length === 0) {
+            run.retryQueueResult = applyRetryQueue([], setup.config, run.siteID, logger);
         }
 
-        // ========================================
-        // 5. EXPORT ARTICLES IN BATCHES (MULTI-LANGUAGE)
-        // ========================================
-        logger.info('Step 5: Exporting articles to Salesforce Knowledge (multi-language)');
+        logger.info('Step 5: Exporting articles to Salesforce Knowledge in chunks (multi-language)');
+        openChunkStream(run);
 
-        var syncMetadataUpdates = 0;
-        var syncMetadataErrors = 0;
+        chunkRun = run;
+    } catch (e) {
+        logger.error('Unexpected error in export job: ' + e.message);
+        logger.error('Stack trace: ' + e.stack);
 
-        // Expand content assets to include all language versions
-        logger.info('Step 5.1: Expanding content assets to include all language versions');
+        chunkStatus = new Status(Status.ERROR, 'ERROR', 'Job exception: ' + e.message);
+        return chunkStatus;
+    }
 
-        var contentAssetsWithLanguages = [];
-        var originalContentCount = contentAssets.length;
+    return new Status(Status.OK);
+};
 
-        for (var i = 0; i < contentAssets.length; i++) {
-            var contentAsset = contentAssets[i];
+/**
+ * Read function (chunk step)
+ *
+ * Returns the ForceFullForIDs content assets, the next content asset of the stream, then
+ * the remaining retry queue content.
+ * Returns nothing at the end, or when the API budget is reached.
+ *
+ * @param {dw.job.JobParameters} parameters - Job parameters
+ * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
+ * @returns {Object|undefined} Formatted content asset
+ */
+exports.read = function (parameters, stepExecution) {
+    var run = chunkRun;
+    if (!run || run.exportResult.stopped) {
+        return undefined;
+    }
 
-            // Get all language versions for this content
-            var languageVersions = contentMappingHelper.getContentWithAllLanguages(
-                contentAsset.ID,
-                targetLocales,
-                config.enableDebugLogging || false
-            );
+    if (shouldStopExport()) {
+        run.exportResult.stopped = true;
+        return undefined;
+    }
 
-            if (languageVersions.length === 0) {
-                logger.warn('Content ' + contentAsset.ID + ' not available in any target language, skipping');
-                continue;
-            }
+    var retryLanguages = run.retryQueueResult ? run.retryQueueResult.retryLanguages : {};
+    var forced = run.forcedAssets || [];
+    var asset;
 
-            // Sort so master language is first
-            languageVersions.sort(function (a, b) {
-                if (a.language === masterLanguage) return -1;
-                if (b.language === masterLanguage) return 1;
-                return 0;
-            });
+    if (run.forcedIndex < forced.length) {
+        asset = forced[run.forcedIndex++];
+        delete retryLanguages[asset.ID];
+        return asset;
+    }
 
-            // Add all language versions to the batch
-            for (var j = 0; j < languageVersions.length; j++) {
-                contentAssetsWithLanguages.push(languageVersions[j]);
-            }
+    while ((asset = run.stream.next()) !== null) {
+        if (run.forcedIDs && run.forcedIDs[asset.ID]) {
+            continue;
         }
 
-        logger.info('Original content assets: ' + originalContentCount);
-        logger.info('Total content assets with languages: ' + contentAssetsWithLanguages.length);
-        logger.info('Average languages per content: ' + (contentAssetsWithLanguages.length / originalContentCount).toFixed(2));
-
-        if (contentAssetsWithLanguages.length === 0) {
-            logger.warn('No content assets with language versions found');
-            logger.info('Job completed: No content to export');
-            return new Status(Status.OK, 'OK', 'No content assets with language versions found');
+        if (knowledgeMappingHelper.filterContentAssets([asset], run.config.mappingRules).length > 0) {
+            // Content in the stream is exported in all languages
+            delete retryLanguages[asset.ID];
+            return asset;
         }
+    }
 
-        // Process the expanded list with language versions
-        logger.info('Step 5.2: Processing content in batches');
-
-        var exportResult = contentMappingHelper.exportToExternalAPI(
-            contentAssetsWithLanguages,
-            batchSize,
-            function (batch) {
-                // Export batch to Salesforce Knowledge
-                var batchResult = knowledgeHelper.exportBatch(batch, config);
-
-                // Update sync metadata for successfully exported content assets
-                if (batchResult.success && batchResult.details && batchResult.details.length > 0) {
-                    logger.debug('Updating sync metadata for ' + batchResult.details.length + ' content assets in batch');
-
-                    for (var i = 0; i < batchResult.details.length; i++) {
-                        var detail = batchResult.details[i];
-
-                        // Only update metadata for successful exports
-                        if (detail.success && detail.knowledgeArticleId && detail.versionId) {
-                            // Get language from batch item
-                            var language = batch[i].language || masterLanguage;
-
-                            var updateResult = contentMappingHelper.updateSyncMetadata(
-                                detail.contentId,
-                                detail.knowledgeArticleId,
-                                detail.versionId,
-                                language  // Pass language parameter (v2.2+)
-                            );
-
-                            if (updateResult.success) {
-                                syncMetadataUpdates++;
-                                logger.debug('Updated sync metadata for: ' + detail.contentId + ' (Language: ' + language + ')');
-                            } else {
-                                syncMetadataErrors++;
-                                logger.warn('Failed to update sync metadata for ' + detail.contentId + ': ' + updateResult.error);
-                            }
-                        }
-                    }
-                }
+    // Queued content that was not in the stream: only the failed languages
+    var queued = run.retryQueueResult ? run.retryQueueResult.contentAssets : [];
+    while (run.retryIndex < queued.length) {
+        asset = queued[run.retryIndex++];
+        if (retryLanguages[asset.ID]) {
+            return asset;
+        }
+    }
 
-                return batchResult;
-            }
-        );
+    return undefined;
+};
 
-        logger.info('Sync metadata updates: ' + syncMetadataUpdates + ' successful, ' + syncMetadataErrors + ' failed');
+/**
+ * Process function (chunk step)
+ *
+ * Expands a content asset to its language versions (in delta mode, only the languages
+ * that changed or failed since their last sync; in a resumed run, only the languages
+ * the interrupted run did not export).
+ *
+ * @param {Object} contentAsset - Formatted content asset from read()
+ * @param {dw.job.JobParameters} parameters - Job parameters
+ * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
+ * @returns {Array<Object>|undefined} Language versions, or nothing to skip the content asset
+ */
+exports.process = function (contentAsset, parameters, stepExecution) {
+    var run = chunkRun;
+    var retryLanguages = run.retryQueueResult ? run.retryQueueResult.retryLanguages[contentAsset.ID] : null;
+    var languageVersions = expandLanguageVersions(contentAsset, run.config, retryLanguages, run.logger);
 
-        // ========================================
-        // 6. LOG RESULTS
-        // ========================================
-        logger.info('Step 6: Processing results');
-
-        var endTime = new Date().getTime();
-        var duration = (endTime - startTime) / 1000; // seconds
-
-        logger.info('=======================================================');
-        logger.info('Export Job Completed');
-        logger.info('=======================================================');
-        logger.info('Summary:');
-        logger.info('  - Export Mode: ' + exportMode);
-        logger.info('  - Original Content Assets: ' + originalContentCount);
-        logger.info('  - Target Languages: ' + targetLocales.length + ' (' + targetLocales.join(', ') + ')');
-        logger.info('  - Master Language: ' + masterLanguage);
-        logger.info('  - Total Content with Languages: ' + contentAssetsWithLanguages.length);
-        logger.info('  - Average Languages per Content: ' + (contentAssetsWithLanguages.length / originalContentCount).toFixed(2));
-        logger.info('  - Total Processed: ' + exportResult.totalProcessed);
-        logger.info('  - Successful Exports: ' + exportResult.totalSuccess);
-        logger.info('  - Failed Exports: ' + exportResult.totalFailed);
-        logger.info('  - Sync Metadata Updates: ' + syncMetadataUpdates + ' successful, ' + syncMetadataErrors + ' failed');
-        logger.info('  - Duration: ' + duration.toFixed(2) + ' seconds');
-
-        if (exportResult.errors.length > 0) {
-            logger.warn('Errors encountered:');
-            exportResult.errors.forEach(function (error) {
-                logger.warn('  - Batch ' + error.batch + ': ' + error.error);
-            });
-        }
+    if (languageVersions.length === 0) {
+        recordSkipped(run, contentAsset.ID, null, 'Not available in any target language');
+    }
 
-        // Determine final status
-        if (exportResult.totalSuccess === 0 && exportResult.totalFailed > 0) {
-            // All exports failed
-            logger.error('All exports failed');
-            return new Status(
-                Status.ERROR,
-                'ERROR',
-                'All exports failed. Processed: ' + exportResult.totalProcessed
-            );
-        } else if (exportResult.totalFailed > 0) {
-            // Partial success
-            logger.warn('Some exports failed');
-            return new Status(
-                Status.OK,
-                'OK',
-                'Partial success. Success: ' + exportResult.totalSuccess + ', Failed: ' + exportResult.totalFailed
-            );
-        } else {
-            // All successful
-            logger.info('All exports successful');
-            return new Status(
-                Status.OK,
-                'OK',
-                'Success. Exported: ' + exportResult.totalSuccess + ' articles'
-            );
-        }
+    languageVersions = filterChangedLanguages(run, contentAsset, languageVersions, !!retryLanguages);
+    languageVersions = skipExportedLanguages(run, languageVersions);
 
-    } catch (e) {
-        // Catch any unexpected exceptions
-        logger.error('Unexpected error in export job: ' + e.message);
-        logger.error('Stack trace: ' + e.stack);
+    run.contentCount++;
+    run.languageVersionCount += languageVersions.length;
 
-        return new Status(
-            Status.ERROR,
-            'ERROR',
-            'Job exception: ' + e.message
-        );
-    }
+    return languageVersions.length > 0 ? languageVersions : undefined;
 };
 
 /**
- * Before Step function (optional)
+ * Write function (chunk step)
  *
- * Called before the main execute function.
- * Can be used for setup tasks.
+ * Exports the language versions of a chunk in batches of batchSize. Stops early when
+ * the API budget is reached or the circuit breaker trips.
  *
+ * @param {dw.util.List} chunk - Language versions from process(), one array per content asset
  * @param {dw.job.JobParameters} parameters - Job parameters
  * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
- * @returns {dw.system.Status} Status.OK to continue, Status.ERROR to abort
  */
-exports.beforeStep = function (parameters, stepExecution) {
-    var logger = Logger.getLogger('SFKnowledge', 'ExportJob');
-    logger.debug('beforeStep: Job initialization');
-
-    // Could perform pre-checks here
-    // Return Status.ERROR to prevent job execution
-
-    return new Status(Status.OK);
+exports.write = function (chunk, parameters, stepExecution) {
+    var run = chunkRun;
+    var assets = [];
+
+    chunk.toArray().forEach(function (languageVersions) {
+        assets = assets.concat(languageVersions);
+    });
+
+    var assetEndKeys = getAssetEndKeys(assets);
+    var chunkResult = contentMappingHelper.exportToExternalAPI(
+        assets,
+        run.setup.batchSize,
+        function (batch) {
+            return exportAndRecordBatch(run, batch, assetEndKeys);
+        },
+        shouldStopExport
+    );
+
+    var exportResult = run.exportResult;
+    exportResult.totalProcessed += chunkResult.totalProcessed;
+    exportResult.totalSuccess += chunkResult.totalSuccess;
+    exportResult.totalFailed += chunkResult.totalFailed;
+    exportResult.errors = exportResult.errors.concat(chunkResult.errors);
+
+    // Stopped within the chunk: read() ends the step, the rest of the chunk is not exported
+    if (chunkResult.stopped) {
+        exportResult.stopped = true;
+        exportResult.totalSkipped += chunkResult.totalSkipped;
+        assets.slice(chunkResult.totalProcessed).forEach(function (asset) {
+            recordSkipped(run, asset.ID, asset.language, 'Not processed (' + getStopReason() + ')');
+        });
+    }
 };
 
 /**
- * After Step function (optional)
+ * After Step function
+ *
+ * Chunk step: reconciles retired content, writes the dry-run or run report, logs the
+ * summary and returns the final status (Steps 5.3-6 of execute()). A failed step
+ * keeps its checkpoint, so it can be resumed.
  *
- * Called after the main execute function completes.
- * Can be used for cleanup tasks.
+ * Always clears the cached OAuth token.
  *
- * @param {boolean} success - Whether the execute step succeeded
+ * @param {boolean} success - Whether the step succeeded
  * @param {dw.job.JobParameters} parameters - Job parameters
  * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
  * @returns {dw.system.Status} Status
@@ -628,18 +2296,53 @@ exports.afterStep = function (success, parameters, stepExecution) {
     var logger = Logger.getLogger('SFKnowledge', 'ExportJob');
     logger.debug('afterStep: Job cleanup (success: ' + success + ')');
 
-    // Clear cached OAuth token
-    var authHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceAuthHelper');
-    authHelper.clearCachedToken();
+    var status = chunkStatus || new Status(Status.OK);
 
-    return new Status(Status.OK);
+    try {
+        if (chunkRun && !success) {
+            logger.error('Export step failed' + (chunkRun.checkpoint ? ', run ' + chunkRun.checkpoint.runId + ' can be resumed' : ''));
+            status = new Status(Status.ERROR, 'ERROR', 'Export step failed after ' + chunkRun.exportResult.totalProcessed + ' content assets');
+        } else if (chunkRun) {
+            // Budget reached: count what is left for the next run
+            if (chunkRun.exportResult.stopped) {
+                var contentId;
+                while ((contentId = chunkRun.stream.skip()) !== null) {
+                    chunkRun.exportResult.totalSkipped++;
+                    recordSkipped(chunkRun, contentId, null, 'Not processed (' + getStopReason() + ')');
+                }
+            }
+
+            status = finishExportRun(chunkRun, chunkRun.exportResult);
+        }
+    } catch (e) {
+        logger.error('Unexpected error in export job: ' + e.message);
+        logger.error('Stack trace: ' + e.stack);
+
+        status = new Status(Status.ERROR, 'ERROR', 'Job exception: ' + e.message);
+    } finally {
+        if (chunkRun && chunkRun.report && !chunkRun.runReport) {
+            closeRunReport(chunkRun);
+        }
+
+        notifyRunResult(parameters, siteConfigHelper.getCurrentSiteID(), null, chunkRun, status, chunkStartTime || new Date().getTime(), logger);
+
+        chunkRun = null;
+        chunkStatus = null;
+        chunkStartTime = null;
+
+        // Clear cached OAuth token
+        authHelper.clearCachedToken();
+    }
+
+    return status;
 };
 
 /**
- * Get total count function (optional)
+ * Get total count function
  *
- * Returns the total count of items to be processed.
- * Used for progress tracking in Business Manager.
+ * Returns the number of content assets the chunk step reads (before exportFilters),
+ * for progress tracking in Business Manager. Content assets are counted from the
+ * search iterators, not loaded. Targeted syncs count the requested content IDs.
  *
  * @param {dw.job.JobParameters} parameters - Job parameters
  * @param {dw.job.JobStepExecution} stepExecution - Job step execution context
@@ -647,8 +2350,10 @@ exports.afterStep = function (success, parameters, stepExecution) {
  */
 exports.getTotalCount = function (parameters, stepExecution) {
     try {
-        var contentMappingHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/contentMappingHelper');
-        var siteConfigHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/siteConfigHelper');
+        var targetContentIDs = parseContentIDs(parameters.ContentIDs);
+        if (targetContentIDs.length > 0) {
+            return parseContentIDs(targetContentIDs.concat(parseContentIDs(parameters.ForceFullForIDs)).join(',')).length;
+        }
 
         var siteConfigurationsJSON = parameters.SiteConfigurations || '';
         if (!siteConfigurationsJSON || siteConfigurationsJSON.trim() === '') {
@@ -669,11 +2374,13 @@ exports.getTotalCount = function (parameters, stepExecution) {
 
         // Get content folder IDs and export mode from config
         var contentFolderIDs = siteConfigHelper.normalizeContentFolderIDs(config.contentFolderIDs || ['root']);
-        var exportMode = config.exportMode || 'delta';
 
-        // Get content assets count
-        var contentAssets = contentMappingHelper.getContentAssetsFromMultipleFolders(contentFolderIDs, false, exportMode);
-        return contentAssets ? contentAssets.length : 0;
+        // beforeStep switches delta mode to full mode when the configuration changed
+        var exportMode = chunkRun ? chunkRun.setup.exportMode : (config.exportMode || 'delta');
+
+        // Count content assets (ForceFullForIDs content may be counted twice)
+        return contentMappingHelper.countContentAssets(contentFolderIDs, exportMode) +
+            parseContentIDs(parameters.ForceFullForIDs).length;
     } catch (e) {
         return 0;
     }
@@ -8,9 +8,85 @@
  * 2. salesforce.knowledge.api - For Knowledge Article CRUD operations
  *
  * Services are created lazily on first access to provide better error messages.
+ * Both are returned wrapped with retryHelper, so call() retries transient errors.
+ * Knowledge API calls that fail with an expired session are replayed once with a
+ * new access token. Calls are spaced by rateLimitDelay and the Sforce-Limit-Info
+ * header of each response is passed to apiLimitHelper.
  */
 
 var LocalServiceRegistry = require('dw/svc/LocalServiceRegistry');
+var retryHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/retryHelper');
+var apiLimitHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/apiLimitHelper');
+
+/**
+ * Check whether a Knowledge API call failed because the session expired or was revoked
+ *
+ * @param {dw/svc/Result} result - Service result
+ * @returns {boolean} True for 401 / INVALID_SESSION_ID
+ */
+function isSessionExpired(result) {
+    if (!result || result.status === 'OK' && (!result.object || result.object.success !== false)) {
+        return false;
+    }
+
+    var statusCode = (result.object && result.object.statusCode) || result.error;
+    var errorText = result.object && result.object.error ? JSON.stringify(result.object.error) : (result.errorMessage || '');
+
+    return statusCode === 401 || errorText.indexOf('INVALID_SESSION_ID') > -1;
+}
+
+/**
+ * Record the Sforce-Limit-Info header of the last response
+ *
+ * @param {dw/svc/Service} service - Service that made the call
+ */
+function recordLimitInfo(service) {
+    try {
+        var client = service.getClient();
+        apiLimitHelper.recordLimitInfo(client ? client.getResponseHeader('Sforce-Limit-Info') : null);
+    } catch (e) {
+        // Header not available (e.g., connection error)
+    }
+}
+
+/**
+ * Wrap a service so that call() retries transient errors
+ *
+ * @param {dw/svc/Service} service - Service created by LocalServiceRegistry
+ * @param {string} serviceId - Service ID (used to renew the session)
+ * @param {boolean} renewSession - Replay calls once with a new token on expired sessions
+ * @returns {Object} Service wrapper with call(), getConfiguration() and getClient()
+ */
+function withRetry(service, serviceId, renewSession) {
+    return {
+        call: function (params) {
+            apiLimitHelper.throttle();
+            var result = retryHelper.callWithRetry(service, params);
+            recordLimitInfo(service);
+
+            if (renewSession && params && params.accessToken && isSessionExpired(result)) {
+                // Required here to avoid a circular dependency (the auth helper uses this module)
+                var authHelper = require('int_salesforce_knowledge/cartridge/scripts/helpers/salesforceAuthHelper');
+                var authResult = authHelper.renewAccessToken(serviceId, params.accessToken);
+
+                if (authResult.success) {
+                    params.accessToken = authResult.accessToken;
+                    params.instanceUrl = authResult.instanceUrl;
+                    result = retryHelper.callWithRetry(service, params);
+                    recordLimitInfo(service);
+                }
+            }
+
+            return result;
+        },
+        getConfiguration: function () {
+            return service.getConfiguration();
+        },
+        getClient: function () {
+            return service.getClient();
+        }
+    };
+}
 
 // Service cache - now keyed by service ID
 var _oauthServiceCache = {};
@@ -19,7 +95,7 @@ var _knowledgeServiceCache = {};
 /**
  * Get or create OAuth service
  * @param {string} serviceId - Service ID (required)
- * @returns {dw/svc/Service} OAuth service
+ * @returns {Object} OAuth service (with retry)
  */
 function getOAuthService(serviceId) {
     var Logger = require('dw/system/Logger');
@@ -36,7 +112,7 @@ function getOAuthService(serviceId) {
         return _oauthServiceCache[serviceId];
     }
 
-    _oauthServiceCache[serviceId] = LocalServiceRegistry.createService(serviceId, {
+    _oauthServiceCache[serviceId] = withRetry(LocalServiceRegistry.createService(serviceId, {
         createRequest: function (svc, params) {
             var Logger = require('dw/system/Logger');
             var logger = Logger.getLogger('SFKnowledge', 'OAuthService');
@@ -142,7 +218,7 @@ function getOAuthService(serviceId) {
             }
             return msg;
         }
-    });
+    }), serviceId, false);
 
     return _oauthServiceCache[serviceId];
 }
@@ -150,7 +226,7 @@ function getOAuthService(serviceId) {
 /**
  * Get or create Knowledge API service
  * @param {string} serviceId - Service ID (required)
- * @returns {dw/svc/Service} Knowledge API service
+ * @returns {Object} Knowledge API service (with retry)
  */
 function getKnowledgeService(serviceId) {
     var Logger = require('dw/system/Logger');
@@ -167,7 +243,7 @@ function getKnowledgeService(serviceId) {
         return _knowledgeServiceCache[serviceId];
     }
 
-    _knowledgeServiceCache[serviceId] = LocalServiceRegistry.createService(serviceId, {
+    _knowledgeServiceCache[serviceId] = withRetry(LocalServiceRegistry.createService(serviceId, {
         createRequest: function (svc, params) {
             svc.setRequestMethod(params.method || 'POST');
 
@@ -175,11 +251,12 @@ function getKnowledgeService(serviceId) {
             svc.setURL(url);
 
             svc.addHeader('Authorization', 'Bearer ' + params.accessToken);
-            svc.addHeader('Content-Type', 'application/json');
+            svc.addHeader('Content-Type', params.contentType || 'application/json');
 
             // Only send body for POST, PATCH, PUT methods
+            // String bodies are sent as-is (e.g., CSV for Bulk API uploads with contentType 'text/csv')
             if (params.body && params.method !== 'GET' && params.method !== 'DELETE') {
-                return JSON.stringify(params.body);
+                return typeof params.body === 'string' ? params.body : JSON.stringify(params.body);
             }
 
             return null;
@@ -217,7 +294,7 @@ function getKnowledgeService(serviceId) {
             }
             return msg;
         }
-    });
+    }), serviceId, true);
 
     return _knowledgeServiceCache[serviceId];
 }